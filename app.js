@@ -17,9 +17,6 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files (for uploaded images)
-app.use('/uploads', express.static('uploads'));
-
 // Import routes
 const voterRoutes = require('./routes/voters');
 const adminRoutes = require('./routes/admin');
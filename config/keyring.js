@@ -0,0 +1,84 @@
+require('dotenv').config();
+
+// Encryption keyring for voter data.
+//
+// ENCRYPTION_KEYS lists every key that may still be needed to read records,
+// as comma-separated "keyId:key" pairs where each key is 32 bytes given as
+// 64 hex characters or base64. ENCRYPTION_ACTIVE_KEY_ID names the key used
+// for new writes. To rotate, add the new key, make it active, run
+// scripts/rotateEncryptionKey.js and only then remove the old key.
+//
+// ENCRYPTION_KEY is the old single key. It is only used to read records
+// written before the keyring existed.
+
+let keyring;
+let walletSeeds;
+
+const decodeKey = (keyId, value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`Encryption key "${keyId}" must be 32 bytes (64 hex characters or base64)`);
+  }
+  return key;
+};
+
+// Parse a "keyId:key,keyId:key" list plus the id of the key used for writes
+const loadKeys = (keysVar, activeVar) => {
+  const keys = new Map();
+
+  for (const entry of (process.env[keysVar] || '').split(',')) {
+    if (!entry.trim()) continue;
+
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`${keysVar} entries must look like "keyId:key"`);
+    }
+
+    const keyId = entry.slice(0, separator).trim();
+    if (keys.has(keyId)) {
+      throw new Error(`Key "${keyId}" is listed twice in ${keysVar}`);
+    }
+    keys.set(keyId, decodeKey(keyId, entry.slice(separator + 1).trim()));
+  }
+
+  const activeKeyId = process.env[activeVar];
+  if (!activeKeyId || !keys.has(activeKeyId)) {
+    throw new Error(`${activeVar} must name one of the keys in ${keysVar}`);
+  }
+
+  return { activeKeyId, keys };
+};
+
+const loadKeyring = () => {
+  const { activeKeyId, keys } = loadKeys('ENCRYPTION_KEYS', 'ENCRYPTION_ACTIVE_KEY_ID');
+
+  // The legacy key was zero-padded / truncated to 32 characters
+  const legacyKey = process.env.ENCRYPTION_KEY
+    ? Buffer.from(process.env.ENCRYPTION_KEY.padEnd(32, '0').substring(0, 32))
+    : null;
+
+  return { activeKeyId, keys, legacyKey };
+};
+
+// Load once on first use so a misconfigured keyring fails loudly
+const getKeyring = () => {
+  if (!keyring) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+};
+
+// Master seeds that seal voter wallet keys (WALLET_MASTER_SEEDS /
+// WALLET_ACTIVE_SEED_ID, same format as ENCRYPTION_KEYS). Kept apart from
+// the data keys so either can be rotated on its own.
+const getWalletSeeds = () => {
+  if (!walletSeeds) {
+    walletSeeds = loadKeys('WALLET_MASTER_SEEDS', 'WALLET_ACTIVE_SEED_ID');
+  }
+  return walletSeeds;
+};
+
+module.exports = { getKeyring, loadKeyring, getWalletSeeds };
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+// Chain the backend talks to, selected with NETWORK.
+//
+// "hardhat" is an in-process Hardhat chain: nothing to install or run, but
+// its state is lost when the server stops, so the contracts are deployed at
+// startup (see utils/localChain.js). "localhost" is a node started with
+// `npm run chain`, "ganache" a Ganache instance. Without NETWORK, production
+// uses sepolia and everything else localhost.
+//
+// Contract addresses come from deployments/<network>.json, written by the
+// deploy and bootstrap scripts. CONTRACT_ADDRESS and
+// ELECTION_CONTRACT_ADDRESS override them.
+
+const NETWORKS = {
+  hardhat: { local: true, inProcess: true },
+  localhost: { local: true, rpcUrl: () => process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545' },
+  ganache: { local: true, rpcUrl: () => process.env.GANACHE_RPC_URL || 'http://127.0.0.1:8545' },
+  sepolia: { rpcUrl: () => process.env.SEPOLIA_RPC_URL },
+  mumbai: { rpcUrl: () => process.env.MUMBAI_RPC_URL }
+};
+
+// Account #0 of the default Hardhat mnemonic. It is public and funded on
+// every Hardhat chain, so it is only used there when PRIVATE_KEY is not set.
+const HARDHAT_DEFAULT_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+// Deployments made in this process (in-process chains have no file)
+const deployments = new Map();
+
+const getNetworkName = () => {
+  const name = process.env.NETWORK || (process.env.NODE_ENV === 'production' ? 'sepolia' : 'localhost');
+  if (!NETWORKS[name]) {
+    throw new Error(`Unknown NETWORK "${name}" (expected one of ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  return name;
+};
+
+const getNetworkConfig = (name = getNetworkName()) => ({ name, ...NETWORKS[name] });
+
+const isLocalNetwork = (name = getNetworkName()) => !!NETWORKS[name]?.local;
+
+const getDeploymentPath = (name = getNetworkName()) => path.join(__dirname, '../deployments', `${name}.json`);
+
+// Contents of deployments/<network>.json, or null if the network has none
+const getDeployment = (name = getNetworkName()) => {
+  if (deployments.has(name)) {
+    return deployments.get(name);
+  }
+
+  // A file left by an earlier in-process run points at a chain that is gone
+  if (NETWORKS[name].inProcess) {
+    return null;
+  }
+
+  const filePath = getDeploymentPath(name);
+  const deployment = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  deployments.set(name, deployment);
+  return deployment;
+};
+
+// Record a deployment; written to deployments/<network>.json unless the
+// chain only lives in this process
+const saveDeployment = (deployment, name = getNetworkName()) => {
+  deployments.set(name, deployment);
+  if (NETWORKS[name].inProcess) {
+    return null;
+  }
+
+  const filePath = getDeploymentPath(name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(deployment, null, 2));
+  return filePath;
+};
+
+const getContractAddress = () => process.env.CONTRACT_ADDRESS || getDeployment()?.contractAddress || null;
+
+const getElectionContractAddress = () =>
+  process.env.ELECTION_CONTRACT_ADDRESS || getDeployment()?.electionContractAddress || null;
+
+// Key of the backend's own account (contract admin, registrar and verifier)
+const getPrivateKey = () => {
+  if (process.env.PRIVATE_KEY) {
+    return process.env.PRIVATE_KEY;
+  }
+  const name = getNetworkName();
+  return name === 'hardhat' || name === 'localhost' ? HARDHAT_DEFAULT_KEY : null;
+};
+
+const createProvider = () => {
+  const network = getNetworkConfig();
+
+  if (network.inProcess) {
+    // Only needed for this mode, so hardhat is not loaded otherwise
+    const hre = require('hardhat');
+    return new ethers.BrowserProvider(hre.network.provider);
+  }
+
+  const rpcUrl = network.rpcUrl();
+  if (!rpcUrl) {
+    throw new Error(`RPC URL for ${network.name} not provided in environment variables`);
+  }
+  return new ethers.JsonRpcProvider(rpcUrl);
+};
+
+module.exports = {
+  getNetworkName,
+  getNetworkConfig,
+  isLocalNetwork,
+  getDeployment,
+  saveDeployment,
+  getContractAddress,
+  getElectionContractAddress,
+  getPrivateKey,
+  createProvider
+};
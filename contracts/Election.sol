@@ -0,0 +1,188 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./SignedIntents.sol";
+
+// Eligibility is read from the VoterID registry
+interface IVoterID {
+    function checkVoterStatus(address _voter) external view returns (bool);
+}
+
+contract Election is SignedIntents {
+    struct ElectionInfo {
+        string name;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 candidateCount;
+        uint256 totalVotes;
+    }
+
+    struct Candidate {
+        string name;
+        string party;
+        uint256 voteCount;
+    }
+
+    // Custom errors for better debugging
+    error NotAdmin();
+    error NotPendingAdmin();
+    error InvalidAddress();
+    error InvalidTimeWindow();
+    error EmptyName();
+    error ElectionNotFound();
+    error ElectionAlreadyStarted();
+    error ElectionNotActive();
+    error CandidateNotFound();
+    error NotEligible();
+    error AlreadyVoted();
+
+    // EIP-712 type of a voter's signed ballot
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 electionId,uint256 candidateId,address voter,uint256 nonce,uint256 deadline)");
+
+    IVoterID public immutable voterRegistry;
+    address public admin;
+    address public pendingAdmin;
+    uint256 public electionCount;
+
+    // Election ids start at 1 so 0 can mean "not found"
+    mapping(uint256 => ElectionInfo) public elections;
+    // electionId => candidateId (1-based) => candidate
+    mapping(uint256 => mapping(uint256 => Candidate)) public candidates;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    event ElectionCreated(uint256 indexed electionId, string name, uint256 startTime, uint256 endTime);
+    event CandidateAdded(uint256 indexed electionId, uint256 indexed candidateId, string name, string party);
+    event VoteCast(uint256 indexed electionId, address indexed voter, uint256 timestamp);
+    event AdminTransferStarted(address indexed previousAdmin, address indexed newAdmin);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+
+    modifier onlyAdmin() {
+        if (msg.sender != admin) revert NotAdmin();
+        _;
+    }
+
+    modifier electionExists(uint256 _electionId) {
+        if (_electionId == 0 || _electionId > electionCount) revert ElectionNotFound();
+        _;
+    }
+
+    constructor(address _voterRegistry) SignedIntents("Election", "1") {
+        if (_voterRegistry == address(0)) revert InvalidAddress();
+        voterRegistry = IVoterID(_voterRegistry);
+        admin = msg.sender;
+    }
+
+    function createElection(
+        string memory _name,
+        uint256 _startTime,
+        uint256 _endTime
+    ) public onlyAdmin returns (uint256) {
+        if (bytes(_name).length == 0) revert EmptyName();
+        if (_startTime < block.timestamp || _endTime <= _startTime) revert InvalidTimeWindow();
+
+        electionCount++;
+        elections[electionCount] = ElectionInfo(_name, _startTime, _endTime, 0, 0);
+
+        emit ElectionCreated(electionCount, _name, _startTime, _endTime);
+        return electionCount;
+    }
+
+    // Candidates can only be added before polling opens
+    function addCandidate(
+        uint256 _electionId,
+        string memory _name,
+        string memory _party
+    ) public onlyAdmin electionExists(_electionId) returns (uint256) {
+        ElectionInfo storage election = elections[_electionId];
+        if (block.timestamp >= election.startTime) revert ElectionAlreadyStarted();
+        if (bytes(_name).length == 0) revert EmptyName();
+
+        election.candidateCount++;
+        candidates[_electionId][election.candidateCount] = Candidate(_name, _party, 0);
+
+        emit CandidateAdded(_electionId, election.candidateCount, _name, _party);
+        return election.candidateCount;
+    }
+
+    // One vote per verified address per election. The event deliberately
+    // leaves out the candidate so individual choices are not broadcast.
+    function castVote(uint256 _electionId, uint256 _candidateId) public {
+        _castVote(_electionId, _candidateId, msg.sender);
+    }
+
+    // Ballot submitted by a relayer, which pays the gas. The voter only signs
+    // the Ballot intent, so their wallet needs no funds.
+    function castVoteWithSig(
+        uint256 _electionId,
+        uint256 _candidateId,
+        address _voter,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) public {
+        _useSignedIntent(
+            _voter,
+            keccak256(abi.encode(BALLOT_TYPEHASH, _electionId, _candidateId, _voter, nonces[_voter], _deadline)),
+            _deadline,
+            _signature
+        );
+        _castVote(_electionId, _candidateId, _voter);
+    }
+
+    function _castVote(uint256 _electionId, uint256 _candidateId, address _voter) internal electionExists(_electionId) {
+        ElectionInfo storage election = elections[_electionId];
+        if (block.timestamp < election.startTime || block.timestamp > election.endTime) revert ElectionNotActive();
+        if (_candidateId == 0 || _candidateId > election.candidateCount) revert CandidateNotFound();
+        if (!voterRegistry.checkVoterStatus(_voter)) revert NotEligible();
+        if (hasVoted[_electionId][_voter]) revert AlreadyVoted();
+
+        hasVoted[_electionId][_voter] = true;
+        candidates[_electionId][_candidateId].voteCount++;
+        election.totalVotes++;
+
+        emit VoteCast(_electionId, _voter, block.timestamp);
+    }
+
+    function getCandidate(uint256 _electionId, uint256 _candidateId) public view electionExists(_electionId) returns (
+        string memory name,
+        string memory party,
+        uint256 voteCount
+    ) {
+        if (_candidateId == 0 || _candidateId > elections[_electionId].candidateCount) revert CandidateNotFound();
+        Candidate memory candidate = candidates[_electionId][_candidateId];
+        return (candidate.name, candidate.party, candidate.voteCount);
+    }
+
+    function getResults(uint256 _electionId) public view electionExists(_electionId) returns (
+        string[] memory names,
+        string[] memory parties,
+        uint256[] memory voteCounts
+    ) {
+        uint256 count = elections[_electionId].candidateCount;
+        names = new string[](count);
+        parties = new string[](count);
+        voteCounts = new uint256[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            Candidate memory candidate = candidates[_electionId][i + 1];
+            names[i] = candidate.name;
+            parties[i] = candidate.party;
+            voteCounts[i] = candidate.voteCount;
+        }
+    }
+
+    // Nominate a new admin; nothing changes until they call acceptAdmin
+    function transferAdmin(address _newAdmin) public onlyAdmin {
+        if (_newAdmin == address(0)) revert InvalidAddress();
+        pendingAdmin = _newAdmin;
+        emit AdminTransferStarted(admin, _newAdmin);
+    }
+
+    function acceptAdmin() public {
+        if (msg.sender != pendingAdmin) revert NotPendingAdmin();
+        address previousAdmin = admin;
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+        emit AdminTransferred(previousAdmin, admin);
+    }
+}
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// EIP-712 signed intents, so a relayer can submit a call on behalf of the
+// account that signed it and pay the gas itself. Every signer has a nonce
+// that each accepted intent consumes, and every intent carries a deadline.
+abstract contract SignedIntents {
+    error SignatureExpired();
+    error InvalidSignature();
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    // Upper bound for s in a canonical signature (EIP-2)
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    bytes32 private immutable nameHash;
+    bytes32 private immutable versionHash;
+
+    mapping(address => uint256) public nonces;
+
+    constructor(string memory _name, string memory _version) {
+        nameHash = keccak256(bytes(_name));
+        versionHash = keccak256(bytes(_version));
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, nameHash, versionHash, block.chainid, address(this)));
+    }
+
+    // Check that _signer signed _structHash (which must include their current
+    // nonce) before _deadline, and consume the nonce
+    function _useSignedIntent(
+        address _signer,
+        bytes32 _structHash,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) internal {
+        if (block.timestamp > _deadline) revert SignatureExpired();
+
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), _structHash));
+        if (_signer == address(0) || _recover(digest, _signature) != _signer) revert InvalidSignature();
+
+        nonces[_signer]++;
+    }
+
+    function _recover(bytes32 _digest, bytes calldata _signature) private pure returns (address) {
+        if (_signature.length != 65) return address(0);
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+
+        if (uint256(s) > MAX_S) return address(0);
+        if (v != 27 && v != 28) return address(0);
+
+        return ecrecover(_digest, v, r, s);
+    }
+}
@@ -1,13 +1,23 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-contract VoterID {
+import "./SignedIntents.sol";
+
+contract VoterID is SignedIntents {
+    // Lifecycle of a voter record. Removed is final.
+    enum VoterStatus { None, Pending, Verified, Rejected, Revoked, Removed }
+
+    // Why a voter was rejected, revoked or removed
+    enum StatusReason { None, DocumentMismatch, Ineligible, Duplicate, Deceased, Relocated, Fraudulent, Other }
+
     struct Voter {
         bytes32 nameHash;
         bytes32 aadharHash;
         bool isVerified;
         uint256 registrationTimestamp;
         uint256 lastVerifiedTimestamp;
+        VoterStatus status;
+        StatusReason statusReason;
     }
 
     // Custom errors for better debugging
@@ -19,27 +29,70 @@ contract VoterID {
     error VoterAlreadyVerified();
     error InvalidAddress();
     error NotAdmin();
+    error MissingRole(bytes32 role, address account);
+    error NotPendingAdmin();
+    error ContractPaused();
+    error VoterNotPending();
+    error VoterNotVerified();
+    error VoterAlreadyRemoved();
+    error InvalidReason();
+
+    // Roles that can be handed to individual election officers
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // EIP-712 type of a voter's signed self-registration
+    bytes32 public constant REGISTRATION_TYPEHASH =
+        keccak256("Registration(address voter,bytes32 nameHash,bytes32 aadharHash,uint256 nonce,uint256 deadline)");
 
     mapping(address => Voter) public voters;
     mapping(bytes32 => bool) private usedAadharHashes;
+    mapping(bytes32 => mapping(address => bool)) private roles;
     
     address public admin;
+    address public pendingAdmin;
     uint256 public voterCount;
     bool public registrationOpen;
+    bool public paused;
 
     event VoterRegistered(address indexed voter, bytes32 nameHash, bytes32 aadharHash, uint256 timestamp);
     event VoterVerified(address indexed voter, uint256 timestamp);
     event RegistrationStatusChanged(bool isOpen);
+    event VoterRejected(address indexed voter, StatusReason reason, uint256 timestamp);
+    event VoterRevoked(address indexed voter, StatusReason reason, uint256 timestamp);
+    event VoterRemoved(address indexed voter, StatusReason reason, uint256 timestamp);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event AdminTransferStarted(address indexed previousAdmin, address indexed newAdmin);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event Paused(address account);
+    event Unpaused(address account);
 
     modifier onlyAdmin() {
         if (msg.sender != admin) revert NotAdmin();
         _;
     }
 
-    constructor() {
+    modifier onlyRole(bytes32 _role) {
+        if (!roles[_role][msg.sender]) revert MissingRole(_role, msg.sender);
+        _;
+    }
+
+    modifier whenNotPaused() {
+        if (paused) revert ContractPaused();
+        _;
+    }
+
+    constructor() SignedIntents("VoterID", "1") {
         admin = msg.sender;
         registrationOpen = true;
         voterCount = 0;
+
+        // The deployer starts out holding every officer role
+        _grantRole(REGISTRAR_ROLE, msg.sender);
+        _grantRole(VERIFIER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
     }
 
     // Function to check if bytes32 is empty/zero
@@ -51,25 +104,33 @@ contract VoterID {
     function registerVoter(
         bytes32 _nameHash,
         bytes32 _aadharHash
-    ) public {
-        if (!registrationOpen) revert RegistrationClosed();
-        if (voters[msg.sender].registrationTimestamp != 0) revert AlreadyRegistered();
-        if (usedAadharHashes[_aadharHash]) revert AadharAlreadyRegistered();
-        if (isEmptyBytes32(_nameHash)) revert EmptyHash();
-        if (isEmptyBytes32(_aadharHash)) revert EmptyHash();
-        
-        usedAadharHashes[_aadharHash] = true;
-        
-        voters[msg.sender] = Voter(
-            _nameHash,
-            _aadharHash,
-            false,
-            block.timestamp,
-            0
+    ) public whenNotPaused {
+        _registerVoter(msg.sender, _nameHash, _aadharHash);
+    }
+
+    // Self-registration submitted by a relayer, which pays the gas. The voter
+    // only signs the Registration intent, so their wallet needs no funds.
+    function registerVoterWithSig(
+        address _voterAddress,
+        bytes32 _nameHash,
+        bytes32 _aadharHash,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) public whenNotPaused {
+        _useSignedIntent(
+            _voterAddress,
+            keccak256(abi.encode(
+                REGISTRATION_TYPEHASH,
+                _voterAddress,
+                _nameHash,
+                _aadharHash,
+                nonces[_voterAddress],
+                _deadline
+            )),
+            _deadline,
+            _signature
         );
-        
-        voterCount++;
-        emit VoterRegistered(msg.sender, _nameHash, _aadharHash, block.timestamp);
+        _registerVoter(_voterAddress, _nameHash, _aadharHash);
     }
 
     // Admin function to register a voter for a specific address
@@ -77,13 +138,21 @@ contract VoterID {
         address _voterAddress,
         bytes32 _nameHash,
         bytes32 _aadharHash
-    ) public onlyAdmin {
+    ) public onlyRole(REGISTRAR_ROLE) whenNotPaused {
+        if (_voterAddress == address(0)) revert InvalidAddress();
+        _registerVoter(_voterAddress, _nameHash, _aadharHash);
+    }
+
+    function _registerVoter(
+        address _voterAddress,
+        bytes32 _nameHash,
+        bytes32 _aadharHash
+    ) internal {
         if (!registrationOpen) revert RegistrationClosed();
         if (voters[_voterAddress].registrationTimestamp != 0) revert AlreadyRegistered();
         if (usedAadharHashes[_aadharHash]) revert AadharAlreadyRegistered();
         if (isEmptyBytes32(_nameHash)) revert EmptyHash();
         if (isEmptyBytes32(_aadharHash)) revert EmptyHash();
-        if (_voterAddress == address(0)) revert InvalidAddress();
         
         usedAadharHashes[_aadharHash] = true;
         
@@ -92,23 +161,69 @@ contract VoterID {
             _aadharHash,
             false,
             block.timestamp,
-            0
+            0,
+            VoterStatus.Pending,
+            StatusReason.None
         );
         
         voterCount++;
         emit VoterRegistered(_voterAddress, _nameHash, _aadharHash, block.timestamp);
     }
 
-    function verifyVoter(address _voter) public onlyAdmin {
+    function verifyVoter(address _voter) public onlyRole(VERIFIER_ROLE) whenNotPaused {
         if (voters[_voter].registrationTimestamp == 0) revert VoterNotRegistered();
         if (voters[_voter].isVerified) revert VoterAlreadyVerified();
+        if (voters[_voter].status == VoterStatus.Removed) revert VoterAlreadyRemoved();
         
         voters[_voter].isVerified = true;
         voters[_voter].lastVerifiedTimestamp = block.timestamp;
+        voters[_voter].status = VoterStatus.Verified;
+        voters[_voter].statusReason = StatusReason.None;
         
         emit VoterVerified(_voter, block.timestamp);
     }
 
+    // Turn down a pending registration (e.g. documents do not match).
+    // The voter can still be verified later after resubmitting.
+    function rejectVoter(address _voter, StatusReason _reason) public onlyRole(VERIFIER_ROLE) whenNotPaused {
+        if (voters[_voter].registrationTimestamp == 0) revert VoterNotRegistered();
+        if (voters[_voter].status != VoterStatus.Pending) revert VoterNotPending();
+        if (_reason == StatusReason.None) revert InvalidReason();
+
+        voters[_voter].status = VoterStatus.Rejected;
+        voters[_voter].statusReason = _reason;
+
+        emit VoterRejected(_voter, _reason, block.timestamp);
+    }
+
+    // Withdraw the verification of a previously verified voter
+    function revokeVoter(address _voter, StatusReason _reason) public onlyRole(VERIFIER_ROLE) whenNotPaused {
+        if (voters[_voter].registrationTimestamp == 0) revert VoterNotRegistered();
+        if (!voters[_voter].isVerified) revert VoterNotVerified();
+        if (_reason == StatusReason.None) revert InvalidReason();
+
+        voters[_voter].isVerified = false;
+        voters[_voter].status = VoterStatus.Revoked;
+        voters[_voter].statusReason = _reason;
+
+        emit VoterRevoked(_voter, _reason, block.timestamp);
+    }
+
+    // Permanently strike a record from the roll (deceased, duplicate, ...).
+    // The Aadhar hash stays used so the record cannot simply be re-registered.
+    function removeVoter(address _voter, StatusReason _reason) public onlyRole(REGISTRAR_ROLE) whenNotPaused {
+        if (voters[_voter].registrationTimestamp == 0) revert VoterNotRegistered();
+        if (voters[_voter].status == VoterStatus.Removed) revert VoterAlreadyRemoved();
+        if (_reason == StatusReason.None) revert InvalidReason();
+
+        voters[_voter].isVerified = false;
+        voters[_voter].status = VoterStatus.Removed;
+        voters[_voter].statusReason = _reason;
+        voterCount--;
+
+        emit VoterRemoved(_voter, _reason, block.timestamp);
+    }
+
     function setRegistrationStatus(bool _isOpen) public onlyAdmin {
         registrationOpen = _isOpen;
         emit RegistrationStatusChanged(_isOpen);
@@ -117,6 +232,13 @@ contract VoterID {
     function checkVoterStatus(address _voter) public view returns (bool) {
         return voters[_voter].isVerified;
     }
+
+    function getVoterLifecycle(address _voter) public view returns (
+        VoterStatus status,
+        StatusReason reason
+    ) {
+        return (voters[_voter].status, voters[_voter].statusReason);
+    }
     
     function getVoterDetails(address _voter) public view returns (
         bytes32 nameHash,
@@ -135,8 +257,67 @@ contract VoterID {
         );
     }
     
+    // ========== Role management ==========
+
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
+
+    function grantRole(bytes32 _role, address _account) public onlyAdmin {
+        if (_account == address(0)) revert InvalidAddress();
+        _grantRole(_role, _account);
+    }
+
+    function revokeRole(bytes32 _role, address _account) public onlyAdmin {
+        _revokeRole(_role, _account);
+    }
+
+    // Lets an officer drop their own role, e.g. when a key is compromised
+    function renounceRole(bytes32 _role) public {
+        _revokeRole(_role, msg.sender);
+    }
+
+    function _grantRole(bytes32 _role, address _account) internal {
+        if (!roles[_role][_account]) {
+            roles[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+
+    function _revokeRole(bytes32 _role, address _account) internal {
+        if (roles[_role][_account]) {
+            roles[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+
+    // ========== Emergency stop ==========
+
+    function pause() public onlyRole(PAUSER_ROLE) {
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() public onlyRole(PAUSER_ROLE) {
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    // ========== Two-step admin handover ==========
+
+    // Nominate a new admin. Nothing changes until they call acceptAdmin,
+    // so a typo in the address cannot lock the contract.
     function transferAdmin(address _newAdmin) public onlyAdmin {
         if (_newAdmin == address(0)) revert InvalidAddress();
-        admin = _newAdmin;
+        pendingAdmin = _newAdmin;
+        emit AdminTransferStarted(admin, _newAdmin);
+    }
+
+    function acceptAdmin() public {
+        if (msg.sender != pendingAdmin) revert NotPendingAdmin();
+        address previousAdmin = admin;
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+        emit AdminTransferred(previousAdmin, admin);
     }
 }
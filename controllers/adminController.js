@@ -2,6 +2,16 @@ const Voter = require('../models/Voter');
 const AdminLog = require('../models/AdminLog');
 const SystemStats = require('../models/SystemStats');
 const { ethers } = require('ethers');
+const { createAadharIndex } = require('../utils/crypto');
+const { isValidAadhaar } = require('../utils/identityValidation');
+const eventIndexerService = require('../services/eventIndexerService');
+const { sendError } = require('../utils/apiError');
+const {
+  getVoterScopeFilter,
+  scopeVoterQuery,
+  isVoterInScope,
+  hasNationalScope
+} = require('../utils/adminScope');
 
 // Helper function to get age from DOB
 const getAge = (dob) => {
@@ -44,25 +54,31 @@ const getDashboardStats = async (req, res) => {
     const last30Days = new Date(today);
     last30Days.setDate(last30Days.getDate() - 30);
 
+    // Limit every voter query to the admin's jurisdiction
+    const scope = getVoterScopeFilter(req.admin);
+
     // Get counts
-    const totalVoters = await Voter.countDocuments();
-    const verifiedVoters = await Voter.countDocuments({ isVerified: true });
-    const pendingVerification = await Voter.countDocuments({ isVerified: false });
+    const totalVoters = await Voter.countDocuments(scope);
+    const verifiedVoters = await Voter.countDocuments({ ...scope, isVerified: true });
+    const pendingVerification = await Voter.countDocuments({ ...scope, isVerified: false });
 
     // Get today's registrations
     const todayRegistrations = await Voter.countDocuments({
+      ...scope,
       registrationDate: { $gte: today }
     });
 
     // Get today's verifications
     const todayVerifications = await Voter.countDocuments({
+      ...scope,
       verificationDate: { $gte: today }
     });
 
     // Get gender distribution
-    const maleVoters = await Voter.countDocuments({ gender: 'Male' });
-    const femaleVoters = await Voter.countDocuments({ gender: 'Female' });
+    const maleVoters = await Voter.countDocuments({ ...scope, gender: 'Male' });
+    const femaleVoters = await Voter.countDocuments({ ...scope, gender: 'Female' });
     const otherGenderVoters = await Voter.countDocuments({
+      ...scope,
       gender: { $nin: ['Male', 'Female'] }
     });
 
@@ -70,6 +86,7 @@ const getDashboardStats = async (req, res) => {
     const last7DaysRegistrations = await Voter.aggregate([
       {
         $match: {
+          ...scope,
           registrationDate: { $gte: last7Days }
         }
       },
@@ -88,6 +105,7 @@ const getDashboardStats = async (req, res) => {
     const last7DaysVerifications = await Voter.aggregate([
       {
         $match: {
+          ...scope,
           verificationDate: { $gte: last7Days, $ne: null }
         }
       },
@@ -104,6 +122,7 @@ const getDashboardStats = async (req, res) => {
 
     // Get state distribution
     const stateDistribution = await Voter.aggregate([
+      { $match: scope },
       {
         $project: {
           // Use coalesce to replace null/empty state with "Unknown"
@@ -141,13 +160,14 @@ const getDashboardStats = async (req, res) => {
       { $sort: { total: -1 } }
     ]);
 
-    // Get admin activity (recent 10)
-    const recentAdminActivity = await AdminLog.find()
+    // Get admin activity (recent 10) - scoped officers only see their own
+    const activityFilter = hasNationalScope(req.admin) ? {} : { adminAddress: req.adminAddress };
+    const recentAdminActivity = await AdminLog.find(activityFilter)
       .sort({ timestamp: -1 })
       .limit(10);
 
     // Calculate age distribution
-    const voters = await Voter.find({}, { dob: 1 });
+    const voters = await Voter.find(scope, { dob: 1 });
     const ageDistribution = {
       below18: 0,
       age18to25: 0,
@@ -165,43 +185,58 @@ const getDashboardStats = async (req, res) => {
       }
     });
 
-    // Save system stats for today
-    let systemStats = await SystemStats.findOne({
-      date: {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
+    // Counts from the indexed VoterID events, including voters registered
+    // directly against the contract. They carry no jurisdiction, so only
+    // national views get them.
+    let onChain = null;
+    if (hasNationalScope(req.admin)) {
+      try {
+        onChain = await eventIndexerService.getOnChainStats();
+      } catch (indexerError) {
+        console.warn("On-chain stats skipped/failed:", indexerError.message);
       }
-    });
-
-    if (!systemStats) {
-      systemStats = new SystemStats({
-        date: today,
-        totalRegisteredVoters: totalVoters,
-        totalVerifiedVoters: verifiedVoters,
-        dailyRegistrations: todayRegistrations,
-        dailyVerifications: todayVerifications,
-        pendingVerifications: pendingVerification,
-        maleVoters,
-        femaleVoters,
-        otherGenderVoters,
-        ageDistribution
-      });
-
-      // Convert state distribution to Map for this specific case
-      const stateWiseDistribution = new Map();
-      stateDistribution.forEach(item => {
-        // Skip null keys or convert them to a string
-        const stateKey = (item._id !== null && item._id !== undefined) ? item._id : "Unknown";
-
-        // Handle the count value - some aggregations return count, others return total
-        const count = item.count !== undefined ? item.count :
-          (item.total !== undefined ? item.total : 0);
+    }
 
-        stateWiseDistribution.set(stateKey, count);
+    // Save system stats for today. Only national views are written, so a
+    // district officer's numbers never end up in the country-wide history.
+    if (hasNationalScope(req.admin)) {
+      let systemStats = await SystemStats.findOne({
+        date: {
+          $gte: today,
+          $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
+        }
       });
 
-      systemStats.stateWiseDistribution = stateWiseDistribution;
-      await systemStats.save();
+      if (!systemStats) {
+        systemStats = new SystemStats({
+          date: today,
+          totalRegisteredVoters: totalVoters,
+          totalVerifiedVoters: verifiedVoters,
+          dailyRegistrations: todayRegistrations,
+          dailyVerifications: todayVerifications,
+          pendingVerifications: pendingVerification,
+          maleVoters,
+          femaleVoters,
+          otherGenderVoters,
+          ageDistribution
+        });
+
+        // Convert state distribution to Map for this specific case
+        const stateWiseDistribution = new Map();
+        stateDistribution.forEach(item => {
+          // Skip null keys or convert them to a string
+          const stateKey = (item._id !== null && item._id !== undefined) ? item._id : "Unknown";
+
+          // Handle the count value - some aggregations return count, others return total
+          const count = item.count !== undefined ? item.count :
+            (item.total !== undefined ? item.total : 0);
+
+          stateWiseDistribution.set(stateKey, count);
+        });
+
+        systemStats.stateWiseDistribution = stateWiseDistribution;
+        await systemStats.save();
+      }
     }
 
     res.json({
@@ -220,11 +255,12 @@ const getDashboardStats = async (req, res) => {
       verificationTrends: last7DaysVerifications,
       stateDistribution,
       ageDistribution,
+      onChain,
       recentAdminActivity
     });
   } catch (error) {
     console.error('Error getting dashboard stats:', error);
-    res.status(500).json({ error: 'Failed to get dashboard statistics', details: error.message });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to get dashboard statistics');
   }
 };
 
@@ -247,20 +283,27 @@ const getAllVoters = async (req, res) => {
       filter.$or = [
         { name: { $regex: search, $options: 'i' } },
         { blockchainAddress: { $regex: search, $options: 'i' } },
-        { aadharNumber: { $regex: search, $options: 'i' } },
         { voterIdHash: { $regex: search, $options: 'i' } }
       ];
+
+      // Aadhaar numbers can only be matched exactly, through the blind index
+      if (isValidAadhaar(search)) {
+        filter.$or.push({ aadharIndex: createAadharIndex(search) });
+      }
     }
 
     if (req.query.state) {
       filter.state = req.query.state;
     }
 
+    // Restrict to the admin's jurisdiction
+    const scopedFilter = scopeVoterQuery(req.admin, filter);
+
     // Get total count for pagination
-    const total = await Voter.countDocuments(filter);
+    const total = await Voter.countDocuments(scopedFilter);
 
     // Get voters
-    const voters = await Voter.find(filter)
+    const voters = await Voter.find(scopedFilter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -275,7 +318,7 @@ const getAllVoters = async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting voters:', error);
-    res.status(500).json({ error: 'Failed to get voters', details: error.message });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to get voters');
   }
 };
 
@@ -327,7 +370,7 @@ const getAdminLogs = async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting admin logs:', error);
-    res.status(500).json({ error: 'Failed to get admin logs', details: error.message });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to get admin logs');
   }
 };
 
@@ -338,20 +381,24 @@ const getVoterByAddress = async (req, res) => {
 
     // Validate address format
     if (!address || !ethers.isAddress(address)) {
-      return res.status(400).json({ error: "Invalid Ethereum address" });
+      return sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address");
     }
 
     // Find voter in MongoDB
     const voter = await Voter.findOne({ blockchainAddress: address });
 
     if (!voter) {
-      return res.status(404).json({ error: "Voter not found" });
+      return sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
+    }
+
+    if (!isVoterInScope(req.admin, voter)) {
+      return sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
     }
 
     res.json({ voter });
   } catch (error) {
     console.error('Error getting voter details:', error);
-    res.status(500).json({ error: 'Failed to get voter details', details: error.message });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to get voter details');
   }
 };
 
@@ -417,7 +464,7 @@ const getHistoricalStats = async (req, res) => {
     res.json({ stats });
   } catch (error) {
     console.error('Error getting historical stats:', error);
-    res.status(500).json({ error: 'Failed to get historical statistics', details: error.message });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to get historical statistics');
   }
 };
 
@@ -425,6 +472,7 @@ const getHistoricalStats = async (req, res) => {
 const getStateDistribution = async (req, res) => {
   try {
     const stateDistribution = await Voter.aggregate([
+      { $match: getVoterScopeFilter(req.admin) },
       {
         $project: {
           // Use coalesce to replace null/empty state with "Unknown"
@@ -465,7 +513,7 @@ const getStateDistribution = async (req, res) => {
     res.json({ stateDistribution });
   } catch (error) {
     console.error('Error getting state distribution:', error);
-    res.status(500).json({ error: 'Failed to get state distribution', details: error.message });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to get state distribution');
   }
 };
 
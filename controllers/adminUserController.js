@@ -0,0 +1,179 @@
+const { ethers } = require('ethers');
+const AdminUser = require('../models/AdminUser');
+const { logAdminActivity } = require('./adminController');
+const { sendError, sendFieldError, sendModelError } = require('../utils/apiError');
+
+const { ROLES } = AdminUser;
+
+// Lower rank = wider jurisdiction
+const ROLE_RANK = [ROLES.SUPER_ADMIN, ROLES.STATE_ADMIN, ROLES.DISTRICT_OFFICER, ROLES.BOOTH_OFFICER];
+
+// An admin may only manage strictly narrower roles inside their own state
+const canManage = (actor, role, jurisdiction = {}) => {
+  if (ROLE_RANK.indexOf(role) <= ROLE_RANK.indexOf(actor.role)) {
+    return false;
+  }
+  if (actor.role === ROLES.SUPER_ADMIN) {
+    return true;
+  }
+  return jurisdiction.state === actor.jurisdiction?.state;
+};
+
+const formatAdminUser = (adminUser) => ({
+  address: ethers.getAddress(adminUser.address),
+  name: adminUser.name,
+  role: adminUser.role,
+  jurisdiction: adminUser.jurisdiction,
+  isActive: adminUser.isActive,
+  createdBy: adminUser.createdBy,
+  createdAt: adminUser.createdAt,
+  updatedAt: adminUser.updatedAt
+});
+
+// List officers visible to the current admin
+const listAdminUsers = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.admin.role !== ROLES.SUPER_ADMIN) {
+      filter['jurisdiction.state'] = req.admin.jurisdiction.state;
+    }
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+    if (req.query.district) {
+      filter['jurisdiction.district'] = req.query.district;
+    }
+
+    const adminUsers = await AdminUser.find(filter).sort({ createdAt: -1 });
+
+    res.json({ adminUsers: adminUsers.map(formatAdminUser) });
+  } catch (error) {
+    console.error('Error listing admin users:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to list admin users');
+  }
+};
+
+// Create a new officer
+const createAdminUser = async (req, res) => {
+  try {
+    const { address, name, role, jurisdiction = {} } = req.body;
+
+    if (!address || !ethers.isAddress(address)) {
+      return sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address");
+    }
+
+    if (!Object.values(ROLES).includes(role)) {
+      return sendFieldError(res, 'body', 'role', 'INVALID_VALUE', `role must be one of ${Object.values(ROLES).join(', ')}`);
+    }
+
+    if (!canManage(req.admin, role, jurisdiction)) {
+      return sendError(res, 403, "PERMISSION_DENIED", `Not allowed to create a ${role} in this jurisdiction`);
+    }
+
+    const existing = await AdminUser.findOne({ address: address.toLowerCase() });
+    if (existing) {
+      return sendError(res, 409, "ADMIN_USER_EXISTS", "Admin user already exists for this address");
+    }
+
+    const adminUser = new AdminUser({
+      address,
+      name,
+      role,
+      jurisdiction,
+      createdBy: req.adminAddress
+    });
+
+    try {
+      await adminUser.save();
+    } catch (validationError) {
+      return sendModelError(res, validationError);
+    }
+
+    await logAdminActivity(
+      req.adminAddress,
+      'CREATE_ADMIN_USER',
+      `Admin created ${role} ${address}`,
+      address,
+      null,
+      'SUCCESS',
+      { role, jurisdiction },
+      req.ip
+    );
+
+    res.status(201).json({ adminUser: formatAdminUser(adminUser) });
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to create admin user');
+  }
+};
+
+// Change an officer's role, jurisdiction or active status
+const updateAdminUser = async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!address || !ethers.isAddress(address)) {
+      return sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address");
+    }
+
+    if (address.toLowerCase() === req.adminAddress.toLowerCase()) {
+      return sendError(res, 403, "PERMISSION_DENIED", "Admins cannot change their own account");
+    }
+
+    const adminUser = await AdminUser.findOne({ address: address.toLowerCase() });
+    if (!adminUser) {
+      return sendError(res, 404, "ADMIN_USER_NOT_FOUND", "Admin user not found");
+    }
+
+    // The caller must be allowed to manage both the current and the new assignment
+    if (!canManage(req.admin, adminUser.role, adminUser.jurisdiction)) {
+      return sendError(res, 403, "PERMISSION_DENIED", "Not allowed to manage this admin user");
+    }
+
+    const { name, role, jurisdiction, isActive } = req.body;
+    const nextRole = role || adminUser.role;
+    const nextJurisdiction = jurisdiction || adminUser.jurisdiction;
+
+    if (!Object.values(ROLES).includes(nextRole)) {
+      return sendFieldError(res, 'body', 'role', 'INVALID_VALUE', `role must be one of ${Object.values(ROLES).join(', ')}`);
+    }
+
+    if (!canManage(req.admin, nextRole, nextJurisdiction)) {
+      return sendError(res, 403, "PERMISSION_DENIED", `Not allowed to assign ${nextRole} in this jurisdiction`);
+    }
+
+    if (name !== undefined) adminUser.name = name;
+    if (typeof isActive === 'boolean') adminUser.isActive = isActive;
+    adminUser.role = nextRole;
+    adminUser.jurisdiction = nextJurisdiction;
+
+    try {
+      await adminUser.save();
+    } catch (validationError) {
+      return sendModelError(res, validationError);
+    }
+
+    await logAdminActivity(
+      req.adminAddress,
+      'UPDATE_ADMIN_USER',
+      `Admin updated ${adminUser.role} ${address}`,
+      address,
+      null,
+      'SUCCESS',
+      { role: adminUser.role, jurisdiction: adminUser.jurisdiction, isActive: adminUser.isActive },
+      req.ip
+    );
+
+    res.json({ adminUser: formatAdminUser(adminUser) });
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to update admin user');
+  }
+};
+
+module.exports = {
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser
+};
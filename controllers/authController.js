@@ -0,0 +1,97 @@
+const adminAuthService = require('../services/adminAuthService');
+const { AdminAuthError } = require('../services/adminAuthService');
+const AdminUser = require('../models/AdminUser');
+const { logAdminActivity } = require('./adminController');
+const { sendError } = require('../utils/apiError');
+
+// Issue a login challenge for an admin wallet to sign
+const requestChallenge = async (req, res) => {
+  try {
+    const { address } = req.body;
+    const challenge = await adminAuthService.createChallenge(address);
+
+    res.json({
+      address: challenge.address,
+      nonce: challenge.nonce,
+      message: challenge.message,
+      expiresAt: challenge.expiresAt
+    });
+  } catch (error) {
+    if (error instanceof AdminAuthError) {
+      return sendError(res, error.statusCode, "ADMIN_AUTH_FAILED", error.message);
+    }
+    console.error("Challenge creation error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to create login challenge");
+  }
+};
+
+// Exchange a signed challenge for a session token
+const login = async (req, res) => {
+  const { address, nonce, signature } = req.body;
+
+  try {
+    const session = await adminAuthService.login(address, nonce, signature);
+
+    try {
+      await logAdminActivity(
+        session.address,
+        'ADMIN_LOGIN',
+        `Admin ${session.address} signed in`,
+        null,
+        null,
+        'SUCCESS',
+        { expiresAt: session.expiresAt },
+        req.ip
+      );
+    } catch (logError) {
+      console.error("Error logging admin login:", logError);
+    }
+
+    res.json({
+      token: session.token,
+      tokenType: 'Bearer',
+      address: session.address,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    if (error instanceof AdminAuthError) {
+      if (address && error.statusCode !== 400) {
+        try {
+          await logAdminActivity(
+            address,
+            'ADMIN_LOGIN',
+            `Failed admin login for ${address}: ${error.message}`,
+            null,
+            null,
+            'FAILURE',
+            { error: error.message },
+            req.ip
+          );
+        } catch (logError) {
+          console.error("Error logging admin login:", logError);
+        }
+      }
+      return sendError(res, error.statusCode, "ADMIN_AUTH_FAILED", error.message);
+    }
+    console.error("Admin login error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Login failed");
+  }
+};
+
+// Describe the session behind the current token
+const getSession = async (req, res) => {
+  res.json({
+    address: req.adminAddress,
+    role: req.admin.role,
+    jurisdiction: req.admin.jurisdiction,
+    permissions: AdminUser.ROLE_PERMISSIONS[req.admin.role] || [],
+    issuedAt: new Date(req.adminSession.iat * 1000),
+    expiresAt: new Date(req.adminSession.exp * 1000)
+  });
+};
+
+module.exports = {
+  requestChallenge,
+  login,
+  getSession
+};
@@ -0,0 +1,117 @@
+const { ethers } = require('ethers');
+const Voter = require('../models/Voter');
+const { logAdminActivity } = require('./adminController');
+const { scopeVoterQuery, isVoterInScope } = require('../utils/adminScope');
+const { sendError } = require('../utils/apiError');
+const reconciliationService = require('../services/reconciliationService');
+
+// Voters whose record differs from the VoterID contract, in the admin's jurisdiction
+const getChainDrift = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { 'chainSync.status': { $in: ['DRIFT', 'RETRYING'] } };
+    if (req.query.status === 'DRIFT' || req.query.status === 'RETRYING') {
+      filter['chainSync.status'] = req.query.status;
+    }
+    if (req.query.issue) {
+      filter['chainSync.issues'] = req.query.issue;
+    }
+
+    const scopedFilter = scopeVoterQuery(req.admin, filter);
+
+    const [total, voters, counts] = await Promise.all([
+      Voter.countDocuments(scopedFilter),
+      Voter.find(scopedFilter)
+        .select('blockchainAddress status isVerified state district blockchain.txHash chainSync')
+        .sort({ 'chainSync.lastCheckedAt': -1 })
+        .skip(skip)
+        .limit(limit),
+      Voter.aggregate([
+        { $match: scopeVoterQuery(req.admin, {}) },
+        { $group: { _id: { $ifNull: ['$chainSync.status', 'UNCHECKED'] }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      summary: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+      voters: voters.map(voter => ({
+        voterAddress: voter.blockchainAddress,
+        state: voter.state,
+        district: voter.district,
+        status: voter.getCurrentStatus(),
+        txHash: voter.blockchain?.txHash || null,
+        syncStatus: voter.chainSync.status,
+        issues: voter.chainSync.issues,
+        chain: voter.chainSync.chain,
+        repairAttempts: voter.chainSync.repairAttempts,
+        lastError: voter.chainSync.lastError,
+        lastCheckedAt: voter.chainSync.lastCheckedAt
+      })),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Chain drift report error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch chain drift report");
+  }
+};
+
+// Reconcile one voter now, or run a pass over the voters that are due
+const reconcileChain = async (req, res) => {
+  try {
+    const { address, repair = true } = req.body || {};
+
+    let result;
+    if (address) {
+      if (!ethers.isAddress(address)) {
+        return sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address");
+      }
+
+      const voter = await Voter.findOne({ blockchainAddress: address });
+      if (!voter) {
+        return sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
+      }
+      if (!isVoterInScope(req.admin, voter)) {
+        return sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
+      }
+
+      // A manual run gets a fresh set of repair attempts
+      if (voter.chainSync?.status === 'DRIFT') {
+        voter.chainSync.repairAttempts = 0;
+      }
+      result = await reconciliationService.reconcileVoter(voter, { repair: repair !== false });
+    } else {
+      result = await reconciliationService.reconcile({ repair: repair !== false });
+    }
+
+    await logAdminActivity(
+      req.adminAddress,
+      'RECONCILE_CHAIN',
+      address
+        ? `Admin reconciled voter ${address} with the VoterID contract`
+        : 'Admin ran chain reconciliation',
+      address || null,
+      null,
+      'SUCCESS',
+      result,
+      req.ip
+    );
+
+    res.json({ message: "Reconciliation completed", result });
+  } catch (error) {
+    console.error("Chain reconciliation error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to reconcile with blockchain");
+  }
+};
+
+module.exports = {
+  getChainDrift,
+  reconcileChain
+};
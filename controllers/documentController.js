@@ -0,0 +1,104 @@
+const { ethers } = require('ethers');
+const Voter = require('../models/Voter');
+const { logAdminActivity } = require('./adminController');
+const { isVoterInScope } = require('../utils/adminScope');
+const { sendError } = require('../utils/apiError');
+const documentService = require('../services/documentService');
+
+// Find the voter named in the URL, checking it is in the admin's jurisdiction.
+// Sends the error response and returns null otherwise.
+const findScopedVoter = async (req, res) => {
+  const { address } = req.params;
+  if (!address || !ethers.isAddress(address)) {
+    sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address");
+    return null;
+  }
+
+  const voter = await Voter.findOne({ blockchainAddress: address });
+  if (!voter) {
+    sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
+    return null;
+  }
+  if (!isVoterInScope(req.admin, voter)) {
+    sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
+    return null;
+  }
+  return voter;
+};
+
+// Metadata of the documents uploaded for a voter
+const listVoterDocuments = async (req, res) => {
+  try {
+    const voter = await findScopedVoter(req, res);
+    if (!voter) return;
+
+    const documents = await documentService.listDocuments(voter);
+
+    res.json({
+      voterAddress: voter.blockchainAddress,
+      documents: documents.map(document => ({
+        id: document._id,
+        type: document.type,
+        contentType: document.contentType,
+        sourceType: document.sourceType,
+        size: document.size,
+        width: document.width,
+        height: document.height,
+        hasThumbnail: !!document.thumbnail?.storageKey,
+        uploadedBy: document.uploadedBy,
+        uploadedAt: document.createdAt,
+        linkedAt: document.linkedAt
+      }))
+    });
+  } catch (error) {
+    console.error("Voter documents fetch error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch voter documents");
+  }
+};
+
+// Decrypt and send one document, or its thumbnail. Every view is written to
+// the admin log before the file goes out.
+const sendVoterDocument = ({ thumbnail }) => async (req, res) => {
+  try {
+    const voter = await findScopedVoter(req, res);
+    if (!voter) return;
+
+    const result = await documentService.readDocument(voter, req.params.documentId, { thumbnail });
+    if (!result) {
+      return sendError(res, 404, "DOCUMENT_NOT_FOUND", thumbnail ? "Thumbnail not found" : "Document not found");
+    }
+    const { document, contentType, body } = result;
+
+    await logAdminActivity(
+      req.adminAddress,
+      'VIEW_VOTER_DOCUMENT',
+      `Admin viewed ${document.type} ${thumbnail ? 'thumbnail' : 'document'} of voter ${voter.blockchainAddress}`,
+      voter.blockchainAddress,
+      null,
+      'SUCCESS',
+      { documentId: document._id.toString(), type: document.type, thumbnail },
+      req.ip
+    );
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Length': body.length,
+      'Content-Disposition': 'inline',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(body);
+  } catch (error) {
+    console.error("Voter document fetch error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch voter document");
+  }
+};
+
+const getVoterDocument = sendVoterDocument({ thumbnail: false });
+const getVoterDocumentThumbnail = sendVoterDocument({ thumbnail: true });
+
+module.exports = {
+  findScopedVoter,
+  listVoterDocuments,
+  getVoterDocument,
+  getVoterDocumentThumbnail
+};
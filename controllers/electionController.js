@@ -0,0 +1,370 @@
+const {
+  createElection: createElectionOnBlockchain,
+  addCandidate: addCandidateOnBlockchain,
+  getElection,
+  getElectionResults,
+  hasVoted
+} = require('../utils/election');
+const mongoose = require('mongoose');
+const Voter = require('../models/Voter');
+const Election = require('../models/Election');
+const ElectionParticipation = require('../models/ElectionParticipation');
+const { logAdminActivity } = require('./adminController');
+const { isVoterInScope } = require('../utils/adminScope');
+const { ContractRevertError, toContractError, sendContractError } = require('../utils/contractErrors');
+const { sendError, sendFieldError, sendModelError } = require('../utils/apiError');
+const WalletAbstractionService = require('../services/walletService');
+const { WalletError } = require('../services/walletService');
+const walletService = new WalletAbstractionService();
+const qrCodeService = require('../services/qrCodeService');
+const relayerService = require('../services/relayerService');
+
+// Accept unix seconds or anything Date can parse
+const toUnixSeconds = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = typeof value === 'number'
+    ? value
+    : Math.floor(new Date(value).getTime() / 1000);
+  return Number.isFinite(seconds) ? seconds : null;
+};
+
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const formatElection = (election) => ({
+  electionId: election._id,
+  name: election.name,
+  type: election.type,
+  jurisdiction: election.jurisdiction,
+  startTime: election.startTime,
+  endTime: election.endTime,
+  chainElectionId: election.chainElectionId ?? null,
+  txHash: election.txHash || null,
+  candidates: election.candidates.map(({ candidateId, name, party }) => ({ candidateId, name, party }))
+});
+
+// Load the election named in req.params, or send a 400/404
+const findElection = async (req, res) => {
+  const { electionId } = req.params;
+  if (!mongoose.isValidObjectId(electionId)) {
+    sendError(res, 400, "INVALID_ID", "Invalid election id");
+    return null;
+  }
+  const election = await Election.findById(electionId);
+  if (!election) {
+    sendError(res, 404, "ELECTION_NOT_FOUND", "Election not found");
+    return null;
+  }
+  return election;
+};
+
+// List elections, newest first
+const listElections = async (req, res) => {
+  try {
+    const filter = {};
+    const now = new Date();
+
+    if (req.query.status === 'upcoming') {
+      filter.startTime = { $gt: now };
+    } else if (req.query.status === 'active') {
+      filter.startTime = { $lte: now };
+      filter.endTime = { $gte: now };
+    } else if (req.query.status === 'ended') {
+      filter.endTime = { $lt: now };
+    }
+
+    const elections = await Election.find(filter).sort({ startTime: -1 });
+
+    res.json({ elections: elections.map(formatElection) });
+  } catch (error) {
+    console.error("Election list error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to list elections");
+  }
+};
+
+// Create an election, on-chain as well when the Election contract is available
+const createElection = async (req, res) => {
+  try {
+    const { name, type, jurisdiction } = req.body;
+    const startTime = toUnixSeconds(req.body.startTime);
+    const endTime = toUnixSeconds(req.body.endTime);
+
+    if (!startTime || !endTime) {
+      return sendFieldError(res, 'body', startTime ? 'endTime' : 'startTime', 'INVALID_DATE',
+        "startTime and endTime must be unix seconds or a date");
+    }
+
+    const election = new Election({
+      name,
+      type,
+      jurisdiction,
+      startTime: new Date(startTime * 1000),
+      endTime: new Date(endTime * 1000),
+      createdBy: req.adminAddress
+    });
+
+    try {
+      await election.validate();
+    } catch (validationError) {
+      return sendModelError(res, validationError);
+    }
+
+    // A revert (e.g. InvalidTimeWindow) refuses the election; only when the
+    // Election contract is unavailable does it run off-chain (QR turnout only)
+    try {
+      const blockchainResult = await createElectionOnBlockchain(name, startTime, endTime);
+      election.chainElectionId = blockchainResult.electionId;
+      election.txHash = blockchainResult.receipt.hash;
+    } catch (blockchainError) {
+      const revertError = toContractError(blockchainError);
+      if (revertError instanceof ContractRevertError) {
+        throw revertError;
+      }
+      console.warn("Blockchain election creation skipped:", blockchainError.message);
+    }
+
+    await election.save();
+
+    await logAdminActivity(
+      req.adminAddress,
+      'CREATE_ELECTION',
+      `Admin created election ${election._id} (${name})`,
+      null,
+      election.txHash || null,
+      'SUCCESS',
+      { electionId: election._id, chainElectionId: election.chainElectionId, type: election.type, jurisdiction },
+      req.ip
+    );
+
+    res.status(201).json({
+      message: "Election created successfully",
+      election: formatElection(election)
+    });
+  } catch (error) {
+    console.error("Election creation error:", error);
+    sendContractError(res, error, "Failed to create election");
+  }
+};
+
+// Add a candidate before polling opens
+const addCandidate = async (req, res) => {
+  try {
+    const election = await findElection(req, res);
+    if (!election) return;
+
+    const { name, party } = req.body;
+
+    if (!name) {
+      return sendError(res, 400, "REQUIRED", "Candidate name is required");
+    }
+
+    if (new Date() >= election.startTime) {
+      return sendError(res, 409, "ELECTION_STARTED", "Candidates can only be added before the election starts");
+    }
+
+    // On-chain elections keep the contract's candidate ids so ballots match the tally
+    let candidateId = election.candidates.length + 1;
+    let txHash = null;
+    if (election.chainElectionId) {
+      const { receipt, candidateId: chainCandidateId } = await addCandidateOnBlockchain(election.chainElectionId, name, party || '');
+      candidateId = chainCandidateId;
+      txHash = receipt.hash;
+    }
+
+    election.candidates.push({ candidateId, name, party: party || '', txHash });
+    await election.save();
+
+    await logAdminActivity(
+      req.adminAddress,
+      'ADD_CANDIDATE',
+      `Admin added candidate ${name} to election ${election._id}`,
+      null,
+      txHash,
+      'SUCCESS',
+      { electionId: election._id, candidateId, party },
+      req.ip
+    );
+
+    res.status(201).json({
+      message: "Candidate added successfully",
+      electionId: election._id,
+      candidateId,
+      name,
+      party: party || '',
+      txHash
+    });
+  } catch (error) {
+    console.error("Add candidate error:", error);
+    sendContractError(res, error, "Failed to add candidate");
+  }
+};
+
+// Election details with its candidate list
+const getElectionDetails = async (req, res) => {
+  try {
+    const election = await findElection(req, res);
+    if (!election) return;
+
+    res.json(formatElection(election));
+  } catch (error) {
+    console.error("Election lookup error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch election");
+  }
+};
+
+// On-chain tally, published once the election has ended
+const getResults = async (req, res) => {
+  try {
+    const election = await findElection(req, res);
+    if (!election) return;
+
+    if (!election.chainElectionId) {
+      return sendError(res, 409, "ELECTION_NOT_ON_CHAIN", "Election has no on-chain tally");
+    }
+
+    if (new Date() <= election.endTime) {
+      return sendError(res, 409, "ELECTION_NOT_ENDED", `Results are available after the election ends at ${election.endTime.toISOString()}`);
+    }
+
+    const chainElection = await getElection(election.chainElectionId);
+    const results = await getElectionResults(election.chainElectionId);
+
+    res.json({
+      electionId: election._id,
+      chainElectionId: election.chainElectionId,
+      name: election.name,
+      totalVotes: chainElection?.totalVotes || 0,
+      results
+    });
+  } catch (error) {
+    console.error("Election results error:", error);
+    sendContractError(res, error, "Failed to fetch results");
+  }
+};
+
+// Cast a ballot at the booth. The voter presents the voting QR code issued for
+// this election and the ballot is signed with their custody wallet and relayed,
+// so the contract can enforce eligibility and one vote per election against
+// their own address without the wallet needing gas. The officer submits the
+// candidate, so the choice is only as trustworthy as the booth (see "Trust
+// model" in the README).
+const castVote = async (req, res) => {
+  try {
+    const election = await findElection(req, res);
+    if (!election) return;
+
+    const candidateId = parseId(req.body.candidateId);
+    const { qrData, booth, scannerId } = req.body;
+
+    if (!candidateId) {
+      return sendError(res, 400, "INVALID_CANDIDATE", "A valid candidateId is required");
+    }
+
+    if (!qrData) {
+      return sendError(res, 400, "QR_DATA_REQUIRED", "QR data is required");
+    }
+
+    if (!election.chainElectionId) {
+      return sendError(res, 409, "ELECTION_NOT_ON_CHAIN", "Election is not running on-chain");
+    }
+
+    const verification = qrCodeService.verifyQRCode(qrData);
+    if (!verification.valid) {
+      return sendError(res, 400, "INVALID_QR_CODE", verification.error);
+    }
+
+    if (verification.data.electionId !== election._id.toString()) {
+      return sendError(res, 400, "QR_ELECTION_MISMATCH", "QR code was issued for a different election");
+    }
+
+    const voter = await Voter.findOne({
+      blockchainAddress: verification.data.voterAddress,
+      isVerified: true
+    });
+
+    if (!voter || voter.status !== 'VERIFIED') {
+      return sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found or not verified");
+    }
+
+    if (!isVoterInScope(req.admin, voter)) {
+      return sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
+    }
+
+    // Only Aadhaar registrations have a custody wallet the backend can sign with
+    const voterWallet = await walletService.getSigner(voter._id);
+
+    if (!voterWallet || voterWallet.address.toLowerCase() !== voter.blockchainAddress.toLowerCase()) {
+      return sendError(res, 400, "NO_CUSTODY_WALLET", "Voter has no abstracted wallet; wallet-based voters must cast their vote from their own wallet");
+    }
+
+    if (await hasVoted(election.chainElectionId, voter.blockchainAddress)) {
+      return sendError(res, 409, "ALREADY_VOTED", "Voter has already voted in this election");
+    }
+
+    // Consume the QR code before sending the ballot so two scans of the same
+    // code cannot both reach the contract
+    const participation = await ElectionParticipation.claimVote(
+      voter._id,
+      election._id,
+      verification.data.qrId,
+      { booth, scannerId, recordedBy: req.adminAddress }
+    );
+
+    if (!participation) {
+      const rejected = await qrCodeService.explainRejectedScan(voter._id, election._id);
+      return sendError(res, rejected.statusCode, rejected.code, rejected.error);
+    }
+
+    let receipt;
+    try {
+      receipt = await relayerService.castVote(voterWallet, election.chainElectionId, candidateId);
+    } catch (blockchainError) {
+      // Give the QR code back so the voter can try again
+      await ElectionParticipation.releaseVote(participation._id);
+      throw blockchainError;
+    }
+
+    participation.ballotTxHash = receipt.hash;
+    await participation.save();
+
+    // The chosen candidate is deliberately not logged
+    await logAdminActivity(
+      req.adminAddress,
+      'CAST_BALLOT',
+      `Ballot cast in election ${election._id}`,
+      voter.blockchainAddress,
+      receipt.hash,
+      'SUCCESS',
+      { electionId: election._id, booth: participation.booth },
+      req.ip
+    );
+
+    res.json({
+      message: "Vote cast successfully",
+      electionId: election._id,
+      voterAddress: voter.blockchainAddress,
+      booth: participation.booth,
+      scannerId: participation.scannerId,
+      txHash: receipt.hash
+    });
+  } catch (error) {
+    if (error instanceof WalletError) {
+      return sendError(res, error.statusCode, error.code, error.message);
+    }
+    console.error("Vote casting error:", error);
+    sendContractError(res, error, "Failed to cast vote");
+  }
+};
+
+module.exports = {
+  listElections,
+  createElection,
+  addCandidate,
+  getElectionDetails,
+  getResults,
+  castVote
+};
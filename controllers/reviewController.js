@@ -0,0 +1,306 @@
+const { ethers } = require('ethers');
+const DocumentReview = require('../models/DocumentReview');
+const { logAdminActivity } = require('./adminController');
+const { findScopedVoter } = require('./documentController');
+const { markVoterVerified, applyVoterTransition } = require('./voterController');
+const { scopeVoterQuery } = require('../utils/adminScope');
+const { STATUS_REASONS } = require('../utils/blockchain');
+const { sendContractError } = require('../utils/contractErrors');
+const { sendError, sendFieldError } = require('../utils/apiError');
+const adminAuthService = require('../services/adminAuthService');
+const reviewService = require('../services/reviewService');
+const { ReviewError } = require('../services/reviewService');
+
+const { REVIEW_STATUSES, CHECKLIST_ITEMS } = DocumentReview;
+
+// Everything but the re-upload token hash
+const formatReview = (review, { withHistory = false } = {}) => ({
+  voterAddress: review.voterAddress,
+  state: review.state,
+  district: review.district,
+  status: review.status,
+  documentId: review.document,
+  assignedTo: review.assignedTo || null,
+  assignedAt: review.assignedAt || null,
+  checklist: review.checklist,
+  checklistComplete: reviewService.isChecklistComplete(review),
+  reuploadRequest: review.reuploadRequest?.requestedAt ? {
+    reason: review.reuploadRequest.reason,
+    notes: review.reuploadRequest.notes,
+    requestedBy: review.reuploadRequest.requestedBy,
+    requestedAt: review.reuploadRequest.requestedAt,
+    expiresAt: review.reuploadRequest.expiresAt,
+    fulfilledAt: review.reuploadRequest.fulfilledAt || null
+  } : null,
+  decision: review.decision?.status ? review.decision : null,
+  openedAt: review.createdAt,
+  updatedAt: review.updatedAt,
+  ...(withHistory ? { history: review.history } : {})
+});
+
+const sendReviewError = (res, error, fallback) => {
+  if (error instanceof ReviewError) {
+    return sendError(res, error.statusCode, error.code, error.message);
+  }
+  console.error(`${fallback}:`, error);
+  // A decision the contract refused is a client error, not a 500
+  sendContractError(res, error, fallback);
+};
+
+// Review queue in the admin's jurisdiction, oldest first
+const listReviews = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { status, assignedTo } = req.query;
+
+    const filter = { status: { $in: ['PENDING', 'IN_REVIEW', 'NEEDS_MORE_INFO'] } };
+    if (status) {
+      if (!REVIEW_STATUSES.includes(status)) {
+        return sendFieldError(res, 'query', 'status', 'INVALID_VALUE', `status must be one of ${REVIEW_STATUSES.join(', ')}`);
+      }
+      filter.status = status;
+    }
+    if (assignedTo === 'me') {
+      filter.assignedTo = req.adminAddress.toLowerCase();
+    } else if (assignedTo === 'unassigned') {
+      filter.assignedTo = { $in: [null, ''] };
+    } else if (assignedTo) {
+      filter.assignedTo = assignedTo.toLowerCase();
+    }
+
+    const scopedFilter = scopeVoterQuery(req.admin, filter);
+
+    const [total, reviews, counts] = await Promise.all([
+      DocumentReview.countDocuments(scopedFilter),
+      DocumentReview.find(scopedFilter)
+        .select('-history')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      DocumentReview.aggregate([
+        { $match: scopeVoterQuery(req.admin, {}) },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      summary: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+      reviews: reviews.map(review => formatReview(review)),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Review queue error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch review queue");
+  }
+};
+
+// One voter's review with its full history
+const getReview = async (req, res) => {
+  try {
+    const voter = await findScopedVoter(req, res);
+    if (!voter) return;
+
+    const review = await reviewService.getReview(voter, { by: req.adminAddress });
+    res.json({ review: formatReview(review, { withHistory: true }), checklistItems: CHECKLIST_ITEMS });
+  } catch (error) {
+    sendReviewError(res, error, "Failed to fetch review");
+  }
+};
+
+// Assign the review to yourself, or (with MANAGE_ADMINS) to another officer
+const assignReview = async (req, res) => {
+  try {
+    const voter = await findScopedVoter(req, res);
+    if (!voter) return;
+
+    const assigneeAddress = req.body?.assignee || req.adminAddress;
+    if (!ethers.isAddress(assigneeAddress)) {
+      return sendError(res, 400, "INVALID_ADDRESS", "Invalid assignee address");
+    }
+    const isSelf = assigneeAddress.toLowerCase() === req.adminAddress.toLowerCase();
+    if (!isSelf && !req.admin.hasPermission('MANAGE_ADMINS')) {
+      return sendError(res, 403, "PERMISSION_DENIED", "Only admins who manage officers can assign reviews to others");
+    }
+
+    const assignee = isSelf ? req.admin : await adminAuthService.getAdminUser(assigneeAddress);
+    if (!assignee) {
+      return sendError(res, 404, "ADMIN_USER_NOT_FOUND", "Assignee is not an active admin");
+    }
+
+    const review = await reviewService.assign(
+      await reviewService.getReview(voter, { by: req.adminAddress }),
+      voter,
+      assignee,
+      req.adminAddress
+    );
+
+    await logAdminActivity(
+      req.adminAddress,
+      'ASSIGN_REVIEW',
+      `Admin assigned the document review of voter ${voter.blockchainAddress} to ${review.assignedTo}`,
+      voter.blockchainAddress,
+      null,
+      'SUCCESS',
+      { assignedTo: review.assignedTo },
+      req.ip
+    );
+
+    res.json({ message: "Review assigned", review: formatReview(review) });
+  } catch (error) {
+    sendReviewError(res, error, "Failed to assign review");
+  }
+};
+
+// Record checklist results for the document under review
+const updateChecklist = async (req, res) => {
+  try {
+    const voter = await findScopedVoter(req, res);
+    if (!voter) return;
+
+    const { items } = req.body || {};
+    const review = await reviewService.updateChecklist(
+      await reviewService.getReview(voter, { by: req.adminAddress }),
+      items,
+      req.adminAddress
+    );
+
+    await logAdminActivity(
+      req.adminAddress,
+      'UPDATE_REVIEW_CHECKLIST',
+      `Admin updated the document checklist of voter ${voter.blockchainAddress}`,
+      voter.blockchainAddress,
+      null,
+      'SUCCESS',
+      { items: items.map(({ item, result }) => ({ item, result })) },
+      req.ip
+    );
+
+    res.json({ message: "Checklist updated", review: formatReview(review) });
+  } catch (error) {
+    sendReviewError(res, error, "Failed to update checklist");
+  }
+};
+
+// Ask the voter to upload the document again; they are notified with a one-time link
+const requestReupload = async (req, res) => {
+  try {
+    const voter = await findScopedVoter(req, res);
+    if (!voter) return;
+
+    const { reason, notes } = req.body || {};
+    const { review, notification } = await reviewService.requestReupload(
+      await reviewService.getReview(voter, { by: req.adminAddress }),
+      voter,
+      { reason, notes, by: req.adminAddress }
+    );
+
+    await logAdminActivity(
+      req.adminAddress,
+      'REQUEST_DOCUMENT_REUPLOAD',
+      `Admin asked voter ${voter.blockchainAddress} to upload their Aadhaar card again`,
+      voter.blockchainAddress,
+      null,
+      'SUCCESS',
+      { reason, notification },
+      req.ip
+    );
+
+    res.json({ message: "Re-upload requested", notification, review: formatReview(review) });
+  } catch (error) {
+    sendReviewError(res, error, "Failed to request re-upload");
+  }
+};
+
+// Approve (verify) or reject the voter on the strength of the review
+const decideReview = async (req, res) => {
+  try {
+    const voter = await findScopedVoter(req, res);
+    if (!voter) return;
+
+    const { decision, reasonCode, notes } = req.body || {};
+    if (decision !== 'APPROVED' && decision !== 'REJECTED') {
+      return sendFieldError(res, 'body', 'decision', 'INVALID_VALUE', "decision must be APPROVED or REJECTED");
+    }
+
+    const review = await reviewService.getReview(voter, { by: req.adminAddress });
+    reviewService.ensureOpen(review);
+    reviewService.ensureAssignee(review, req.adminAddress);
+
+    const currentStatus = voter.getCurrentStatus();
+    if (currentStatus !== 'PENDING') {
+      return sendError(res, 409, "VOTER_STATUS_UNCHANGED", `Voter is already ${currentStatus}`);
+    }
+
+    let blockchainResult;
+    if (decision === 'APPROVED') {
+      if (!review.document) {
+        return sendError(res, 409, "DOCUMENT_MISSING", "Voter has no document to approve");
+      }
+      if (review.status !== 'IN_REVIEW' || !reviewService.isChecklistComplete(review)) {
+        const unpassed = CHECKLIST_ITEMS.filter(item =>
+          !review.checklist.some(entry => entry.item === item && entry.result === 'PASS')
+        );
+        return sendError(res, 409, "CHECKLIST_INCOMPLETE", "Every checklist item must pass before approval",
+          unpassed.map(item => ({ field: item, code: 'NOT_PASSED', message: `${item} has not passed` })));
+      }
+
+      ({ blockchainResult } = await markVoterVerified(voter, req.adminAddress, notes, 'document_review', { syncReview: false }));
+    } else {
+      if (!STATUS_REASONS.includes(reasonCode) || reasonCode === 'NONE') {
+        return sendFieldError(res, 'body', 'reasonCode', 'INVALID_VALUE',
+          `reasonCode must be one of ${STATUS_REASONS.filter(code => code !== 'NONE').join(', ')}`);
+      }
+
+      ({ blockchainResult } = await applyVoterTransition(
+        voter,
+        'reject',
+        { reasonCode, notes, adminAddress: req.adminAddress },
+        { syncReview: false }
+      ));
+    }
+
+    await reviewService.recordDecision(review, decision, {
+      by: req.adminAddress,
+      reasonCode,
+      notes,
+      txHash: blockchainResult?.hash || null
+    });
+
+    await logAdminActivity(
+      req.adminAddress,
+      decision === 'APPROVED' ? 'VERIFY_VOTER' : 'REJECT_VOTER',
+      `Admin ${decision === 'APPROVED' ? 'approved' : 'rejected'} voter ${voter.blockchainAddress} after document review`,
+      voter.blockchainAddress,
+      blockchainResult?.hash || null,
+      'SUCCESS',
+      { via: 'document_review', reasonCode, notes },
+      req.ip
+    );
+
+    res.json({
+      message: `Voter ${decision === 'APPROVED' ? 'verified' : 'rejected'} after document review`,
+      voterAddress: voter.blockchainAddress,
+      status: voter.status,
+      blockchainTxHash: blockchainResult?.hash || null,
+      review: formatReview(review)
+    });
+  } catch (error) {
+    sendReviewError(res, error, "Failed to record review decision");
+  }
+};
+
+module.exports = {
+  listReviews,
+  getReview,
+  assignReview,
+  updateChecklist,
+  requestReupload,
+  decideReview
+};
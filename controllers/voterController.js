@@ -1,250 +1,167 @@
 const { ethers } = require('ethers');
+const mongoose = require('mongoose');
 const {
-  registerVoter: registerVoterOnBlockchain,
   verifyVoter: verifyVoterOnBlockchain,
+  rejectVoter: rejectVoterOnBlockchain,
+  revokeVoter: revokeVoterOnBlockchain,
+  removeVoter: removeVoterOnBlockchain,
+  STATUS_REASONS,
   checkVoterStatus,
   getVoterDetails
 } = require('../utils/blockchain');
 const {
-  encryptSensitiveData,
   decryptSensitiveData,
-  createBlockchainHashes
+  createAadharIndex
 } = require('../utils/crypto');
 const Voter = require('../models/Voter');
+const Election = require('../models/Election');
+const ElectionParticipation = require('../models/ElectionParticipation');
 const AdminLog = require('../models/AdminLog');
 const { logAdminActivity } = require('./adminController');
-
-// Import wallet abstraction service
-const WalletAbstractionService = require('../services/walletService');
-const walletService = new WalletAbstractionService();
+const { isVoterInScope } = require('../utils/adminScope');
+const { ContractRevertError, toContractError, sendContractError } = require('../utils/contractErrors');
+const { sendError, sendFieldError } = require('../utils/apiError');
 
 // Import QR code service
 const qrCodeService = require('../services/qrCodeService');
+const reviewService = require('../services/reviewService');
+const registrationSagaService = require('../services/registrationSagaService');
+const { RegistrationSagaError } = require('../services/registrationSagaService');
 
 // ========== EXISTING FUNCTIONS (Keep as is) ==========
 
-// Register a voter (Step 1) - Original wallet-based registration
+// Answer with the registration saga's outcome; a stored response sent again
+// for the same Idempotency-Key is marked as such
+const sendRegistrationResult = (res, { status, body, replayed }) => {
+  if (replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  }
+  return res.status(status).json(body);
+};
+
+const sendRegistrationError = (res, error) => {
+  if (error instanceof RegistrationSagaError) {
+    if (error.details?.retryAfter) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+    return sendError(res, error.statusCode, error.code, error.message, error.details);
+  }
+  console.error("Registration error:", error);
+  return sendError(res, 500, "INTERNAL_ERROR", "Registration failed");
+};
+
+// Register a voter (Step 1) - Original wallet-based registration. The chain
+// and database writes run as a registration saga, so a retry (ideally with
+// the same Idempotency-Key) finishes a registration that stopped half-way.
 const registerVoter = async (req, res) => {
-  console.log("Received voter registration request:", req.body);
   try {
     // Check for required environment variables
     if (!process.env.ADMIN_ADDRESS) {
       console.error("ADMIN_ADDRESS environment variable not set");
-      return res.status(500).json({ error: "Server configuration error - admin address not configured" });
-    }
-
-    // Extract fields from request body
-    const {
-      name,
-      aadharNumber: reqAadharNumber,
-      address, // This is the wallet address
-      phoneNumber,
-      email,
-      city,
-      state,
-      gender,
-      dob,
-      aadharImageUrl
-    } = req.body;
-
-    // Map to the expected format and ensure values
-    const blockchainAddress = address;
-    const district = city && state ? `${city}, ${state}` : "";
-    // Ensure we have the aadharNumber (could be named differently in request)
-    const aadharNumber = reqAadharNumber || req.body.aadhaar || req.body.aadhar;
-
-    // Validate required fields with detailed error messages
-    if (!name) {
-      return res.status(400).json({ error: "Missing required fields", details: "name is required" });
+      return sendError(res, 500, "SERVER_MISCONFIGURED", "Server configuration error - admin address not configured");
     }
 
-    if (!aadharNumber) {
-      return res.status(400).json({ error: "Missing required fields", details: "aadharNumber is required" });
-    }
-
-    if (!blockchainAddress) {
-      return res.status(400).json({ error: "Missing required fields", details: "address is required" });
-    }
+    // Checked and normalized by schemas/voters.js (register)
+    const result = await registrationSagaService.register('wallet', req.body, {
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+    console.log("Voter registration complete:", req.body.address);
+    return sendRegistrationResult(res, result);
+  } catch (error) {
+    return sendRegistrationError(res, error);
+  }
+};
 
-    // Validate Ethereum address format
-    if (!blockchainAddress.startsWith('0x') || blockchainAddress.length !== 42) {
-      console.log("Invalid Ethereum address format:", blockchainAddress);
-      return res.status(400).json({ error: "Invalid Ethereum address format" });
-    }
+// Verify a voter on-chain (a revert aborts, an unavailable contract is skipped),
+// save the verified status. Shared by the verification routes and the
+// document review workflow; an open review is closed unless the review
+// itself made the decision.
+const markVoterVerified = async (voter, adminAddress, verificationNotes, qrTxLabel, { syncReview = true } = {}) => {
+  let blockchainResult = null;
+  try {
+    console.log("Attempting blockchain verification");
+    blockchainResult = await verifyVoterOnBlockchain(voter.blockchainAddress);
+    console.log("Blockchain verification successful:", blockchainResult?.hash || "No hash returned");
+  } catch (blockchainError) {
+    // A revert means the contract refused; only an unavailable chain is skipped
+    const revertError = toContractError(blockchainError);
+    if (revertError instanceof ContractRevertError) {
+      throw revertError;
+    }
+    console.warn("Blockchain verification skipped:", blockchainError.message);
+  }
 
-    try {
-      // Create proper hashes for blockchain storage
-      console.log("Creating blockchain hashes");
-      const { nameHash, aadharHash } = createBlockchainHashes({ name, aadharNumber });
-      console.log("Generated hashes:", {
-        nameHash,
-        aadharHash,
-        nameHashLength: nameHash.length,
-        aadharHashLength: aadharHash.length
-      });
+  // Generate QR code after successful verification
+  let qrCodeUrl = null;
+  try {
+    const qrResult = await qrCodeService.generateQRCodeForVoter({
+      nameHash: voter.blockchain?.nameHash,
+      aadharHash: voter.blockchain?.aadharHash,
+      txHash: blockchainResult?.hash || qrTxLabel,
+      voterAddress: voter.blockchainAddress
+    });
 
-      // Check if voter already exists in MongoDB
-      const existingVoter = await Voter.findOne({
-        $or: [
-          { blockchainAddress: blockchainAddress },
-          { 'rawData.aadharNumber': aadharNumber }
-        ]
-      });
+    // Update voter with QR code data
+    voter.qrCode = {
+      nameHash: qrResult.qrCodeData.nameHash,
+      aadharHash: qrResult.qrCodeData.aadharHash,
+      txHash: qrResult.qrCodeData.txHash,
+      fileName: qrResult.fileName,
+      generatedAt: new Date()
+    };
+    qrCodeUrl = qrResult.url;
+  } catch (qrError) {
+    console.warn("QR code generation failed:", qrError.message);
+    // Continue without QR code
+  }
 
-      if (existingVoter) {
-        console.log("Voter already exists in MongoDB:", {
-          id: existingVoter._id,
-          blockchainAddress: existingVoter.blockchainAddress
-        });
-        return res.status(400).json({ error: "Voter already registered" });
-      }
+  voter.isVerified = true;
+  voter.status = 'VERIFIED';
+  voter.verificationDate = new Date();
+  voter.verificationNotes = verificationNotes || "";
+  voter.verifiedBy = adminAddress;
 
-      // Attempt to register on blockchain
-      let blockchainResult = null;
-      try {
-        console.log("Attempting blockchain registration");
-        blockchainResult = await registerVoterOnBlockchain(nameHash, aadharHash, blockchainAddress);
-        console.log("Blockchain registration successful:", blockchainResult?.hash || "No hash returned");
-      } catch (blockchainError) {
-        console.warn("Blockchain registration skipped/failed:", blockchainError.message);
-        // We'll continue with MongoDB registration anyway
-      }
+  await voter.save();
 
-      // Encrypt sensitive data for MongoDB storage
-      console.log("Encrypting sensitive data for MongoDB");
-      try {
-        const encryptedData = encryptSensitiveData({
-          name,
-          aadharNumber,
-          phoneNumber,
-          email
-        });
-
-        // Check if aadhar image was uploaded
-        let aadharImagePath = aadharImageUrl;
-        if (req.file) {
-          aadharImagePath = req.file.path;
-          console.log("Aadhar image uploaded via file upload:", aadharImagePath);
-        }
-        console.log("Using aadhar image path:", aadharImagePath);
-
-        // Create MongoDB record
-        console.log("Creating MongoDB record");
-        const voter = new Voter({
-          blockchainAddress,
-          encryptedData,
-          rawData: {
-            name: name,
-            aadharNumber: aadharNumber
-          },
-          blockchain: blockchainResult ? {
-            nameHash,
-            aadharHash,
-            txHash: blockchainResult.hash,
-            registrationTimestamp: Date.now()
-          } : null,
-          district,
-          gender,
-          dob: new Date(dob),
-          aadharImage: aadharImagePath
-        });
-
-        await voter.save();
-
-        console.log("Voter registration complete");
-        return res.status(201).json({
-          message: "Voter registered successfully",
-          blockchainAddress,
-          blockchainTxHash: blockchainResult?.hash || null,
-          onBlockchain: !!blockchainResult
-        });
-      } catch (encryptionError) {
-        console.error("Encryption or database error:", encryptionError);
-        return res.status(500).json({
-          error: "Registration failed",
-          details: encryptionError.message
-        });
-      }
-    } catch (error) {
-      console.error("Registration error:", error);
-      return res.status(500).json({
-        error: "Registration failed",
-        details: error.message
-      });
-    }
-  } catch (error) {
-    console.error("Voter registration error:", error);
-    return res.status(500).json({ error: "Registration failed", details: error.message });
+  if (syncReview) {
+    await reviewService.syncWithVoterStatus(voter, adminAddress);
   }
+
+  return { blockchainResult, qrCodeUrl };
 };
 
 // Verify a voter (admin only) - Keep existing
 const verifyVoter = async (req, res) => {
   try {
-    const { adminAddress, voterAddress, verificationNotes } = req.body;
+    const { voterAddress, verificationNotes } = req.body;
+    const adminAddress = req.adminAddress;
 
     // Validate inputs
-    if (!adminAddress || !voterAddress) {
-      return res.status(400).json({ error: "Both adminAddress and voterAddress are required" });
-    }
-
-    // Validate address formats
-    if (!ethers.isAddress(adminAddress) || !ethers.isAddress(voterAddress)) {
-      return res.status(400).json({ error: "Invalid Ethereum address format" });
+    if (!voterAddress) {
+      return sendError(res, 400, "INVALID_ADDRESS", "voterAddress is required");
     }
 
-    // Verify against configured admin
-    if (adminAddress.toLowerCase() !== process.env.ADMIN_ADDRESS.toLowerCase()) {
-      return res.status(403).json({ error: "Unauthorized. Not an admin address." });
-    }
-
-    // Try blockchain verification first if possible
-    let blockchainResult = null;
-    try {
-      console.log("Attempting blockchain verification");
-      blockchainResult = await verifyVoterOnBlockchain(voterAddress);
-      console.log("Blockchain verification successful:", blockchainResult?.hash || "No hash returned");
-    } catch (blockchainError) {
-      console.warn("Blockchain verification skipped/failed:", blockchainError.message);
-      // We'll continue with MongoDB verification anyway
+    // Validate address format
+    if (!ethers.isAddress(voterAddress)) {
+      return sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address format");
     }
 
-    // Update MongoDB record
+    // Load the voter first so officers cannot verify outside their jurisdiction
     const voter = await Voter.findOne({ blockchainAddress: voterAddress });
 
     if (!voter) {
-      return res.status(404).json({ error: "Voter not found" });
+      return sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
     }
 
-    // Generate QR code after successful verification
-    try {
-      const qrResult = await qrCodeService.generateQRCodeForVoter({
-        name: voter.rawData.name,
-        aadharNumber: voter.rawData.aadharNumber,
-        txHash: blockchainResult?.hash || 'manual_verification',
-        voterAddress: voterAddress
-      });
-
-      // Update voter with QR code data
-      voter.qrCode = {
-        nameHash: qrResult.qrCodeData.nameHash,
-        aadharHash: qrResult.qrCodeData.aadharHash,
-        txHash: qrResult.qrCodeData.txHash,
-        firebaseUrl: qrResult.firebaseUrl,
-        fileName: qrResult.fileName,
-        generatedAt: new Date()
-      };
-    } catch (qrError) {
-      console.warn("QR code generation failed:", qrError.message);
-      // Continue without QR code
+    if (!isVoterInScope(req.admin, voter)) {
+      return sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
     }
 
-    voter.isVerified = true;
-    voter.verificationDate = new Date();
-    voter.verificationNotes = verificationNotes || "";
-    voter.verifiedBy = adminAddress;
+    if (voter.status === 'REMOVED') {
+      return sendError(res, 409, "VOTER_REMOVED", "Voter has been removed from the roll");
+    }
 
-    await voter.save();
+    const { blockchainResult, qrCodeUrl } = await markVoterVerified(voter, adminAddress, verificationNotes, 'manual_verification');
 
     // Log admin activity
     await logAdminActivity(
@@ -261,17 +178,17 @@ const verifyVoter = async (req, res) => {
     res.json({
       message: "Voter verified successfully",
       verificationDate: voter.verificationDate,
-      qrCodeGenerated: !!voter.qrCode?.firebaseUrl,
-      qrCodeUrl: voter.qrCode?.firebaseUrl || null
+      qrCodeGenerated: !!qrCodeUrl,
+      qrCodeUrl
     });
   } catch (error) {
     console.error("Verification error:", error);
 
     // Log failed attempt
-    if (req.body.adminAddress && req.body.voterAddress) {
+    if (req.adminAddress && req.body.voterAddress) {
       try {
         await logAdminActivity(
-          req.body.adminAddress,
+          req.adminAddress,
           'VERIFY_VOTER',
           `Failed to verify voter ${req.body.voterAddress}: ${error.message}`,
           req.body.voterAddress,
@@ -285,16 +202,7 @@ const verifyVoter = async (req, res) => {
       }
     }
 
-    // Handle specific blockchain errors
-    if (error.message && error.message.includes("Voter not registered")) {
-      return res.status(404).json({ error: "Voter not registered" });
-    }
-
-    if (error.message && error.message.includes("Voter already verified")) {
-      return res.status(409).json({ error: "Voter already verified" });
-    }
-
-    res.status(500).json({ error: "Verification failed", details: error.message });
+    sendContractError(res, error, "Verification failed");
   }
 };
 
@@ -305,7 +213,7 @@ const checkVoterStatusController = async (req, res) => {
 
     // Validate address format
     if (!address || !ethers.isAddress(address)) {
-      return res.status(400).json({ error: "Invalid Ethereum address" });
+      return sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address");
     }
 
     // Check in MongoDB first for faster response
@@ -329,7 +237,7 @@ const checkVoterStatusController = async (req, res) => {
     });
   } catch (error) {
     console.error("Status check error:", error);
-    res.status(500).json({ error: "Status check failed", details: error.message });
+    sendError(res, 500, "INTERNAL_ERROR", "Status check failed");
   }
 };
 
@@ -337,11 +245,10 @@ const checkVoterStatusController = async (req, res) => {
 const getVoterDetailsController = async (req, res) => {
   try {
     const { address } = req.params;
-    const { adminAddress } = req.query;
 
     // Validate address format
     if (!address || !ethers.isAddress(address)) {
-      return res.status(400).json({ error: "Invalid Ethereum address" });
+      return sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address");
     }
 
     // Check in MongoDB first for complete data
@@ -349,10 +256,8 @@ const getVoterDetailsController = async (req, res) => {
 
     if (mongoVoter) {
       // Determine if sensitive data should be decrypted
-      // Only decrypt for the owner of the address or an admin
-      const isAuthorized =
-        adminAddress &&
-        adminAddress.toLowerCase() === process.env.ADMIN_ADDRESS.toLowerCase();
+      // Only decrypt for the owner of the address or a signed-in admin
+      const isAuthorized = !!req.adminAddress;
       const isOwner = req.headers['x-voter-address'] === address;
 
       let responseData = {
@@ -360,7 +265,6 @@ const getVoterDetailsController = async (req, res) => {
         isVerified: mongoVoter.isVerified,
         registrationDate: mongoVoter.registrationDate,
         verificationDate: mongoVoter.verificationDate || null,
-        aadharImageUrl: mongoVoter.aadharImageUrl,
         source: "database"
       };
 
@@ -389,7 +293,7 @@ const getVoterDetailsController = async (req, res) => {
     res.json(formattedDetails);
   } catch (error) {
     console.error("Details fetch error:", error);
-    res.status(500).json({ error: "Failed to fetch voter details", details: error.message });
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch voter details");
   }
 };
 
@@ -397,27 +301,21 @@ const getVoterDetailsController = async (req, res) => {
 const getVoterByAdmin = async (req, res) => {
   try {
     const { address } = req.params;
-    const adminAddress = req.headers['x-admin-address'] || req.query.adminAddress;
 
     // Validate inputs
     if (!address || !ethers.isAddress(address)) {
-      return res.status(400).json({ error: "Invalid voter address" });
-    }
-
-    if (!adminAddress || !ethers.isAddress(adminAddress)) {
-      return res.status(400).json({ error: "Invalid admin address" });
-    }
-
-    // Verify admin
-    if (adminAddress.toLowerCase() !== process.env.ADMIN_ADDRESS.toLowerCase()) {
-      return res.status(403).json({ error: "Unauthorized. Not an admin address." });
+      return sendError(res, 400, "INVALID_ADDRESS", "Invalid voter address");
     }
 
     // Get voter from MongoDB
     const voter = await Voter.findOne({ blockchainAddress: address });
 
     if (!voter) {
-      return res.status(404).json({ error: "Voter not found" });
+      return sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
+    }
+
+    if (!isVoterInScope(req.admin, voter)) {
+      return sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
     }
 
     // Decrypt sensitive data
@@ -430,7 +328,7 @@ const getVoterByAdmin = async (req, res) => {
       isVerified: voter.isVerified,
       registrationDate: voter.registrationDate,
       verificationDate: voter.verificationDate,
-      aadharImageUrl: voter.aadharImageUrl,
+      aadharDocumentId: voter.aadharDocument || null,
       transactionHash: voter.transactionHash,
       blockNumber: voter.blockNumber,
       verificationNotes: voter.verificationNotes,
@@ -440,123 +338,25 @@ const getVoterByAdmin = async (req, res) => {
     res.json(response);
   } catch (error) {
     console.error("Admin voter fetch error:", error);
-    res.status(500).json({ error: "Failed to fetch voter data", details: error.message });
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch voter data");
   }
 };
 
 // ========== NEW WALLET ABSTRACTION FUNCTIONS ==========
 
-// Register voter with Aadhar number only (no wallet needed)
+// Register voter with Aadhar number only (no wallet needed). A custody
+// wallet is generated and registered through the relayer, as a registration
+// saga like registerVoter.
 const registerVoterWithAadhar = async (req, res) => {
-  console.log("Received Aadhar-based voter registration request:", req.body);
   try {
-    const {
-      name,
-      aadharNumber,
-      dob,
-      phoneNumber,
-      email,
-      city,
-      state,
-      gender
-    } = req.body;
-
-    // Validate required fields
-    if (!name || !aadharNumber) {
-      return res.status(400).json({
-        error: "Missing required fields",
-        details: "name and aadharNumber are required"
-      });
-    }
-
-    // Check if voter already exists by Aadhar
-    const existingVoter = await Voter.findOne({
-      'rawData.aadharNumber': aadharNumber
-    });
-
-    if (existingVoter) {
-      return res.status(400).json({
-        error: 'Voter already registered with this Aadhar number'
-      });
-    }
-
-    // Generate wallet automatically
-    const walletData = walletService.generateWalletFromAadhar(aadharNumber);
-    console.log("Generated wallet for Aadhar voter:", walletData.address);
-
-    // Fund the wallet with gas money
-    let fundingTxHash = null;
-    try {
-      fundingTxHash = await walletService.fundWallet(walletData.address);
-      console.log("Funded wallet with tx:", fundingTxHash);
-    } catch (fundError) {
-      console.warn("Failed to fund wallet:", fundError.message);
-      // Continue anyway - user can fund later
-    }
-
-    // Create blockchain hashes
-    const { nameHash, aadharHash } = createBlockchainHashes({ name, aadharNumber });
-
-    // Register on blockchain (optional - continue if fails)
-    let blockchainResult = null;
-    try {
-      blockchainResult = await registerVoterOnBlockchain(nameHash, aadharHash, walletData.address);
-      console.log("Blockchain registration successful for Aadhar voter");
-    } catch (blockchainError) {
-      console.warn("Blockchain registration failed for Aadhar voter:", blockchainError.message);
-    }
-
-    // Encrypt sensitive data
-    const encryptedData = encryptSensitiveData({
-      name,
-      aadharNumber,
-      phoneNumber,
-      email,
-      dob,
-      // Store wallet abstraction data in encrypted format
-      walletAbstraction: {
-        encryptedPrivateKey: walletService.encryptPrivateKey(walletData.privateKey, aadharNumber),
-        fundingTxHash
-      }
-    });
-
-    // Store in MongoDB using existing schema
-    const voter = new Voter({
-      blockchainAddress: walletData.address,
-      encryptedData,
-      rawData: {
-        name,
-        aadharNumber
-      },
-      blockchain: {
-        nameHash,
-        aadharHash: ethers.keccak256(ethers.toUtf8Bytes(aadharNumber)),
-        txHash: blockchainResult?.hash || null,
-        registrationTimestamp: Date.now()
-      },
-      district: `${city || ''}, ${state || ''}`.trim().replace(/^,\s*|,\s*$/g, ''),
-      gender,
-      dob: dob ? new Date(dob) : null
-    });
-
-    await voter.save();
-
-    console.log("Aadhar-based voter registration complete");
-    res.status(201).json({
-      message: 'Voter registered successfully with Aadhar',
-      voterAddress: walletData.address,
-      blockchainTxHash: blockchainResult?.hash || null,
-      fundingTxHash,
-      registrationId: voter._id,
-      registrationMethod: 'aadhar'
+    // Checked and normalized by schemas/voters.js (registerAadhar)
+    const result = await registrationSagaService.register('aadhar', req.body, {
+      idempotencyKey: req.get('Idempotency-Key')
     });
-
+    console.log("Aadhar-based voter registration complete:", result.body.voterAddress);
+    return sendRegistrationResult(res, result);
   } catch (error) {
-    console.error('Aadhar registration error:', error);
-    res.status(500).json({
-      error: 'Registration failed',
-      details: error.message
-    });
+    return sendRegistrationError(res, error);
   }
 };
 
@@ -565,12 +365,10 @@ const getVoterByAadhar = async (req, res) => {
   try {
     const { aadharNumber } = req.params;
 
-    const voter = await Voter.findOne({
-      'rawData.aadharNumber': aadharNumber
-    });
+    const voter = await Voter.findOne({ aadharIndex: createAadharIndex(aadharNumber) });
 
     if (!voter) {
-      return res.status(404).json({ error: 'Voter not found' });
+      return sendError(res, 404, 'VOTER_NOT_FOUND', 'Voter not found');
     }
 
     res.json({
@@ -581,16 +379,13 @@ const getVoterByAadhar = async (req, res) => {
       verificationDate: voter.verificationDate,
       district: voter.district,
       gender: voter.gender,
-      name: voter.rawData?.name,
+      name: decryptSensitiveData(voter.encryptedData).name,
       registrationMethod: 'aadhar'
     });
 
   } catch (error) {
     console.error('Aadhar lookup error:', error);
-    res.status(500).json({
-      error: 'Lookup failed',
-      details: error.message
-    });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Lookup failed');
   }
 };
 
@@ -599,9 +394,7 @@ const checkStatusByAadhar = async (req, res) => {
   try {
     const { aadharNumber } = req.params;
 
-    const voter = await Voter.findOne({
-      'rawData.aadharNumber': aadharNumber
-    });
+    const voter = await Voter.findOne({ aadharIndex: createAadharIndex(aadharNumber) });
 
     if (!voter) {
       return res.json({
@@ -621,10 +414,7 @@ const checkStatusByAadhar = async (req, res) => {
 
   } catch (error) {
     console.error('Aadhar status check error:', error);
-    res.status(500).json({
-      error: 'Status check failed',
-      details: error.message
-    });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Status check failed');
   }
 };
 
@@ -633,55 +423,37 @@ const verifyVoterByAadhar = async (req, res) => {
   try {
     const { aadharNumber } = req.params;
     const { verificationNotes } = req.body;
-    const adminAddress = req.headers['x-admin-address'] || req.query.adminAddress || req.body.adminAddress;
+    const adminAddress = req.adminAddress;
 
     // Find voter by Aadhar
-    const voter = await Voter.findOne({ 'rawData.aadharNumber': aadharNumber });
+    const voter = await Voter.findOne({ aadharIndex: createAadharIndex(aadharNumber) });
 
     if (!voter) {
-      return res.status(404).json({ error: "Voter not found" });
+      return sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
     }
 
-    if (voter.isVerified) {
-      return res.status(400).json({ error: "Voter already verified" });
+    if (!isVoterInScope(req.admin, voter)) {
+      return sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
     }
 
-    // Update verification status
-    voter.isVerified = true;
-    voter.verificationDate = new Date();
-    voter.verificationNotes = verificationNotes || "";
-    voter.verifiedBy = adminAddress;
-
-    // Generate QR code after verification
-    try {
-      const qrResult = await qrCodeService.generateQRCodeForVoter({
-        name: voter.rawData.name,
-        aadharNumber: voter.rawData.aadharNumber,
-        txHash: 'aadhar_verification',
-        voterAddress: voter.blockchainAddress
-      });
+    if (voter.isVerified) {
+      return sendError(res, 400, "VOTER_ALREADY_VERIFIED", "Voter already verified");
+    }
 
-      voter.qrCode = {
-        nameHash: qrResult.qrCodeData.nameHash,
-        aadharHash: qrResult.qrCodeData.aadharHash,
-        txHash: qrResult.qrCodeData.txHash,
-        firebaseUrl: qrResult.firebaseUrl,
-        fileName: qrResult.fileName,
-        generatedAt: new Date()
-      };
-    } catch (qrError) {
-      console.warn("QR code generation failed:", qrError.message);
+    if (voter.status === 'REMOVED') {
+      return sendError(res, 409, "VOTER_REMOVED", "Voter has been removed from the roll");
     }
 
-    await voter.save();
+    // Verify on-chain too so the voter's wallet is eligible in the Election contract
+    const { blockchainResult } = await markVoterVerified(voter, adminAddress, verificationNotes, 'aadhar_verification');
 
     // Log admin activity
     await logAdminActivity(
       adminAddress,
       'VERIFY_VOTER_BY_AADHAR',
-      `Admin verified voter with Aadhar ${aadharNumber}`,
+      `Admin verified voter ${voter.blockchainAddress} by Aadhaar`,
       voter.blockchainAddress,
-      null,
+      blockchainResult?.hash || null,
       'SUCCESS',
       { message: "Aadhar-based voter verification" },
       req.ip
@@ -696,32 +468,209 @@ const verifyVoterByAadhar = async (req, res) => {
 
   } catch (error) {
     console.error("Aadhar verification error:", error);
-    res.status(500).json({
-      error: "Verification failed",
-      details: error.message
+    sendContractError(res, error, "Verification failed");
+  }
+};
+
+// ========== VOTER LIFECYCLE (reject / revoke / remove) ==========
+
+// Allowed transitions for each admin action
+const VOTER_TRANSITIONS = {
+  reject: {
+    from: ['PENDING'],
+    to: 'REJECTED',
+    action: 'REJECT_VOTER',
+    onBlockchain: rejectVoterOnBlockchain
+  },
+  revoke: {
+    from: ['VERIFIED'],
+    to: 'REVOKED',
+    action: 'REVOKE_VOTER',
+    onBlockchain: revokeVoterOnBlockchain
+  },
+  remove: {
+    from: ['PENDING', 'VERIFIED', 'REJECTED', 'REVOKED'],
+    to: 'REMOVED',
+    action: 'REMOVE_VOTER',
+    onBlockchain: removeVoterOnBlockchain
+  }
+};
+
+// Move a voter to the transition's status (on-chain first; a revert aborts,
+// an unavailable contract is skipped),
+// record the reason and deactivate any QR codes the voter holds
+const applyVoterTransition = async (voter, transitionName, { reasonCode, notes, adminAddress }, { syncReview = true } = {}) => {
+  const transition = VOTER_TRANSITIONS[transitionName];
+
+  // Mirror the transition on-chain if possible
+  let blockchainResult = null;
+  try {
+    blockchainResult = await transition.onBlockchain(voter.blockchainAddress, reasonCode);
+    console.log(`Blockchain ${transitionName} successful:`, blockchainResult?.hash || "No hash returned");
+  } catch (blockchainError) {
+    const revertError = toContractError(blockchainError);
+    if (revertError instanceof ContractRevertError) {
+      throw revertError;
+    }
+    console.warn(`Blockchain ${transitionName} skipped:`, blockchainError.message);
+  }
+
+  voter.status = transition.to;
+  voter.statusReason = {
+    code: reasonCode,
+    notes: notes || "",
+    changedBy: adminAddress,
+    changedAt: new Date(),
+    txHash: blockchainResult?.hash || null
+  };
+
+  if (transition.to !== 'REJECTED') {
+    voter.isVerified = false;
+  }
+
+  // A voter who is no longer eligible must not be able to use an issued QR code
+  const qrDeactivated = !!voter.qrCode?.isActive;
+  if (qrDeactivated) {
+    voter.qrCode.isActive = false;
+  }
+
+  await voter.save();
+
+  // Same for voting QR codes issued for any election
+  await ElectionParticipation.updateMany(
+    { voter: voter._id, 'qrCode.isActive': true },
+    { $set: { 'qrCode.isActive': false } }
+  );
+
+  if (syncReview) {
+    await reviewService.syncWithVoterStatus(voter, adminAddress);
+  }
+
+  return { blockchainResult, qrDeactivated };
+};
+
+const changeVoterStatus = (transitionName) => async (req, res) => {
+  const transition = VOTER_TRANSITIONS[transitionName];
+  const { voterAddress, reasonCode, notes } = req.body;
+
+  try {
+    if (!voterAddress || !ethers.isAddress(voterAddress)) {
+      return sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address format");
+    }
+
+    if (!STATUS_REASONS.includes(reasonCode) || reasonCode === 'NONE') {
+      return sendFieldError(res, 'body', 'reasonCode', 'INVALID_VALUE',
+        `reasonCode must be one of ${STATUS_REASONS.filter(code => code !== 'NONE').join(', ')}`);
+    }
+
+    const voter = await Voter.findOne({ blockchainAddress: voterAddress });
+
+    if (!voter) {
+      return sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
+    }
+
+    if (!isVoterInScope(req.admin, voter)) {
+      return sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
+    }
+
+    const currentStatus = voter.getCurrentStatus();
+    if (!transition.from.includes(currentStatus)) {
+      return sendError(res, 409, "INVALID_STATUS_TRANSITION", `Cannot ${transitionName} a voter whose status is ${currentStatus}`);
+    }
+
+    const { blockchainResult, qrDeactivated } = await applyVoterTransition(voter, transitionName, {
+      reasonCode,
+      notes,
+      adminAddress: req.adminAddress
     });
+
+    await logAdminActivity(
+      req.adminAddress,
+      transition.action,
+      `Admin changed voter ${voterAddress} from ${currentStatus} to ${transition.to} (${reasonCode})`,
+      voterAddress,
+      blockchainResult?.hash || null,
+      'SUCCESS',
+      { previousStatus: currentStatus, status: transition.to, reasonCode, notes, qrDeactivated },
+      req.ip
+    );
+
+    res.json({
+      message: `Voter ${transition.to.toLowerCase()} successfully`,
+      voterAddress,
+      status: voter.status,
+      reasonCode,
+      blockchainTxHash: blockchainResult?.hash || null,
+      qrDeactivated
+    });
+  } catch (error) {
+    console.error(`Voter ${transitionName} error:`, error);
+
+    try {
+      await logAdminActivity(
+        req.adminAddress,
+        transition.action,
+        `Failed to ${transitionName} voter ${voterAddress}: ${error.message}`,
+        voterAddress,
+        null,
+        'FAILURE',
+        { error: error.message, reasonCode },
+        req.ip
+      );
+    } catch (logError) {
+      console.error("Error logging admin activity:", logError);
+    }
+
+    sendContractError(res, error, `Failed to ${transitionName} voter`);
   }
 };
 
+const rejectVoter = changeVoterStatus('reject');
+const revokeVoter = changeVoterStatus('revoke');
+const removeVoter = changeVoterStatus('remove');
+
 // Add new function for generating voting QR
 const generateVotingQR = async (req, res) => {
   try {
     const { aadharNumber } = req.params;
-    const { expirationMinutes = 30 } = req.body;
+    const { electionId, booth, expirationMinutes = 30 } = req.body;
+
+    if (!electionId || !mongoose.isValidObjectId(electionId)) {
+      return sendError(res, 400, "INVALID_ID", "A valid electionId is required");
+    }
+
+    const election = await Election.findById(electionId);
+    if (!election) {
+      return sendError(res, 404, "ELECTION_NOT_FOUND", "Election not found");
+    }
+
+    if (new Date() > election.endTime) {
+      return sendError(res, 400, "ELECTION_ENDED", "Election has already ended");
+    }
 
     // Find voter by Aadhar
-    const voter = await Voter.findOne({ 'rawData.aadharNumber': aadharNumber });
+    const voter = await Voter.findOne({ aadharIndex: createAadharIndex(aadharNumber) });
 
     if (!voter) {
-      return res.status(404).json({ error: "Voter not found" });
+      return sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
+    }
+
+    if (!isVoterInScope(req.admin, voter)) {
+      return sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
     }
 
     if (!voter.isVerified) {
-      return res.status(400).json({ error: "Voter is not verified" });
+      return sendError(res, 400, "VOTER_NOT_VERIFIED", "Voter is not verified");
     }
 
-    if (voter.isVoted) {
-      return res.status(400).json({ error: "Voter has already voted" });
+    if (!election.coversVoter(voter)) {
+      return sendError(res, 400, "VOTER_NOT_ELIGIBLE", "Voter is not eligible for this election");
+    }
+
+    let participation = await ElectionParticipation.findOne({ voter: voter._id, election: election._id });
+
+    if (participation?.status === 'VOTED') {
+      return sendError(res, 400, "ALREADY_VOTED", "Voter has already voted in this election");
     }
 
     // Generate new QR code with expiration
@@ -730,66 +679,87 @@ const generateVotingQR = async (req, res) => {
       aadharHash: voter.blockchain?.aadharHash,
       txHash: voter.blockchain?.txHash || 'voting_qr',
       blockchainAddress: voter.blockchainAddress,
-      voterAddress: voter.blockchainAddress
+      voterAddress: voter.blockchainAddress,
+      electionId: election._id
     }, expirationMinutes);
 
-    // Update voter with new QR code
-    voter.qrCode = {
-      nameHash: qrResult.qrCodeData.nameHash,
-      aadharHash: qrResult.qrCodeData.aadharHash,
-      txHash: qrResult.qrCodeData.txHash,
-      firebaseUrl: qrResult.firebaseUrl,
+    if (!participation) {
+      participation = new ElectionParticipation({
+        voter: voter._id,
+        election: election._id,
+        voterAddress: voter.blockchainAddress,
+        state: voter.state,
+        district: voter.district
+      });
+    }
+
+    // A fresh QR code replaces any earlier one for this election
+    participation.qrCode = {
+      qrId: qrResult.qrCodeData.qrId,
       fileName: qrResult.fileName,
       generatedAt: new Date(),
       expiresAt: qrResult.expiresAt,
       isActive: true
     };
+    if (booth) {
+      participation.booth = booth;
+    }
 
-    await voter.save();
+    await participation.save();
 
     res.json({
       message: "Voting QR code generated successfully",
-      qrCodeUrl: qrResult.firebaseUrl,
+      electionId: election._id,
+      qrCodeUrl: qrResult.url,
+      qrPayload: qrResult.signedPayload,
       expiresAt: qrResult.expiresAt,
       expirationMinutes
     });
 
   } catch (error) {
     console.error("QR generation error:", error);
-    res.status(500).json({
-      error: "Failed to generate voting QR code",
-      details: error.message
-    });
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to generate voting QR code");
   }
 };
 
 // Add function to process vote via QR scan
 const processVoteViaScan = async (req, res) => {
   try {
-    const { qrData } = req.body;
+    const { qrData, booth, scannerId } = req.body;
 
     if (!qrData) {
-      return res.status(400).json({ error: "QR data is required" });
+      return sendError(res, 400, "QR_DATA_REQUIRED", "QR data is required");
     }
 
-    const result = await qrCodeService.processVoting(qrData);
+    const result = await qrCodeService.processVoting(qrData, {
+      booth,
+      scannerId,
+      recordedBy: req.adminAddress
+    });
 
     if (!result.success) {
-      return res.status(400).json({ error: result.error });
+      // 409 means the code was already consumed, possibly by another scanner
+      return sendError(res, result.statusCode || 400, result.code, result.error, result.statusCode === 409 ? [{
+        code: 'PREVIOUS_SCAN',
+        message: 'The vote was recorded by an earlier scan',
+        booth: result.booth,
+        scannerId: result.scannerId,
+        votingDate: result.votingDate
+      }] : undefined);
     }
 
     res.json({
       message: result.message,
       voterAddress: result.voterAddress,
+      electionId: result.electionId,
+      booth: result.booth,
+      scannerId: result.scannerId,
       votingDate: result.votingDate
     });
 
   } catch (error) {
     console.error("Vote processing error:", error);
-    res.status(500).json({
-      error: "Failed to process vote",
-      details: error.message
-    });
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to process vote");
   }
 };
 
@@ -810,6 +780,15 @@ module.exports = {
   // New Aadhar verification function
   verifyVoterByAadhar,
 
+  // Voter lifecycle
+  rejectVoter,
+  revokeVoter,
+  removeVoter,
+
+  // Shared with the document review workflow
+  markVoterVerified,
+  applyVoterTransition,
+
   // New QR code functions
   generateVotingQR,
   processVoteViaScan
@@ -0,0 +1,86 @@
+const { ethers } = require('ethers');
+const Voter = require('../models/Voter');
+const { logAdminActivity } = require('./adminController');
+const { isVoterInScope } = require('../utils/adminScope');
+const { sendError } = require('../utils/apiError');
+const WalletAbstractionService = require('../services/walletService');
+const walletService = new WalletAbstractionService();
+
+// Load the voter named by req.params.address, or send a 400/403/404
+const findVoter = async (req, res) => {
+  const { address } = req.params;
+  if (!address || !ethers.isAddress(address)) {
+    sendError(res, 400, "INVALID_ADDRESS", "Invalid Ethereum address");
+    return null;
+  }
+
+  const voter = await Voter.findOne({ blockchainAddress: address });
+  if (!voter) {
+    sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
+    return null;
+  }
+
+  if (!isVoterInScope(req.admin, voter)) {
+    sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
+    return null;
+  }
+  return voter;
+};
+
+const sendNoWallet = (res) => sendError(res, 404, "NO_CUSTODY_WALLET",
+  "Voter has no custody wallet; only Aadhaar-registered voters have a wallet held by the backend");
+
+// Custody details and balance for a voter's wallet
+const getVoterWallet = async (req, res) => {
+  try {
+    const voter = await findVoter(req, res);
+    if (!voter) return;
+
+    const wallet = await walletService.getVoterWallet(voter._id);
+    if (!wallet) return sendNoWallet(res);
+
+    let balance = null;
+    try {
+      balance = await walletService.getWalletBalance(wallet.address);
+    } catch (balanceError) {
+      console.warn("Wallet balance check skipped/failed:", balanceError.message);
+    }
+
+    res.json({ ...wallet, balance });
+  } catch (error) {
+    console.error("Wallet lookup error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch wallet");
+  }
+};
+
+// Reseal a voter's wallet key under the active master seed
+const resealVoterWallet = async (req, res) => {
+  try {
+    const voter = await findVoter(req, res);
+    if (!voter) return;
+
+    const result = await walletService.resealWallet(voter._id);
+    if (!result) return sendNoWallet(res);
+
+    await logAdminActivity(
+      req.adminAddress,
+      'RESEAL_VOTER_WALLET',
+      `Admin resealed custody wallet of voter ${voter.blockchainAddress}`,
+      voter.blockchainAddress,
+      null,
+      'SUCCESS',
+      { previousSeed: result.previousSeed, sealedWith: result.sealedWith },
+      req.ip
+    );
+
+    res.json({ message: "Wallet resealed successfully", ...result });
+  } catch (error) {
+    console.error("Wallet reseal error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to reseal wallet");
+  }
+};
+
+module.exports = {
+  getVoterWallet,
+  resealVoterWallet
+};
@@ -13,14 +13,21 @@ const getAccounts = () => {
 module.exports = {
   solidity: "0.8.28",
   networks: {
-    ganache: {
-      url: "http://127.0.0.1:8545",
-      accounts: [process.env.PRIVATE_KEY]
+    // `npm run chain` (npx hardhat node); uses the node's unlocked accounts
+    localhost: {
+      url: getEnv("LOCAL_RPC_URL", "http://127.0.0.1:8545"),
     },
-    sepolia: {
-      url: getEnv("SEPOLIA_RPC_URL", "https://eth-sepolia.g.alchemy.com/v2/tCH4tNrSzoTvWI3mDLhDtEe0sGW-_Koe"),
-      accounts: getAccounts(),
+    ganache: {
+      url: getEnv("GANACHE_RPC_URL", "http://127.0.0.1:8545"),
+      accounts: getAccounts()
     },
+    // Only defined when an RPC URL is configured; there is no shared default
+    ...(getEnv("SEPOLIA_RPC_URL") && {
+      sepolia: {
+        url: getEnv("SEPOLIA_RPC_URL"),
+        accounts: getAccounts(),
+      }
+    }),
     mumbai: {
       url: getEnv("MUMBAI_RPC_URL", "https://polygon-mumbai.infura.io/v3/"),
       accounts: getAccounts(),
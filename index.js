@@ -1,14 +1,24 @@
 const express = require("express");
 const cors = require("cors");
 const mongoose = require("mongoose");
-const path = require("path");
 require("dotenv").config();
-const { initProvider, initContract } = require("./utils/blockchain");
+const { initProvider, initContract, getSigner } = require("./utils/blockchain");
+const { prepareChain } = require("./utils/localChain");
+const txQueue = require("./services/txQueueService");
+const relayerService = require("./services/relayerService");
+const reconciliationService = require("./services/reconciliationService");
+const eventIndexerService = require("./services/eventIndexerService");
+const registrationSagaService = require("./services/registrationSagaService");
 const connectDB = require("./config/db");
+const { sendError } = require("./utils/apiError");
 const blockchainRoutes = require("./routes/blockchain");
 const adminRoutes = require("./routes/admin");
 const voterRoutes = require("./routes/voters");
 const uploadRoutes = require("./routes/upload");
+const authRoutes = require("./routes/auth");
+const electionRoutes = require("./routes/elections");
+const walletRoutes = require("./routes/wallets");
+const storageRoutes = require("./routes/storage");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -17,32 +27,52 @@ const PORT = process.env.PORT || 5000;
 app.use(express.json()); // Parse JSON request body
 app.use(cors()); // Enable CORS
 
-// Serve static files from the uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Initialize blockchain connection. NETWORK=hardhat starts from an empty
+// in-process chain, so the contracts are deployed first.
+const chainReady = prepareChain()
+  .then(() => {
+    initProvider();
+    initContract();
+    console.log("Blockchain connection initialized");
+  })
+  .catch(error => {
+    console.error("Error initializing blockchain connection:", error.message);
+  });
 
 // Connect to MongoDB
 connectDB()
-  .then(() => {
+  .then(async () => {
     console.log("MongoDB connected successfully");
+    await chainReady;
+
+    // Keep watching contract writes that were still pending at shutdown
+    try {
+      const { resumed, interrupted } = await txQueue.resume([getSigner(), relayerService.getRelayer()]);
+      console.log(`Transaction queue resumed: ${resumed} pending, ${interrupted} interrupted`);
+    } catch (error) {
+      console.warn("Transaction queue resume skipped/failed:", error.message);
+    }
+
+    // Compare voters with the VoterID contract every RECONCILE_INTERVAL_MS,
+    // follow its events every INDEXER_POLL_INTERVAL_MS and finish registrations
+    // that stopped half-way every REGISTRATION_RESUME_INTERVAL_MS
+    reconciliationService.start();
+    eventIndexerService.start();
+    registrationSagaService.start();
   })
   .catch(err => {
     console.error("MongoDB connection error:", err.message);
   });
 
-// Initialize blockchain connection
-try {
-  initProvider();
-  initContract();
-  console.log("Blockchain connection initialized");
-} catch (error) {
-  console.error("Error initializing blockchain connection:", error.message);
-}
-
 // Routes
+app.use("/api/auth", authRoutes);
 app.use("/api/blockchain", blockchainRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/voters", voterRoutes);
 app.use("/api/upload", uploadRoutes);
+app.use("/api/elections", electionRoutes);
+app.use("/api/wallets", walletRoutes);
+app.use("/api/storage", storageRoutes);
 
 // Test route
 app.get("/", (req, res) => {
@@ -64,10 +94,8 @@ app.get("/health", (req, res) => {
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
-  res.status(500).json({ 
-    error: "Internal Server Error", 
-    message: process.env.NODE_ENV === "development" ? err.message : undefined 
-  });
+  sendError(res, 500, "INTERNAL_ERROR", "Internal Server Error",
+    process.env.NODE_ENV === "development" ? [{ code: "INTERNAL_ERROR", message: err.message }] : undefined);
 });
 
 // Start server
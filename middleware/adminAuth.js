@@ -1,48 +1,52 @@
-const { ethers } = require('ethers');
+const adminAuthService = require('../services/adminAuthService');
+const { AdminAuthError } = require('../services/adminAuthService');
+const { sendError } = require('../utils/apiError');
+
+// Extract the session token from "Authorization: Bearer <token>"
+const getSessionToken = (req) => {
+    const authHeader = req.headers['authorization'] || '';
+    const [scheme, token] = authHeader.split(' ');
+
+    if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+        return token;
+    }
+    return null;
+};
 
 // Admin authentication middleware
 const adminAuth = async (req, res, next) => {
     try {
-        // Get admin address from headers
-        const adminAddress = req.headers['x-admin-address'];
-
-        if (!adminAddress) {
-            return res.status(401).json({
-                error: 'Unauthorized access',
-                message: 'Admin address required in x-admin-address header'
-            });
-        }
+        const token = getSessionToken(req);
 
-        // Validate address format
-        if (!ethers.isAddress(adminAddress)) {
-            return res.status(401).json({
-                error: 'Unauthorized access',
-                message: 'Invalid admin address format'
-            });
+        if (!token) {
+            return sendError(res, 401, 'ADMIN_SESSION_REQUIRED', 'Admin session token required in Authorization header');
         }
 
-        // Use hardcoded admin address from environment
-        const authorizedAdmin = process.env.ADMIN_ADDRESS;
-
-        // Check if provided address matches authorized admin
-        if (adminAddress.toLowerCase() !== authorizedAdmin.toLowerCase()) {
-            return res.status(403).json({
-                error: 'Unauthorized access',
-                message: 'Address is not authorized as admin'
-            });
-        }
+        const session = await adminAuthService.verifySessionToken(token);
 
-        // Add admin address to request for later use
-        req.adminAddress = adminAddress;
+        // Add admin identity, role and jurisdiction to request for later use
+        req.adminAddress = session.sub;
+        req.admin = session.admin;
+        req.adminSession = session;
         next();
 
     } catch (error) {
+        if (error instanceof AdminAuthError) {
+            return sendError(res, error.statusCode, 'ADMIN_AUTH_FAILED', error.message);
+        }
+
         console.error('Admin authentication error:', error);
-        res.status(500).json({
-            error: 'Authentication failed',
-            message: 'Unable to verify admin status'
-        });
+        sendError(res, 500, 'AUTH_ERROR', 'Unable to verify admin status');
+    }
+};
+
+// Same as adminAuth, but lets anonymous requests through without req.adminAddress
+const optionalAdminAuth = async (req, res, next) => {
+    if (!getSessionToken(req)) {
+        return next();
     }
+    return adminAuth(req, res, next);
 };
 
 module.exports = adminAuth;
+module.exports.optionalAdminAuth = optionalAdminAuth;
@@ -0,0 +1,22 @@
+const { sendError } = require('../utils/apiError');
+
+// Permission check for admin routes. Must run after adminAuth, which sets req.admin.
+const requirePermission = (permission) => {
+    const check = (req, res, next) => {
+        if (!req.admin) {
+            return sendError(res, 401, 'ADMIN_SESSION_REQUIRED', 'Admin session required');
+        }
+
+        if (!req.admin.hasPermission(permission)) {
+            return sendError(res, 403, 'PERMISSION_DENIED', `Role ${req.admin.role} does not have ${permission} permission`);
+        }
+
+        next();
+    };
+
+    // Read back by utils/openapi.js to describe the route
+    check.permission = permission;
+    return check;
+};
+
+module.exports = requirePermission;
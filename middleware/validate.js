@@ -0,0 +1,32 @@
+const { validateRequest } = require('../utils/schemaValidator');
+const { sendError } = require('../utils/apiError');
+
+// Check the request against a route schema from schemas/*.js before the
+// handler runs. On failure every problem is returned at once:
+//
+//   400 { "error": "Request validation failed", "code": "VALIDATION_FAILED",
+//         "details": [{ "in": "body", "field": "dob", "code": "INVALID_DATE", "message": "..." }] }
+//
+// On success the handler sees the canonical values (coerced query numbers,
+// defaults, normalized Aadhaar numbers). Headers are only checked; read them
+// with req.get().
+const validate = (routeSchema) => {
+  const middleware = (req, res, next) => {
+    const { errors, values } = validateRequest(routeSchema, req);
+
+    if (errors.length > 0) {
+      return sendError(res, 400, 'VALIDATION_FAILED', 'Request validation failed', errors);
+    }
+
+    if (values.params) Object.assign(req.params, values.params);
+    if (values.query) req.query = values.query;
+    if (values.body) req.body = values.body;
+    next();
+  };
+
+  // Read back by utils/openapi.js to describe the route
+  middleware.schema = routeSchema;
+  return middleware;
+};
+
+module.exports = validate;
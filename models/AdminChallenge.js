@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One-time login challenges issued to admin wallets. Each nonce can be
+// signed and redeemed exactly once before it expires.
+const AdminChallengeSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge expired challenges on its own
+AdminChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+AdminChallengeSchema.index({ address: 1, nonce: 1 });
+
+module.exports = mongoose.model('AdminChallenge', AdminChallengeSchema);
@@ -9,7 +9,17 @@ const AdminLogSchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['VERIFY_VOTER', 'REJECT_VOTER', 'CHANGE_REGISTRATION_STATUS', 'OTHER'],
+    enum: [
+      'VERIFY_VOTER', 'VERIFY_VOTER_BY_AADHAR', 'REJECT_VOTER', 'REVOKE_VOTER', 'REMOVE_VOTER',
+      'CHANGE_REGISTRATION_STATUS',
+      'ADMIN_LOGIN', 'CREATE_ADMIN_USER', 'UPDATE_ADMIN_USER',
+      'GRANT_CONTRACT_ROLE', 'REVOKE_CONTRACT_ROLE', 'TRANSFER_CONTRACT_ADMIN', 'PAUSE_CONTRACT',
+      'CREATE_ELECTION', 'ADD_CANDIDATE', 'CAST_BALLOT',
+      // ROTATE_VOTER_WALLET and SIGN_WITH_VOTER_WALLET only appear in old entries
+      'RESEAL_VOTER_WALLET', 'ROTATE_VOTER_WALLET', 'SIGN_WITH_VOTER_WALLET', 'RECONCILE_CHAIN',
+      'UPLOAD_VOTER_DOCUMENT', 'VIEW_VOTER_DOCUMENT',
+      'ASSIGN_REVIEW', 'UPDATE_REVIEW_CHECKLIST', 'REQUEST_DOCUMENT_REUPLOAD', 'OTHER'
+    ],
     trim: true
   },
   description: {
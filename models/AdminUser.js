@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Election officer roles, from widest to narrowest jurisdiction
+const ROLES = {
+  SUPER_ADMIN: 'SUPER_ADMIN',
+  STATE_ADMIN: 'STATE_ADMIN',
+  DISTRICT_OFFICER: 'DISTRICT_OFFICER',
+  BOOTH_OFFICER: 'BOOTH_OFFICER'
+};
+
+// What each role is allowed to do. Voter-facing permissions are further
+// limited to the officer's jurisdiction (see utils/adminScope.js).
+const ROLE_PERMISSIONS = {
+  SUPER_ADMIN: ['VIEW_VOTERS', 'VIEW_VOTER_DOCUMENTS', 'VERIFY_VOTERS', 'REMOVE_VOTERS', 'GENERATE_VOTING_QR', 'CONDUCT_VOTING', 'VIEW_STATS', 'VIEW_NATIONAL_STATS', 'MANAGE_ADMINS', 'MANAGE_CONTRACT', 'MANAGE_ELECTIONS', 'MANAGE_WALLETS', 'VIEW_LOGS'],
+  STATE_ADMIN: ['VIEW_VOTERS', 'VIEW_VOTER_DOCUMENTS', 'VERIFY_VOTERS', 'REMOVE_VOTERS', 'GENERATE_VOTING_QR', 'CONDUCT_VOTING', 'VIEW_STATS', 'MANAGE_ADMINS'],
+  DISTRICT_OFFICER: ['VIEW_VOTERS', 'VIEW_VOTER_DOCUMENTS', 'VERIFY_VOTERS', 'REMOVE_VOTERS', 'GENERATE_VOTING_QR', 'CONDUCT_VOTING', 'VIEW_STATS'],
+  BOOTH_OFFICER: ['VIEW_VOTERS', 'GENERATE_VOTING_QR', 'CONDUCT_VOTING']
+};
+
+const AdminUserSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: Object.values(ROLES)
+  },
+  // Jurisdiction the officer is limited to. `district` uses the same
+  // "City, State" format stored on Voter.district.
+  jurisdiction: {
+    state: {
+      type: String,
+      trim: true
+    },
+    district: {
+      type: String,
+      trim: true
+    },
+    booth: {
+      type: String,
+      trim: true
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+AdminUserSchema.index({ role: 1 });
+AdminUserSchema.index({ 'jurisdiction.state': 1, 'jurisdiction.district': 1 });
+
+// Make sure every scoped role carries the jurisdiction it is scoped to
+AdminUserSchema.pre('validate', function (next) {
+  const { state, district } = this.jurisdiction || {};
+
+  if (this.role !== ROLES.SUPER_ADMIN && !state) {
+    return next(new Error(`${this.role} requires jurisdiction.state`));
+  }
+  if ((this.role === ROLES.DISTRICT_OFFICER || this.role === ROLES.BOOTH_OFFICER) && !district) {
+    return next(new Error(`${this.role} requires jurisdiction.district`));
+  }
+  next();
+});
+
+AdminUserSchema.methods.hasPermission = function (permission) {
+  return (ROLE_PERMISSIONS[this.role] || []).includes(permission);
+};
+
+AdminUserSchema.statics.ROLES = ROLES;
+AdminUserSchema.statics.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = mongoose.model('AdminUser', AdminUserSchema);
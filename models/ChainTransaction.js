@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Every contract write the backend sends, from queueing to its final status.
+// Replacements (same nonce, higher fees) are kept as extra attempts; `hash` is
+// the attempt that was finally mined.
+const ChainTransactionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Contract method, e.g. "registerVoterByAdmin"
+  method: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: String,
+    default: '0'
+  },
+  // Server instance that queued it (see services/txQueueService.js resume())
+  owner: {
+    type: String
+  },
+  // Caller context such as the voter address, for lookups and reconciliation
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['QUEUED', 'SENT', 'CONFIRMED', 'FAILED'],
+    default: 'QUEUED'
+  },
+  chainId: {
+    type: String
+  },
+  nonce: {
+    type: Number
+  },
+  gasLimit: {
+    type: String
+  },
+  attempts: [{
+    hash: String,
+    maxFeePerGas: String,
+    maxPriorityFeePerGas: String,
+    gasPrice: String,
+    sentAt: Date
+  }],
+  hash: {
+    type: String
+  },
+  blockNumber: {
+    type: Number
+  },
+  gasUsed: {
+    type: String
+  },
+  // Why the transaction failed: SIMULATION_REVERTED, ESTIMATE_FAILED,
+  // SEND_FAILED, REVERTED, DROPPED or INTERRUPTED
+  failureReason: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  finalizedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ChainTransactionSchema.index({ status: 1, createdAt: -1 });
+ChainTransactionSchema.index({ 'attempts.hash': 1 });
+ChainTransactionSchema.index({ from: 1, nonce: 1 });
+
+module.exports = mongoose.model('ChainTransaction', ChainTransactionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A voter as the VoterID contract sees it, built from its events by
+// services/eventIndexerService.js. Includes addresses registered directly
+// against the contract that have no Voter record.
+const ChainVoterSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // The matching Voter record, if the backend has one
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voter',
+    default: null
+  },
+  nameHash: {
+    type: String
+  },
+  aadharHash: {
+    type: String
+  },
+  registeredAt: {
+    type: Date
+  },
+  registrationTxHash: {
+    type: String
+  },
+  registrationBlock: {
+    type: Number
+  },
+  // Lifecycle status from the latest VoterVerified/Rejected/Revoked/Removed event
+  status: {
+    type: String,
+    enum: ['PENDING', 'VERIFIED', 'REJECTED', 'REVOKED', 'REMOVED'],
+    default: 'PENDING'
+  },
+  verifiedAt: {
+    type: Date
+  },
+  verificationTxHash: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+ChainVoterSchema.index({ status: 1 });
+ChainVoterSchema.index({ voter: 1 });
+
+module.exports = mongoose.model('ChainVoter', ChainVoterSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Review of a voter's identity documents before verification
+// (services/reviewService.js). One per voter; `history` keeps every step.
+const REVIEW_STATUSES = ['PENDING', 'IN_REVIEW', 'NEEDS_MORE_INFO', 'APPROVED', 'REJECTED'];
+
+// Checks the officer records against the uploaded Aadhaar card. All of them
+// must pass before the voter can be approved.
+const CHECKLIST_ITEMS = [
+  'DOCUMENT_LEGIBLE',
+  'NOT_TAMPERED',
+  'NAME_MATCHES',
+  'AADHAAR_NUMBER_MATCHES',
+  'DOB_MATCHES',
+  'PHOTO_PRESENT'
+];
+
+const DocumentReviewSchema = new mongoose.Schema({
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voter',
+    required: true,
+    unique: true
+  },
+  voterAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Copied from the voter so the queue can be limited to an officer's jurisdiction
+  state: {
+    type: String
+  },
+  district: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'PENDING'
+  },
+  // Document under review; replaced when the voter uploads a new one
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VoterDocument',
+    default: null
+  },
+  assignedTo: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  assignedBy: String,
+  assignedAt: Date,
+  checklist: [{
+    _id: false,
+    item: {
+      type: String,
+      enum: CHECKLIST_ITEMS,
+      required: true
+    },
+    result: {
+      type: String,
+      enum: ['PASS', 'FAIL'],
+      required: true
+    },
+    notes: String,
+    checkedBy: String,
+    checkedAt: Date
+  }],
+  // Outstanding request for the voter to upload a new document. Only a hash
+  // of the one-time token is stored.
+  reuploadRequest: {
+    tokenHash: String,
+    reason: String,
+    notes: String,
+    requestedBy: String,
+    requestedAt: Date,
+    expiresAt: Date,
+    fulfilledAt: Date
+  },
+  decision: {
+    status: String,
+    reasonCode: String,
+    notes: String,
+    decidedBy: String,
+    decidedAt: Date,
+    txHash: String
+  },
+  history: [{
+    _id: false,
+    // e.g. OPENED, ASSIGNED, CHECKLIST_UPDATED, REUPLOAD_REQUESTED,
+    // DOCUMENT_REPLACED, APPROVED, REJECTED, DECIDED_OUTSIDE_REVIEW
+    action: {
+      type: String,
+      required: true
+    },
+    fromStatus: String,
+    toStatus: String,
+    // Admin address, or "voter" for re-uploads
+    by: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String,
+    details: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: true
+});
+
+DocumentReviewSchema.index({ status: 1, state: 1, district: 1, createdAt: 1 });
+DocumentReviewSchema.index({ assignedTo: 1, status: 1 });
+DocumentReviewSchema.index({ 'reuploadRequest.tokenHash': 1 }, { sparse: true });
+
+DocumentReviewSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+DocumentReviewSchema.statics.CHECKLIST_ITEMS = CHECKLIST_ITEMS;
+
+module.exports = mongoose.model('DocumentReview', DocumentReviewSchema);
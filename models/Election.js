@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Off-chain record of an election. Several elections can run side by side
+// (e.g. a general election and a district by-election); voters take part in
+// each one through an ElectionParticipation record.
+const ElectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['GENERAL', 'STATE', 'BY_ELECTION', 'LOCAL'],
+    default: 'GENERAL'
+  },
+  // Limits who may vote. Empty means nationwide; `district` uses the same
+  // "City, State" format stored on Voter.district.
+  jurisdiction: {
+    state: {
+      type: String,
+      trim: true
+    },
+    district: {
+      type: String,
+      trim: true
+    }
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  // Id of the matching election in contracts/Election.sol, if it was created on-chain
+  chainElectionId: {
+    type: Number
+  },
+  txHash: {
+    type: String
+  },
+  candidates: [{
+    candidateId: Number,
+    name: String,
+    party: String,
+    txHash: String
+  }],
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+ElectionSchema.index({ startTime: 1, endTime: 1 });
+ElectionSchema.index({ chainElectionId: 1 }, { unique: true, sparse: true });
+
+ElectionSchema.pre('validate', function (next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    return next(new Error('endTime must be after startTime'));
+  }
+  next();
+});
+
+ElectionSchema.methods.isOpen = function (at = new Date()) {
+  return at >= this.startTime && at <= this.endTime;
+};
+
+// Whether a voter lives inside the election's jurisdiction
+ElectionSchema.methods.coversVoter = function (voter) {
+  const { state, district } = this.jurisdiction || {};
+  if (state && voter.state !== state) {
+    return false;
+  }
+  if (district && voter.district !== district) {
+    return false;
+  }
+  return true;
+};
+
+module.exports = mongoose.model('Election', ElectionSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// One record per voter per election: the voting QR issued for that election
+// and whether, where and when the voter voted.
+const ElectionParticipationSchema = new mongoose.Schema({
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voter',
+    required: true
+  },
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  voterAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Copied from the voter so turnout can be scoped to an officer's jurisdiction
+  state: {
+    type: String
+  },
+  district: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['QR_ISSUED', 'VOTED'],
+    default: 'QR_ISSUED'
+  },
+  qrCode: {
+    // Random id embedded in the signed QR payload; only the latest code for
+    // this election matches
+    qrId: String,
+    // Legacy permanent Firebase link; downloads now use signed URLs for fileName
+    firebaseUrl: String,
+    fileName: String,
+    generatedAt: Date,
+    expiresAt: Date,
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  booth: {
+    type: String,
+    trim: true
+  },
+  votedAt: {
+    type: Date
+  },
+  // Scanner device and officer that recorded the vote, and the ballot
+  // transaction if it was cast on-chain
+  scannerId: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: String
+  },
+  ballotTxHash: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+ElectionParticipationSchema.index({ voter: 1, election: 1 }, { unique: true });
+ElectionParticipationSchema.index({ election: 1, status: 1, state: 1, district: 1 });
+ElectionParticipationSchema.index({ voterAddress: 1 });
+
+// Atomically mark the vote as cast. Only matches while the voter has not voted
+// and the presented QR code is still the active one, so concurrent scans of the
+// same code cannot both succeed. Resolves to null when nothing matched.
+ElectionParticipationSchema.statics.claimVote = function (voterId, electionId, qrId, { booth, scannerId, recordedBy } = {}) {
+  const update = {
+    status: 'VOTED',
+    votedAt: new Date(),
+    'qrCode.isActive': false
+  };
+  if (booth) update.booth = booth;
+  if (scannerId) update.scannerId = scannerId;
+  if (recordedBy) update.recordedBy = recordedBy;
+
+  return this.findOneAndUpdate(
+    {
+      voter: voterId,
+      election: electionId,
+      status: { $ne: 'VOTED' },
+      'qrCode.isActive': true,
+      'qrCode.qrId': qrId
+    },
+    { $set: update },
+    { new: true }
+  );
+};
+
+// Undo claimVote when the ballot could not be recorded on-chain
+ElectionParticipationSchema.statics.releaseVote = function (participationId) {
+  return this.updateOne(
+    { _id: participationId, status: 'VOTED', ballotTxHash: { $exists: false } },
+    {
+      $set: { status: 'QR_ISSUED', 'qrCode.isActive': true },
+      $unset: { votedAt: '', scannerId: '', recordedBy: '' }
+    }
+  );
+};
+
+module.exports = mongoose.model('ElectionParticipation', ElectionParticipationSchema);
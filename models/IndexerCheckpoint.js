@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// How far an event indexer has processed a contract's logs. blockHash is
+// kept to notice a reorg deeper than the confirmation depth.
+const IndexerCheckpointSchema = new mongoose.Schema({
+  // e.g. "VoterID"
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Last block whose events have been applied
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('IndexerCheckpoint', IndexerCheckpointSchema);
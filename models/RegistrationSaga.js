@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// One voter registration from request to outcome (see
+// services/registrationSagaService.js). The chain and MongoDB writes are
+// separate steps, so a registration that stopped half-way can be finished
+// (or undone) later instead of leaving an Aadhaar hash on-chain without a
+// voter record.
+const RegistrationSagaSchema = new mongoose.Schema({
+  // Idempotency-Key header of the request that started it, if any
+  idempotencyKey: {
+    type: String,
+    trim: true
+  },
+  // 'wallet' (POST /api/voters/register) or 'aadhar' (POST /api/voters/register-aadhar)
+  route: {
+    type: String,
+    enum: ['wallet', 'aadhar'],
+    required: true
+  },
+  // HMAC of the route and validated body; a key may only be replayed with
+  // the same request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  aadharIndex: {
+    type: String,
+    required: true
+  },
+  // Set until the saga completes or is compensated; at most one open saga
+  // per Aadhaar number
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Id of the Voter the saga creates, chosen up front
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  blockchainAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  aadharDocument: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Prepared Voter fields (encrypted profile, hashes) and, for the aadhar
+  // route, the sealed custody key. Cleared when the saga ends.
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // IN_PROGRESS -> COMPLETED, or IN_PROGRESS -> COMPENSATING -> COMPENSATED
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPENSATING', 'COMPLETED', 'COMPENSATED'],
+    default: 'IN_PROGRESS'
+  },
+  // Last step done: STARTED, DOCUMENT_CLAIMED, CHAIN_SUBMITTED, VOTER_SAVED
+  // or WALLET_STORED. Walks back while compensating.
+  step: {
+    type: String,
+    enum: ['STARTED', 'DOCUMENT_CLAIMED', 'CHAIN_SUBMITTED', 'VOTER_SAVED', 'WALLET_STORED'],
+    default: 'STARTED'
+  },
+  chain: {
+    // REGISTERED, or SKIPPED when the write failed and is left to the reconciler
+    status: String,
+    txHash: String,
+    error: String
+  },
+  // Response sent when the saga ended, replayed for the same Idempotency-Key
+  response: {
+    status: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  // Why the last attempt stopped before the saga ended
+  lastError: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Lease held by the request or job running the saga
+  lockedUntil: {
+    type: Date
+  },
+  history: [{
+    _id: false,
+    // Step reached, or e.g. "VOTER_SAVED undone", COMPLETED, COMPENSATED
+    step: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    note: String
+  }],
+  // Ended sagas are removed after REGISTRATION_SAGA_RETENTION_HOURS
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+RegistrationSagaSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+RegistrationSagaSchema.index({ aadharIndex: 1 }, { unique: true, partialFilterExpression: { active: true } });
+RegistrationSagaSchema.index({ active: 1, lockedUntil: 1 });
+RegistrationSagaSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RegistrationSaga', RegistrationSagaSchema);
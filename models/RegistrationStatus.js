@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Each RegistrationStatusChanged event of the VoterID contract; the latest
+// one is whether registration is currently open on-chain
+const RegistrationStatusSchema = new mongoose.Schema({
+  isOpen: {
+    type: Boolean,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  transactionHash: {
+    type: String,
+    required: true
+  },
+  changedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+RegistrationStatusSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+RegistrationStatusSchema.index({ blockNumber: -1, logIndex: -1 });
+
+module.exports = mongoose.model('RegistrationStatus', RegistrationStatusSchema);
@@ -18,10 +18,10 @@ const VoterSchema = new mongoose.Schema({
     type: Object,
     required: true
   },
-  // Raw data (temporary, for debugging purposes)
-  rawData: {
-    name: String,
-    aadharNumber: String  // No unique constraint here, we'll use manual indexing
+  // HMAC blind index of the Aadhaar number (see utils/crypto.js createAadharIndex).
+  // The number itself only exists inside encryptedData.
+  aadharIndex: {
+    type: String
   },
   // Blockchain-related data (will be used later)
   blockchain: {
@@ -36,15 +36,20 @@ const VoterSchema = new mongoose.Schema({
   district: {
     type: String
   },
+  // Used together with district to scope what election officers can see
+  state: {
+    type: String
+  },
   gender: {
     type: String
   },
   dob: {
     type: Date
   },
-  // Document information
-  aadharImage: {
-    type: String
+  // Encrypted Aadhaar card upload (models/VoterDocument.js)
+  aadharDocument: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VoterDocument'
   },
   // Status information
   isVerified: {
@@ -61,11 +66,47 @@ const VoterSchema = new mongoose.Schema({
   verifiedBy: {
     type: String
   },
+  // Lifecycle status, mirrors VoterStatus in the contract
+  status: {
+    type: String,
+    enum: ['PENDING', 'VERIFIED', 'REJECTED', 'REVOKED', 'REMOVED'],
+    default: 'PENDING'
+  },
+  // Why the voter was last rejected, revoked or removed
+  statusReason: {
+    code: String,
+    notes: String,
+    changedBy: String,
+    changedAt: Date,
+    txHash: String
+  },
+  // Last comparison with the VoterID contract (services/reconciliationService.js)
+  chainSync: {
+    status: {
+      type: String,
+      enum: ['IN_SYNC', 'RETRYING', 'DRIFT']
+    },
+    // e.g. NOT_REGISTERED, HASH_MISMATCH, STATUS_MISMATCH, FAILED_RECEIPT
+    issues: [String],
+    // What the contract reported at that check
+    chain: {
+      registered: Boolean,
+      isVerified: Boolean,
+      status: String
+    },
+    repairAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String,
+    lastCheckedAt: Date
+  },
   // Add QR code fields
   qrCode: {
     nameHash: String,
     aadharHash: String,
     txHash: String,
+    // Legacy permanent Firebase link; downloads now use signed URLs for fileName
     firebaseUrl: String,
     fileName: String,
     generatedAt: Date,
@@ -74,24 +115,26 @@ const VoterSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     }
-  },
-  // Add voting status
-  isVoted: {
-    type: Boolean,
-    default: false
-  },
-  votingDate: {
-    type: Date
   }
+  // Voting status is tracked per election in ElectionParticipation
 }, schemaOptions);
 
+// Records created before the status field only carry isVerified
+VoterSchema.methods.getCurrentStatus = function () {
+  if (this.status === 'PENDING' && this.isVerified) {
+    return 'VERIFIED';
+  }
+  return this.status || (this.isVerified ? 'VERIFIED' : 'PENDING');
+};
+
 // Manually create indexes for faster queries and uniqueness constraints
 VoterSchema.index({ blockchainAddress: 1 }, { unique: true });
-VoterSchema.index({ 'rawData.aadharNumber': 1 }, { unique: true, sparse: true });
+VoterSchema.index({ aadharIndex: 1 }, { unique: true, sparse: true });
 VoterSchema.index({ isVerified: 1 });
+VoterSchema.index({ status: 1 });
+VoterSchema.index({ state: 1, district: 1 });
 VoterSchema.index({ 'qrCode.aadharHash': 1 }, { sparse: true });
-// Add index for voting status
-VoterSchema.index({ isVoted: 1 });
 VoterSchema.index({ 'qrCode.expiresAt': 1 });
+VoterSchema.index({ 'chainSync.status': 1, 'chainSync.lastCheckedAt': 1 });
 
 module.exports = mongoose.model('Voter', VoterSchema);
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Per-file key sealed with keyring key `kid`, plus the file's own IV and tag
+const encryptionFields = {
+  alg: { type: String, required: true },
+  kid: { type: String, required: true },
+  wrappedKey: { type: String, required: true },
+  keyIv: { type: String, required: true },
+  keyTag: { type: String, required: true },
+  iv: { type: String, required: true },
+  tag: { type: String, required: true }
+};
+
+// An identity document uploaded for a voter. The file is stored encrypted
+// (see utils/crypto.js encryptFile) under storageKey; it is only ever served
+// decrypted through the admin documents endpoint, which logs every view.
+const VoterDocumentSchema = new mongoose.Schema({
+  // Set once the document is attached to a registration
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voter',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['AADHAR_CARD'],
+    default: 'AADHAR_CARD'
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Of the decrypted file; the stored object is opaque ciphertext. Images
+  // are re-encoded on upload (utils/uploadValidation.js), so this is the
+  // normalized JPEG rather than what was sent.
+  contentType: {
+    type: String,
+    required: true
+  },
+  // Type detected from the uploaded bytes
+  sourceType: {
+    type: String
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  encryption: encryptionFields,
+  // Small preview for the review screen, encrypted the same way (images only)
+  thumbnail: {
+    storageKey: String,
+    contentType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    encryption: {
+      type: new mongoose.Schema(encryptionFields, { _id: false }),
+      default: undefined
+    }
+  },
+  uploadedBy: {
+    type: String,
+    trim: true
+  },
+  linkedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+VoterDocumentSchema.index({ voter: 1, type: 1 });
+VoterDocumentSchema.index({ 'encryption.kid': 1 });
+
+module.exports = mongoose.model('VoterDocument', VoterDocumentSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Custody record for the wallet the backend holds on behalf of an
+// Aadhaar-registered voter. The private key is only ever stored sealed
+// (see services/walletService.js) and never leaves the service in clear.
+const VoterWalletSchema = new mongoose.Schema({
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voter',
+    required: true,
+    unique: true
+  },
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // AES-256-GCM record; kid names the master seed the key was sealed under
+  sealedKey: {
+    alg: { type: String, required: true },
+    kid: { type: String, required: true },
+    iv: { type: String, required: true },
+    tag: { type: String, required: true },
+    data: { type: String, required: true }
+  },
+  // RANDOM for new wallets, LEGACY_SHA256 for keys imported from the old
+  // Aadhaar + salt derivation (anyone holding WALLET_SALT can recompute those)
+  origin: {
+    type: String,
+    enum: ['RANDOM', 'LEGACY_SHA256'],
+    default: 'RANDOM'
+  },
+  sealedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+VoterWalletSchema.index({ 'sealedKey.kid': 1 });
+
+module.exports = mongoose.model('VoterWallet', VoterWalletSchema);
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/admin');
 const {
   getDashboardStats,
   getAllVoters,
@@ -9,30 +12,34 @@ const {
   getHistoricalStats,
   getStateDistribution
 } = require('../controllers/adminController');
+const {
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser
+} = require('../controllers/adminUserController');
+const {
+  getChainDrift,
+  reconcileChain
+} = require('../controllers/chainSyncController');
+const {
+  listVoterDocuments,
+  getVoterDocument,
+  getVoterDocumentThumbnail
+} = require('../controllers/documentController');
+const {
+  listReviews,
+  getReview,
+  assignReview,
+  updateChecklist,
+  requestReupload,
+  decideReview
+} = require('../controllers/reviewController');
 
 // Apply admin authentication to all routes
 router.use(adminAuth);
 
-// Dashboard statistics
-router.get('/stats', async (req, res) => {
-  try {
-    const stats = await getDashboardStats();
-
-    res.json({
-      totalVoters: stats.totalVoters || 0,
-      verifiedVoters: stats.verifiedVoters || 0,
-      pendingVerification: stats.pendingVerification || 0,
-      // ...existing response data...
-    });
-
-  } catch (error) {
-    console.error('Error fetching admin stats:', error);
-    res.status(500).json({
-      error: 'Failed to fetch statistics',
-      details: error.message
-    });
-  }
-});
+// Dashboard statistics, limited to the admin's jurisdiction
+router.get('/stats', requirePermission('VIEW_STATS'), getDashboardStats);
 
 // Add health check endpoint
 router.get('/health', (req, res) => {
@@ -40,18 +47,41 @@ router.get('/health', (req, res) => {
 });
 
 // Get all voters with pagination
-router.get('/voters', getAllVoters);
+router.get('/voters', requirePermission('VIEW_VOTERS'), validate(schemas.listVoters), getAllVoters);
 
 // Get specific voter by address
-router.get('/voters/:address', getVoterByAddress);
+router.get('/voters/:address', requirePermission('VIEW_VOTERS'), validate(schemas.getVoter), getVoterByAddress);
+
+// Encrypted identity documents; each view is recorded in the admin log
+router.get('/voters/:address/documents', requirePermission('VIEW_VOTER_DOCUMENTS'), validate(schemas.listDocuments), listVoterDocuments);
+router.get('/voters/:address/documents/:documentId', requirePermission('VIEW_VOTER_DOCUMENTS'), validate(schemas.getDocument), getVoterDocument);
+router.get('/voters/:address/documents/:documentId/thumbnail', requirePermission('VIEW_VOTER_DOCUMENTS'), validate(schemas.getDocumentThumbnail), getVoterDocumentThumbnail);
+
+// Document review queue: assign, fill in the checklist, ask for a new
+// document, then approve or reject the voter
+router.get('/reviews', requirePermission('VERIFY_VOTERS'), validate(schemas.listReviews), listReviews);
+router.get('/reviews/:address', requirePermission('VERIFY_VOTERS'), validate(schemas.getReview), getReview);
+router.post('/reviews/:address/assign', requirePermission('VERIFY_VOTERS'), validate(schemas.assignReview), assignReview);
+router.put('/reviews/:address/checklist', requirePermission('VERIFY_VOTERS'), validate(schemas.updateChecklist), updateChecklist);
+router.post('/reviews/:address/request-reupload', requirePermission('VERIFY_VOTERS'), validate(schemas.requestReupload), requestReupload);
+router.post('/reviews/:address/decision', requirePermission('VERIFY_VOTERS'), validate(schemas.decideReview), decideReview);
 
 // Get admin activity logs
-router.get('/logs', getAdminLogs);
+router.get('/logs', requirePermission('VIEW_LOGS'), validate(schemas.listLogs), getAdminLogs);
 
-// Get historical statistics
-router.get('/stats/historical', getHistoricalStats);
+// Get historical statistics (country-wide snapshots only)
+router.get('/stats/historical', requirePermission('VIEW_NATIONAL_STATS'), validate(schemas.historicalStats), getHistoricalStats);
 
 // Get state-wise distribution
-router.get('/stats/states', getStateDistribution);
+router.get('/stats/states', requirePermission('VIEW_STATS'), getStateDistribution);
+
+// Manage state admins, district returning officers and booth officers
+router.get('/users', requirePermission('MANAGE_ADMINS'), validate(schemas.listUsers), listAdminUsers);
+router.post('/users', requirePermission('MANAGE_ADMINS'), validate(schemas.createUser), createAdminUser);
+router.patch('/users/:address', requirePermission('MANAGE_ADMINS'), validate(schemas.updateUser), updateAdminUser);
+
+// Differences between voter records and the VoterID contract
+router.get('/chain-drift', requirePermission('VIEW_STATS'), validate(schemas.chainDrift), getChainDrift);
+router.post('/chain-drift/reconcile', requirePermission('MANAGE_CONTRACT'), validate(schemas.reconcileChain), reconcileChain);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const {
+  requestChallenge,
+  login,
+  getSession
+} = require('../controllers/authController');
+
+// Get a one-time message for the admin wallet to sign
+router.post('/challenge', validate(schemas.challenge), requestChallenge);
+
+// Submit the signed message and receive a session token
+router.post('/login', validate(schemas.login), login);
+
+// Inspect the current admin session
+router.get('/session', adminAuth, getSession);
+
+module.exports = router;
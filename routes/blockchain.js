@@ -1,62 +1,44 @@
 const express = require("express");
 const router = express.Router();
+const adminAuth = require("../middleware/adminAuth");
+const requirePermission = require("../middleware/requirePermission");
+const validate = require("../middleware/validate");
+const schemas = require("../schemas/blockchain");
 const {
   registerVoter,
   verifyVoter,
   checkVoterStatus,
   getVoterDetails,
-  setRegistrationStatus
+  setRegistrationStatus,
+  prepareVerifyVoter,
+  CONTRACT_ROLES,
+  getRoles,
+  grantRole,
+  revokeRole,
+  getAdminInfo,
+  transferAdmin,
+  setPaused
 } = require("../utils/blockchain");
-const { ethers } = require("ethers");
-
-// Middleware to check if the request comes from an admin
-const isAdmin = async (req, res, next) => {
-  try {
-    const adminAddress = process.env.ADMIN_ADDRESS;
-    if (!adminAddress) {
-      return res.status(500).json({ error: "Admin address not configured" });
-    }
-
-    const providedAdmin = req.headers['x-admin-address'] || req.query.adminAddress || req.body.adminAddress;
-
-    // Check if the sender address matches the admin address
-    if (providedAdmin && providedAdmin.toLowerCase() === adminAddress.toLowerCase()) {
-      next();
-    } else {
-      return res.status(403).json({ error: "Unauthorized access" });
-    }
-  } catch (error) {
-    console.error("Admin check error:", error);
-    return res.status(500).json({ error: "Internal server error" });
-  }
-};
-
-// Register a new voter
-router.post("/register", async (req, res) => {
+const { logAdminActivity } = require("../controllers/adminController");
+const ChainTransaction = require("../models/ChainTransaction");
+const txQueue = require("../services/txQueueService");
+const { getNetworkName, getContractAddress } = require("../config/network");
+const { createBlockchainHashes } = require("../utils/crypto");
+const { sendContractError } = require("../utils/contractErrors");
+const { sendError } = require("../utils/apiError");
+
+// Register a voter directly on-chain (contract managers only). No Voter record
+// is written; voters register through /api/voters.
+router.post("/register", adminAuth, requirePermission("MANAGE_CONTRACT"), validate(schemas.register), async (req, res) => {
   try {
-    const { address, name, dob, voterIdHash, aadharNumber, residentialAddress } = req.body;
-
-    // Validate inputs
-    if (!address || !name || !dob || !voterIdHash || !aadharNumber || !residentialAddress) {
-      return res.status(400).json({ error: "All fields are required" });
-    }
-
-    // Validate address format
-    if (!ethers.isAddress(address)) {
-      return res.status(400).json({ error: "Invalid Ethereum address" });
-    }
+    // dob, voterIdHash and residentialAddress are validated but not stored:
+    // the contract only keeps the name and Aadhaar hashes
+    const { address, name, aadharNumber } = req.body;
 
-    // Convert DOB to timestamp if it's a date string
-    let dobTimestamp = dob;
-    if (typeof dob === 'string') {
-      dobTimestamp = Math.floor(new Date(dob).getTime() / 1000);
-      if (isNaN(dobTimestamp)) {
-        return res.status(400).json({ error: "Invalid date of birth format" });
-      }
-    }
+    const { nameHash, aadharHash } = createBlockchainHashes({ name, aadharNumber });
 
     // Call blockchain function to register voter
-    const tx = await registerVoter(address, name, dobTimestamp, voterIdHash, aadharNumber, residentialAddress);
+    const tx = await registerVoter(nameHash, aadharHash, address);
 
     res.status(201).json({
       message: "Voter registered successfully",
@@ -65,38 +47,15 @@ router.post("/register", async (req, res) => {
     });
   } catch (error) {
     console.error("Registration error:", error);
-
-    // Handle specific blockchain errors
-    if (error.message && error.message.includes("Already registered")) {
-      return res.status(409).json({ error: "Voter already registered" });
-    }
-
-    if (error.message && error.message.includes("registration is currently closed")) {
-      return res.status(403).json({ error: "Voter registration is currently closed" });
-    }
-
-    if (error.message && error.message.includes("Aadhar number already registered")) {
-      return res.status(409).json({ error: "Aadhar number already registered" });
-    }
-
-    if (error.message && error.message.includes("Voter ID already registered")) {
-      return res.status(409).json({ error: "Voter ID already registered" });
-    }
-
-    res.status(500).json({ error: "Registration failed", details: error.message });
+    sendContractError(res, error, "Registration failed");
   }
 });
 
-// Verify a voter (admin only)
-router.post("/verify", isAdmin, async (req, res) => {
+// Verify a voter directly on-chain (contract managers only - bypasses jurisdiction checks)
+router.post("/verify", adminAuth, requirePermission("MANAGE_CONTRACT"), validate(schemas.verify), async (req, res) => {
   try {
     const { voterAddress } = req.body;
 
-    // Validate address format
-    if (!voterAddress || !ethers.isAddress(voterAddress)) {
-      return res.status(400).json({ error: "Invalid Ethereum address" });
-    }
-
     // Call blockchain function to verify voter
     const tx = await verifyVoter(voterAddress);
 
@@ -107,50 +66,30 @@ router.post("/verify", isAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error("Verification error:", error);
-
-    // Handle specific blockchain errors
-    if (error.message && error.message.includes("Voter not registered")) {
-      return res.status(404).json({ error: "Voter not registered" });
-    }
-
-    if (error.message && error.message.includes("Voter already verified")) {
-      return res.status(409).json({ error: "Voter already verified" });
-    }
-
-    res.status(500).json({ error: "Verification failed", details: error.message });
+    sendContractError(res, error, "Verification failed");
   }
 });
 
 // Check voter status
-router.get("/status/:address", async (req, res) => {
+router.get("/status/:address", validate(schemas.status), async (req, res) => {
   try {
     const { address } = req.params;
 
-    // Validate address format
-    if (!address || !ethers.isAddress(address)) {
-      return res.status(400).json({ error: "Invalid Ethereum address" });
-    }
-
     // Call blockchain function to check voter status
     const isVerified = await checkVoterStatus(address);
 
     res.json({ address, isVerified });
   } catch (error) {
     console.error("Status check error:", error);
-    res.status(500).json({ error: "Status check failed", details: error.message });
+    sendError(res, 500, "INTERNAL_ERROR", "Status check failed");
   }
 });
 
 // Get voter details
-router.get("/details/:address", async (req, res) => {
+router.get("/details/:address", validate(schemas.details), async (req, res) => {
   try {
     const { address } = req.params;
 
-    // Validate address format
-    if (!address || !ethers.isAddress(address)) {
-      return res.status(400).json({ error: "Invalid Ethereum address" });
-    }
-
     // Call blockchain function to get voter details
     const details = await getVoterDetails(address);
 
@@ -166,19 +105,15 @@ router.get("/details/:address", async (req, res) => {
     res.json({ address, details: formattedDetails });
   } catch (error) {
     console.error("Details fetch error:", error);
-    res.status(500).json({ error: "Failed to fetch voter details", details: error.message });
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch voter details");
   }
 });
 
 // Set registration status (admin only)
-router.post("/registration-status", isAdmin, async (req, res) => {
+router.post("/registration-status", adminAuth, requirePermission("MANAGE_CONTRACT"), validate(schemas.registrationStatus), async (req, res) => {
   try {
     const { isOpen } = req.body;
 
-    if (typeof isOpen !== 'boolean') {
-      return res.status(400).json({ error: "isOpen parameter must be a boolean" });
-    }
-
     // Call blockchain function to set registration status
     const tx = await setRegistrationStatus(isOpen);
 
@@ -189,7 +124,190 @@ router.post("/registration-status", isAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error("Registration status update error:", error);
-    res.status(500).json({ error: "Failed to update registration status", details: error.message });
+    sendContractError(res, error, "Failed to update registration status");
+  }
+});
+
+// Unsigned verifyVoter transaction for an officer to sign with their own VERIFIER_ROLE key
+router.get("/verify-tx/:address", adminAuth, requirePermission("VERIFY_VOTERS"), validate(schemas.verifyTx), async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    const transaction = await prepareVerifyVoter(address);
+
+    res.json({ voterAddress: address, transaction });
+  } catch (error) {
+    console.error("Verification transaction build error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to build verification transaction");
+  }
+});
+
+// ========== On-chain officer roles ==========
+
+// List the officer roles an address holds on the contract
+router.get("/roles/:address", adminAuth, requirePermission("MANAGE_CONTRACT"), validate(schemas.roles), async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    const roles = await getRoles(address);
+
+    res.json({ address, roles });
+  } catch (error) {
+    console.error("Role lookup error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch roles");
+  }
+});
+
+// Grant or revoke REGISTRAR, VERIFIER or PAUSER for an officer's wallet
+const changeRole = (grant) => async (req, res) => {
+  const { role, account } = req.body;
+
+  try {
+    const tx = grant ? await grantRole(role, account) : await revokeRole(role, account);
+
+    await logAdminActivity(
+      req.adminAddress,
+      grant ? 'GRANT_CONTRACT_ROLE' : 'REVOKE_CONTRACT_ROLE',
+      `Admin ${grant ? 'granted' : 'revoked'} ${role} ${grant ? 'to' : 'from'} ${account}`,
+      account,
+      tx.hash,
+      'SUCCESS',
+      { role },
+      req.ip
+    );
+
+    res.json({
+      message: `${role} ${grant ? 'granted to' : 'revoked from'} ${account}`,
+      transactionHash: tx.hash,
+      blockNumber: tx.blockNumber
+    });
+  } catch (error) {
+    console.error("Role update error:", error);
+    sendContractError(res, error, "Failed to update role");
+  }
+};
+
+router.post("/roles/grant", adminAuth, requirePermission("MANAGE_CONTRACT"), validate(schemas.grantRole), changeRole(true));
+router.post("/roles/revoke", adminAuth, requirePermission("MANAGE_CONTRACT"), validate(schemas.revokeRole), changeRole(false));
+
+// Current contract admin, pending admin and pause state
+router.get("/admin", adminAuth, requirePermission("MANAGE_CONTRACT"), async (req, res) => {
+  try {
+    res.json(await getAdminInfo());
+  } catch (error) {
+    console.error("Contract admin lookup error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch contract admin");
+  }
+});
+
+// Nominate a new contract admin. The nominee must call acceptAdmin() from their own wallet.
+router.post("/admin/transfer", adminAuth, requirePermission("MANAGE_CONTRACT"), validate(schemas.transferAdmin), async (req, res) => {
+  try {
+    const { newAdmin } = req.body;
+
+    const tx = await transferAdmin(newAdmin);
+
+    await logAdminActivity(
+      req.adminAddress,
+      'TRANSFER_CONTRACT_ADMIN',
+      `Admin nominated ${newAdmin} as contract admin`,
+      newAdmin,
+      tx.hash,
+      'PENDING',
+      {},
+      req.ip
+    );
+
+    res.json({
+      message: `${newAdmin} nominated as contract admin. They must call acceptAdmin() to complete the handover.`,
+      transactionHash: tx.hash,
+      blockNumber: tx.blockNumber
+    });
+  } catch (error) {
+    console.error("Admin transfer error:", error);
+    sendContractError(res, error, "Failed to start admin transfer");
+  }
+});
+
+// Pause or unpause registration and verification on the contract
+router.post("/pause", adminAuth, requirePermission("MANAGE_CONTRACT"), validate(schemas.pause), async (req, res) => {
+  try {
+    const { paused } = req.body;
+
+    const tx = await setPaused(paused);
+
+    await logAdminActivity(
+      req.adminAddress,
+      'PAUSE_CONTRACT',
+      `Admin ${paused ? 'paused' : 'unpaused'} the contract`,
+      null,
+      tx.hash,
+      'SUCCESS',
+      { paused },
+      req.ip
+    );
+
+    res.json({
+      message: `Contract is now ${paused ? 'paused' : 'active'}`,
+      transactionHash: tx.hash,
+      blockNumber: tx.blockNumber
+    });
+  } catch (error) {
+    console.error("Pause update error:", error);
+    sendContractError(res, error, "Failed to update pause state");
+  }
+});
+
+// ========== Transaction queue ==========
+
+const formatTransaction = (record) => ({
+  transactionId: record._id,
+  method: record.method,
+  from: record.from,
+  to: record.to,
+  status: record.status,
+  failureReason: record.failureReason || null,
+  error: record.error || null,
+  nonce: record.nonce ?? null,
+  hash: record.hash || null,
+  attempts: record.attempts.map(({ hash, sentAt }) => ({ hash, sentAt })),
+  blockNumber: record.blockNumber ?? null,
+  gasUsed: record.gasUsed || null,
+  metadata: record.metadata,
+  createdAt: record.createdAt,
+  finalizedAt: record.finalizedAt || null
+});
+
+// Recent contract writes (?status=QUEUED|SENT|CONFIRMED|FAILED&method=&limit=)
+router.get("/transactions", adminAuth, requirePermission("MANAGE_CONTRACT"), validate(schemas.listTransactions), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.method) filter.method = req.query.method;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const records = await ChainTransaction.find(filter).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({ transactions: records.map(formatTransaction) });
+  } catch (error) {
+    console.error("Transaction list error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to list transactions");
+  }
+});
+
+// Lifecycle and final status of one write, by transaction id or any attempt's hash
+router.get("/transactions/:id", adminAuth, validate(schemas.getTransaction), async (req, res) => {
+  try {
+    const record = await txQueue.getTransaction(req.params.id);
+
+    if (!record) {
+      return sendError(res, 404, "TRANSACTION_NOT_FOUND", "Transaction not found");
+    }
+
+    res.json(formatTransaction(record));
+  } catch (error) {
+    console.error("Transaction lookup error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch transaction");
   }
 });
 
@@ -199,7 +317,8 @@ router.get('/health', async (req, res) => {
     res.status(200).json({
       status: 'OK',
       service: 'blockchain',
-      contractAddress: process.env.CONTRACT_ADDRESS || 'Not configured'
+      network: getNetworkName(),
+      contractAddress: getContractAddress() || 'Not configured'
     });
   } catch (error) {
     res.status(500).json({ status: 'Error', error: error.message });
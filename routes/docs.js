@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { sendError } = require('../utils/apiError');
+const { version } = require('../package.json');
+
+// Routers described by the OpenAPI document, mounted as in server.js
+const DOCUMENTED_ROUTES = [
+  { path: '/api/auth', file: './auth', tag: 'Auth', description: 'Admin wallet sign-in and sessions' },
+  { path: '/api/voters', file: './voters', tag: 'Voters', description: 'Registration, verification and voter lookups' },
+  { path: '/api/admin', file: './admin', tag: 'Admin', description: 'Officer dashboard, document review, logs and officer management' },
+  { path: '/api/elections', file: './elections', tag: 'Elections', description: 'Elections, candidates, ballots and results' },
+  { path: '/api/qrcode', file: './qrcode', tag: 'QR Codes', description: 'Identity and signed voting QR codes' },
+  { path: '/api/blockchain', file: './blockchain', tag: 'Blockchain', description: 'Direct access to the VoterID contract' },
+  { path: '/api/wallets', file: './wallets', tag: 'Wallets', description: 'Custody wallets of Aadhaar-registered voters' },
+  { path: '/api/upload', file: './upload', tag: 'Upload', description: 'Encrypted Aadhaar document uploads' },
+  { path: '/api/storage', file: './storage', tag: 'Storage', description: 'Signed, time-limited file downloads' },
+  { path: '/api/health', file: './health', tag: 'Health', description: 'Liveness and dependency checks' }
+];
+
+// Routes do not change while the server runs, so the document is built once
+let document = null;
+
+const getDocument = () => {
+  if (!document) {
+    document = buildOpenApiDocument({
+      info: {
+        title: 'MyVote Backend API',
+        version,
+        description: 'Voter registration and verification backed by the VoterID contract. ' +
+          'Admin endpoints take a session token from POST /api/auth/login.'
+      },
+      mounts: DOCUMENTED_ROUTES.map(({ file, ...mount }) => ({ ...mount, router: require(file) })),
+      operations: require('../schemas/operations')
+    });
+  }
+  return document;
+};
+
+// Machine-readable document, for client generators
+router.get('/openapi.json', (req, res) => {
+  try {
+    res.json(getDocument());
+  } catch (error) {
+    console.error('OpenAPI document error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to build the API document');
+  }
+});
+
+// Interactive explorer over the same document
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: 'MyVote API',
+  swaggerOptions: { url: '/api/openapi.json' }
+}));
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/elections');
+const {
+  listElections,
+  createElection,
+  addCandidate,
+  getElectionDetails,
+  getResults,
+  castVote
+} = require('../controllers/electionController');
+
+// List elections (?status=upcoming|active|ended)
+router.get('/', validate(schemas.list), listElections);
+
+// Create an election (admin only)
+router.post('/', adminAuth, requirePermission('MANAGE_ELECTIONS'), validate(schemas.create), createElection);
+
+// Add a candidate before polling opens (admin only)
+router.post('/:electionId/candidates', adminAuth, requirePermission('MANAGE_ELECTIONS'), validate(schemas.addCandidate), addCandidate);
+
+// Election details and candidate list
+router.get('/:electionId', validate(schemas.details), getElectionDetails);
+
+// Final tally once the election has ended
+router.get('/:electionId/results', validate(schemas.results), getResults);
+
+// Cast a ballot for a voter at the booth
+router.post('/:electionId/vote', adminAuth, requirePermission('CONDUCT_VOTING'), validate(schemas.castVote), castVote);
+
+module.exports = router;
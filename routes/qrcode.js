@@ -1,33 +1,21 @@
 const express = require('express');
 const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const Voter = require('../models/Voter');
 const qrCodeService = require('../services/qrCodeService');
+const qrSigningService = require('../services/qrSigningService');
+const { decryptSensitiveData } = require('../utils/crypto');
+const { getVoterScopeFilter, isVoterInScope } = require('../utils/adminScope');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/qrcode');
+const { sendError } = require('../utils/apiError');
 const { generateVotingQR, processVoteViaScan } = require('../controllers/voterController');
 
-// Middleware to check admin access
-const isAdmin = async (req, res, next) => {
-    try {
-        const adminAddress = process.env.ADMIN_ADDRESS;
-        if (!adminAddress) {
-            return res.status(500).json({ error: "Admin address not configured" });
-        }
-
-        const providedAdmin = req.headers['x-admin-address'] || req.query.adminAddress || req.body.adminAddress;
-
-        if (providedAdmin && providedAdmin.toLowerCase() === adminAddress.toLowerCase()) {
-            next();
-        } else {
-            return res.status(403).json({ error: "Unauthorized access" });
-        }
-    } catch (error) {
-        console.error("Admin check error:", error);
-        return res.status(500).json({ error: "Internal server error" });
-    }
-};
-
 /**
  * Generate QR code for verified voter (Admin only)
  */
-router.post('/generate/:voterAddress', isAdmin, async (req, res) => {
+router.post('/generate/:voterAddress', adminAuth, requirePermission('GENERATE_VOTING_QR'), validate(schemas.generate), async (req, res) => {
     try {
         const { voterAddress } = req.params;
 
@@ -37,10 +25,11 @@ router.post('/generate/:voterAddress', isAdmin, async (req, res) => {
         const voter = await Voter.findOne({ blockchainAddress: voterAddress });
 
         if (!voter) {
-            return res.status(404).json({
-                success: false,
-                error: 'Voter not found'
-            });
+            return sendError(res, 404, 'VOTER_NOT_FOUND', 'Voter not found');
+        }
+
+        if (!isVoterInScope(req.admin, voter)) {
+            return sendError(res, 403, 'OUT_OF_JURISDICTION', 'Voter is outside your jurisdiction');
         }
 
         console.log('Found voter with blockchain data:', {
@@ -54,18 +43,12 @@ router.post('/generate/:voterAddress', isAdmin, async (req, res) => {
 
         // Check if voter is verified
         if (!voter.isVerified) {
-            return res.status(400).json({
-                success: false,
-                error: 'Voter must be verified before generating QR code'
-            });
+            return sendError(res, 400, 'VOTER_NOT_VERIFIED', 'Voter must be verified before generating QR code');
         }
 
         // Check if blockchain hashes exist
         if (!voter.blockchain?.nameHash || !voter.blockchain?.aadharHash) {
-            return res.status(400).json({
-                success: false,
-                error: 'Voter blockchain data incomplete. Hashes not found.'
-            });
+            return sendError(res, 400, 'VOTER_NOT_ON_CHAIN', 'Voter blockchain data incomplete. Hashes not found.');
         }
 
         // Prepare voter data for QR generation using existing hashes
@@ -98,7 +81,8 @@ router.post('/generate/:voterAddress', isAdmin, async (req, res) => {
             data: {
                 voterAddress: voter.blockchainAddress,
                 aadharHash: qrResult.aadharHash,
-                qrCodeUrl: qrResult.firebaseUrl,
+                qrCodeUrl: qrResult.url,
+                qrPayload: qrResult.signedPayload,
                 fileName: qrResult.fileName,
                 generatedAt: new Date().toISOString()
             }
@@ -106,23 +90,32 @@ router.post('/generate/:voterAddress', isAdmin, async (req, res) => {
 
     } catch (error) {
         console.error('QR generation error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to generate QR code',
-            details: error.message
-        });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to generate QR code');
+    }
+});
+
+/**
+ * Public key for checking QR signatures offline (JWK Set)
+ */
+router.get('/verification-key', (req, res) => {
+    try {
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json({ keys: [qrSigningService.getPublicJwk()] });
+    } catch (error) {
+        console.error('QR verification key error:', error);
+        sendError(res, 500, 'SERVER_MISCONFIGURED', 'QR signing key is not configured');
     }
 });
 
 /**
  * Get QR code by Aadhar hash
  */
-router.get('/aadhar/:aadharHash', async (req, res) => {
+router.get('/aadhar/:aadharHash', validate(schemas.getByAadhaarHash), async (req, res) => {
     try {
         const { aadharHash } = req.params;
 
         if (!aadharHash || (aadharHash.length !== 64 && aadharHash.length !== 66)) {
-            return res.status(400).json({ error: 'Invalid Aadhar hash format' });
+            return sendError(res, 400, 'INVALID_HASH', 'Invalid Aadhar hash format');
         }
 
         const qrCodeUrl = await qrCodeService.getQRCodeByAadharHash(aadharHash);
@@ -136,34 +129,32 @@ router.get('/aadhar/:aadharHash', async (req, res) => {
             aadharHash: aadharHash.startsWith('0x') ? aadharHash : `0x${aadharHash}`,
             filePath: `${aadharHash.startsWith('0x') ? aadharHash.slice(2) : aadharHash}/qr-code.png`,
             generatedAt: voter?.qrCode?.generatedAt || null,
-            voterName: voter?.rawData?.name || null
+            voterName: voter ? decryptSensitiveData(voter.encryptedData).name || null : null
         });
 
     } catch (error) {
         if (error.message.includes('not found')) {
-            return res.status(404).json({ error: 'QR code not found for this Aadhar hash' });
+            return sendError(res, 404, 'QR_CODE_NOT_FOUND', 'QR code not found for this Aadhar hash');
         }
-        res.status(500).json({
-            error: 'Failed to retrieve QR code',
-            details: error.message
-        });
+        console.error('QR code lookup error:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to retrieve QR code');
     }
 });
 
 /**
  * Get voter's QR code by voter address
  */
-router.get('/voter/:voterAddress', async (req, res) => {
+router.get('/voter/:voterAddress', validate(schemas.getByVoter), async (req, res) => {
     try {
         const { voterAddress } = req.params;
 
         const voter = await Voter.findOne({ blockchainAddress: voterAddress });
         if (!voter) {
-            return res.status(404).json({ error: 'Voter not found' });
+            return sendError(res, 404, 'VOTER_NOT_FOUND', 'Voter not found');
         }
 
         if (!voter.qrCode || !voter.qrCode.aadharHash) {
-            return res.status(404).json({ error: 'QR code not generated for this voter' });
+            return sendError(res, 404, 'QR_CODE_NOT_FOUND', 'QR code not generated for this voter');
         }
 
         const qrCodeUrl = await qrCodeService.getQRCodeByAadharHash(voter.qrCode.aadharHash);
@@ -178,31 +169,28 @@ router.get('/voter/:voterAddress', async (req, res) => {
         });
 
     } catch (error) {
-        res.status(500).json({
-            error: 'Failed to retrieve QR code',
-            details: error.message
-        });
+        console.error('QR code lookup error:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to retrieve QR code');
     }
 });
 
 /**
  * Verify QR code data
  */
-router.post('/verify', async (req, res) => {
+router.post('/verify', validate(schemas.verify), async (req, res) => {
     try {
         const { qrData } = req.body;
 
         if (!qrData) {
-            return res.status(400).json({ error: 'QR data is required' });
+            return sendError(res, 400, 'QR_DATA_REQUIRED', 'QR data is required');
         }
 
         const verification = qrCodeService.verifyQRCode(qrData);
 
         if (!verification.valid) {
-            return res.status(400).json({
-                error: 'Invalid QR code',
-                details: verification.error
-            });
+            return sendError(res, 400, 'INVALID_QR_CODE', 'Invalid QR code', [
+                { in: 'body', field: 'qrData', code: 'INVALID_QR_CODE', message: verification.error }
+            ]);
         }
 
         const voter = await Voter.findOne({
@@ -210,21 +198,21 @@ router.post('/verify', async (req, res) => {
         });
 
         if (!voter) {
-            return res.status(404).json({ error: 'Voter not found' });
+            return sendError(res, 404, 'VOTER_NOT_FOUND', 'Voter not found');
         }
 
         if (!voter.isVerified) {
-            return res.status(400).json({ error: 'Voter is not verified' });
+            return sendError(res, 400, 'VOTER_NOT_VERIFIED', 'Voter is not verified');
         }
 
         const qrExists = await qrCodeService.qrCodeExists(verification.data.aadharHash);
         if (!qrExists) {
-            return res.status(404).json({ error: 'QR code not found in storage' });
+            return sendError(res, 404, 'QR_CODE_NOT_FOUND', 'QR code not found in storage');
         }
 
         res.status(200).json({
             valid: true,
-            voterName: voter.rawData?.name,
+            voterName: decryptSensitiveData(voter.encryptedData).name,
             voterAddress: verification.data.voterAddress,
             aadharHash: verification.data.aadharHash,
             verificationDate: voter.verificationDate,
@@ -233,40 +221,44 @@ router.post('/verify', async (req, res) => {
         });
 
     } catch (error) {
-        res.status(500).json({
-            error: 'Verification failed',
-            details: error.message
-        });
+        console.error('QR code verification error:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Verification failed');
     }
 });
 
 /**
  * List all QR codes (Admin only)
  */
-router.get('/list', isAdmin, async (req, res) => {
+router.get('/list', adminAuth, requirePermission('VIEW_VOTERS'), validate(schemas.list), async (req, res) => {
     try {
         const { page = 1, limit = 20 } = req.query;
         const skip = (page - 1) * limit;
+        const scope = getVoterScopeFilter(req.admin);
 
         const voters = await Voter.find({
+            ...scope,
             'qrCode.aadharHash': { $exists: true }
         })
-            .select('blockchainAddress rawData.name qrCode.aadharHash qrCode.generatedAt qrCode.firebaseUrl')
+            .select('blockchainAddress encryptedData qrCode.aadharHash qrCode.generatedAt qrCode.fileName')
             .skip(skip)
             .limit(parseInt(limit))
             .sort({ 'qrCode.generatedAt': -1 });
 
         const total = await Voter.countDocuments({
+            ...scope,
             'qrCode.aadharHash': { $exists: true }
         });
 
-        const qrCodes = voters.map(voter => ({
-            voterAddress: voter.blockchainAddress,
-            voterName: voter.rawData?.name,
-            aadharHash: voter.qrCode.aadharHash,
-            filePath: `${voter.qrCode.aadharHash.slice(2)}/qr-code.png`,
-            qrCodeUrl: voter.qrCode.firebaseUrl,
-            generatedAt: voter.qrCode.generatedAt
+        const qrCodes = await Promise.all(voters.map(async voter => {
+            const filePath = voter.qrCode.fileName || `${voter.qrCode.aadharHash.slice(2)}/qr-code.png`;
+            return {
+                voterAddress: voter.blockchainAddress,
+                voterName: decryptSensitiveData(voter.encryptedData).name,
+                aadharHash: voter.qrCode.aadharHash,
+                filePath,
+                qrCodeUrl: await qrCodeService.getQRCodeUrl(filePath),
+                generatedAt: voter.qrCode.generatedAt
+            };
         }));
 
         res.status(200).json({
@@ -280,26 +272,28 @@ router.get('/list', isAdmin, async (req, res) => {
         });
 
     } catch (error) {
-        res.status(500).json({
-            error: 'Failed to list QR codes',
-            details: error.message
-        });
+        console.error('QR code list error:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to list QR codes');
     }
 });
 
 /**
  * Delete QR code (Admin only)
  */
-router.delete('/aadhar/:aadharHash', isAdmin, async (req, res) => {
+router.delete('/aadhar/:aadharHash', adminAuth, requirePermission('GENERATE_VOTING_QR'), validate(schemas.deleteByAadhaarHash), async (req, res) => {
     try {
         const { aadharHash } = req.params;
 
-        await qrCodeService.deleteQRCodeByAadharHash(aadharHash);
-
         const voter = await Voter.findOne({
             'qrCode.aadharHash': aadharHash.startsWith('0x') ? aadharHash : `0x${aadharHash}`
         });
 
+        if (voter && !isVoterInScope(req.admin, voter)) {
+            return sendError(res, 403, 'OUT_OF_JURISDICTION', 'Voter is outside your jurisdiction');
+        }
+
+        await qrCodeService.deleteQRCodeByAadharHash(aadharHash);
+
         if (voter) {
             voter.qrCode = undefined;
             await voter.save();
@@ -311,32 +305,30 @@ router.delete('/aadhar/:aadharHash', isAdmin, async (req, res) => {
         });
 
     } catch (error) {
-        res.status(500).json({
-            error: 'Failed to delete QR code',
-            details: error.message
-        });
+        console.error('QR code deletion error:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', 'Failed to delete QR code');
     }
 });
 
 /**
  * Generate voting QR code
  */
-router.post('/generate-qr/:aadharNumber', isAdmin, generateVotingQR);
+router.post('/generate-qr/:aadharNumber', adminAuth, requirePermission('GENERATE_VOTING_QR'), validate(schemas.generateVotingQr), generateVotingQR);
 
 /**
  * Process vote via QR scan
  */
-router.post('/scan-vote', processVoteViaScan);
+router.post('/scan-vote', adminAuth, requirePermission('CONDUCT_VOTING'), validate(schemas.scanVote), processVoteViaScan);
 
 /**
  * Verify QR code without processing vote
  */
-router.post('/verify-qr', async (req, res) => {
+router.post('/verify-qr', validate(schemas.verifyQr), async (req, res) => {
     try {
         const { qrData } = req.body;
 
         if (!qrData) {
-            return res.status(400).json({ error: "QR data is required" });
+            return sendError(res, 400, "QR_DATA_REQUIRED", "QR data is required");
         }
 
         const verification = qrCodeService.verifyQRCode(qrData);
@@ -345,7 +337,7 @@ router.post('/verify-qr', async (req, res) => {
 
     } catch (error) {
         console.error("QR verification error:", error);
-        res.status(500).json({ error: "Failed to verify QR code" });
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to verify QR code");
     }
 });
 
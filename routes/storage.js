@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const storageService = require('../services/storageService');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/storage');
+const { sendError } = require('../utils/apiError');
+
+// Download an object through a signed, time-limited URL from
+// storageService.getSignedUrl(). Only used by drivers without their own
+// presigned URLs (local, firebase).
+router.get('/:key(*)', validate(schemas.download), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!key || !storageService.verifySignedUrl(key, expires, signature)) {
+      return sendError(res, 403, 'INVALID_DOWNLOAD_LINK', 'Invalid or expired download link');
+    }
+
+    const object = await storageService.get(key);
+    if (!object) {
+      return sendError(res, 404, 'FILE_NOT_FOUND', 'File not found');
+    }
+
+    res.set('Content-Type', object.contentType || 'application/octet-stream');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(object.body);
+  } catch (error) {
+    console.error('Storage download error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch file');
+  }
+});
+
+module.exports = router;
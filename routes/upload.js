@@ -1,81 +1,144 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const crypto = require('crypto');
-
-// Create uploads directory if it doesn't exist
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure Multer for file storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename with original extension
-    const uniqueId = crypto.randomBytes(16).toString('hex');
-    const ext = path.extname(file.originalname);
-    cb(null, `${uniqueId}${ext}`);
-  }
-});
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/upload');
+const Voter = require('../models/Voter');
+const documentService = require('../services/documentService');
+const reviewService = require('../services/reviewService');
+const { ReviewError } = reviewService;
+const { logAdminActivity } = require('../controllers/adminController');
+const { isVoterInScope } = require('../utils/adminScope');
+const { processUpload, UploadValidationError } = require('../utils/uploadValidation');
+const { sendError } = require('../utils/apiError');
 
-// Set up file filter to only allow images
-const fileFilter = (req, file, cb) => {
-  // Accept only images
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
-  }
-};
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Keep uploads in memory; they are encrypted before they are written to the
+// configured storage backend (services/documentService.js)
+const storage = multer.memoryStorage();
 
-// Create the Multer instance
+// No file filter: the declared type and file name are not trusted, the
+// content is checked by processUpload() once the file is in memory
 const upload = multer({
   storage: storage,
-  fileFilter: fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB max file size
+    fileSize: MAX_FILE_SIZE,
+    files: 1
   }
 });
 
-// Middleware to verify admin role
-const verifyAdmin = (req, res, next) => {
-  // For demonstration, let's assume admin status is sent in the headers
-  const isAdmin = req.headers['x-admin'] === 'true';
+// Route for uploading Aadhar image. The file is stored encrypted and is
+// identified by the returned documentId: pass it as aadharDocumentId when
+// registering, or send voterAddress to attach it to an existing voter.
+// Admins read it back through GET /api/admin/voters/:address/documents/:id.
+router.post('/aadhar', adminAuth, upload.single('aadharImage'), validate(schemas.aadhar), async (req, res) => {
+  try {
+    if (!req.file) {
+      return sendError(res, 400, 'UPLOAD_MISSING_FILE', 'No file uploaded');
+    }
 
-  if (!isAdmin) {
-    return res.status(403).json({ error: 'Forbidden: Admins only' });
-  }
+    // Sniffs the real type, re-encodes images without their metadata and
+    // makes the thumbnail
+    const processed = await processUpload(req.file.buffer);
+
+    const { voterAddress } = req.body;
+    let voter = null;
+    if (voterAddress) {
+      voter = await Voter.findOne({ blockchainAddress: voterAddress });
+      if (!voter) {
+        return sendError(res, 404, 'VOTER_NOT_FOUND', 'Voter not found');
+      }
+      if (!isVoterInScope(req.admin, voter)) {
+        return sendError(res, 403, 'OUT_OF_JURISDICTION', 'Voter is outside your jurisdiction');
+      }
+    }
+
+    const document = await documentService.storeDocument(processed, {
+      uploadedBy: req.adminAddress,
+      voter
+    });
+
+    if (voter) {
+      voter.aadharDocument = document._id;
+      await voter.save();
+
+      // An open review starts over on the new document
+      const review = await reviewService.getReview(voter, { by: req.adminAddress });
+      await reviewService.documentReplaced(review, document, req.adminAddress);
+    }
+
+    await logAdminActivity(
+      req.adminAddress,
+      'UPLOAD_VOTER_DOCUMENT',
+      voter
+        ? `Admin uploaded ${document.type} document for voter ${voter.blockchainAddress}`
+        : `Admin uploaded ${document.type} document`,
+      voter ? voter.blockchainAddress : null,
+      null,
+      'SUCCESS',
+      { documentId: document._id.toString(), type: document.type, size: document.size },
+      req.ip
+    );
 
-  next();
-};
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      documentId: document._id,
+      contentType: document.contentType,
+      width: document.width,
+      height: document.height,
+      hasThumbnail: !!document.thumbnail?.storageKey,
+      voterAddress: voter ? voter.blockchainAddress : null
+    });
+  } catch (error) {
+    if (error instanceof UploadValidationError) {
+      return sendError(res, error.statusCode, error.code, error.message);
+    }
+    console.error('File upload error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'File upload failed');
+  }
+});
 
-// Route for uploading Aadhar image
-router.post('/aadhar', verifyAdmin, upload.single('aadharImage'), (req, res) => {
+// Voter re-upload after an officer asked for a new document. Authorized by
+// the one-time token from the notification link (form field "token").
+router.post('/aadhar/reupload', upload.single('aadharImage'), validate(schemas.reupload), async (req, res) => {
   try {
+    const review = await reviewService.findReuploadRequest(req.body.token);
+
     if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+      return sendError(res, 400, 'UPLOAD_MISSING_FILE', 'No file uploaded');
     }
+    const processed = await processUpload(req.file.buffer);
 
-    // Get the path of the uploaded file
-    const filePath = req.file.path;
+    const voter = await Voter.findById(review.voter);
+    if (!voter) {
+      return sendError(res, 404, 'VOTER_NOT_FOUND', 'Voter not found');
+    }
+
+    const document = await documentService.storeDocument(processed, {
+      uploadedBy: 'voter',
+      voter
+    });
 
-    // Create a URL that can be used to access the file
-    const fileUrl = `/uploads/${path.basename(filePath)}`;
+    voter.aadharDocument = document._id;
+    await voter.save();
+    await reviewService.documentReplaced(review, document, 'voter');
 
-    res.status(200).json({
-      message: 'File uploaded successfully',
-      fileUrl: fileUrl,
-      fileName: req.file.filename
+    res.status(201).json({
+      message: 'Document received and sent back for review',
+      contentType: document.contentType,
+      hasThumbnail: !!document.thumbnail?.storageKey
     });
   } catch (error) {
-    console.error('File upload error:', error);
-    res.status(500).json({ error: 'File upload failed', details: error.message });
+    if (error instanceof UploadValidationError) {
+      return sendError(res, error.statusCode, error.code, error.message);
+    }
+    if (error instanceof ReviewError) {
+      return sendError(res, error.statusCode, error.code, error.message);
+    }
+    console.error('Document re-upload error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'File upload failed');
   }
 });
 
@@ -84,16 +147,13 @@ router.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', service: 'upload' });
 });
 
-// Serve static files from the uploads directory
-router.use('/files', express.static(uploadDir));
-
 // Error handler for multer
 router.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(413).json({ error: 'File too large. Maximum size is 5MB.' });
+      return sendError(res, 413, 'UPLOAD_TOO_LARGE', 'File too large. Maximum size is 5MB.');
     }
-    return res.status(400).json({ error: err.message });
+    return sendError(res, 400, 'UPLOAD_INVALID_REQUEST', err.message);
   }
   next(err);
 });
@@ -1,5 +1,12 @@
 const express = require('express');
 const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const { optionalAdminAuth } = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { getVoterScopeFilter, isVoterInScope } = require('../utils/adminScope');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/voters');
+const { sendError } = require('../utils/apiError');
 const {
   registerVoter,
   verifyVoter,
@@ -11,75 +18,104 @@ const {
   getVoterByAadhar,
   checkStatusByAadhar,
   verifyVoterByAadhar,  // Add this new function
+  rejectVoter,
+  revokeVoter,
+  removeVoter,
   generateVotingQR, // Import the QR code generation function
   processVoteViaScan // Import the vote processing function
 } = require('../controllers/voterController');
 
-// Middleware to check if the request comes from an admin
-const isAdmin = async (req, res, next) => {
-  try {
-    const adminAddress = process.env.ADMIN_ADDRESS;
-    if (!adminAddress) {
-      return res.status(500).json({ error: "Admin address not configured" });
-    }
-
-    const providedAdmin = req.headers['x-admin-address'] || req.query.adminAddress || req.body.adminAddress;
-
-    // Check if the sender address matches the admin address
-    if (providedAdmin && providedAdmin.toLowerCase() === adminAddress.toLowerCase()) {
-      next();
-    } else {
-      return res.status(403).json({ error: "Unauthorized access" });
-    }
-  } catch (error) {
-    console.error("Admin check error:", error);
-    return res.status(500).json({ error: "Internal server error" });
-  }
-};
-
 // ========== EXISTING ROUTES (Wallet-based) ==========
 // Register a new voter
-router.post('/register', registerVoter);
+router.post('/register', validate(schemas.register), registerVoter);
 
 // Verify a voter (admin only)
-router.post('/verify', verifyVoter);
+router.post('/verify', adminAuth, requirePermission('VERIFY_VOTERS'), validate(schemas.verify), verifyVoter);
+
+// Reject a pending registration, revoke a verification, or strike a record from the roll
+router.post('/reject', adminAuth, requirePermission('VERIFY_VOTERS'), validate(schemas.reject), rejectVoter);
+router.post('/revoke', adminAuth, requirePermission('VERIFY_VOTERS'), validate(schemas.revoke), revokeVoter);
+router.post('/remove', adminAuth, requirePermission('REMOVE_VOTERS'), validate(schemas.remove), removeVoter);
 
 // Check voter status
-router.get('/status/:address', checkVoterStatus);
+router.get('/status/:address', validate(schemas.status), checkVoterStatus);
 
 // Get voter details (limited for regular users, full for admin or self)
-router.get('/details/:address', getVoterDetails);
+router.get('/details/:address', optionalAdminAuth, validate(schemas.details), getVoterDetails);
+
+// Get turnout for one election (registered before /admin/:address so it is not shadowed)
+router.get('/admin/voting-stats', adminAuth, requirePermission('VIEW_STATS'), validate(schemas.votingStats), async (req, res) => {
+  try {
+    const Voter = require('../models/Voter');
+    const Election = require('../models/Election');
+    const ElectionParticipation = require('../models/ElectionParticipation');
+    const { electionId } = req.query;
+
+    const election = await Election.findById(electionId);
+    if (!election) {
+      return sendError(res, 404, "ELECTION_NOT_FOUND", "Election not found");
+    }
+
+    // Eligible voters are verified voters inside both the election's and the officer's jurisdiction
+    const scope = getVoterScopeFilter(req.admin);
+    const electionScope = {};
+    if (election.jurisdiction?.state) electionScope.state = election.jurisdiction.state;
+    if (election.jurisdiction?.district) electionScope.district = election.jurisdiction.district;
+
+    const totalVerified = await Voter.countDocuments({ $and: [scope, electionScope, { isVerified: true }] });
+    const totalVoted = await ElectionParticipation.countDocuments({
+      $and: [scope, { election: election._id, status: 'VOTED' }]
+    });
+    const pendingVotes = Math.max(totalVerified - totalVoted, 0);
+
+    res.json({
+      electionId: election._id,
+      electionName: election.name,
+      totalVerified,
+      totalVoted,
+      pendingVotes,
+      turnoutPercentage: totalVerified > 0 ? ((totalVoted / totalVerified) * 100).toFixed(2) : 0
+    });
+
+  } catch (error) {
+    console.error("Voting stats error:", error);
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch voting statistics");
+  }
+});
 
 // Admin access to voter details with decrypted data
-router.get('/admin/:address', isAdmin, getVoterByAdmin);
+router.get('/admin/:address', adminAuth, requirePermission('VIEW_VOTERS'), validate(schemas.adminVoter), getVoterByAdmin);
 
 // ========== NEW WALLET ABSTRACTION ROUTES ==========
 // Register voter with just Aadhar number (no wallet needed)
-router.post('/register-aadhar', registerVoterWithAadhar);
+router.post('/register-aadhar', validate(schemas.registerAadhar), registerVoterWithAadhar);
 
 // Get voter details by Aadhar number
-router.get('/lookup/:aadharNumber', getVoterByAadhar);
+router.get('/lookup/:aadharNumber', validate(schemas.lookupByAadhar), getVoterByAadhar);
 
 // Check voter registration status by Aadhar number
-router.get('/status/aadhar/:aadharNumber', checkStatusByAadhar);
+router.get('/status/aadhar/:aadharNumber', validate(schemas.statusByAadhar), checkStatusByAadhar);
 
 // Admin verify voter by Aadhar number
-router.post('/verify-aadhar/:aadharNumber', isAdmin, verifyVoterByAadhar);
+router.post('/verify-aadhar/:aadharNumber', adminAuth, requirePermission('VERIFY_VOTERS'), validate(schemas.verifyByAadhar), verifyVoterByAadhar);
 
 // Admin access to voter details by Aadhar number with decrypted data
-router.get('/admin/aadhar/:aadharNumber', isAdmin, async (req, res) => {
+router.get('/admin/aadhar/:aadharNumber', adminAuth, requirePermission('VIEW_VOTERS'), validate(schemas.adminVoterByAadhar), async (req, res) => {
   try {
     const { aadharNumber } = req.params;
-    const adminAddress = req.headers['x-admin-address'] || req.query.adminAddress;
 
     // Find voter by Aadhar
     const Voter = require('../models/Voter');
-    const { decryptSensitiveData } = require('../utils/crypto');
+    const { decryptSensitiveData, createAadharIndex } = require('../utils/crypto');
 
-    const voter = await Voter.findOne({ 'rawData.aadharNumber': aadharNumber });
+    const voter = await Voter.findOne({ aadharIndex: createAadharIndex(aadharNumber) });
 
     if (!voter) {
-      return res.status(404).json({ error: "Voter not found" });
+      return sendError(res, 404, "VOTER_NOT_FOUND", "Voter not found");
+    }
+
+    if (!isVoterInScope(req.admin, voter)) {
+      return sendError(res, 403, "OUT_OF_JURISDICTION", "Voter is outside your jurisdiction");
     }
 
     // Decrypt sensitive data for admin
@@ -95,7 +131,7 @@ router.get('/admin/aadhar/:aadharNumber', isAdmin, async (req, res) => {
       verificationDate: voter.verificationDate,
       district: voter.district,
       gender: voter.gender,
-      aadharImage: voter.aadharImage,
+      aadharDocumentId: voter.aadharDocument || null,
       verificationNotes: voter.verificationNotes,
       verifiedBy: voter.verifiedBy,
       registrationMethod: 'aadhar'
@@ -104,54 +140,34 @@ router.get('/admin/aadhar/:aadharNumber', isAdmin, async (req, res) => {
     res.json(response);
   } catch (error) {
     console.error("Admin Aadhar voter fetch error:", error);
-    res.status(500).json({ error: "Failed to fetch voter data", details: error.message });
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch voter data");
   }
 });
 
 // Generate voting QR code for verified voter
-router.post('/generate-voting-qr/:aadharNumber', isAdmin, generateVotingQR);
-
-// Process vote via QR scan
-router.post('/vote-via-scan', processVoteViaScan);
-
-// Get voting statistics
-router.get('/admin/voting-stats', isAdmin, async (req, res) => {
-  try {
-    const Voter = require('../models/Voter');
-
-    const totalVerified = await Voter.countDocuments({ isVerified: true });
-    const totalVoted = await Voter.countDocuments({ isVoted: true });
-    const pendingVotes = totalVerified - totalVoted;
+router.post('/generate-voting-qr/:aadharNumber', adminAuth, requirePermission('GENERATE_VOTING_QR'), validate(schemas.generateVotingQr), generateVotingQR);
 
-    res.json({
-      totalVerified,
-      totalVoted,
-      pendingVotes,
-      turnoutPercentage: totalVerified > 0 ? ((totalVoted / totalVerified) * 100).toFixed(2) : 0
-    });
-
-  } catch (error) {
-    console.error("Voting stats error:", error);
-    res.status(500).json({ error: "Failed to fetch voting statistics" });
-  }
-});
+// Process vote via QR scan; only a booth officer may consume a voter's code
+router.post('/vote-via-scan', adminAuth, requirePermission('CONDUCT_VOTING'), validate(schemas.voteViaScan), processVoteViaScan);
 
 // Bulk operations for admin
-router.get('/admin/stats/summary', isAdmin, async (req, res) => {
+router.get('/admin/stats/summary', adminAuth, requirePermission('VIEW_STATS'), async (req, res) => {
   try {
     const Voter = require('../models/Voter');
+    const VoterWallet = require('../models/VoterWallet');
+    const scope = getVoterScopeFilter(req.admin);
 
-    const totalVoters = await Voter.countDocuments();
-    const verifiedVoters = await Voter.countDocuments({ isVerified: true });
-    const pendingVoters = await Voter.countDocuments({ isVerified: false });
+    const totalVoters = await Voter.countDocuments(scope);
+    const verifiedVoters = await Voter.countDocuments({ ...scope, isVerified: true });
+    const pendingVoters = await Voter.countDocuments({ ...scope, isVerified: false });
 
-    // Count by registration method
-    const walletBasedVoters = await Voter.countDocuments({
-      'encryptedData.walletAbstraction': { $exists: false }
-    });
+    // Count by registration method: Aadhaar registrations have a custody wallet
+    const custodyVoterIds = await VoterWallet.distinct('voter');
     const aadharBasedVoters = await Voter.countDocuments({
-      'encryptedData.walletAbstraction': { $exists: true }
+      ...scope,
+      _id: { $in: custodyVoterIds }
     });
+    const walletBasedVoters = totalVoters - aadharBasedVoters;
 
     res.json({
       totalVoters,
@@ -165,7 +181,7 @@ router.get('/admin/stats/summary', isAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error("Admin stats error:", error);
-    res.status(500).json({ error: "Failed to fetch statistics" });
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch statistics");
   }
 });
 
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/wallets');
+const {
+  getVoterWallet,
+  resealVoterWallet
+} = require('../controllers/walletController');
+
+// Custody wallets of Aadhaar-registered voters (admin only)
+router.use(adminAuth);
+
+// Address, seal status and balance of a voter's wallet
+router.get('/:address', requirePermission('VIEW_VOTERS'), validate(schemas.get), getVoterWallet);
+
+// Reseal the wallet key under the active master seed
+router.post('/:address/reseal', requirePermission('MANAGE_WALLETS'), validate(schemas.reseal), resealVoterWallet);
+
+module.exports = router;
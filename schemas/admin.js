@@ -0,0 +1,164 @@
+const AdminUser = require('../models/AdminUser');
+const AdminLog = require('../models/AdminLog');
+const DocumentReview = require('../models/DocumentReview');
+const { STATUS_REASONS } = require('../utils/blockchain');
+const {
+  ethAddress,
+  objectId,
+  notes,
+  shortText,
+  page,
+  limit,
+  params,
+  body,
+  addressParams
+} = require('./common');
+
+// Request schemas for routes/admin.js
+
+const roles = Object.values(AdminUser.ROLES);
+
+const jurisdiction = {
+  type: 'object',
+  properties: {
+    state: { type: 'string', maxLength: 100 },
+    district: { type: 'string', maxLength: 200, description: '"City, State", as stored on voters' }
+  },
+  additionalProperties: false
+};
+
+const documentParams = params({ address: ethAddress, documentId: objectId });
+
+module.exports = {
+  listVoters: {
+    query: {
+      properties: {
+        page,
+        limit: limit(10),
+        isVerified: { type: 'string', enum: ['true', 'false'] },
+        search: { type: 'string', maxLength: 100 },
+        state: { type: 'string', maxLength: 100 }
+      }
+    }
+  },
+  getVoter: { params: addressParams },
+  listDocuments: { params: addressParams },
+  getDocument: { params: documentParams },
+  getDocumentThumbnail: { params: documentParams },
+  listReviews: {
+    query: {
+      properties: {
+        page,
+        limit: limit(10),
+        status: { type: 'string', enum: DocumentReview.REVIEW_STATUSES },
+        assignedTo: {
+          type: 'string',
+          pattern: '^(me|unassigned|0x[0-9a-fA-F]{40})$',
+          description: '"me", "unassigned" or an officer address'
+        }
+      }
+    }
+  },
+  getReview: { params: addressParams },
+  assignReview: {
+    params: addressParams,
+    body: body({ assignee: { ...ethAddress, description: 'Defaults to the caller' } })
+  },
+  updateChecklist: {
+    params: addressParams,
+    body: body({
+      items: {
+        type: 'array',
+        minItems: 1,
+        maxItems: DocumentReview.CHECKLIST_ITEMS.length,
+        items: {
+          type: 'object',
+          properties: {
+            item: { type: 'string', enum: DocumentReview.CHECKLIST_ITEMS },
+            result: { type: 'string', enum: ['PASS', 'FAIL'] },
+            notes
+          },
+          required: ['item', 'result'],
+          additionalProperties: false
+        }
+      }
+    }, ['items'])
+  },
+  requestReupload: {
+    params: addressParams,
+    body: body({ reason: { type: 'string', minLength: 1, maxLength: 500 }, notes }, ['reason'])
+  },
+  decideReview: {
+    params: addressParams,
+    body: body({
+      decision: { type: 'string', enum: ['APPROVED', 'REJECTED'] },
+      reasonCode: {
+        type: 'string',
+        enum: STATUS_REASONS.filter(code => code !== 'NONE'),
+        description: 'Required when rejecting'
+      },
+      notes
+    }, ['decision'])
+  },
+  listLogs: {
+    query: {
+      properties: {
+        page,
+        limit: limit(20),
+        adminAddress: ethAddress,
+        action: { type: 'string', enum: AdminLog.schema.path('action').enumValues },
+        status: { type: 'string', enum: AdminLog.schema.path('status').enumValues },
+        fromDate: { type: 'string', format: 'date-time' },
+        toDate: { type: 'string', format: 'date-time' }
+      }
+    }
+  },
+  historicalStats: {
+    query: {
+      properties: {
+        days: { type: 'integer', minimum: 1, maximum: 365, default: 30 }
+      }
+    }
+  },
+  listUsers: {
+    query: {
+      properties: {
+        role: { type: 'string', enum: roles },
+        district: { type: 'string', maxLength: 200 }
+      }
+    }
+  },
+  createUser: {
+    body: body({
+      address: ethAddress,
+      name: shortText,
+      role: { type: 'string', enum: roles },
+      jurisdiction
+    }, ['address', 'role'])
+  },
+  updateUser: {
+    params: addressParams,
+    body: body({
+      name: shortText,
+      role: { type: 'string', enum: roles },
+      jurisdiction,
+      isActive: { type: 'boolean' }
+    })
+  },
+  chainDrift: {
+    query: {
+      properties: {
+        page,
+        limit: limit(10),
+        status: { type: 'string', enum: ['DRIFT', 'RETRYING'] },
+        issue: { type: 'string', maxLength: 50 }
+      }
+    }
+  },
+  reconcileChain: {
+    body: body({
+      address: { ...ethAddress, description: 'Reconcile this voter only; otherwise run a pass over the voters that are due' },
+      repair: { type: 'boolean', default: true }
+    })
+  }
+};
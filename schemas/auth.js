@@ -0,0 +1,16 @@
+const { ethAddress, body } = require('./common');
+
+// Request schemas for routes/auth.js
+
+module.exports = {
+  challenge: {
+    body: body({ address: ethAddress }, ['address'])
+  },
+  login: {
+    body: body({
+      address: ethAddress,
+      nonce: { type: 'string', pattern: '^[0-9a-f]{32}$', description: 'nonce from POST /api/auth/challenge' },
+      signature: { type: 'string', pattern: '^0x[0-9a-fA-F]+$', description: 'personal_sign signature of the challenge message' }
+    }, ['address', 'nonce', 'signature'])
+  }
+};
@@ -0,0 +1,61 @@
+const { CONTRACT_ROLES } = require('../utils/blockchain');
+const ChainTransaction = require('../models/ChainTransaction');
+const { ethAddress, aadhaarNumber, shortText, limit, params, body, addressParams } = require('./common');
+
+// Request schemas for routes/blockchain.js
+
+const roleChange = {
+  body: body({
+    role: { type: 'string', enum: Object.keys(CONTRACT_ROLES) },
+    account: ethAddress
+  }, ['role', 'account'])
+};
+
+module.exports = {
+  register: {
+    body: body({
+      address: ethAddress,
+      name: shortText,
+      dob: { type: 'string', format: 'date', description: 'Date of birth, YYYY-MM-DD' },
+      voterIdHash: { type: 'string', minLength: 1, maxLength: 200 },
+      aadharNumber: aadhaarNumber,
+      residentialAddress: { type: 'string', minLength: 1, maxLength: 500 }
+    }, ['address', 'name', 'dob', 'voterIdHash', 'aadharNumber', 'residentialAddress'])
+  },
+  verify: {
+    body: body({ voterAddress: ethAddress }, ['voterAddress'])
+  },
+  status: { params: addressParams },
+  details: { params: addressParams },
+  registrationStatus: {
+    body: body({ isOpen: { type: 'boolean' } }, ['isOpen'])
+  },
+  verifyTx: { params: addressParams },
+  roles: { params: addressParams },
+  grantRole: roleChange,
+  revokeRole: roleChange,
+  transferAdmin: {
+    body: body({ newAdmin: ethAddress }, ['newAdmin'])
+  },
+  pause: {
+    body: body({ paused: { type: 'boolean' } }, ['paused'])
+  },
+  listTransactions: {
+    query: {
+      properties: {
+        status: { type: 'string', enum: ChainTransaction.schema.path('status').enumValues },
+        method: { type: 'string', maxLength: 100 },
+        limit: limit(50, 200)
+      }
+    }
+  },
+  getTransaction: {
+    params: params({
+      id: {
+        type: 'string',
+        pattern: '^([0-9a-fA-F]{24}|0x[0-9a-fA-F]{64})$',
+        description: 'Transaction id, or the hash of any attempt'
+      }
+    })
+  }
+};
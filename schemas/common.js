@@ -0,0 +1,46 @@
+// Fragments shared by the route schemas (see utils/schemaValidator.js for
+// the keywords they can use)
+
+const ethAddress = { type: 'string', format: 'eth-address', description: 'Ethereum address' };
+const objectId = { type: 'string', format: 'object-id' };
+const aadhaarNumber = {
+  type: 'string',
+  format: 'aadhaar',
+  description: '12-digit Aadhaar number; spaces and dashes are ignored'
+};
+const bytes32 = { type: 'string', format: 'bytes32' };
+const notes = { type: 'string', maxLength: 1000 };
+const shortText = { type: 'string', minLength: 1, maxLength: 200 };
+
+const page = { type: 'integer', minimum: 1, default: 1 };
+const limit = (defaultLimit, maximum = 100) => ({ type: 'integer', minimum: 1, maximum, default: defaultLimit });
+
+// Object schemas for the common request parts
+const params = (properties) => ({
+  properties,
+  required: Object.keys(properties)
+});
+
+const body = (properties, required = []) => ({
+  properties,
+  required,
+  additionalProperties: false
+});
+
+const addressParams = params({ address: ethAddress });
+const aadhaarParams = params({ aadharNumber: aadhaarNumber });
+
+module.exports = {
+  ethAddress,
+  objectId,
+  aadhaarNumber,
+  bytes32,
+  notes,
+  shortText,
+  page,
+  limit,
+  params,
+  body,
+  addressParams,
+  aadhaarParams
+};
@@ -0,0 +1,49 @@
+const Election = require('../models/Election');
+const voters = require('./voters');
+const { objectId, shortText, params, body } = require('./common');
+
+// Request schemas for routes/elections.js
+
+const electionParams = params({ electionId: objectId });
+
+// Unix seconds or a date string; the controller converts either
+const time = (description) => ({ description: `${description}, as unix seconds or an ISO 8601 date-time` });
+
+module.exports = {
+  list: {
+    query: { properties: { status: { type: 'string', enum: ['upcoming', 'active', 'ended'] } } }
+  },
+  create: {
+    body: body({
+      name: shortText,
+      type: { type: 'string', enum: Election.schema.path('type').enumValues },
+      jurisdiction: {
+        type: 'object',
+        description: 'Omit for a nationwide election',
+        properties: {
+          state: { type: 'string', maxLength: 100 },
+          district: { type: 'string', maxLength: 100, description: '"City, State", as on the voter record' }
+        },
+        additionalProperties: false
+      },
+      startTime: time('When polling opens'),
+      endTime: time('When polling closes')
+    }, ['name', 'startTime', 'endTime'])
+  },
+  addCandidate: {
+    params: electionParams,
+    body: body({
+      name: shortText,
+      party: { type: 'string', maxLength: 100 }
+    }, ['name'])
+  },
+  details: { params: electionParams },
+  results: { params: electionParams },
+  castVote: {
+    params: electionParams,
+    body: body({
+      candidateId: { type: 'integer', minimum: 1 },
+      ...voters.voteViaScan.body.properties
+    }, ['candidateId', 'qrData'])
+  }
+};
@@ -0,0 +1,197 @@
+// Per-operation metadata for the OpenAPI document (utils/openapi.js), keyed
+// by method and OpenAPI path. Parameters, bodies, authentication and
+// permissions are read from the routes themselves; keep operationId stable,
+// generated clients name their methods after it.
+//
+//   status    success status when it is not 200
+//   produces  success content type when it is not JSON
+
+const REGISTRATION_RETRIES = 'Retrying with the same Idempotency-Key resumes a registration that stopped ' +
+  'half-way or replays its response (marked `Idempotent-Replayed: true`).';
+
+module.exports = {
+  // Auth
+  'POST /api/auth/challenge': { operationId: 'requestLoginChallenge', summary: 'One-time message for an admin wallet to sign' },
+  'POST /api/auth/login': { operationId: 'login', summary: 'Exchange a signed challenge for a session token' },
+  'GET /api/auth/session': { operationId: 'getSession', summary: 'Address and expiry of the current session' },
+
+  // Voters
+  'POST /api/voters/register': {
+    operationId: 'registerVoter',
+    summary: 'Register a voter with their own wallet address',
+    description: REGISTRATION_RETRIES,
+    status: 201
+  },
+  'POST /api/voters/verify': { operationId: 'verifyVoter', summary: 'Verify a voter' },
+  'POST /api/voters/reject': { operationId: 'rejectVoter', summary: 'Reject a pending registration' },
+  'POST /api/voters/revoke': { operationId: 'revokeVoter', summary: 'Revoke a verification' },
+  'POST /api/voters/remove': { operationId: 'removeVoter', summary: 'Strike a voter from the roll' },
+  'GET /api/voters/status/{address}': { operationId: 'getVoterStatus', summary: 'Registration and verification status' },
+  'GET /api/voters/details/{address}': {
+    operationId: 'getVoterDetails',
+    summary: 'Voter details',
+    description: 'Limited for anonymous callers; full for an admin with the voter in their jurisdiction.'
+  },
+  'GET /api/voters/admin/voting-stats': { operationId: 'getElectionTurnout', summary: 'Turnout for one election' },
+  'GET /api/voters/admin/{address}': { operationId: 'getVoterForAdmin', summary: 'Voter record with decrypted fields' },
+  'POST /api/voters/register-aadhar': {
+    operationId: 'registerVoterWithAadhar',
+    summary: 'Register a voter by Aadhaar number with a custodial wallet',
+    description: REGISTRATION_RETRIES,
+    status: 201
+  },
+  'GET /api/voters/lookup/{aadharNumber}': { operationId: 'lookupVoterByAadhar', summary: 'Voter by Aadhaar number' },
+  'GET /api/voters/status/aadhar/{aadharNumber}': { operationId: 'getVoterStatusByAadhar', summary: 'Status by Aadhaar number' },
+  'POST /api/voters/verify-aadhar/{aadharNumber}': { operationId: 'verifyVoterByAadhar', summary: 'Verify a voter by Aadhaar number' },
+  'GET /api/voters/admin/aadhar/{aadharNumber}': {
+    operationId: 'getVoterForAdminByAadhar',
+    summary: 'Voter record with decrypted fields, by Aadhaar number'
+  },
+  'POST /api/voters/generate-voting-qr/{aadharNumber}': {
+    operationId: 'generateVotingQr',
+    summary: 'Issue a signed voting QR code for one election'
+  },
+  'POST /api/voters/vote-via-scan': { operationId: 'voteViaScan', summary: 'Cast a ballot from a scanned voting QR code' },
+  'GET /api/voters/admin/stats/summary': { operationId: 'getVoterStatsSummary', summary: 'Voter counts in the jurisdiction' },
+
+  // Admin
+  'GET /api/admin/stats': { operationId: 'getDashboardStats', summary: 'Dashboard statistics' },
+  'GET /api/admin/health': { operationId: 'getAdminHealth', summary: 'Admin routes health check' },
+  'GET /api/admin/voters': { operationId: 'listVoters', summary: 'List voters' },
+  'GET /api/admin/voters/{address}': { operationId: 'getVoter', summary: 'One voter' },
+  'GET /api/admin/voters/{address}/documents': { operationId: 'listVoterDocuments', summary: 'Identity documents of a voter' },
+  'GET /api/admin/voters/{address}/documents/{documentId}': {
+    operationId: 'getVoterDocument',
+    summary: 'Decrypted identity document',
+    description: 'Every view is recorded in the admin log.',
+    produces: 'application/octet-stream',
+    response: 'The document, with its stored Content-Type (image/jpeg; application/pdf for PDFs uploaded before they were refused)'
+  },
+  'GET /api/admin/voters/{address}/documents/{documentId}/thumbnail': {
+    operationId: 'getVoterDocumentThumbnail',
+    summary: 'Decrypted document thumbnail',
+    description: 'Every view is recorded in the admin log.',
+    produces: 'image/jpeg'
+  },
+  'GET /api/admin/reviews': { operationId: 'listReviews', summary: 'Document review queue' },
+  'GET /api/admin/reviews/{address}': { operationId: 'getReview', summary: 'Open document review of a voter' },
+  'POST /api/admin/reviews/{address}/assign': { operationId: 'assignReview', summary: 'Assign a review to an officer' },
+  'PUT /api/admin/reviews/{address}/checklist': { operationId: 'updateReviewChecklist', summary: 'Record checklist results' },
+  'POST /api/admin/reviews/{address}/request-reupload': {
+    operationId: 'requestDocumentReupload',
+    summary: 'Ask the voter for a new document'
+  },
+  'POST /api/admin/reviews/{address}/decision': { operationId: 'decideReview', summary: 'Approve or reject the voter' },
+  'GET /api/admin/logs': { operationId: 'listAdminLogs', summary: 'Admin activity log' },
+  'GET /api/admin/stats/historical': { operationId: 'getHistoricalStats', summary: 'Daily country-wide snapshots' },
+  'GET /api/admin/stats/states': { operationId: 'getStateDistribution', summary: 'Voters per state' },
+  'GET /api/admin/users': { operationId: 'listAdminUsers', summary: 'List officers' },
+  'POST /api/admin/users': { operationId: 'createAdminUser', summary: 'Create an officer', status: 201 },
+  'PATCH /api/admin/users/{address}': { operationId: 'updateAdminUser', summary: 'Update an officer' },
+  'GET /api/admin/chain-drift': { operationId: 'getChainDrift', summary: 'Voter records that differ from the contract' },
+  'POST /api/admin/chain-drift/reconcile': { operationId: 'reconcileChain', summary: 'Reconcile voter records with the contract' },
+
+  // Elections
+  'GET /api/elections': { operationId: 'listElections', summary: 'List elections, newest first' },
+  'POST /api/elections': {
+    operationId: 'createElection',
+    summary: 'Create an election',
+    description: 'Created on the Election contract as well when it is deployed; a contract revert refuses the election.',
+    status: 201
+  },
+  'POST /api/elections/{electionId}/candidates': {
+    operationId: 'addCandidate',
+    summary: 'Add a candidate before polling opens',
+    status: 201
+  },
+  'GET /api/elections/{electionId}': { operationId: 'getElection', summary: 'Election details and candidates' },
+  'GET /api/elections/{electionId}/results': { operationId: 'getElectionResults', summary: 'On-chain tally once the election has ended' },
+  'POST /api/elections/{electionId}/vote': {
+    operationId: 'castBallot',
+    summary: 'Cast a ballot with the voter\'s voting QR code',
+    description: 'Signed with the voter\'s custody wallet and relayed. The booth officer submits the candidate on the voter\'s behalf, so the officer and the backend are trusted with the choice; the single-use voting QR code, the CONDUCT_VOTING permission, the jurisdiction check and the CAST_BALLOT audit log limit that trust (see "Trust model" in the README).'
+  },
+
+  // QR codes
+  'POST /api/qrcode/generate/{voterAddress}': { operationId: 'generateVoterQr', summary: 'Generate the identity QR code of a voter' },
+  'GET /api/qrcode/verification-key': { operationId: 'getQrVerificationKey', summary: 'Public key for offline QR verification' },
+  'GET /api/qrcode/aadhar/{aadharHash}': { operationId: 'getQrByAadharHash', summary: 'QR code by Aadhaar hash' },
+  'GET /api/qrcode/voter/{voterAddress}': { operationId: 'getQrByVoter', summary: 'QR code by voter address' },
+  'POST /api/qrcode/verify': { operationId: 'verifyQrData', summary: 'Check a scanned identity QR code' },
+  'GET /api/qrcode/list': { operationId: 'listQrCodes', summary: 'List QR codes' },
+  'DELETE /api/qrcode/aadhar/{aadharHash}': { operationId: 'deleteQrByAadharHash', summary: 'Delete a QR code' },
+  'POST /api/qrcode/generate-qr/{aadharNumber}': {
+    operationId: 'generateVotingQrCode',
+    summary: 'Issue a signed voting QR code for one election'
+  },
+  'POST /api/qrcode/scan-vote': { operationId: 'scanVote', summary: 'Cast a ballot from a scanned voting QR code' },
+  'POST /api/qrcode/verify-qr': { operationId: 'verifyVotingQr', summary: 'Check the signature and expiry of a voting QR code' },
+
+  // Blockchain
+  'POST /api/blockchain/register': {
+    operationId: 'registerOnChain',
+    summary: 'Register a voter directly on the contract',
+    description: 'Writes no voter record and uses up the Aadhaar hash on-chain; voters register through /api/voters.',
+    status: 201
+  },
+  'POST /api/blockchain/verify': {
+    operationId: 'verifyOnChain',
+    summary: 'Verify a voter directly on the contract',
+    description: 'Bypasses jurisdiction checks.'
+  },
+  'GET /api/blockchain/status/{address}': { operationId: 'getChainStatus', summary: 'On-chain registration status' },
+  'GET /api/blockchain/details/{address}': { operationId: 'getChainDetails', summary: 'On-chain voter record' },
+  'POST /api/blockchain/registration-status': { operationId: 'setRegistrationOpen', summary: 'Open or close registration' },
+  'GET /api/blockchain/verify-tx/{address}': {
+    operationId: 'getVerifyTransaction',
+    summary: 'Unsigned verifyVoter transaction',
+    description: 'For an officer to sign with their own VERIFIER_ROLE key.'
+  },
+  'GET /api/blockchain/roles/{address}': { operationId: 'getContractRoles', summary: 'Contract roles held by an address' },
+  'POST /api/blockchain/roles/grant': { operationId: 'grantContractRole', summary: 'Grant a contract role' },
+  'POST /api/blockchain/roles/revoke': { operationId: 'revokeContractRole', summary: 'Revoke a contract role' },
+  'GET /api/blockchain/admin': { operationId: 'getContractAdmin', summary: 'Contract admin, pending admin and pause state' },
+  'POST /api/blockchain/admin/transfer': {
+    operationId: 'transferContractAdmin',
+    summary: 'Nominate a new contract admin',
+    description: 'The nominee must call acceptAdmin() from their own wallet.'
+  },
+  'POST /api/blockchain/pause': { operationId: 'setContractPaused', summary: 'Pause or unpause the contract' },
+  'GET /api/blockchain/transactions': { operationId: 'listChainTransactions', summary: 'Recent contract writes' },
+  'GET /api/blockchain/transactions/{id}': {
+    operationId: 'getChainTransaction',
+    summary: 'One contract write',
+    description: 'By transaction id or the hash of any attempt.'
+  },
+  'GET /api/blockchain/health': { operationId: 'getBlockchainHealth', summary: 'Blockchain connection health check' },
+
+  // Wallets
+  'GET /api/wallets/{address}': { operationId: 'getVoterWallet', summary: 'Custody wallet address, seal status and balance' },
+  'POST /api/wallets/{address}/reseal': {
+    operationId: 'resealVoterWallet',
+    summary: 'Reseal a custody wallet key under the active master seed',
+    description: 'The key itself, and so the address, stays the same.'
+  },
+
+  // Upload
+  'POST /api/upload/aadhar': { operationId: 'uploadAadharDocument', summary: 'Upload an Aadhaar document', status: 201 },
+  'POST /api/upload/aadhar/reupload': {
+    operationId: 'reuploadAadharDocument',
+    summary: 'Send a new document after an officer asked for one',
+    status: 201
+  },
+  'GET /api/upload/health': { operationId: 'getUploadHealth', summary: 'Upload routes health check' },
+
+  // Storage
+  'GET /api/storage/{key}': {
+    operationId: 'downloadStoredFile',
+    summary: 'Download a file through a signed link',
+    description: 'Links come from the API (e.g. document URLs); they are not built by clients.',
+    produces: 'application/octet-stream',
+    response: 'The file, with its stored Content-Type'
+  },
+
+  // Health
+  'GET /api/health': { operationId: 'getHealth', summary: 'Service health check' },
+  'GET /api/health/detailed': { operationId: 'getDetailedHealth', summary: 'Health of the database and blockchain connections' }
+};
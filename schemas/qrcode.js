@@ -0,0 +1,22 @@
+const voters = require('./voters');
+const { ethAddress, bytes32, page, limit, params, body } = require('./common');
+
+// Request schemas for routes/qrcode.js
+
+const voterParams = params({ voterAddress: ethAddress });
+const aadhaarHashParams = params({ aadharHash: { ...bytes32, description: 'Aadhaar hash, with or without 0x' } });
+const qrData = body({ qrData: { type: 'string', minLength: 1, maxLength: 4096 } }, ['qrData']);
+
+module.exports = {
+  generate: { params: voterParams },
+  getByAadhaarHash: { params: aadhaarHashParams },
+  getByVoter: { params: voterParams },
+  verify: { body: qrData },
+  list: {
+    query: { properties: { page, limit: limit(20) } }
+  },
+  deleteByAadhaarHash: { params: aadhaarHashParams },
+  generateVotingQr: voters.generateVotingQr,
+  scanVote: voters.voteViaScan,
+  verifyQr: { body: qrData }
+};
@@ -0,0 +1,17 @@
+const { params } = require('./common');
+
+// Request schemas for routes/storage.js. The link is checked by
+// storageService.verifySignedUrl(); these only describe its shape.
+
+module.exports = {
+  download: {
+    params: params({ key: { type: 'string', minLength: 1, description: 'Object key, may contain slashes' } }),
+    query: {
+      properties: {
+        expires: { type: 'integer', description: 'Unix seconds after which the link stops working' },
+        signature: { type: 'string', minLength: 1 }
+      },
+      required: ['expires', 'signature']
+    }
+  }
+};
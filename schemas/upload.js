@@ -0,0 +1,25 @@
+const { ethAddress, body } = require('./common');
+
+// Request schemas for routes/upload.js. These run after multer, so `body`
+// holds the text fields of the multipart form; `file` names the file field
+// for the OpenAPI document (multer itself enforces it).
+
+const aadharImage = {
+  field: 'aadharImage',
+  description: 'JPEG or PNG, at most 5 MB'
+};
+
+module.exports = {
+  aadhar: {
+    file: aadharImage,
+    body: body({
+      voterAddress: { ...ethAddress, description: 'Attach the document to this existing voter' }
+    })
+  },
+  reupload: {
+    file: aadharImage,
+    body: body({
+      token: { type: 'string', minLength: 1, maxLength: 200, description: 'One-time token from the re-upload link' }
+    }, ['token'])
+  }
+};
@@ -0,0 +1,98 @@
+const { STATUS_REASONS } = require('../utils/blockchain');
+const {
+  ethAddress,
+  objectId,
+  aadhaarNumber,
+  notes,
+  shortText,
+  body,
+  addressParams,
+  aadhaarParams
+} = require('./common');
+
+// Request schemas for routes/voters.js
+
+// Profile fields accepted by both registration flows
+const profile = {
+  name: shortText,
+  aadharNumber: aadhaarNumber,
+  phoneNumber: { type: 'string', format: 'phone' },
+  email: { type: 'string', format: 'email', maxLength: 254 },
+  city: { type: 'string', maxLength: 100 },
+  state: { type: 'string', maxLength: 100 },
+  gender: { type: 'string', maxLength: 20 },
+  dob: { type: 'string', format: 'date', description: 'Date of birth, YYYY-MM-DD' },
+  aadharDocumentId: { ...objectId, description: 'documentId returned by POST /api/upload/aadhar' }
+};
+
+// Optional on both registration routes (see services/registrationSagaService.js)
+const idempotencyHeaders = {
+  properties: {
+    'Idempotency-Key': {
+      type: 'string',
+      minLength: 1,
+      maxLength: 255,
+      pattern: '^[!-~]+$',
+      description: 'Client-chosen key, e.g. a UUID. Retrying with the same key and body resumes the ' +
+        'registration or replays its response. Keys are kept for 72 hours after the registration ends.'
+    }
+  }
+};
+
+// Reject, revoke and remove
+const statusChange = {
+  body: body({
+    voterAddress: ethAddress,
+    reasonCode: { type: 'string', enum: STATUS_REASONS.filter(code => code !== 'NONE') },
+    notes
+  }, ['voterAddress', 'reasonCode'])
+};
+
+const votingQr = {
+  params: aadhaarParams,
+  body: body({
+    electionId: objectId,
+    booth: { type: 'string', maxLength: 100 },
+    expirationMinutes: { type: 'integer', minimum: 1, maximum: 1440, default: 30 }
+  }, ['electionId'])
+};
+
+const voteViaScan = {
+  body: body({
+    qrData: { type: 'string', minLength: 1, maxLength: 4096 },
+    booth: { type: 'string', maxLength: 100 },
+    scannerId: { type: 'string', maxLength: 100 }
+  }, ['qrData'])
+};
+
+module.exports = {
+  register: {
+    headers: idempotencyHeaders,
+    body: body({ ...profile, address: ethAddress }, ['name', 'aadharNumber', 'address'])
+  },
+  verify: {
+    body: body({ voterAddress: ethAddress, verificationNotes: notes }, ['voterAddress'])
+  },
+  reject: statusChange,
+  revoke: statusChange,
+  remove: statusChange,
+  status: { params: addressParams },
+  details: { params: addressParams },
+  votingStats: {
+    query: { properties: { electionId: objectId }, required: ['electionId'] }
+  },
+  adminVoter: { params: addressParams },
+  registerAadhar: {
+    headers: idempotencyHeaders,
+    body: body(profile, ['name', 'aadharNumber'])
+  },
+  lookupByAadhar: { params: aadhaarParams },
+  statusByAadhar: { params: aadhaarParams },
+  verifyByAadhar: {
+    params: aadhaarParams,
+    body: body({ verificationNotes: notes })
+  },
+  adminVoterByAadhar: { params: aadhaarParams },
+  generateVotingQr: votingQr,
+  voteViaScan
+};
@@ -0,0 +1,8 @@
+const { addressParams } = require('./common');
+
+// Request schemas for routes/wallets.js
+
+module.exports = {
+  get: { params: addressParams },
+  reseal: { params: addressParams }
+};
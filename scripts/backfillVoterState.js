@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Voter = require('../models/Voter');
+
+// Voters registered before jurisdiction scoping only have `district` stored as
+// "City, State". Copy the state part into the new `state` field so state and
+// district officers can see them.
+async function backfillVoterState() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const voters = await Voter.find({
+      $or: [{ state: { $exists: false } }, { state: null }, { state: '' }],
+      district: { $regex: ',' }
+    }, { district: 1 });
+
+    console.log(`Found ${voters.length} voters without a state`);
+
+    let updated = 0;
+    for (const voter of voters) {
+      const state = voter.district.split(',').pop().trim();
+      if (!state) continue;
+
+      await Voter.updateOne({ _id: voter._id }, { $set: { state } });
+      updated++;
+    }
+
+    // Create the new state/district index (autoIndex is disabled on Voter)
+    await Voter.collection.createIndex({ state: 1, district: 1 });
+
+    console.log(`Backfilled state on ${updated} voters`);
+  } catch (error) {
+    console.error('Error during backfill:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+backfillVoterState()
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+require('dotenv').config();
+const { bootstrapLocalChain } = require('../utils/localChain');
+
+// Deploy VoterID and Election to a local chain and seed it, so the backend
+// runs offline end to end.
+//
+// Start a node first (`npm run chain`), then run this against it. The
+// addresses are written to deployments/<NETWORK>.json, where the server
+// picks them up; no .env changes are needed. NETWORK defaults to localhost.
+//
+// Usage: node scripts/bootstrapLocal.js [--voters=N]
+async function bootstrapLocal(voters) {
+  const { deployment, filePath, seeded } = await bootstrapLocalChain({ voters });
+
+  console.log(`Network: ${deployment.network}`);
+  console.log(`VoterID contract deployed to: ${deployment.contractAddress} (block ${deployment.deploymentBlock})`);
+  console.log(`Election contract deployed to: ${deployment.electionContractAddress}`);
+  console.log(`Deployer (contract admin): ${deployment.deployer}`);
+  if (filePath) {
+    console.log(`Deployment info saved to: ${filePath}`);
+  }
+
+  seeded.funded.forEach(account => console.log(`Funded ${account}`));
+  if (seeded.roles.length > 0) {
+    console.log(`Granted ${seeded.roles.join(', ')} to ${process.env.ADMIN_ADDRESS}`);
+  }
+  if (seeded.voters.length > 0) {
+    console.log(`Registered ${seeded.voters.length} demo voters on-chain`);
+  }
+}
+
+const votersArg = process.argv.find(arg => arg.startsWith('--voters='));
+
+bootstrapLocal(votersArg ? parseInt(votersArg.split('=')[1]) : 0)
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
@@ -18,13 +18,26 @@ async function main() {
     // Get the deployed contract address
     const contractAddress = await voterID.getAddress();
     
+    const deploymentReceipt = await voterID.deploymentTransaction().wait();
+    
     console.log(`VoterID contract deployed to: ${contractAddress}`);
     console.log(`Network: ${hre.network.name}`);
     
+    // Deploy the Election contract against this VoterID registry
+    console.log("Deploying Election contract...");
+    const Election = await hre.ethers.getContractFactory("Election");
+    const election = await Election.deploy(contractAddress);
+    await election.waitForDeployment();
+    const electionContractAddress = await election.getAddress();
+    
+    console.log(`Election contract deployed to: ${electionContractAddress}`);
+    
     // Save deployment info
     const deploymentInfo = {
         network: hre.network.name,
         contractAddress: contractAddress,
+        electionContractAddress: electionContractAddress,
+        deploymentBlock: deploymentReceipt.blockNumber,
         deploymentTime: new Date().toISOString(),
         deployer: (await hre.ethers.getSigners())[0].address
     };
@@ -43,10 +56,13 @@ async function main() {
     
     console.log("Deployment info saved to deployments directory");
     console.log("\nNext steps:");
-    console.log("1. Add the contract address to your .env file:");
+    console.log("1. Add the contract addresses to your .env file:");
     console.log(`   CONTRACT_ADDRESS=${contractAddress}`);
+    console.log(`   ELECTION_CONTRACT_ADDRESS=${electionContractAddress}`);
     console.log("2. Add your account address as the admin:");
     console.log(`   ADMIN_ADDRESS=${deploymentInfo.deployer}`);
+    console.log("   Let the event indexer start at the deployment block:");
+    console.log(`   INDEXER_START_BLOCK=${deploymentInfo.deploymentBlock}`);
     console.log("3. Start the server with: npm run dev");
 }
 
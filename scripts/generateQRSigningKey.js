@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Print a fresh Ed25519 key for signing voting QR codes, as a single .env line.
+// Booth scanners fetch the matching public key from GET /api/qrcode/verification-key.
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+const pem = privateKey.export({ type: 'pkcs8', format: 'pem' }).trim();
+
+console.log('Add this to your .env file:');
+console.log(`QR_SIGNING_PRIVATE_KEY="${pem.replace(/\n/g, '\\n')}"`);
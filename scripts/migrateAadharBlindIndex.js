@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Voter = require('../models/Voter');
+const { decryptSensitiveData, createAadharIndex } = require('../utils/crypto');
+
+// Voters used to keep `rawData.name` and `rawData.aadharNumber` in clear text
+// for lookups. Compute the HMAC blind index for every voter, strip `rawData`
+// and move the unique Aadhaar index onto `aadharIndex`.
+async function migrateAadharBlindIndex() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // rawData is no longer in the Voter schema, so read it from the raw collection
+    const voters = await Voter.collection.find(
+      { $or: [{ aadharIndex: { $exists: false } }, { rawData: { $exists: true } }] },
+      { projection: { rawData: 1, encryptedData: 1, aadharIndex: 1 } }
+    ).toArray();
+
+    console.log(`Found ${voters.length} voters to migrate`);
+
+    const seen = new Map();
+    let migrated = 0;
+    const skipped = [];
+
+    for (const voter of voters) {
+      let aadharIndex = voter.aadharIndex;
+
+      if (!aadharIndex) {
+        let aadharNumber = voter.rawData?.aadharNumber;
+        if (!aadharNumber) {
+          try {
+            aadharNumber = decryptSensitiveData(voter.encryptedData).aadharNumber;
+          } catch (error) {
+            skipped.push({ id: voter._id, reason: error.message });
+            continue;
+          }
+        }
+
+        if (!aadharNumber) {
+          skipped.push({ id: voter._id, reason: 'no Aadhaar number found' });
+          continue;
+        }
+        try {
+          aadharIndex = createAadharIndex(aadharNumber);
+        } catch (error) {
+          // Numbers that fail the Aadhaar checksum cannot be indexed
+          skipped.push({ id: voter._id, reason: error.message });
+          continue;
+        }
+      }
+
+      // Two records for the same Aadhaar would break the unique index
+      if (seen.has(aadharIndex)) {
+        skipped.push({ id: voter._id, reason: `duplicate Aadhaar of voter ${seen.get(aadharIndex)}` });
+        continue;
+      }
+      seen.set(aadharIndex, voter._id);
+
+      await Voter.collection.updateOne(
+        { _id: voter._id },
+        { $set: { aadharIndex }, $unset: { rawData: '' } }
+      );
+      migrated++;
+    }
+
+    // Replace the plaintext index (autoIndex is disabled on Voter)
+    try {
+      await Voter.collection.dropIndex('rawData.aadharNumber_1');
+    } catch (error) {
+      console.log('No rawData.aadharNumber index to drop');
+    }
+    await Voter.collection.createIndex({ aadharIndex: 1 }, { unique: true, sparse: true });
+
+    console.log(`Migrated ${migrated} voters`);
+    if (skipped.length > 0) {
+      console.warn(`Skipped ${skipped.length} voters, rawData was left in place for these:`);
+      skipped.forEach(entry => console.warn(`  ${entry.id}: ${entry.reason}`));
+    }
+  } catch (error) {
+    console.error('Error during migration:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+migrateAadharBlindIndex()
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Voter = require('../models/Voter');
+const documentService = require('../services/documentService');
+const storageService = require('../services/storageService');
+const { processUpload } = require('../utils/uploadValidation');
+
+// Aadhaar images used to be stored in clear under uploads/ (or, briefly, in
+// the storage backend under aadhar/) and referenced from Voter.aadharImage by
+// path or URL. Encrypt each one into a VoterDocument, point
+// Voter.aadharDocument at it and drop aadharImage. Images go through the
+// same checks and normalization as new uploads; ones that fail are reported
+// and left alone.
+//
+// With --delete-originals the clear-text copy is removed once the encrypted
+// one is stored. Files under uploads/ that no voter refers to are listed at
+// the end so they can be reviewed and deleted by hand.
+//
+// Usage: node scripts/migrateAadharDocuments.js [--dry-run] [--delete-originals]
+const LEGACY_DIR = path.join(__dirname, '../uploads');
+
+const DOCUMENT_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.pdf'];
+
+// "/uploads/x.png", "http://host/api/upload/files/x.png", "uploads/x.png",
+// "aadhar/x.png", ...
+const resolveLegacyImage = async (reference) => {
+  const withoutQuery = reference.split('?')[0];
+  const fileName = path.basename(withoutQuery);
+
+  const filePath = path.join(LEGACY_DIR, fileName);
+  if (fileName && fs.existsSync(filePath)) {
+    return { body: fs.readFileSync(filePath), remove: () => fs.promises.unlink(filePath), source: filePath };
+  }
+
+  // Written by routes/upload.js through the storage layer, before encryption
+  const match = withoutQuery.match(/(aadhar\/[^/]+)$/);
+  if (match) {
+    const stored = await storageService.get(match[1]);
+    if (stored) {
+      return {
+        body: stored.body,
+        remove: () => storageService.delete(match[1]),
+        source: match[1]
+      };
+    }
+  }
+  return null;
+};
+
+async function migrateAadharDocuments(dryRun, deleteOriginals) {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // aadharImage is no longer in the Voter schema, so read it from the raw collection
+    const voters = await Voter.collection.find(
+      { aadharImage: { $exists: true } },
+      { projection: { aadharImage: 1, blockchainAddress: 1 } }
+    ).toArray();
+
+    console.log(`Found ${voters.length} voters with a legacy Aadhaar image${dryRun ? ' (dry run)' : ''}`);
+
+    const referenced = new Set();
+    let migrated = 0;
+    const missing = [];
+    const rejected = [];
+
+    for (const voter of voters) {
+      if (!voter.aadharImage) {
+        if (!dryRun) {
+          await Voter.collection.updateOne({ _id: voter._id }, { $unset: { aadharImage: '' } });
+        }
+        continue;
+      }
+
+      const image = await resolveLegacyImage(voter.aadharImage);
+      if (!image) {
+        missing.push({ id: voter._id, reference: voter.aadharImage });
+        continue;
+      }
+      referenced.add(path.basename(image.source));
+
+      let processed;
+      try {
+        processed = await processUpload(image.body);
+      } catch (error) {
+        rejected.push({ id: voter._id, reference: voter.aadharImage, reason: error.code || error.message });
+        continue;
+      }
+
+      if (dryRun) {
+        migrated++;
+        continue;
+      }
+
+      const document = await documentService.storeDocument(processed, {
+        uploadedBy: 'migration',
+        voter
+      });
+
+      await Voter.collection.updateOne(
+        { _id: voter._id },
+        { $set: { aadharDocument: document._id }, $unset: { aadharImage: '' } }
+      );
+
+      if (deleteOriginals) {
+        await image.remove();
+      }
+      migrated++;
+    }
+
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} Aadhaar images`);
+    if (missing.length > 0) {
+      console.warn(`No file found for ${missing.length} voters (left unchanged):`);
+      missing.forEach(entry => console.warn(`  ${entry.id}: ${entry.reference}`));
+    }
+    if (rejected.length > 0) {
+      console.warn(`${rejected.length} files failed upload validation (left unchanged):`);
+      rejected.forEach(entry => console.warn(`  ${entry.id}: ${entry.reference} (${entry.reason})`));
+    }
+
+    const leftover = fs.existsSync(LEGACY_DIR)
+      ? fs.readdirSync(LEGACY_DIR).filter(name => DOCUMENT_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !referenced.has(name))
+      : [];
+    if (leftover.length > 0) {
+      console.warn(`${leftover.length} unencrypted files in ${LEGACY_DIR} are not referenced by any voter:`);
+      leftover.forEach(name => console.warn(`  ${name}`));
+    }
+  } catch (error) {
+    console.error('Error during Aadhaar document migration:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+migrateAadharDocuments(process.argv.includes('--dry-run'), process.argv.includes('--delete-originals'))
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
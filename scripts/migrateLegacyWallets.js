@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+require('dotenv').config();
+const Voter = require('../models/Voter');
+const VoterWallet = require('../models/VoterWallet');
+const { decryptSensitiveData } = require('../utils/crypto');
+const WalletAbstractionService = require('../services/walletService');
+
+// Take the wallets of voters registered before custody wallets existed into
+// custody. Those keys were never stored: they were derived on demand as
+// sha256(aadharNumber + WALLET_SALT), so set WALLET_SALT to the value the
+// server used (it defaulted to 'default_salt_12345') for this run only.
+//
+// Imported wallets are marked LEGACY_SHA256. Their addresses are the voters'
+// on-chain identities and cannot change, but anyone holding the old salt can
+// still recompute them, so treat the salt as compromised and remove it from
+// every environment once this has run.
+//
+// Usage: WALLET_SALT=... node scripts/migrateLegacyWallets.js [--dry-run]
+const deriveLegacyKey = (aadharNumber, salt) => `0x${crypto
+  .createHash('sha256')
+  .update(aadharNumber + salt)
+  .digest('hex')}`;
+
+async function migrateLegacyWallets(dryRun) {
+  try {
+    const salt = process.env.WALLET_SALT;
+    if (!salt) {
+      throw new Error('Set WALLET_SALT to the salt the old wallet derivation used');
+    }
+
+    const walletService = new WalletAbstractionService();
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const custodied = new Set((await VoterWallet.distinct('voter')).map(id => id.toString()));
+    const cursor = Voter.find({}).select('blockchainAddress encryptedData').cursor();
+
+    let imported = 0;
+    let notLegacy = 0;
+    const failed = [];
+
+    for await (const voter of cursor) {
+      if (custodied.has(voter._id.toString())) continue;
+
+      let aadharNumber;
+      try {
+        ({ aadharNumber } = decryptSensitiveData(voter.encryptedData));
+      } catch (error) {
+        failed.push({ id: voter._id, reason: error.message });
+        continue;
+      }
+
+      // Wallet-based registrations hold their own keys
+      const privateKey = aadharNumber ? deriveLegacyKey(aadharNumber, salt) : null;
+      if (!privateKey || new ethers.Wallet(privateKey).address.toLowerCase() !== voter.blockchainAddress.toLowerCase()) {
+        notLegacy++;
+        continue;
+      }
+
+      if (!dryRun) {
+        await walletService.importWallet(voter._id, privateKey, { origin: 'LEGACY_SHA256' });
+      }
+      imported++;
+    }
+
+    console.log(`${dryRun ? 'Would import' : 'Imported'} ${imported} legacy wallets`);
+    console.log(`${notLegacy} voters have no legacy wallet`);
+    if (failed.length > 0) {
+      console.warn(`Failed to decrypt ${failed.length} voters:`);
+      failed.forEach(entry => console.warn(`  ${entry.id}: ${entry.reason}`));
+    }
+  } catch (error) {
+    console.error('Error during wallet migration:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+migrateLegacyWallets(process.argv.includes('--dry-run'))
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
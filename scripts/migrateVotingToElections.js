@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Voter = require('../models/Voter');
+const Election = require('../models/Election');
+const ElectionParticipation = require('../models/ElectionParticipation');
+
+// Voters used to carry a single global `isVoted`/`votingDate`. Move those votes
+// into participation records for the election they belong to, then drop the
+// old fields so the voter documents can take part in further elections.
+//
+// Usage: node scripts/migrateVotingToElections.js <electionId>
+async function migrateVotingToElections(electionId) {
+  try {
+    if (!electionId || !mongoose.isValidObjectId(electionId)) {
+      throw new Error('Pass the id of the election the existing votes belong to');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const election = await Election.findById(electionId);
+    if (!election) {
+      throw new Error(`Election ${electionId} not found`);
+    }
+
+    // isVoted is no longer in the Voter schema, so read it from the raw collection
+    const voters = await Voter.collection.find(
+      { isVoted: true },
+      { projection: { blockchainAddress: 1, state: 1, district: 1, votingDate: 1 } }
+    ).toArray();
+
+    console.log(`Found ${voters.length} voters marked as voted`);
+
+    let migrated = 0;
+    for (const voter of voters) {
+      await ElectionParticipation.updateOne(
+        { voter: voter._id, election: election._id },
+        {
+          $setOnInsert: {
+            voterAddress: voter.blockchainAddress,
+            state: voter.state,
+            district: voter.district,
+            status: 'VOTED',
+            votedAt: voter.votingDate || null
+          }
+        },
+        { upsert: true }
+      );
+      migrated++;
+    }
+
+    await Voter.collection.updateMany(
+      {},
+      { $unset: { isVoted: '', votingDate: '' } }
+    );
+
+    // Replace the old isVoted index (autoIndex is disabled on Voter)
+    try {
+      await Voter.collection.dropIndex('isVoted_1');
+    } catch (error) {
+      console.log('No isVoted index to drop');
+    }
+    await ElectionParticipation.createIndexes();
+
+    console.log(`Migrated ${migrated} votes into election "${election.name}"`);
+  } catch (error) {
+    console.error('Error during migration:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+migrateVotingToElections(process.argv[2])
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
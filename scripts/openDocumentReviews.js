@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Voter = require('../models/Voter');
+const DocumentReview = require('../models/DocumentReview');
+const reviewService = require('../services/reviewService');
+
+// Voters registered before the document review workflow have no review, so
+// they never show up in the review queue. Open one for every pending voter
+// that lacks it; voters who were already decided get theirs (closed) the
+// first time an admin looks at it.
+//
+// Usage: node scripts/openDocumentReviews.js [--dry-run]
+async function openDocumentReviews(dryRun) {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const reviewed = await DocumentReview.distinct('voter');
+    const voters = await Voter.find({
+      _id: { $nin: reviewed },
+      status: { $in: ['PENDING', null] },
+      isVerified: { $ne: true }
+    });
+
+    console.log(`Found ${voters.length} pending voters without a document review`);
+
+    let opened = 0;
+    for (const voter of voters) {
+      if (dryRun) {
+        console.log(`Would open a review for ${voter.blockchainAddress}`);
+        continue;
+      }
+      await reviewService.getReview(voter, { by: 'openDocumentReviews' });
+      opened++;
+    }
+
+    // autoIndex may be disabled in production
+    if (!dryRun) {
+      await DocumentReview.createIndexes();
+    }
+
+    console.log(dryRun ? 'Dry run, nothing written' : `Opened ${opened} reviews`);
+  } catch (error) {
+    console.error('Error while opening reviews:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+openDocumentReviews(process.argv.includes('--dry-run'))
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
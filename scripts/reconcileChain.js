@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Voter = require('../models/Voter');
+const reconciliationService = require('../services/reconciliationService');
+
+// Run one chain reconciliation pass outside the server, e.g. from cron when
+// RECONCILE_INTERVAL_MS=0. With --check-only the voters are compared and
+// flagged but no transactions are sent.
+//
+// Usage: node scripts/reconcileChain.js [--check-only] [--limit=N]
+async function reconcileChain(repair, limit) {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Voter indexes are created manually (autoIndex is off)
+    await Voter.collection.createIndex({ 'chainSync.status': 1, 'chainSync.lastCheckedAt': 1 });
+
+    console.log(`Reconciling voters with the VoterID contract${repair ? '' : ' (check only)'}`);
+    const summary = await reconciliationService.reconcile({ repair, limit });
+    console.log('Reconciliation summary:', summary);
+  } catch (error) {
+    console.error('Error during chain reconciliation:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+
+reconcileChain(!process.argv.includes('--check-only'), limitArg ? parseInt(limitArg.split('=')[1]) : undefined)
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
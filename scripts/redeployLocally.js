@@ -25,6 +25,7 @@ async function main() {
     
     // Get the deployed contract address
     const contractAddress = await voterID.getAddress();
+    const deploymentReceipt = await voterID.deploymentTransaction().wait();
     
     console.log(`VoterID contract deployed successfully!`);
     console.log(`Contract Address: ${contractAddress}`);
@@ -33,6 +34,7 @@ async function main() {
     const deploymentInfo = {
       network: hre.network.name,
       contractAddress: contractAddress,
+      deploymentBlock: deploymentReceipt.blockNumber,
       deploymentTime: new Date().toISOString(),
       deployer: (await hre.ethers.getSigners())[0].address
     };
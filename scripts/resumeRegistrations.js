@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const RegistrationSaga = require('../models/RegistrationSaga');
+const registrationSagaService = require('../services/registrationSagaService');
+
+// Finish (or undo) voter registrations that stopped half-way, e.g. when
+// REGISTRATION_RESUME_INTERVAL_MS=0 or the server's resume job gave up after
+// REGISTRATION_SAGA_MAX_ATTEMPTS. Unlike the job, this ignores the attempt
+// count. With --dry-run the open registrations are only listed.
+//
+// Usage: node scripts/resumeRegistrations.js [--dry-run] [--limit=N]
+async function resumeRegistrations(dryRun, limit) {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // autoIndex may be disabled in production; the unique indexes are what
+    // keep two open registrations of one Aadhaar number apart
+    if (!dryRun) {
+      await RegistrationSaga.createIndexes();
+    }
+
+    const summary = await registrationSagaService.resumeOpen({ dryRun, maxAttempts: 0, limit });
+    if (dryRun) {
+      console.log(`Dry run, ${summary.found} open registrations listed`);
+    } else {
+      console.log('Resume summary:', summary);
+    }
+  } catch (error) {
+    console.error('Error while resuming registrations:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+
+resumeRegistrations(process.argv.includes('--dry-run'), limitArg ? parseInt(limitArg.split('=')[1]) : 100)
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Voter = require('../models/Voter');
+const VoterDocument = require('../models/VoterDocument');
+const { getKeyring } = require('../config/keyring');
+const {
+  needsReencryption,
+  reencryptSensitiveData,
+  needsFileKeyRewrap,
+  rewrapFileKey
+} = require('../utils/crypto');
+
+// Re-encrypt every voter's encryptedData with ENCRYPTION_ACTIVE_KEY_ID, and
+// reseal the per-file keys of uploaded documents with it (the files
+// themselves are not touched).
+//
+// Safe to run while the server is up: the server can read with any key in
+// ENCRYPTION_KEYS and always writes with the active one. Each record is only
+// replaced if it has not changed since it was read, so a concurrent update
+// is never overwritten. Re-run until it reports nothing left, then remove the
+// old key from ENCRYPTION_KEYS.
+//
+// Usage: node scripts/rotateEncryptionKey.js [--dry-run]
+async function rotateEncryptionKey(dryRun) {
+  try {
+    const { activeKeyId } = getKeyring();
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+    console.log(`Rotating voter data to key "${activeKeyId}"${dryRun ? ' (dry run)' : ''}`);
+
+    const cursor = Voter.collection.find(
+      {
+        $or: [
+          { 'encryptedData.alg': { $ne: 'aes-256-gcm' } },
+          { 'encryptedData.kid': { $ne: activeKeyId } }
+        ]
+      },
+      { projection: { encryptedData: 1 } }
+    );
+
+    let rotated = 0;
+    let changed = 0;
+    const failed = [];
+
+    for await (const voter of cursor) {
+      if (!needsReencryption(voter.encryptedData)) continue;
+
+      let encryptedData;
+      try {
+        encryptedData = reencryptSensitiveData(voter.encryptedData);
+      } catch (error) {
+        failed.push({ id: voter._id, reason: error.message });
+        continue;
+      }
+
+      if (dryRun) {
+        rotated++;
+        continue;
+      }
+
+      const result = await Voter.collection.updateOne(
+        { _id: voter._id, encryptedData: voter.encryptedData },
+        { $set: { encryptedData } }
+      );
+
+      if (result.modifiedCount === 1) {
+        rotated++;
+      } else {
+        // Updated by the server in the meantime, which already used the active key
+        changed++;
+      }
+    }
+
+    console.log(`${dryRun ? 'Would rotate' : 'Rotated'} ${rotated} voters`);
+    if (changed > 0) {
+      console.log(`${changed} voters changed while rotating; re-run to confirm they are on the active key`);
+    }
+
+    const documents = VoterDocument.collection.find(
+      {
+        $or: [
+          { 'encryption.kid': { $ne: activeKeyId } },
+          { 'thumbnail.encryption.kid': { $exists: true, $ne: activeKeyId } }
+        ]
+      },
+      { projection: { encryption: 1, thumbnail: 1 } }
+    );
+
+    let rewrapped = 0;
+    for await (const document of documents) {
+      const update = {};
+      try {
+        if (needsFileKeyRewrap(document.encryption)) {
+          update.encryption = rewrapFileKey(document.encryption);
+        }
+        if (document.thumbnail?.encryption && needsFileKeyRewrap(document.thumbnail.encryption)) {
+          update['thumbnail.encryption'] = rewrapFileKey(document.thumbnail.encryption);
+        }
+      } catch (error) {
+        failed.push({ id: document._id, reason: error.message });
+        continue;
+      }
+      if (Object.keys(update).length === 0) continue;
+
+      if (!dryRun) {
+        await VoterDocument.collection.updateOne({ _id: document._id }, { $set: update });
+      }
+      rewrapped++;
+    }
+
+    console.log(`${dryRun ? 'Would reseal' : 'Resealed'} the keys of ${rewrapped} documents`);
+    if (failed.length > 0) {
+      console.warn(`Failed to decrypt ${failed.length} records:`);
+      failed.forEach(entry => console.warn(`  ${entry.id}: ${entry.reason}`));
+      throw new Error('Some records could not be rotated; keep the old keys until they are fixed');
+    }
+  } catch (error) {
+    console.error('Error during key rotation:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+rotateEncryptionKey(process.argv.includes('--dry-run'))
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const VoterWallet = require('../models/VoterWallet');
+const { getWalletSeeds } = require('../config/keyring');
+const WalletAbstractionService = require('../services/walletService');
+
+// Reseal every custody wallet key under WALLET_ACTIVE_SEED_ID.
+//
+// Addresses do not change, only the seal. Re-run until it reports nothing
+// left, then remove the old seed from WALLET_MASTER_SEEDS.
+//
+// Usage: node scripts/rotateWalletSeed.js [--dry-run]
+async function rotateWalletSeed(dryRun) {
+  try {
+    const { activeKeyId } = getWalletSeeds();
+    const walletService = new WalletAbstractionService();
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+    console.log(`Resealing custody wallets under seed "${activeKeyId}"${dryRun ? ' (dry run)' : ''}`);
+
+    const cursor = VoterWallet.find({ 'sealedKey.kid': { $ne: activeKeyId } }).select('voter').lean().cursor();
+
+    let rotated = 0;
+    const failed = [];
+
+    for await (const wallet of cursor) {
+      if (dryRun) {
+        rotated++;
+        continue;
+      }
+
+      try {
+        await walletService.resealWallet(wallet.voter);
+        rotated++;
+      } catch (error) {
+        failed.push({ id: wallet.voter, reason: error.message });
+      }
+    }
+
+    console.log(`${dryRun ? 'Would reseal' : 'Resealed'} ${rotated} wallets`);
+    if (failed.length > 0) {
+      console.warn(`Failed to reseal ${failed.length} wallets:`);
+      failed.forEach(entry => console.warn(`  voter ${entry.id}: ${entry.reason}`));
+      throw new Error('Some wallets could not be resealed; keep the old seeds until they are fixed');
+    }
+  } catch (error) {
+    console.error('Error during wallet seed rotation:', error);
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+rotateWalletSeed(process.argv.includes('--dry-run'))
+  .then(() => {
+    console.log('Script completed');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Script failed:', err);
+    process.exit(1);
+  });
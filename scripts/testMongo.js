@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
 const Voter = require('../models/Voter');
+const { encryptSensitiveData, createAadharIndex } = require('../utils/crypto');
+const { verhoeffCheckDigit } = require('../utils/identityValidation');
 
 async function testMongoSave() {
   try {
@@ -9,16 +11,13 @@ async function testMongoSave() {
     console.log('Connected to MongoDB');
     
     // Create a simple test voter
+    // Random 11 digits plus the Verhoeff check digit
+    const aadharBase = '9' + String(Math.floor(Math.random() * 1e10)).padStart(10, '0');
+    const aadharNumber = aadharBase + verhoeffCheckDigit(aadharBase);
     const testVoter = new Voter({
       blockchainAddress: '0x' + Math.random().toString(16).substring(2, 42),
-      encryptedData: {
-        data: 'test-encrypted-data',
-        iv: 'test-iv'
-      },
-      rawData: {
-        name: 'Test User',
-        aadharNumber: '123' + Math.floor(Math.random() * 1000000000)
-      },
+      encryptedData: encryptSensitiveData({ name: 'Test User', aadharNumber }),
+      aadharIndex: createAadharIndex(aadharNumber),
       district: 'Test District',
       gender: 'Other',
       dob: new Date('2000-01-01')
@@ -38,8 +37,7 @@ async function testMongoSave() {
     console.log('Sample voters:', allVoters.map(v => ({
       id: v._id,
       address: v.blockchainAddress,
-      name: v.rawData?.name,
-      aadhar: v.rawData?.aadharNumber?.substring(0, 4) + '****'
+      hasAadharIndex: !!v.aadharIndex
     })));
     
     console.log('MongoDB test completed successfully');
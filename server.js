@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const mongoose = require('mongoose');
+const { sendError } = require('./utils/apiError');
 require('dotenv').config();
 
 const app = express();
@@ -12,9 +13,6 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Health check endpoint (before other routes)
 app.get('/health', (req, res) => {
     res.status(200).json({
@@ -27,7 +25,15 @@ app.get('/health', (req, res) => {
             nodeEnv: process.env.NODE_ENV,
             hasMongoUri: !!process.env.MONGODB_URI,
             hasAdminAddress: !!process.env.ADMIN_ADDRESS,
-            hasContractAddress: !!process.env.CONTRACT_ADDRESS
+            hasAdminSessionSecret: !!process.env.ADMIN_SESSION_SECRET,
+            hasStorageUrlSecret: !!process.env.STORAGE_URL_SECRET,
+            hasQRSigningKey: !!process.env.QR_SIGNING_PRIVATE_KEY,
+            hasAadharIndexKey: !!process.env.AADHAR_INDEX_KEY,
+            hasEncryptionKeys: !!process.env.ENCRYPTION_KEYS && !!process.env.ENCRYPTION_ACTIVE_KEY_ID,
+            storageDriver: process.env.STORAGE_DRIVER || (process.env.FIREBASE_STORAGE_BUCKET ? 'firebase' : 'local'),
+            hasWalletSeeds: !!process.env.WALLET_MASTER_SEEDS && !!process.env.WALLET_ACTIVE_SEED_ID,
+            hasContractAddress: !!process.env.CONTRACT_ADDRESS,
+            network: process.env.NETWORK || null
         }
     });
 });
@@ -41,6 +47,40 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Keep watching contract writes that were still pending when the server stopped
+const resumeTransactionQueue = async () => {
+    try {
+        const txQueue = require('./services/txQueueService');
+        const { getSigner } = require('./utils/blockchain');
+        const relayerService = require('./services/relayerService');
+
+        const { resumed, interrupted } = await txQueue.resume([getSigner(), relayerService.getRelayer()]);
+        console.log(`Transaction queue resumed: ${resumed} pending, ${interrupted} interrupted`);
+    } catch (error) {
+        console.warn('Transaction queue resume skipped/failed:', error.message);
+    }
+};
+
+// Periodically compare voters with the VoterID contract (RECONCILE_INTERVAL_MS),
+// follow its events (INDEXER_POLL_INTERVAL_MS) and finish registrations that
+// stopped half-way (REGISTRATION_RESUME_INTERVAL_MS)
+const startChainJobs = () => {
+    try {
+        require('./services/reconciliationService').start();
+        require('./services/eventIndexerService').start();
+        require('./services/registrationSagaService').start();
+    } catch (error) {
+        console.warn('Chain background jobs start skipped/failed:', error.message);
+    }
+};
+
+// NETWORK=hardhat starts from an empty in-process chain; deploy the
+// contracts before anything talks to them
+const chainReady = require('./utils/localChain').prepareChain()
+    .catch((error) => {
+        console.error('Local chain bootstrap failed:', error.message);
+    });
+
 // Database connection
 if (process.env.MONGODB_URI) {
     mongoose.connect(process.env.MONGODB_URI, {
@@ -49,6 +89,7 @@ if (process.env.MONGODB_URI) {
     })
         .then(() => {
             console.log('Connected to MongoDB successfully');
+            chainReady.then(resumeTransactionQueue).then(startChainJobs);
         })
         .catch((error) => {
             console.error('MongoDB connection error:', error);
@@ -73,12 +114,17 @@ if (fs.existsSync(routesPath)) {
 }
 
 const routes = [
+    { path: '/api/auth', file: './routes/auth', name: 'auth' },
     { path: '/api/voters', file: './routes/voters', name: 'voters' },
     { path: '/api/upload', file: './routes/upload', name: 'upload' },
     { path: '/api/blockchain', file: './routes/blockchain', name: 'blockchain' },
+    { path: '/api/elections', file: './routes/elections', name: 'elections' },
+    { path: '/api/wallets', file: './routes/wallets', name: 'wallets' },
+    { path: '/api/storage', file: './routes/storage', name: 'storage' },
     { path: '/api/admin', file: './routes/admin', name: 'admin' },
     { path: '/api/health', file: './routes/health', name: 'health' },
-    { path: '/api/qrcode', file: './routes/qrcode', name: 'qrcode' } // Add this line
+    { path: '/api/qrcode', file: './routes/qrcode', name: 'qrcode' }, // Add this line
+    { path: '/api', file: './routes/docs', name: 'docs' } // /api/openapi.json and /api/docs
 ];
 
 let loadedRoutes = 0;
@@ -123,16 +169,19 @@ console.log(`Route loading complete. ${loadedRoutes}/${routes.length} routes loa
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Malformed JSON bodies are rejected by express.json before any route runs
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+
     console.error('Error:', err);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-    });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error',
+        process.env.NODE_ENV === 'development' ? [{ code: 'INTERNAL_ERROR', message: err.message }] : undefined);
 });
 
 // 404 handler
 app.use('*', (req, res) => {
-    res.status(404).json({ error: 'Route not found' });
+    sendError(res, 404, 'ROUTE_NOT_FOUND', 'Route not found');
 });
 
 // Start server
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const AdminChallenge = require('../models/AdminChallenge');
+const AdminUser = require('../models/AdminUser');
+
+const CHALLENGE_TTL_MINUTES = parseInt(process.env.ADMIN_CHALLENGE_TTL_MINUTES) || 5;
+const SESSION_TTL_MINUTES = parseInt(process.env.ADMIN_SESSION_TTL_MINUTES) || 30;
+
+class AdminAuthError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'AdminAuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+class AdminAuthService {
+    getSessionSecret() {
+        const secret = process.env.ADMIN_SESSION_SECRET;
+        if (!secret || secret.length < 32) {
+            throw new AdminAuthError('ADMIN_SESSION_SECRET must be configured with at least 32 characters', 500);
+        }
+        return secret;
+    }
+
+    /**
+     * Look up the active admin account for an address.
+     * ADMIN_ADDRESS is always treated as a super admin so a fresh
+     * deployment can sign in and create the other officers.
+     */
+    async getAdminUser(address) {
+        const bootstrapAdmin = process.env.ADMIN_ADDRESS;
+        if (bootstrapAdmin && address.toLowerCase() === bootstrapAdmin.toLowerCase()) {
+            return new AdminUser({
+                address,
+                name: 'Bootstrap admin',
+                role: AdminUser.ROLES.SUPER_ADMIN
+            });
+        }
+
+        return AdminUser.findOne({ address: address.toLowerCase(), isActive: true });
+    }
+
+    /**
+     * Build the EIP-191 message the admin wallet has to sign
+     */
+    buildChallengeMessage(address, nonce, issuedAt, expiresAt) {
+        return [
+            'MyVote admin login',
+            '',
+            'Sign this message to prove you control this wallet.',
+            'It does not send a transaction or cost any gas.',
+            '',
+            `Address: ${ethers.getAddress(address)}`,
+            `Nonce: ${nonce}`,
+            `Issued At: ${issuedAt.toISOString()}`,
+            `Expires At: ${expiresAt.toISOString()}`
+        ].join('\n');
+    }
+
+    /**
+     * Issue a single-use nonce for an admin wallet to sign
+     */
+    async createChallenge(address) {
+        if (!address || !ethers.isAddress(address)) {
+            throw new AdminAuthError('Invalid admin address format', 400);
+        }
+
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+        const message = this.buildChallengeMessage(address, nonce, issuedAt, expiresAt);
+
+        await AdminChallenge.create({ address, nonce, message, expiresAt });
+
+        return { address: ethers.getAddress(address), nonce, message, expiresAt };
+    }
+
+    /**
+     * Redeem a signed challenge and return a session token
+     */
+    async login(address, nonce, signature) {
+        if (!address || !ethers.isAddress(address)) {
+            throw new AdminAuthError('Invalid admin address format', 400);
+        }
+        if (!nonce || !signature) {
+            throw new AdminAuthError('nonce and signature are required', 400);
+        }
+
+        // Consume the challenge up front so a nonce can never be replayed,
+        // even if the signature turns out to be wrong
+        const challenge = await AdminChallenge.findOneAndDelete({
+            address: address.toLowerCase(),
+            nonce,
+            expiresAt: { $gt: new Date() }
+        });
+
+        if (!challenge) {
+            throw new AdminAuthError('Challenge not found or expired');
+        }
+
+        let recoveredAddress;
+        try {
+            recoveredAddress = ethers.verifyMessage(challenge.message, signature);
+        } catch (error) {
+            throw new AdminAuthError('Malformed signature');
+        }
+
+        if (recoveredAddress.toLowerCase() !== address.toLowerCase()) {
+            throw new AdminAuthError('Signature does not match address');
+        }
+
+        if (!(await this.getAdminUser(recoveredAddress))) {
+            throw new AdminAuthError('Address is not authorized as admin', 403);
+        }
+
+        return this.createSessionToken(recoveredAddress);
+    }
+
+    /**
+     * Create a short-lived HMAC-signed session token
+     */
+    createSessionToken(address) {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const payload = {
+            sub: ethers.getAddress(address),
+            iat: issuedAt,
+            exp: issuedAt + SESSION_TTL_MINUTES * 60,
+            jti: crypto.randomBytes(8).toString('hex')
+        };
+
+        const encodedPayload = base64url(JSON.stringify(payload));
+        const signature = crypto
+            .createHmac('sha256', this.getSessionSecret())
+            .update(encodedPayload)
+            .digest('base64url');
+
+        return {
+            token: `${encodedPayload}.${signature}`,
+            address: payload.sub,
+            expiresAt: new Date(payload.exp * 1000)
+        };
+    }
+
+    /**
+     * Validate a session token and return its payload with the admin account
+     */
+    async verifySessionToken(token) {
+        if (!token || typeof token !== 'string' || !token.includes('.')) {
+            throw new AdminAuthError('Session token required');
+        }
+
+        const [encodedPayload, signature] = token.split('.');
+        const expectedSignature = crypto
+            .createHmac('sha256', this.getSessionSecret())
+            .update(encodedPayload)
+            .digest();
+
+        const providedSignature = Buffer.from(signature || '', 'base64url');
+        if (providedSignature.length !== expectedSignature.length ||
+            !crypto.timingSafeEqual(providedSignature, expectedSignature)) {
+            throw new AdminAuthError('Invalid session token');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new AdminAuthError('Invalid session token');
+        }
+
+        if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+            throw new AdminAuthError('Session expired');
+        }
+
+        // Re-check on every request so revoking an admin or changing their
+        // role takes effect without waiting for outstanding tokens to expire
+        const admin = await this.getAdminUser(payload.sub);
+        if (!admin) {
+            throw new AdminAuthError('Address is not authorized as admin', 403);
+        }
+
+        return { ...payload, admin };
+    }
+}
+
+module.exports = new AdminAuthService();
+module.exports.AdminAuthError = AdminAuthError;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const VoterDocument = require('../models/VoterDocument');
+const storageService = require('./storageService');
+const { encryptFile, decryptFile } = require('../utils/crypto');
+
+class DocumentError extends Error {
+    constructor(message, statusCode = 400, code = 'DOCUMENT_INVALID') {
+        super(message);
+        this.name = 'DocumentError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+/**
+ * Encrypted identity documents. Uploads are encrypted with their own key
+ * before they reach the storage backend, so neither the bucket nor the
+ * signed storage URLs ever expose a readable file. Documents are referenced
+ * by their VoterDocument id, never by a storage path.
+ */
+class DocumentService {
+    async putEncrypted(buffer) {
+        const { body, encryption } = encryptFile(buffer);
+        const storageKey = `documents/${crypto.randomBytes(16).toString('hex')}`;
+
+        await storageService.put(storageKey, body, {
+            contentType: 'application/octet-stream',
+            metadata: { encrypted: 'true' }
+        });
+        return { storageKey, encryption };
+    }
+
+    /**
+     * Encrypt and store an upload that has been through processUpload()
+     * (utils/uploadValidation.js), with its thumbnail. Returns the VoterDocument.
+     */
+    async storeDocument(upload, { type = 'AADHAR_CARD', uploadedBy = null, voter = null }) {
+        const stored = [];
+        try {
+            const file = await this.putEncrypted(upload.body);
+            stored.push(file.storageKey);
+
+            let thumbnail;
+            if (upload.thumbnail) {
+                const thumbnailFile = await this.putEncrypted(upload.thumbnail.body);
+                stored.push(thumbnailFile.storageKey);
+                thumbnail = {
+                    storageKey: thumbnailFile.storageKey,
+                    contentType: upload.thumbnail.contentType,
+                    size: upload.thumbnail.body.length,
+                    width: upload.thumbnail.width,
+                    height: upload.thumbnail.height,
+                    encryption: thumbnailFile.encryption
+                };
+            }
+
+            return await VoterDocument.create({
+                voter: voter ? voter._id : null,
+                type,
+                storageKey: file.storageKey,
+                contentType: upload.contentType,
+                sourceType: upload.sourceType,
+                size: upload.body.length,
+                width: upload.width,
+                height: upload.height,
+                encryption: file.encryption,
+                thumbnail,
+                uploadedBy,
+                linkedAt: voter ? new Date() : undefined
+            });
+        } catch (error) {
+            await Promise.all(stored.map(key => storageService.delete(key).catch(() => {})));
+            throw error;
+        }
+    }
+
+    /**
+     * Attach an uploaded document to a voter. Atomic, so a document can
+     * only ever be claimed by one registration. voterId may be the id of a
+     * Voter that is about to be saved.
+     */
+    async claimDocument(documentId, voterId) {
+        if (!mongoose.Types.ObjectId.isValid(documentId)) {
+            throw new DocumentError('Invalid document id', 400, 'INVALID_ID');
+        }
+
+        const document = await VoterDocument.findOneAndUpdate(
+            { _id: documentId, $or: [{ voter: null }, { voter: voterId }] },
+            { $set: { voter: voterId, linkedAt: new Date() } },
+            { new: true }
+        );
+        if (document) {
+            return document;
+        }
+
+        if (!(await VoterDocument.exists({ _id: documentId }))) {
+            throw new DocumentError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+        }
+        throw new DocumentError('Document is already linked to another voter', 409, 'DOCUMENT_ALREADY_LINKED');
+    }
+
+    /**
+     * Undo claimDocument() when the registration could not be saved. With
+     * voterId, only a document still linked to that voter is released.
+     */
+    async releaseDocument(documentId, voterId = null) {
+        await VoterDocument.updateOne(
+            voterId ? { _id: documentId, voter: voterId } : { _id: documentId },
+            { $set: { voter: null }, $unset: { linkedAt: '' } }
+        );
+    }
+
+    /**
+     * Documents attached to a voter, newest first (metadata only)
+     */
+    async listDocuments(voter) {
+        return VoterDocument.find({ voter: voter._id })
+            .select('type contentType sourceType size width height thumbnail.storageKey uploadedBy linkedAt createdAt')
+            .sort({ createdAt: -1 });
+    }
+
+    /**
+     * The decrypted file (or its thumbnail) for a voter's document, or null
+     * if the voter has no such document
+     */
+    async readDocument(voter, documentId, { thumbnail = false } = {}) {
+        if (!mongoose.Types.ObjectId.isValid(documentId)) {
+            return null;
+        }
+
+        const document = await VoterDocument.findOne({ _id: documentId, voter: voter._id });
+        if (!document) {
+            return null;
+        }
+
+        const file = thumbnail ? document.thumbnail : document;
+        if (!file?.storageKey) {
+            return null;
+        }
+
+        const stored = await storageService.get(file.storageKey);
+        if (!stored) {
+            throw new DocumentError(`Stored file for document ${document._id} is missing`, 500, 'DOCUMENT_FILE_MISSING');
+        }
+
+        return {
+            document,
+            contentType: file.contentType,
+            body: decryptFile(stored.body, file.encryption)
+        };
+    }
+}
+
+module.exports = new DocumentService();
+module.exports.DocumentError = DocumentError;
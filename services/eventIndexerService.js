@@ -0,0 +1,306 @@
+const Voter = require('../models/Voter');
+const ChainVoter = require('../models/ChainVoter');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const RegistrationStatus = require('../models/RegistrationStatus');
+const { initContract } = require('../utils/blockchain');
+const { getDeployment, getNetworkName, isLocalNetwork } = require('../config/network');
+
+const CHECKPOINT_NAME = 'VoterID';
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_INTERVAL_MS ?? 15000);
+// Blocks are only indexed once this many blocks have been mined on top of
+// them, so ordinary reorgs never reach the database. Local chains do not
+// reorg (and may only mine on demand), so they are indexed at the head.
+const getConfirmations = () => Number(process.env.INDEXER_CONFIRMATIONS ?? (isLocalNetwork() ? 0 : 12));
+// Most RPC providers cap the block range of eth_getLogs
+const BLOCK_RANGE = Number(process.env.INDEXER_BLOCK_RANGE) || 2000;
+// Where to start without a checkpoint; defaults to the deployment block
+// recorded in deployments/<network>.json. Scanning a public chain from
+// block 0 would take days of eth_getLogs calls, so there it must be known.
+const getStartBlock = () => {
+    const startBlock = Number(process.env.INDEXER_START_BLOCK) || getDeployment()?.deploymentBlock;
+    if (startBlock) {
+        return startBlock;
+    }
+    if (!isLocalNetwork()) {
+        throw new Error(`INDEXER_START_BLOCK is required: deployments/${getNetworkName()}.json has no deploymentBlock`);
+    }
+    return 0;
+};
+
+const EVENTS = [
+    'VoterRegistered',
+    'VoterVerified',
+    'VoterRejected',
+    'VoterRevoked',
+    'VoterRemoved',
+    'RegistrationStatusChanged'
+];
+
+// Lifecycle events only move the on-chain view; the Voter record is changed
+// by the admin routes that sent them
+const LIFECYCLE_STATUSES = {
+    VoterRejected: 'REJECTED',
+    VoterRevoked: 'REVOKED',
+    VoterRemoved: 'REMOVED'
+};
+
+const findVoter = (address) => Voter.findOne({
+    blockchainAddress: { $in: [address, address.toLowerCase()] }
+});
+
+/**
+ * Follows VoterID events from a stored checkpoint and applies them to
+ * MongoDB: ChainVoter mirrors every on-chain voter, Voter records get their
+ * registration and verification details, and RegistrationStatus keeps the
+ * history of the registration window.
+ *
+ * Every handler sets absolute values, so replaying a block range (after a
+ * restart or a reorg) gives the same result.
+ */
+class EventIndexerService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    getContract() {
+        if (!this.contract) {
+            this.contract = initContract();
+        }
+        return this.contract;
+    }
+
+    async getCheckpoint(contractAddress) {
+        const checkpoint = await IndexerCheckpoint.findOne({ name: CHECKPOINT_NAME });
+        if (checkpoint && checkpoint.contractAddress.toLowerCase() === contractAddress.toLowerCase()) {
+            return checkpoint;
+        }
+
+        // First run, or the contract was redeployed
+        const fresh = checkpoint || new IndexerCheckpoint({ name: CHECKPOINT_NAME });
+        fresh.contractAddress = contractAddress;
+        fresh.blockNumber = getStartBlock() - 1;
+        fresh.blockHash = null;
+        return fresh;
+    }
+
+    // If the checkpoint block is no longer canonical the reorg was deeper
+    // than the confirmation depth; step back and replay from there
+    async checkForReorg(checkpoint, provider) {
+        if (!checkpoint.blockHash) {
+            return;
+        }
+        const block = await provider.getBlock(checkpoint.blockNumber);
+        if (block && block.hash === checkpoint.blockHash) {
+            return;
+        }
+
+        const rewindTo = Math.max(getStartBlock() - 1, checkpoint.blockNumber - Math.max(getConfirmations(), 1));
+        console.warn(`Event indexer: block ${checkpoint.blockNumber} was reorged out, replaying from block ${rewindTo + 1}`);
+        checkpoint.blockNumber = rewindTo;
+        checkpoint.blockHash = null;
+    }
+
+    /**
+     * Index confirmed blocks since the checkpoint. Returns the block range
+     * processed and the number of events applied.
+     */
+    async sync() {
+        const contract = this.getContract();
+        const provider = contract.runner;
+        const contractAddress = await contract.getAddress();
+
+        const checkpoint = await this.getCheckpoint(contractAddress);
+        await this.checkForReorg(checkpoint, provider);
+
+        const head = await provider.getBlockNumber();
+        const target = head - getConfirmations();
+        const fromBlock = checkpoint.blockNumber + 1;
+
+        const topics = [EVENTS.map(name => contract.interface.getEvent(name).topicHash)];
+        let applied = 0;
+
+        for (let start = fromBlock; start <= target; start += BLOCK_RANGE) {
+            const end = Math.min(start + BLOCK_RANGE - 1, target);
+            const logs = await provider.getLogs({ address: contractAddress, topics, fromBlock: start, toBlock: end });
+
+            logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+            for (const log of logs) {
+                await this.applyEvent(contract.interface.parseLog(log), log, provider);
+                applied++;
+            }
+
+            const block = await provider.getBlock(end);
+            checkpoint.blockNumber = end;
+            checkpoint.blockHash = block.hash;
+            await checkpoint.save();
+        }
+
+        return { fromBlock, toBlock: Math.max(target, checkpoint.blockNumber), applied };
+    }
+
+    async applyEvent(event, log, provider) {
+        const { name, args } = event;
+        const ref = { transactionHash: log.transactionHash, blockNumber: log.blockNumber };
+
+        switch (name) {
+            case 'VoterRegistered':
+                return this.onVoterRegistered(args.voter, args.nameHash, args.aadharHash, new Date(Number(args.timestamp) * 1000), ref);
+            case 'VoterVerified':
+                return this.onVoterVerified(args.voter, new Date(Number(args.timestamp) * 1000), ref);
+            case 'RegistrationStatusChanged': {
+                const block = await provider.getBlock(log.blockNumber);
+                return RegistrationStatus.updateOne(
+                    { transactionHash: log.transactionHash, logIndex: log.index },
+                    {
+                        $set: {
+                            isOpen: args.isOpen,
+                            blockNumber: log.blockNumber,
+                            changedAt: new Date(block.timestamp * 1000)
+                        }
+                    },
+                    { upsert: true }
+                );
+            }
+            default:
+                return ChainVoter.updateOne(
+                    { address: args.voter },
+                    { $set: { status: LIFECYCLE_STATUSES[name] } },
+                    { upsert: true }
+                );
+        }
+    }
+
+    async onVoterRegistered(address, nameHash, aadharHash, registeredAt, ref) {
+        const voter = await findVoter(address);
+
+        await ChainVoter.updateOne(
+            { address },
+            {
+                $set: {
+                    voter: voter?._id || null,
+                    nameHash,
+                    aadharHash,
+                    registeredAt,
+                    registrationTxHash: ref.transactionHash,
+                    registrationBlock: ref.blockNumber,
+                    status: 'PENDING'
+                },
+                $unset: { verifiedAt: '', verificationTxHash: '' }
+            },
+            { upsert: true }
+        );
+
+        if (voter) {
+            voter.set({
+                'blockchain.nameHash': nameHash,
+                'blockchain.aadharHash': aadharHash,
+                'blockchain.txHash': ref.transactionHash,
+                'blockchain.registrationTimestamp': registeredAt.getTime()
+            });
+            await voter.save();
+        }
+    }
+
+    async onVoterVerified(address, verifiedAt, ref) {
+        const voter = await findVoter(address);
+
+        await ChainVoter.updateOne(
+            { address },
+            {
+                $set: {
+                    voter: voter?._id || null,
+                    status: 'VERIFIED',
+                    verifiedAt,
+                    verificationTxHash: ref.transactionHash
+                }
+            },
+            { upsert: true }
+        );
+
+        if (!voter) {
+            return;
+        }
+
+        voter.set({
+            'blockchain.verificationTxHash': ref.transactionHash,
+            'blockchain.lastVerifiedTimestamp': verifiedAt.getTime()
+        });
+        // An admin may have rejected or revoked the voter after this block;
+        // that newer decision wins over the event
+        if (!voter.statusReason?.changedAt || voter.statusReason.changedAt <= verifiedAt) {
+            voter.isVerified = true;
+            voter.status = 'VERIFIED';
+            voter.verificationDate = verifiedAt;
+        }
+        await voter.save();
+    }
+
+    /**
+     * Counts from the indexed contract state, for the admin dashboard
+     */
+    async getOnChainStats() {
+        const [byStatus, withoutRecord, latestStatus, checkpoint] = await Promise.all([
+            ChainVoter.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+            ChainVoter.countDocuments({ voter: null, registeredAt: { $exists: true } }),
+            RegistrationStatus.findOne().sort({ blockNumber: -1, logIndex: -1 }),
+            IndexerCheckpoint.findOne({ name: CHECKPOINT_NAME })
+        ]);
+
+        const statuses = Object.fromEntries(byStatus.map(({ _id, count }) => [_id, count]));
+        const registeredVoters = Object.values(statuses).reduce((sum, count) => sum + count, 0);
+
+        return {
+            registeredVoters,
+            verifiedVoters: statuses.VERIFIED || 0,
+            pendingVerification: statuses.PENDING || 0,
+            statuses,
+            // Registered directly against the contract, not through the backend
+            withoutRecord,
+            registrationOpen: latestStatus ? latestStatus.isOpen : null,
+            indexedBlock: checkpoint ? checkpoint.blockNumber : null,
+            indexedAt: checkpoint ? checkpoint.updatedAt : null
+        };
+    }
+
+    /**
+     * Poll for new confirmed blocks every INDEXER_POLL_INTERVAL_MS (0 disables it)
+     */
+    start() {
+        if (this.timer || POLL_INTERVAL_MS <= 0) {
+            return;
+        }
+
+        try {
+            getStartBlock();
+        } catch (error) {
+            console.error('Event indexer not started:', error.message);
+            return;
+        }
+
+        const run = async () => {
+            if (this.running) return;
+            this.running = true;
+            try {
+                const { fromBlock, toBlock, applied } = await this.sync();
+                if (applied > 0) {
+                    console.log(`Event indexer: applied ${applied} events from blocks ${fromBlock}-${toBlock}`);
+                }
+            } catch (error) {
+                console.warn('Event indexer sync skipped/failed:', error.message);
+            } finally {
+                this.running = false;
+            }
+        };
+
+        this.timer = setInterval(run, POLL_INTERVAL_MS);
+        run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = new EventIndexerService();
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { decryptSensitiveData } = require('../utils/crypto');
+
+/**
+ * Sends messages to voters through the channel chosen by
+ * NOTIFICATION_CHANNEL:
+ *
+ * - log (default): print to the server log, for development
+ * - webhook: POST the message as JSON to NOTIFICATION_WEBHOOK_URL, which
+ *   hands it to an email/SMS gateway. With NOTIFICATION_WEBHOOK_SECRET set
+ *   the body is signed (HMAC-SHA256, X-MyVote-Signature header).
+ *
+ * Contact details are decrypted from the voter record only for the moment
+ * the message is sent.
+ */
+class NotificationService {
+    getChannel() {
+        const channel = process.env.NOTIFICATION_CHANNEL || 'log';
+        if (channel !== 'log' && channel !== 'webhook') {
+            throw new Error(`Unknown NOTIFICATION_CHANNEL "${channel}" (expected log or webhook)`);
+        }
+        return channel;
+    }
+
+    async sendWebhook(payload) {
+        const url = process.env.NOTIFICATION_WEBHOOK_URL;
+        if (!url) {
+            throw new Error('NOTIFICATION_WEBHOOK_URL is required for the webhook channel');
+        }
+
+        const body = JSON.stringify(payload);
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+            headers['X-MyVote-Signature'] = crypto
+                .createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET)
+                .update(body)
+                .digest('hex');
+        }
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(10000)
+        });
+        if (!response.ok) {
+            throw new Error(`Notification webhook returned ${response.status}`);
+        }
+    }
+
+    /**
+     * Notify a voter. Never throws: returns { channel, delivered, error } so
+     * callers can record the outcome.
+     */
+    async notifyVoter(voter, { type, subject, message, link = null }) {
+        let channel = null;
+        try {
+            channel = this.getChannel();
+
+            if (channel === 'log') {
+                console.log(`Notification ${type} for voter ${voter.blockchainAddress}: ${subject} - ${message}${link ? ` (${link})` : ''}`);
+                return { channel, delivered: true };
+            }
+
+            const { email, phoneNumber, name } = decryptSensitiveData(voter.encryptedData);
+            if (!email && !phoneNumber) {
+                return { channel, delivered: false, error: 'Voter has no email or phone number' };
+            }
+
+            await this.sendWebhook({
+                type,
+                voterAddress: voter.blockchainAddress,
+                to: { name, email: email || null, phoneNumber: phoneNumber || null },
+                subject,
+                message,
+                link
+            });
+            return { channel, delivered: true };
+        } catch (error) {
+            console.warn(`Notification ${type} for voter ${voter.blockchainAddress} failed:`, error.message);
+            return { channel, delivered: false, error: error.message };
+        }
+    }
+}
+
+module.exports = new NotificationService();
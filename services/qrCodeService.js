@@ -1,6 +1,11 @@
+const crypto = require('crypto');
 const QRCode = require('qrcode');
-const { storage } = require('../config/firebase');
-const { ref, uploadBytes, getDownloadURL, deleteObject } = require('firebase/storage');
+const qrSigningService = require('./qrSigningService');
+const storageService = require('./storageService');
+
+// Storage key of a voter's verification QR code
+const verificationQRKey = (aadharHash) =>
+    `${aadharHash.startsWith('0x') ? aadharHash.slice(2) : aadharHash}/qr-code.png`;
 
 class QRCodeService {
     /**
@@ -40,10 +45,20 @@ class QRCodeService {
                 systemId: 'MYVOTE_SYSTEM_V1'
             };
 
+            // Voting QR codes are only valid for one election, and only the
+            // latest code issued for it (matched by qrId) can be used
+            if (voterData.electionId) {
+                qrData.electionId = voterData.electionId.toString();
+                qrData.qrId = crypto.randomUUID();
+            }
+
             console.log('Generated QR data:', qrData);
 
+            // The QR code holds the signed payload so scanners can check it offline
+            const signedPayload = qrSigningService.sign(qrData);
+
             // Generate QR code as buffer
-            const qrCodeBuffer = await QRCode.toBuffer(JSON.stringify(qrData), {
+            const qrCodeBuffer = await QRCode.toBuffer(signedPayload, {
                 type: 'png',
                 quality: 0.92,
                 margin: 1,
@@ -56,29 +71,30 @@ class QRCodeService {
 
             // Create file path using aadhar hash structure
             const cleanAadharHash = aadharHash.slice(2);
-            const fileName = `${cleanAadharHash}/qr-code.png`;
-            const storageRef = ref(storage, fileName);
+            const fileName = qrData.electionId
+                ? `${cleanAadharHash}/elections/${qrData.electionId}/qr-code.png`
+                : `${cleanAadharHash}/qr-code.png`;
 
-            const metadata = {
+            await storageService.put(fileName, qrCodeBuffer, {
                 contentType: 'image/png',
-                customMetadata: {
+                metadata: {
                     'voterAddress': voterData.blockchainAddress || voterData.voterAddress,
                     'aadharHash': aadharHash,
                     'nameHash': nameHash,
                     'generatedAt': new Date().toISOString(),
-                    'purpose': 'voter-verification',
+                    'purpose': qrData.electionId ? 'voting' : 'voter-verification',
                     'systemId': 'MYVOTE_SYSTEM_V1'
                 }
-            };
+            });
 
-            // Upload file to Firebase
-            const snapshot = await uploadBytes(storageRef, qrCodeBuffer, metadata);
-            const downloadURL = await getDownloadURL(snapshot.ref);
+            // The link is no use once the QR code itself has expired
+            const url = await storageService.getSignedUrl(fileName, expirationMinutes * 60);
 
             return {
                 success: true,
                 qrCodeData: qrData,
-                firebaseUrl: downloadURL,
+                signedPayload,
+                url,
                 fileName: fileName,
                 aadharHash: aadharHash,
                 size: qrCodeBuffer.length,
@@ -91,24 +107,30 @@ class QRCodeService {
         }
     }
 
+    /**
+     * Signed, time-limited download URL for a stored QR code
+     */
+    async getQRCodeUrl(fileName, expiresInSeconds) {
+        return storageService.getSignedUrl(fileName, expiresInSeconds);
+    }
+
     /**
      * Get QR code by Aadhar hash
      */
     async getQRCodeByAadharHash(aadharHash) {
-        try {
-            const cleanAadharHash = aadharHash.startsWith('0x') ? aadharHash.slice(2) : aadharHash;
-            const fileName = `${cleanAadharHash}/qr-code.png`;
-            const storageRef = ref(storage, fileName);
-
-            const downloadURL = await getDownloadURL(storageRef);
-            return downloadURL;
+        const fileName = verificationQRKey(aadharHash);
 
+        let exists;
+        try {
+            exists = await storageService.exists(fileName);
         } catch (error) {
-            if (error.code === 'storage/object-not-found') {
-                throw new Error('QR code not found for this Aadhar hash');
-            }
             throw new Error(`Failed to retrieve QR code: ${error.message}`);
         }
+
+        if (!exists) {
+            throw new Error('QR code not found for this Aadhar hash');
+        }
+        return this.getQRCodeUrl(fileName);
     }
 
     /**
@@ -128,13 +150,7 @@ class QRCodeService {
      */
     async deleteQRCodeByAadharHash(aadharHash) {
         try {
-            const cleanAadharHash = aadharHash.startsWith('0x') ? aadharHash.slice(2) : aadharHash;
-            const fileName = `${cleanAadharHash}/qr-code.png`;
-            const storageRef = ref(storage, fileName);
-
-            await deleteObject(storageRef);
-            return true;
-
+            return await storageService.delete(verificationQRKey(aadharHash));
         } catch (error) {
             console.error('QR Code deletion error:', error);
             throw new Error(`Failed to delete QR code: ${error.message}`);
@@ -142,11 +158,20 @@ class QRCodeService {
     }
 
     /**
-     * Verify QR code data with expiration check
+     * Verify the QR signature, then its fields and expiration
      */
     verifyQRCode(qrDataString) {
         try {
-            const qrData = JSON.parse(qrDataString);
+            const signature = qrSigningService.verify(qrDataString);
+
+            if (!signature.valid) {
+                return {
+                    valid: false,
+                    error: signature.error
+                };
+            }
+
+            const qrData = signature.payload;
 
             const requiredFields = ['nameHash', 'aadharHash', 'txHash', 'voterAddress', 'systemId', 'expiresAt'];
             const missingFields = requiredFields.filter(field => !qrData[field]);
@@ -182,17 +207,20 @@ class QRCodeService {
             };
 
         } catch (error) {
+            console.error('QR verification error:', error);
             return {
                 valid: false,
-                error: 'Invalid QR code format'
+                error: `Failed to verify QR code: ${error.message}`
             };
         }
     }
 
     /**
-     * Process voting via QR scan
+     * Process voting via QR scan for the election the QR code was issued for.
+     * The vote is recorded with a single conditional update, so a code can
+     * only ever be consumed once even when several scanners read it at once.
      */
-    async processVoting(qrDataString) {
+    async processVoting(qrDataString, { booth, scannerId, recordedBy } = {}) {
         try {
             // First verify the QR code
             const verification = this.verifyQRCode(qrDataString);
@@ -200,63 +228,132 @@ class QRCodeService {
             if (!verification.valid) {
                 return {
                     success: false,
+                    statusCode: 400,
+                    code: 'INVALID_QR_CODE',
                     error: verification.error
                 };
             }
 
             const qrData = verification.data;
+
+            if (!qrData.electionId || !qrData.qrId) {
+                return {
+                    success: false,
+                    statusCode: 400,
+                    code: 'NOT_A_VOTING_QR_CODE',
+                    error: 'QR code is not a voting QR code'
+                };
+            }
+
             const Voter = require('../models/Voter');
+            const Election = require('../models/Election');
+            const ElectionParticipation = require('../models/ElectionParticipation');
 
-            // Find voter by blockchain address
-            const voter = await Voter.findOne({
-                blockchainAddress: qrData.voterAddress,
-                isVerified: true
-            });
+            const election = await Election.findById(qrData.electionId);
 
-            if (!voter) {
+            if (!election) {
                 return {
                     success: false,
-                    error: 'Voter not found or not verified'
+                    statusCode: 404,
+                    code: 'ELECTION_NOT_FOUND',
+                    error: 'Election not found'
                 };
             }
 
-            if (voter.isVoted) {
+            if (!election.isOpen()) {
                 return {
                     success: false,
-                    error: 'Voter has already voted'
+                    statusCode: 400,
+                    code: 'ELECTION_NOT_OPEN',
+                    error: 'Election is not open for voting'
                 };
             }
 
-            // Check if QR code is still active
-            if (!voter.qrCode?.isActive) {
+            // Find voter by blockchain address
+            const voter = await Voter.findOne({
+                blockchainAddress: qrData.voterAddress,
+                isVerified: true
+            });
+
+            if (!voter) {
                 return {
                     success: false,
-                    error: 'QR code is no longer active'
+                    statusCode: 404,
+                    code: 'VOTER_NOT_FOUND',
+                    error: 'Voter not found or not verified'
                 };
             }
 
-            // Update voter as voted
-            voter.isVoted = true;
-            voter.votingDate = new Date();
-            voter.qrCode.isActive = false; // Deactivate QR code after use
+            const participation = await ElectionParticipation.claimVote(
+                voter._id,
+                election._id,
+                qrData.qrId,
+                { booth, scannerId, recordedBy }
+            );
 
-            await voter.save();
+            if (!participation) {
+                return this.explainRejectedScan(voter._id, election._id);
+            }
 
             return {
                 success: true,
                 message: 'Vote recorded successfully',
                 voterAddress: voter.blockchainAddress,
-                votingDate: voter.votingDate
+                electionId: election._id,
+                booth: participation.booth,
+                scannerId: participation.scannerId,
+                votingDate: participation.votedAt
             };
 
         } catch (error) {
             console.error('Voting process error:', error);
             return {
                 success: false,
-                error: `Failed to process vote: ${error.message}`
+                statusCode: 500,
+                code: 'INTERNAL_ERROR',
+                error: 'Failed to process vote'
             };
         }
     }
+
+    /**
+     * Work out why a vote could not be claimed, after the fact
+     */
+    async explainRejectedScan(voterId, electionId) {
+        const ElectionParticipation = require('../models/ElectionParticipation');
+        const participation = await ElectionParticipation.findOne({
+            voter: voterId,
+            election: electionId
+        });
+
+        if (!participation) {
+            return {
+                success: false,
+                statusCode: 400,
+                code: 'QR_CODE_NOT_ISSUED',
+                error: 'No voting QR code was issued for this election'
+            };
+        }
+
+        if (participation.status === 'VOTED') {
+            return {
+                success: false,
+                statusCode: 409,
+                code: 'ALREADY_VOTED',
+                error: 'Voter has already voted in this election',
+                booth: participation.booth,
+                scannerId: participation.scannerId,
+                votingDate: participation.votedAt
+            };
+        }
+
+        return {
+            success: false,
+            statusCode: 400,
+            code: 'QR_CODE_INACTIVE',
+            error: 'QR code is no longer active'
+        };
+    }
 }
 
 module.exports = new QRCodeService();
\ No newline at end of file
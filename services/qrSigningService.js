@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+const JWS_ALG = 'EdDSA';
+const JWS_TYPE = 'myvote-qr+jws';
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+class QRSigningService {
+    constructor() {
+        this.privateKey = null;
+        this.publicKey = null;
+    }
+
+    /**
+     * Load the Ed25519 signing key from QR_SIGNING_PRIVATE_KEY (PKCS#8 PEM,
+     * "\n" escapes allowed so it fits on one .env line)
+     */
+    loadKeys() {
+        if (this.privateKey) {
+            return;
+        }
+
+        const pem = process.env.QR_SIGNING_PRIVATE_KEY;
+        if (!pem) {
+            throw new Error('QR_SIGNING_PRIVATE_KEY must be configured to sign voting QR codes');
+        }
+
+        const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+        if (privateKey.asymmetricKeyType !== 'ed25519') {
+            throw new Error('QR_SIGNING_PRIVATE_KEY must be an Ed25519 key');
+        }
+
+        this.privateKey = privateKey;
+        this.publicKey = crypto.createPublicKey(privateKey);
+    }
+
+    /**
+     * Public key as a JWK. The key id defaults to the RFC 7638 thumbprint so
+     * scanners can tell keys apart after a rotation.
+     */
+    getPublicJwk() {
+        this.loadKeys();
+
+        const { kty, crv, x } = this.publicKey.export({ format: 'jwk' });
+        const thumbprint = crypto
+            .createHash('sha256')
+            .update(JSON.stringify({ crv, kty, x }))
+            .digest('base64url');
+
+        return {
+            kty,
+            crv,
+            x,
+            kid: process.env.QR_SIGNING_KEY_ID || thumbprint,
+            alg: JWS_ALG,
+            use: 'sig'
+        };
+    }
+
+    /**
+     * Sign a QR payload as a compact JWS
+     */
+    sign(payload) {
+        this.loadKeys();
+
+        const header = { alg: JWS_ALG, typ: JWS_TYPE, kid: this.getPublicJwk().kid };
+        const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+        const signature = crypto.sign(null, Buffer.from(signingInput), this.privateKey);
+
+        return `${signingInput}.${signature.toString('base64url')}`;
+    }
+
+    /**
+     * Check a compact JWS against the current key and return its payload
+     */
+    verify(token) {
+        this.loadKeys();
+
+        if (typeof token !== 'string') {
+            return { valid: false, error: 'QR code is not signed' };
+        }
+
+        const parts = token.trim().split('.');
+        if (parts.length !== 3) {
+            return { valid: false, error: 'QR code is not signed' };
+        }
+
+        const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+        let header;
+        let payload;
+        try {
+            header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+            payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return { valid: false, error: 'Invalid QR code format' };
+        }
+
+        // Never let the token pick its own algorithm
+        if (header.alg !== JWS_ALG || header.typ !== JWS_TYPE) {
+            return { valid: false, error: 'Unsupported QR signature algorithm' };
+        }
+
+        if (header.kid !== this.getPublicJwk().kid) {
+            return { valid: false, error: 'QR code was signed with an unknown key' };
+        }
+
+        const signatureValid = crypto.verify(
+            null,
+            Buffer.from(`${encodedHeader}.${encodedPayload}`),
+            this.publicKey,
+            Buffer.from(encodedSignature, 'base64url')
+        );
+
+        if (!signatureValid) {
+            return { valid: false, error: 'QR code signature is invalid' };
+        }
+
+        return { valid: true, payload };
+    }
+}
+
+module.exports = new QRSigningService();
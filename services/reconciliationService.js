@@ -0,0 +1,308 @@
+const Voter = require('../models/Voter');
+const VoterWallet = require('../models/VoterWallet');
+const ChainTransaction = require('../models/ChainTransaction');
+const {
+    getProvider,
+    registerVoter,
+    verifyVoter,
+    rejectVoter,
+    revokeVoter,
+    removeVoter,
+    getVoterDetails,
+    getVoterLifecycle,
+    STATUS_REASONS
+} = require('../utils/blockchain');
+const { decryptSensitiveData, createBlockchainHashes } = require('../utils/crypto');
+const WalletAbstractionService = require('./walletService');
+const relayerService = require('./relayerService');
+
+const INTERVAL_MS = Number(process.env.RECONCILE_INTERVAL_MS ?? 600000);
+// Voters that were in sync are checked again after this long
+const RECHECK_AFTER_MS = Number(process.env.RECONCILE_RECHECK_AFTER_MS) || 24 * 60 * 60 * 1000;
+const BATCH_SIZE = Number(process.env.RECONCILE_BATCH_SIZE) || 50;
+// Failed repairs are retried on later runs up to this many times, then flagged
+const MAX_REPAIR_ATTEMPTS = Number(process.env.RECONCILE_MAX_ATTEMPTS) || 5;
+
+// Issues that need a person to look at them rather than another transaction
+const UNREPAIRABLE = ['HASH_MISMATCH', 'UNREADABLE_RECORD'];
+
+/**
+ * Compares voters in MongoDB with the VoterID contract and fixes what it can.
+ *
+ * Registrations and status changes whose blockchain write failed are sent
+ * again; anything that cannot be fixed by a transaction (different hashes
+ * on-chain, a status the contract cannot move back from) is flagged as DRIFT
+ * on the voter's chainSync for the admin drift report.
+ */
+class ReconciliationService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.walletService = null;
+    }
+
+    getWalletService() {
+        if (!this.walletService) {
+            this.walletService = new WalletAbstractionService();
+        }
+        return this.walletService;
+    }
+
+    /**
+     * Hashes the contract should hold, derived from the encrypted profile
+     */
+    expectedHashes(voter) {
+        const { name, aadharNumber } = decryptSensitiveData(voter.encryptedData);
+        return createBlockchainHashes({ name, aadharNumber });
+    }
+
+    /**
+     * Compare one voter with the contract. Returns the issues found and the
+     * contract's view, or `pending` if a write for the voter is still in the
+     * transaction queue.
+     */
+    async checkVoter(voter) {
+        const pending = await ChainTransaction.exists({
+            'metadata.voterAddress': voter.blockchainAddress,
+            status: { $in: ['QUEUED', 'SENT'] }
+        });
+        if (pending) {
+            return { pending: true };
+        }
+
+        const issues = [];
+
+        let expected = null;
+        try {
+            expected = this.expectedHashes(voter);
+        } catch (error) {
+            issues.push('UNREADABLE_RECORD');
+        }
+
+        const details = await getVoterDetails(voter.blockchainAddress);
+        const lifecycle = await getVoterLifecycle(voter.blockchainAddress);
+        const chain = {
+            registered: details.registrationTimestamp > 0,
+            isVerified: details.isVerified,
+            status: lifecycle.status
+        };
+        const status = voter.getCurrentStatus();
+
+        if (!chain.registered) {
+            // A voter removed before ever reaching the chain has nothing to sync
+            if (status !== 'REMOVED') {
+                issues.push('NOT_REGISTERED');
+                if (voter.blockchain?.txHash && await this.hasFailedReceipt(voter.blockchain.txHash)) {
+                    issues.push('FAILED_RECEIPT');
+                }
+            }
+        } else {
+            if (expected && (details.nameHash !== expected.nameHash || details.aadharHash !== expected.aadharHash)) {
+                issues.push('HASH_MISMATCH');
+            }
+            if (chain.status !== status) {
+                issues.push('STATUS_MISMATCH');
+            }
+        }
+
+        return { issues, chain, expected, status };
+    }
+
+    async hasFailedReceipt(txHash) {
+        const record = await ChainTransaction.findOne({ 'attempts.hash': txHash });
+        if (record) {
+            return record.status === 'FAILED';
+        }
+        const receipt = await getProvider().getTransactionReceipt(txHash);
+        return !receipt || receipt.status === 0;
+    }
+
+    // Register the voter the same way the registration routes would have
+    async register(voter, { nameHash, aadharHash }) {
+        const custody = await VoterWallet.exists({ voter: voter._id });
+        const receipt = custody
+            ? await relayerService.registerVoter(await this.getWalletService().getSigner(voter._id), nameHash, aadharHash)
+            : await registerVoter(nameHash, aadharHash, voter.blockchainAddress);
+
+        voter.blockchain = {
+            ...(voter.blockchain?.toObject ? voter.blockchain.toObject() : voter.blockchain),
+            nameHash,
+            aadharHash,
+            txHash: receipt.hash,
+            registrationTimestamp: voter.blockchain?.registrationTimestamp || Date.now()
+        };
+        return 'PENDING';
+    }
+
+    // Move the contract to the voter's status where the contract allows it.
+    // Returns false if it cannot (e.g. VERIFIED on-chain but PENDING here).
+    async syncStatus(voter, chainStatus, status) {
+        const reason = STATUS_REASONS.includes(voter.statusReason?.code) && voter.statusReason.code !== 'NONE'
+            ? voter.statusReason.code
+            : 'OTHER';
+
+        if (status === 'VERIFIED' && ['PENDING', 'REJECTED', 'REVOKED'].includes(chainStatus)) {
+            const receipt = await verifyVoter(voter.blockchainAddress);
+            voter.blockchain.verificationTxHash = receipt.hash;
+            return true;
+        }
+        if (status === 'REJECTED' && chainStatus === 'PENDING') {
+            await rejectVoter(voter.blockchainAddress, reason);
+            return true;
+        }
+        if (status === 'REVOKED' && chainStatus === 'VERIFIED') {
+            await revokeVoter(voter.blockchainAddress, reason);
+            return true;
+        }
+        if (status === 'REMOVED' && chainStatus !== 'REMOVED') {
+            await removeVoter(voter.blockchainAddress, reason);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check one voter, send whatever transactions bring the contract in line
+     * (unless repair is false), check again and record the result on
+     * voter.chainSync
+     */
+    async reconcileVoter(voter, { repair = true } = {}) {
+        let check = await this.checkVoter(voter);
+        if (check.pending) {
+            return { voterAddress: voter.blockchainAddress, status: 'PENDING', issues: [] };
+        }
+
+        const sync = voter.chainSync || {};
+        let lastError = null;
+        let repaired = false;
+
+        const repairable = check.issues.length > 0 && !check.issues.some(issue => UNREPAIRABLE.includes(issue));
+        if (repair && repairable && (sync.repairAttempts || 0) < MAX_REPAIR_ATTEMPTS) {
+            try {
+                let chainStatus = check.chain.status;
+                if (check.issues.includes('NOT_REGISTERED')) {
+                    chainStatus = await this.register(voter, check.expected);
+                    repaired = true;
+                }
+                if (chainStatus !== check.status) {
+                    repaired = (await this.syncStatus(voter, chainStatus, check.status)) || repaired;
+                }
+            } catch (error) {
+                lastError = error.revert?.name || error.shortMessage || error.message;
+                console.warn(`Reconciling voter ${voter.blockchainAddress} failed:`, lastError);
+            }
+
+            if (repaired) {
+                check = await this.checkVoter(voter);
+            }
+        }
+
+        // Fill in a registration hash the routes never stored
+        if (check.chain?.registered && !voter.blockchain?.txHash) {
+            const registration = await ChainTransaction.findOne({
+                'metadata.voterAddress': voter.blockchainAddress,
+                method: { $in: ['registerVoter', 'registerVoterByAdmin', 'registerVoterWithSig'] },
+                status: 'CONFIRMED'
+            }).sort({ createdAt: -1 });
+            if (registration) {
+                voter.set('blockchain.txHash', registration.hash);
+            }
+        }
+
+        const issues = check.pending ? [] : check.issues;
+        const attempts = issues.length === 0 ? 0 : (sync.repairAttempts || 0) + (lastError ? 1 : 0);
+        let status = 'IN_SYNC';
+        if (issues.length > 0) {
+            const willRetry = lastError && attempts < MAX_REPAIR_ATTEMPTS;
+            status = willRetry || check.pending ? 'RETRYING' : 'DRIFT';
+        }
+
+        voter.chainSync = {
+            status,
+            issues,
+            chain: check.chain || sync.chain,
+            repairAttempts: attempts,
+            lastError: issues.length > 0 ? lastError || sync.lastError || null : null,
+            lastCheckedAt: new Date()
+        };
+        await voter.save();
+
+        return {
+            voterAddress: voter.blockchainAddress,
+            status,
+            issues,
+            repaired,
+            error: lastError
+        };
+    }
+
+    /**
+     * One pass over voters never checked, due a recheck, or waiting for a retry
+     */
+    async reconcile({ repair = true, limit = BATCH_SIZE } = {}) {
+        const staleBefore = new Date(Date.now() - RECHECK_AFTER_MS);
+        const voters = await Voter.find({
+            $or: [
+                { 'chainSync.lastCheckedAt': { $exists: false } },
+                { 'chainSync.status': 'RETRYING' },
+                { 'chainSync.lastCheckedAt': { $lt: staleBefore } }
+            ]
+        })
+            .sort({ 'chainSync.lastCheckedAt': 1 })
+            .limit(limit);
+
+        const summary = { checked: 0, inSync: 0, repaired: 0, retrying: 0, drift: 0, pending: 0, failed: 0 };
+
+        for (const voter of voters) {
+            try {
+                const result = await this.reconcileVoter(voter, { repair });
+                summary.checked++;
+                if (result.repaired && result.status === 'IN_SYNC') summary.repaired++;
+                else if (result.status === 'IN_SYNC') summary.inSync++;
+                else if (result.status === 'RETRYING') summary.retrying++;
+                else if (result.status === 'DRIFT') summary.drift++;
+                else summary.pending++;
+            } catch (error) {
+                // Usually the node is unreachable; leave the voter for the next run
+                summary.failed++;
+                console.warn(`Checking voter ${voter.blockchainAddress} failed:`, error.message);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Run reconcile() every RECONCILE_INTERVAL_MS (0 disables it)
+     */
+    start() {
+        if (this.timer || INTERVAL_MS <= 0) {
+            return;
+        }
+
+        const run = async () => {
+            if (this.running) return;
+            this.running = true;
+            try {
+                const summary = await this.reconcile();
+                if (summary.checked > 0 || summary.failed > 0) {
+                    console.log('Chain reconciliation:', summary);
+                }
+            } catch (error) {
+                console.warn('Chain reconciliation skipped/failed:', error.message);
+            } finally {
+                this.running = false;
+            }
+        };
+
+        this.timer = setInterval(run, INTERVAL_MS);
+        run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = new ReconciliationService();
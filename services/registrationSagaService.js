@@ -0,0 +1,575 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RegistrationSaga = require('../models/RegistrationSaga');
+const Voter = require('../models/Voter');
+const VoterWallet = require('../models/VoterWallet');
+const ChainTransaction = require('../models/ChainTransaction');
+const { registerVoter, getVoterDetails } = require('../utils/blockchain');
+const { CONTRACT_ERRORS, decodeContractError } = require('../utils/contractErrors');
+const { encryptSensitiveData, createBlockchainHashes, createAadharIndex } = require('../utils/crypto');
+const documentService = require('./documentService');
+const { DocumentError } = require('./documentService');
+const reviewService = require('./reviewService');
+const relayerService = require('./relayerService');
+const WalletAbstractionService = require('./walletService');
+
+// How long a request (or the resume job) holds a saga; a holder that died
+// is taken over after this
+const LOCK_MS = Number(process.env.REGISTRATION_LOCK_MS) || 5 * 60 * 1000;
+// Ended sagas, and the responses replayed for their Idempotency-Key, are kept this long
+const RETENTION_HOURS = Number(process.env.REGISTRATION_SAGA_RETENTION_HOURS) || 72;
+const INTERVAL_MS = Number(process.env.REGISTRATION_RESUME_INTERVAL_MS ?? 60000);
+// The resume job gives up on a saga after this many attempts;
+// scripts/resumeRegistrations.js still picks it up
+const MAX_ATTEMPTS = Number(process.env.REGISTRATION_SAGA_MAX_ATTEMPTS) || 10;
+const BATCH_SIZE = 20;
+
+// Contract errors meaning the address or Aadhaar hash is already on-chain
+const CHAIN_DUPLICATES = ['AlreadyRegistered', 'AadharAlreadyRegistered'];
+
+class RegistrationSagaError extends Error {
+    constructor(message, statusCode = 400, code = 'REGISTRATION_FAILED', details) {
+        super(message);
+        this.name = 'RegistrationSagaError';
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const sameHash = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+// Steps of each registration route, in order, and the 201 body it answers with
+const ROUTES = {
+    // POST /api/voters/register: the voter brings their own address, the
+    // admin signer registers it, then the Voter is saved
+    wallet: {
+        steps: ['DOCUMENT_CLAIMED', 'CHAIN_SUBMITTED', 'VOTER_SAVED'],
+        prepare: ({ name, aadharNumber, address, phoneNumber, email, city, state }) => ({
+            blockchainAddress: address,
+            encryptedData: encryptSensitiveData({ name, aadharNumber, phoneNumber, email }),
+            district: city && state ? `${city}, ${state}` : ''
+        }),
+        respond: (saga) => ({
+            message: 'Voter registered successfully',
+            blockchainAddress: saga.blockchainAddress,
+            blockchainTxHash: saga.chain?.txHash || null,
+            onBlockchain: saga.chain?.status === 'REGISTERED'
+        })
+    },
+    // POST /api/voters/register-aadhar: the Voter and a custody wallet are
+    // saved first, then the wallet signs a registration intent for the relayer
+    aadhar: {
+        steps: ['DOCUMENT_CLAIMED', 'VOTER_SAVED', 'WALLET_STORED', 'CHAIN_SUBMITTED'],
+        prepare: ({ name, aadharNumber, dob, phoneNumber, email, city, state }, walletService) => {
+            // The sealed key is kept on the saga so every attempt uses the same address
+            const wallet = walletService.generateWallet();
+            return {
+                blockchainAddress: wallet.address,
+                wallet,
+                encryptedData: encryptSensitiveData({ name, aadharNumber, phoneNumber, email, dob }),
+                district: `${city || ''}, ${state || ''}`.trim().replace(/^,\s*|,\s*$/g, '')
+            };
+        },
+        respond: (saga) => ({
+            message: 'Voter registered successfully with Aadhar',
+            voterAddress: saga.blockchainAddress,
+            blockchainTxHash: saga.chain?.txHash || null,
+            registrationId: String(saga.voter),
+            registrationMethod: 'aadhar'
+        })
+    }
+};
+
+/**
+ * Voter registration as a persisted saga, so that a failure between the
+ * chain write and the MongoDB writes can be finished or undone instead of
+ * leaving an Aadhaar hash on-chain with no voter behind it.
+ *
+ *   IN_PROGRESS: steps run in order, the last one done is saved in `step`
+ *   COMPLETED: every step done, the 201 response is stored
+ *   COMPENSATING -> COMPENSATED: a step was refused (document taken, address
+ *     or Aadhaar already on-chain for someone else); the steps done are
+ *     undone in reverse and the error response is stored
+ *
+ * Any other failure (database or RPC down) leaves the saga IN_PROGRESS. The
+ * same request resumes it, with or without its Idempotency-Key, and so does
+ * the resume job. Every step checks whether it already happened, so running
+ * one twice is harmless. Chain registrations cannot be taken back; a chain
+ * write that failed for another reason is skipped and left to the
+ * reconciler, as before.
+ */
+class RegistrationSagaService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.walletService = null;
+    }
+
+    getWalletService() {
+        if (!this.walletService) {
+            this.walletService = new WalletAbstractionService();
+        }
+        return this.walletService;
+    }
+
+    /**
+     * Keyed hash of a validated request, so a replayed Idempotency-Key can be
+     * matched to the request it was first sent with without storing the body
+     */
+    hashRequest(route, input) {
+        const canonical = Object.keys(input).sort().map(key => [key, input[key]]);
+        return crypto
+            .createHmac('sha256', process.env.AADHAR_INDEX_KEY)
+            .update(JSON.stringify([route, canonical]))
+            .digest('hex');
+    }
+
+    addHistory(saga, step, note) {
+        saga.history.push({ step, at: new Date(), note });
+    }
+
+    /**
+     * Register a voter, or resume / replay the registration this request
+     * already started.
+     * @param {'wallet'|'aadhar'} route
+     * @param {Object} input - body validated by schemas/voters.js
+     * @param {Object} [options]
+     * @param {string} [options.idempotencyKey] - Idempotency-Key header
+     * @returns {Promise<{status: number, body: Object, replayed: boolean}>}
+     */
+    async register(route, input, { idempotencyKey } = {}) {
+        const aadharIndex = createAadharIndex(input.aadharNumber);
+        const requestHash = this.hashRequest(route, input);
+        const matches = (saga) => saga.route === route && saga.requestHash === requestHash;
+
+        let saga = idempotencyKey ? await RegistrationSaga.findOne({ idempotencyKey }) : null;
+        if (saga && !matches(saga)) {
+            throw new RegistrationSagaError('Idempotency-Key was already used for a different request', 422, 'IDEMPOTENCY_KEY_REUSED');
+        }
+
+        if (!saga) {
+            // A retry without the key (or with a new one) of a registration
+            // that stopped half-way picks up where it stopped
+            const open = await RegistrationSaga.findOne({ aadharIndex, active: true });
+            if (open) {
+                if (!matches(open) || (idempotencyKey && open.idempotencyKey)) {
+                    throw new RegistrationSagaError('Another registration for this Aadhaar number is in progress', 409, 'REGISTRATION_IN_PROGRESS');
+                }
+                if (idempotencyKey) {
+                    await RegistrationSaga.updateOne({ _id: open._id }, { $set: { idempotencyKey } });
+                }
+                saga = open;
+            }
+        }
+
+        if (!saga) {
+            saga = await this.create(route, input, { aadharIndex, requestHash, idempotencyKey });
+        } else if (saga.active) {
+            saga = await this.acquire(saga);
+        }
+
+        if (!saga.active) {
+            return { status: saga.response.status, body: saga.response.body, replayed: true };
+        }
+        return this.run(saga);
+    }
+
+    /**
+     * Check for an existing voter, prepare the Voter fields and save a new
+     * saga, locked for this request
+     */
+    async create(route, input, { aadharIndex, requestHash, idempotencyKey }) {
+        const { steps, prepare } = ROUTES[route];
+        const { wallet, ...voterFields } = prepare(input, this.getWalletService());
+
+        const existing = await Voter.findOne(route === 'wallet'
+            ? { $or: [{ blockchainAddress: voterFields.blockchainAddress }, { aadharIndex }] }
+            : { aadharIndex });
+        if (existing) {
+            throw new RegistrationSagaError(
+                route === 'wallet' ? 'Voter already registered' : 'Voter already registered with this Aadhar number',
+                400,
+                'VOTER_ALREADY_REGISTERED'
+            );
+        }
+
+        const { nameHash, aadharHash } = createBlockchainHashes({ name: input.name, aadharNumber: input.aadharNumber });
+        try {
+            return await RegistrationSaga.create({
+                idempotencyKey: idempotencyKey || undefined,
+                route,
+                requestHash,
+                aadharIndex,
+                voter: new mongoose.Types.ObjectId(),
+                blockchainAddress: voterFields.blockchainAddress,
+                aadharDocument: input.aadharDocumentId,
+                payload: {
+                    voter: {
+                        encryptedData: voterFields.encryptedData,
+                        nameHash,
+                        aadharHash,
+                        district: voterFields.district,
+                        state: input.state,
+                        gender: input.gender,
+                        dob: input.dob || null
+                    },
+                    wallet
+                },
+                lockedUntil: new Date(Date.now() + LOCK_MS),
+                history: [{ step: 'STARTED', note: `${steps.length} steps` }]
+            });
+        } catch (error) {
+            // Same key or same Aadhaar number started by a concurrent request
+            if (error.code === 11000) {
+                throw new RegistrationSagaError('Another registration for this Aadhaar number is in progress', 409, 'REGISTRATION_IN_PROGRESS');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Take the lease on an open saga. Returns the saga (ended sagas are
+     * returned as they are, for replay) or throws REGISTRATION_IN_PROGRESS.
+     */
+    async acquire(saga) {
+        const now = new Date();
+        const locked = await RegistrationSaga.findOneAndUpdate(
+            { _id: saga._id, active: true, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+            { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+            { new: true }
+        );
+        if (locked) {
+            return locked;
+        }
+
+        const current = await RegistrationSaga.findById(saga._id);
+        if (current && !current.active) {
+            return current;
+        }
+        const retryAfter = current?.lockedUntil
+            ? Math.max(1, Math.ceil((current.lockedUntil.getTime() - now.getTime()) / 1000))
+            : 1;
+        throw new RegistrationSagaError(
+            'This registration is being processed; retry later',
+            409,
+            'REGISTRATION_IN_PROGRESS',
+            { retryAfter }
+        );
+    }
+
+    /**
+     * Run a locked saga to its end. Throws REGISTRATION_INCOMPLETE when a step
+     * failed in a way a retry may fix; the saga then stays open for resuming.
+     */
+    async run(saga) {
+        saga.attempts = (saga.attempts || 0) + 1;
+        try {
+            if (saga.status === 'IN_PROGRESS') {
+                try {
+                    await this.forward(saga);
+                } catch (error) {
+                    if (!(error instanceof RegistrationSagaError)) {
+                        throw error;
+                    }
+                    await this.beginCompensation(saga, error);
+                }
+            }
+            if (saga.status === 'COMPENSATING') {
+                await this.compensate(saga);
+            }
+        } catch (error) {
+            console.warn(`Registration ${saga._id} stopped at ${saga.step}:`, error.message);
+            saga.lastError = error.message;
+            saga.lockedUntil = null;
+            await saga.save().catch(saveError => {
+                console.error('Saving registration saga failed:', saveError.message);
+            });
+            throw new RegistrationSagaError(
+                'Registration could not be finished; send the same request again to resume it',
+                500,
+                'REGISTRATION_INCOMPLETE',
+                { registrationId: String(saga._id), step: saga.step, reason: error.message }
+            );
+        }
+
+        return { status: saga.response.status, body: saga.response.body, replayed: false };
+    }
+
+    async forward(saga) {
+        const { steps } = ROUTES[saga.route];
+        for (const step of steps.slice(steps.indexOf(saga.step) + 1)) {
+            await this.runStep(step, saga);
+            saga.step = step;
+            this.addHistory(saga, step, step === 'CHAIN_SUBMITTED' ? saga.chain.status : undefined);
+            await saga.save();
+        }
+
+        // The registration stands even if this fails; the review is then
+        // opened on first access
+        try {
+            await reviewService.getReview(await Voter.findById(saga.voter));
+        } catch (error) {
+            console.warn('Opening document review failed:', error.message);
+        }
+
+        saga.response = { status: 201, body: ROUTES[saga.route].respond(saga) };
+        this.end(saga, 'COMPLETED');
+        await saga.save();
+    }
+
+    runStep(step, saga) {
+        switch (step) {
+            case 'DOCUMENT_CLAIMED':
+                return this.claimDocument(saga);
+            case 'CHAIN_SUBMITTED':
+                return this.submitToChain(saga);
+            case 'VOTER_SAVED':
+                return this.saveVoter(saga);
+            case 'WALLET_STORED':
+                return this.storeWallet(saga);
+            default:
+                throw new Error(`Unknown registration step ${step}`);
+        }
+    }
+
+    async claimDocument(saga) {
+        if (!saga.aadharDocument) return;
+        try {
+            await documentService.claimDocument(saga.aadharDocument, saga.voter);
+        } catch (error) {
+            if (error instanceof DocumentError) {
+                throw new RegistrationSagaError(error.message, error.statusCode, 'DOCUMENT_UNAVAILABLE');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * On-chain registration of the address, or null when the contract cannot
+     * be read
+     */
+    async readChain(address) {
+        try {
+            const details = await getVoterDetails(address);
+            return details.registrationTimestamp > 0 ? details : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async submitToChain(saga) {
+        const { nameHash, aadharHash } = saga.payload.voter;
+        const address = saga.blockchainAddress;
+
+        // Adopts the on-chain record if it is this registration (an earlier
+        // attempt got that far), refuses the saga if it is someone else's
+        const adopt = async (details, contractError = 'AlreadyRegistered') => {
+            if (details && sameHash(details.nameHash, nameHash) && sameHash(details.aadharHash, aadharHash)) {
+                saga.chain = { status: 'REGISTERED', txHash: saga.chain?.txHash || null };
+                return;
+            }
+            const known = CONTRACT_ERRORS[contractError];
+            throw new RegistrationSagaError(known.message, known.status, known.code);
+        };
+
+        // Wait for a write from an earlier attempt rather than send a second one
+        const pending = await ChainTransaction.exists({
+            'metadata.voterAddress': address,
+            status: { $in: ['QUEUED', 'SENT'] }
+        });
+        if (pending) {
+            throw new Error('A registration transaction for this address is still pending');
+        }
+
+        const onChain = await this.readChain(address);
+        if (onChain) {
+            await adopt(onChain);
+        } else {
+            try {
+                const receipt = saga.route === 'wallet'
+                    ? await registerVoter(nameHash, aadharHash, address)
+                    : await relayerService.registerVoter(await this.getWalletService().getSigner(saga.voter), nameHash, aadharHash);
+                saga.chain = { status: 'REGISTERED', txHash: receipt.hash };
+            } catch (error) {
+                const revert = decodeContractError(error);
+                if (revert && CHAIN_DUPLICATES.includes(revert.name)) {
+                    await adopt(await this.readChain(address), revert.name);
+                } else {
+                    // Registered in MongoDB only; the reconciler submits it later
+                    console.warn('Blockchain registration skipped/failed:', revert?.name || error.shortMessage || error.message);
+                    saga.chain = { status: 'SKIPPED', error: revert?.name || error.shortMessage || error.message };
+                }
+            }
+        }
+
+        if (saga.chain.txHash) {
+            await Voter.updateOne({ _id: saga.voter }, { $set: { 'blockchain.txHash': saga.chain.txHash } });
+        }
+    }
+
+    async saveVoter(saga) {
+        if (await Voter.exists({ _id: saga.voter })) return;
+
+        const { encryptedData, nameHash, aadharHash, district, state, gender, dob } = saga.payload.voter;
+        const voter = new Voter({
+            _id: saga.voter,
+            blockchainAddress: saga.blockchainAddress,
+            encryptedData,
+            aadharIndex: saga.aadharIndex,
+            // Hashes are kept even if the blockchain write failed so the
+            // reconciler can submit the registration later
+            blockchain: {
+                nameHash,
+                aadharHash,
+                txHash: saga.chain?.txHash || null,
+                registrationTimestamp: Date.now()
+            },
+            district,
+            state,
+            gender,
+            dob: dob ? new Date(dob) : null,
+            aadharDocument: saga.aadharDocument
+        });
+
+        try {
+            await voter.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new RegistrationSagaError('Voter already registered', 409, 'VOTER_ALREADY_REGISTERED');
+            }
+            throw error;
+        }
+    }
+
+    async storeWallet(saga) {
+        if (await VoterWallet.exists({ voter: saga.voter })) return;
+        await this.getWalletService().storeWallet(saga.voter, saga.payload.wallet);
+    }
+
+    async beginCompensation(saga, error) {
+        saga.status = 'COMPENSATING';
+        saga.response = { status: error.statusCode, body: { error: error.message, code: error.code } };
+        this.addHistory(saga, 'COMPENSATING', error.code);
+        await saga.save();
+    }
+
+    /**
+     * Undo the steps done, newest first. Each undo is saved, so an
+     * interrupted compensation carries on from where it stopped.
+     */
+    async compensate(saga) {
+        const { steps } = ROUTES[saga.route];
+        while (saga.step !== 'STARTED') {
+            const note = await this.undoStep(saga.step, saga);
+            this.addHistory(saga, `${saga.step} undone`, note);
+            saga.step = steps[steps.indexOf(saga.step) - 1] || 'STARTED';
+            await saga.save();
+        }
+
+        this.end(saga, 'COMPENSATED');
+        await saga.save();
+    }
+
+    async undoStep(step, saga) {
+        switch (step) {
+            case 'DOCUMENT_CLAIMED':
+                if (saga.aadharDocument) {
+                    await documentService.releaseDocument(saga.aadharDocument, saga.voter);
+                }
+                return undefined;
+            case 'VOTER_SAVED':
+                await Voter.deleteOne({ _id: saga.voter });
+                return undefined;
+            case 'WALLET_STORED':
+                await VoterWallet.deleteOne({ voter: saga.voter });
+                return undefined;
+            case 'CHAIN_SUBMITTED':
+                // The contract cannot take a registration back
+                if (saga.chain?.status === 'REGISTERED') {
+                    console.warn(`Registration ${saga._id} compensated; ${saga.blockchainAddress} stays registered on-chain`);
+                    return 'left on-chain';
+                }
+                return undefined;
+            default:
+                throw new Error(`Unknown registration step ${step}`);
+        }
+    }
+
+    end(saga, status) {
+        saga.status = status;
+        saga.active = false;
+        saga.payload = undefined;
+        saga.lockedUntil = null;
+        saga.lastError = undefined;
+        saga.expiresAt = new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000);
+        this.addHistory(saga, status);
+    }
+
+    /**
+     * Resume open sagas that no request is working on.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - only list them
+     * @param {number} [options.maxAttempts] - skip sagas tried this often
+     * @param {number} [options.limit]
+     */
+    async resumeOpen({ dryRun = false, maxAttempts = MAX_ATTEMPTS, limit = BATCH_SIZE } = {}) {
+        const filter = {
+            active: true,
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+        };
+        if (maxAttempts) {
+            filter.attempts = { $lt: maxAttempts };
+        }
+        const sagas = await RegistrationSaga.find(filter).sort({ createdAt: 1 }).limit(limit);
+
+        const summary = { found: sagas.length, completed: 0, compensated: 0, failed: 0 };
+        for (const saga of sagas) {
+            if (dryRun) {
+                console.log(`Would resume registration ${saga._id} (${saga.route}) at ${saga.step}, ${saga.attempts} attempts`);
+                continue;
+            }
+            try {
+                const locked = await this.acquire(saga);
+                if (!locked.active) continue;
+                await this.run(locked);
+                summary[locked.status === 'COMPLETED' ? 'completed' : 'compensated']++;
+            } catch (error) {
+                summary.failed++;
+            }
+        }
+        return summary;
+    }
+
+    start() {
+        if (this.timer || INTERVAL_MS <= 0) {
+            return;
+        }
+
+        const run = async () => {
+            if (this.running) return;
+            this.running = true;
+            try {
+                const summary = await this.resumeOpen();
+                if (summary.found > 0) {
+                    console.log('Registration resume:', summary);
+                }
+            } catch (error) {
+                console.warn('Registration resume skipped/failed:', error.message);
+            } finally {
+                this.running = false;
+            }
+        };
+
+        this.timer = setInterval(run, INTERVAL_MS);
+        run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = new RegistrationSagaService();
+module.exports.RegistrationSagaError = RegistrationSagaError;
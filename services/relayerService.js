@@ -0,0 +1,140 @@
+const { ethers } = require('ethers');
+const {
+    getProvider,
+    getSigner,
+    registerVoterWithSig,
+    getIntentNonce
+} = require('../utils/blockchain');
+const {
+    getElectionContractAddress,
+    castVoteWithSig,
+    getBallotNonce
+} = require('../utils/election');
+const { getContractAddress } = require('../config/network');
+
+// Must match the typehashes in contracts/voterID.sol and contracts/Election.sol
+const REGISTRATION_TYPES = {
+    Registration: [
+        { name: 'voter', type: 'address' },
+        { name: 'nameHash', type: 'bytes32' },
+        { name: 'aadharHash', type: 'bytes32' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const BALLOT_TYPES = {
+    Ballot: [
+        { name: 'electionId', type: 'uint256' },
+        { name: 'candidateId', type: 'uint256' },
+        { name: 'voter', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+/**
+ * Submits voters' EIP-712 signed intents to VoterID and Election and pays
+ * the gas, so voter wallets never need to be funded.
+ */
+class RelayerService {
+    constructor() {
+        this.intentTtlSeconds = Number(process.env.RELAY_INTENT_TTL_SECONDS) || 600;
+        this.chainId = null;
+        this.relayer = null;
+    }
+
+    /**
+     * Account that submits and pays for relayed transactions:
+     * RELAYER_PRIVATE_KEY, or the backend's PRIVATE_KEY if unset.
+     * Created once, on the shared provider.
+     */
+    getRelayer() {
+        if (!this.relayer) {
+            this.relayer = process.env.RELAYER_PRIVATE_KEY
+                ? new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, getProvider())
+                : getSigner();
+        }
+        return this.relayer;
+    }
+
+    async getChainId() {
+        if (!this.chainId) {
+            const network = await getProvider().getNetwork();
+            this.chainId = network.chainId;
+        }
+        return this.chainId;
+    }
+
+    getDeadline() {
+        return Math.floor(Date.now() / 1000) + this.intentTtlSeconds;
+    }
+
+    /**
+     * Typed data a voter signs to register themselves
+     */
+    async buildRegistrationIntent(voterAddress, nameHash, aadharHash) {
+        return {
+            domain: {
+                name: 'VoterID',
+                version: '1',
+                chainId: await this.getChainId(),
+                verifyingContract: getContractAddress()
+            },
+            types: REGISTRATION_TYPES,
+            value: {
+                voter: voterAddress,
+                nameHash,
+                aadharHash,
+                nonce: await getIntentNonce(voterAddress),
+                deadline: this.getDeadline()
+            }
+        };
+    }
+
+    /**
+     * Typed data a voter signs to cast a ballot
+     */
+    async buildBallotIntent(voterAddress, electionId, candidateId) {
+        return {
+            domain: {
+                name: 'Election',
+                version: '1',
+                chainId: await this.getChainId(),
+                verifyingContract: getElectionContractAddress()
+            },
+            types: BALLOT_TYPES,
+            value: {
+                electionId,
+                candidateId,
+                voter: voterAddress,
+                nonce: await getBallotNonce(voterAddress),
+                deadline: this.getDeadline()
+            }
+        };
+    }
+
+    /**
+     * Have the voter's signer sign a registration intent and relay it
+     */
+    async registerVoter(voterSigner, nameHash, aadharHash) {
+        const voterAddress = await voterSigner.getAddress();
+        const { domain, types, value } = await this.buildRegistrationIntent(voterAddress, nameHash, aadharHash);
+        const signature = await voterSigner.signTypedData(domain, types, value);
+
+        return registerVoterWithSig(voterAddress, nameHash, aadharHash, value.deadline, signature, this.getRelayer());
+    }
+
+    /**
+     * Have the voter's signer sign a ballot and relay it
+     */
+    async castVote(voterSigner, electionId, candidateId) {
+        const voterAddress = await voterSigner.getAddress();
+        const { domain, types, value } = await this.buildBallotIntent(voterAddress, electionId, candidateId);
+        const signature = await voterSigner.signTypedData(domain, types, value);
+
+        return castVoteWithSig(electionId, candidateId, voterAddress, value.deadline, signature, this.getRelayer());
+    }
+}
+
+module.exports = new RelayerService();
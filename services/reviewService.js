@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const DocumentReview = require('../models/DocumentReview');
+const notificationService = require('./notificationService');
+const { isVoterInScope } = require('../utils/adminScope');
+
+const { CHECKLIST_ITEMS } = DocumentReview;
+const OPEN_STATUSES = ['PENDING', 'IN_REVIEW', 'NEEDS_MORE_INFO'];
+// How long a voter has to use a re-upload link
+const REUPLOAD_TTL_HOURS = Number(process.env.REUPLOAD_TOKEN_TTL_HOURS) || 72;
+
+class ReviewError extends Error {
+    constructor(message, statusCode = 400, code = 'REVIEW_INVALID') {
+        super(message);
+        this.name = 'ReviewError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Review outcome implied by a voter status set outside the review
+const statusForVoter = (voterStatus) => {
+    switch (voterStatus) {
+        case 'VERIFIED':
+            return 'APPROVED';
+        case 'REJECTED':
+        case 'REVOKED':
+        case 'REMOVED':
+            return 'REJECTED';
+        default:
+            return 'PENDING';
+    }
+};
+
+/**
+ * Document review workflow in front of voter verification:
+ *
+ *   PENDING -> IN_REVIEW (assigned to an officer)
+ *   IN_REVIEW -> NEEDS_MORE_INFO (voter asked to upload again)
+ *   NEEDS_MORE_INFO -> PENDING / IN_REVIEW (new document received)
+ *   IN_REVIEW / NEEDS_MORE_INFO -> APPROVED / REJECTED
+ *
+ * The officer fills in a checklist against the uploaded document; approval
+ * needs every item to pass. Each step is appended to the review's history.
+ * The verification itself (chain, QR code, Voter record) stays in
+ * controllers/voterController.js.
+ */
+class ReviewService {
+    isOpen(review) {
+        return OPEN_STATUSES.includes(review.status);
+    }
+
+    addHistory(review, action, { toStatus = review.status, by = null, notes, details } = {}) {
+        review.history.push({
+            action,
+            fromStatus: review.status,
+            toStatus,
+            by,
+            at: new Date(),
+            notes,
+            details
+        });
+        review.status = toStatus;
+    }
+
+    /**
+     * The voter's review, created on first use. Voters decided before the
+     * workflow existed get a closed review.
+     */
+    async getReview(voter, { by = null } = {}) {
+        const existing = await DocumentReview.findOne({ voter: voter._id });
+        if (existing) {
+            return existing;
+        }
+
+        const review = new DocumentReview({
+            voter: voter._id,
+            voterAddress: voter.blockchainAddress,
+            state: voter.state,
+            district: voter.district,
+            document: voter.aadharDocument || null,
+            status: null
+        });
+        const initialStatus = statusForVoter(voter.getCurrentStatus());
+        this.addHistory(review, 'OPENED', {
+            toStatus: initialStatus,
+            by,
+            notes: initialStatus === 'PENDING' ? undefined : `Voter was already ${voter.getCurrentStatus()}`
+        });
+
+        try {
+            await review.save();
+            return review;
+        } catch (error) {
+            // Opened concurrently by another request
+            if (error.code === 11000) {
+                return DocumentReview.findOne({ voter: voter._id });
+            }
+            throw error;
+        }
+    }
+
+    ensureOpen(review) {
+        if (!this.isOpen(review)) {
+            throw new ReviewError(`Review is already ${review.status}`, 409, 'REVIEW_CLOSED');
+        }
+    }
+
+    // Checklist, re-upload requests and decisions are made by the assigned officer
+    ensureAssignee(review, adminAddress) {
+        if (!review.assignedTo) {
+            throw new ReviewError('Assign the review to an officer first', 409, 'REVIEW_UNASSIGNED');
+        }
+        if (review.assignedTo !== adminAddress.toLowerCase()) {
+            throw new ReviewError(`Review is assigned to ${review.assignedTo}`, 403, 'REVIEW_ASSIGNED_ELSEWHERE');
+        }
+    }
+
+    /**
+     * Assign the review to an officer (an AdminUser) who can verify the voter
+     */
+    async assign(review, voter, assignee, by) {
+        this.ensureOpen(review);
+
+        if (!assignee.hasPermission('VERIFY_VOTERS')) {
+            throw new ReviewError(`Role ${assignee.role} cannot verify voters`, 400, 'INVALID_ASSIGNEE');
+        }
+        if (!isVoterInScope(assignee, voter)) {
+            throw new ReviewError('Voter is outside the assignee\'s jurisdiction', 400, 'INVALID_ASSIGNEE');
+        }
+
+        const previousAssignee = review.assignedTo || null;
+        review.assignedTo = assignee.address.toLowerCase();
+        review.assignedBy = by;
+        review.assignedAt = new Date();
+
+        this.addHistory(review, 'ASSIGNED', {
+            toStatus: review.status === 'PENDING' ? 'IN_REVIEW' : review.status,
+            by,
+            details: { assignedTo: review.assignedTo, previousAssignee }
+        });
+        await review.save();
+        return review;
+    }
+
+    /**
+     * Record checklist results: [{ item, result: 'PASS' | 'FAIL', notes }]
+     */
+    async updateChecklist(review, items, by) {
+        this.ensureOpen(review);
+        this.ensureAssignee(review, by);
+        if (review.status !== 'IN_REVIEW') {
+            throw new ReviewError('The checklist can only be filled in while the review is IN_REVIEW', 409, 'REVIEW_NOT_IN_REVIEW');
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new ReviewError('items must be a non-empty array');
+        }
+        for (const { item, result } of items) {
+            if (!CHECKLIST_ITEMS.includes(item)) {
+                throw new ReviewError(`Unknown checklist item "${item}" (expected one of ${CHECKLIST_ITEMS.join(', ')})`);
+            }
+            if (result !== 'PASS' && result !== 'FAIL') {
+                throw new ReviewError(`Result for ${item} must be PASS or FAIL`);
+            }
+        }
+
+        const checkedAt = new Date();
+        for (const { item, result, notes } of items) {
+            const entry = { item, result, notes, checkedBy: by, checkedAt };
+            const index = review.checklist.findIndex(existing => existing.item === item);
+            if (index >= 0) {
+                review.checklist.set(index, entry);
+            } else {
+                review.checklist.push(entry);
+            }
+        }
+
+        this.addHistory(review, 'CHECKLIST_UPDATED', {
+            by,
+            details: { items: items.map(({ item, result, notes }) => ({ item, result, notes })) }
+        });
+        await review.save();
+        return review;
+    }
+
+    isChecklistComplete(review) {
+        return CHECKLIST_ITEMS.every(item =>
+            review.checklist.some(entry => entry.item === item && entry.result === 'PASS')
+        );
+    }
+
+    getReuploadLink(token) {
+        const baseUrl = (process.env.VOTER_PORTAL_URL || process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+        return `${baseUrl}/reupload?token=${token}`;
+    }
+
+    /**
+     * Ask the voter for a new document. The voter is sent a one-time link;
+     * the token itself is never stored or returned to the admin.
+     */
+    async requestReupload(review, voter, { reason, notes, by }) {
+        this.ensureOpen(review);
+        this.ensureAssignee(review, by);
+        if (review.status !== 'IN_REVIEW') {
+            throw new ReviewError('A re-upload can only be requested while the review is IN_REVIEW', 409, 'REVIEW_NOT_IN_REVIEW');
+        }
+        if (!reason) {
+            throw new ReviewError('reason is required');
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const requestedAt = new Date();
+        const expiresAt = new Date(requestedAt.getTime() + REUPLOAD_TTL_HOURS * 60 * 60 * 1000);
+
+        review.reuploadRequest = {
+            tokenHash: hashToken(token),
+            reason,
+            notes,
+            requestedBy: by,
+            requestedAt,
+            expiresAt
+        };
+
+        const notification = await notificationService.notifyVoter(voter, {
+            type: 'DOCUMENT_REUPLOAD_REQUESTED',
+            subject: 'Please upload your Aadhaar card again',
+            message: `Your voter registration needs a new copy of your Aadhaar card: ${reason}. The link expires on ${expiresAt.toISOString()}.`,
+            link: this.getReuploadLink(token)
+        });
+
+        this.addHistory(review, 'REUPLOAD_REQUESTED', {
+            toStatus: 'NEEDS_MORE_INFO',
+            by,
+            notes,
+            details: { reason, expiresAt, notification }
+        });
+        await review.save();
+        return { review, notification };
+    }
+
+    /**
+     * The review a voter's re-upload token belongs to, if it is still usable
+     */
+    async findReuploadRequest(token) {
+        if (!token || typeof token !== 'string') {
+            throw new ReviewError('Re-upload token is required', 400, 'REUPLOAD_TOKEN_REQUIRED');
+        }
+
+        const review = await DocumentReview.findOne({ 'reuploadRequest.tokenHash': hashToken(token) });
+        if (!review || review.status !== 'NEEDS_MORE_INFO' || review.reuploadRequest.fulfilledAt) {
+            throw new ReviewError('Re-upload link is invalid or has already been used', 404, 'REUPLOAD_LINK_INVALID');
+        }
+        if (review.reuploadRequest.expiresAt < new Date()) {
+            throw new ReviewError('Re-upload link has expired', 410, 'REUPLOAD_LINK_EXPIRED');
+        }
+        return review;
+    }
+
+    /**
+     * A new document was attached to the voter (re-upload by the voter, or
+     * an upload by an admin). An open review starts over on the new document.
+     */
+    async documentReplaced(review, document, by) {
+        const details = { documentId: document._id.toString(), previousDocumentId: review.document ? review.document.toString() : null };
+
+        if (!this.isOpen(review)) {
+            this.addHistory(review, 'DOCUMENT_REPLACED', { by, details });
+            await review.save();
+            return review;
+        }
+
+        if (review.checklist.length > 0) {
+            details.previousChecklist = review.checklist.map(({ item, result, notes }) => ({ item, result, notes }));
+        }
+        review.document = document._id;
+        review.checklist = [];
+        if (review.status === 'NEEDS_MORE_INFO') {
+            review.reuploadRequest.fulfilledAt = new Date();
+            review.reuploadRequest.tokenHash = undefined;
+        }
+
+        this.addHistory(review, 'DOCUMENT_REPLACED', {
+            toStatus: review.assignedTo ? 'IN_REVIEW' : 'PENDING',
+            by,
+            details
+        });
+        await review.save();
+        return review;
+    }
+
+    /**
+     * Close the review with the officer's decision. The caller has already
+     * applied it to the voter.
+     */
+    async recordDecision(review, status, { by, reasonCode, notes, txHash }) {
+        review.decision = { status, reasonCode, notes, decidedBy: by, decidedAt: new Date(), txHash };
+        if (review.reuploadRequest?.tokenHash) {
+            review.reuploadRequest.tokenHash = undefined;
+        }
+
+        this.addHistory(review, status, { toStatus: status, by, notes, details: reasonCode ? { reasonCode } : undefined });
+        await review.save();
+        return review;
+    }
+
+    /**
+     * Close an open review when the voter was verified, rejected or removed
+     * through the direct admin routes
+     */
+    async syncWithVoterStatus(voter, by) {
+        const review = await DocumentReview.findOne({ voter: voter._id });
+        if (!review || !this.isOpen(review)) {
+            return review;
+        }
+
+        const status = statusForVoter(voter.getCurrentStatus());
+        if (status === 'PENDING') {
+            return review;
+        }
+
+        review.decision = {
+            status,
+            reasonCode: voter.statusReason?.code,
+            notes: voter.statusReason?.notes || voter.verificationNotes,
+            decidedBy: by,
+            decidedAt: new Date()
+        };
+        if (review.reuploadRequest?.tokenHash) {
+            review.reuploadRequest.tokenHash = undefined;
+        }
+        this.addHistory(review, 'DECIDED_OUTSIDE_REVIEW', {
+            toStatus: status,
+            by,
+            details: { voterStatus: voter.getCurrentStatus() }
+        });
+        await review.save();
+        return review;
+    }
+}
+
+module.exports = new ReviewService();
+module.exports.ReviewError = ReviewError;
@@ -0,0 +1,58 @@
+/**
+ * Firebase Storage. The Firebase client SDK has no expiring URLs, so
+ * downloads go through the backend's signed URLs (see storageService).
+ */
+class FirebaseStorageDriver {
+    constructor() {
+        this.name = 'firebase';
+        // Loaded here so the Firebase env vars are only required when this
+        // driver is selected
+        this.storage = require('../../config/firebase').storage;
+        this.sdk = require('firebase/storage');
+    }
+
+    async put(key, body, { contentType, metadata = {} } = {}) {
+        const { ref, uploadBytes } = this.sdk;
+        await uploadBytes(ref(this.storage, key), body, { contentType, customMetadata: metadata });
+    }
+
+    async get(key) {
+        const { ref, getBytes, getMetadata } = this.sdk;
+        const objectRef = ref(this.storage, key);
+        try {
+            const [bytes, meta] = await Promise.all([getBytes(objectRef), getMetadata(objectRef)]);
+            return {
+                body: Buffer.from(bytes),
+                contentType: meta.contentType || null,
+                metadata: meta.customMetadata || {}
+            };
+        } catch (error) {
+            if (error.code === 'storage/object-not-found') return null;
+            throw error;
+        }
+    }
+
+    async exists(key) {
+        const { ref, getMetadata } = this.sdk;
+        try {
+            await getMetadata(ref(this.storage, key));
+            return true;
+        } catch (error) {
+            if (error.code === 'storage/object-not-found') return false;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        const { ref, deleteObject } = this.sdk;
+        try {
+            await deleteObject(ref(this.storage, key));
+            return true;
+        } catch (error) {
+            if (error.code === 'storage/object-not-found') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = FirebaseStorageDriver;
@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Stores objects as files under a root directory. Content type and metadata
+ * go into a "<file>.meta.json" next to each file.
+ */
+class LocalStorageDriver {
+    constructor(rootDir) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    // Absolute path for a key, refusing anything that escapes the root
+    resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, body, { contentType, metadata = {} } = {}) {
+        const filePath = this.resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, body);
+        await fs.writeFile(`${filePath}.meta.json`, JSON.stringify({ contentType, metadata }));
+    }
+
+    async get(key) {
+        const filePath = this.resolve(key);
+        try {
+            const body = await fs.readFile(filePath);
+            let meta = {};
+            try {
+                meta = JSON.parse(await fs.readFile(`${filePath}.meta.json`, 'utf8'));
+            } catch (error) {
+                // Files written before the storage layer have no metadata
+            }
+            return { body, contentType: meta.contentType || null, metadata: meta.metadata || {} };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async exists(key) {
+        try {
+            await fs.access(this.resolve(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async delete(key) {
+        const filePath = this.resolve(key);
+        await fs.rm(`${filePath}.meta.json`, { force: true });
+        try {
+            await fs.unlink(filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = LocalStorageDriver;
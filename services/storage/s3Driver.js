@@ -0,0 +1,77 @@
+const isNotFound = (error) =>
+    error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Any S3-compatible object store (AWS S3, MinIO, Cloudflare R2, ...).
+ * Downloads use the store's own presigned URLs.
+ */
+class S3StorageDriver {
+    constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+        if (!bucket) {
+            throw new Error('S3_BUCKET not provided in environment variables');
+        }
+
+        this.name = 's3';
+        this.bucket = bucket;
+        this.sdk = require('@aws-sdk/client-s3');
+        this.presigner = require('@aws-sdk/s3-request-presigner');
+
+        this.client = new this.sdk.S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            forcePathStyle,
+            // Without explicit keys the SDK's default chain (env, IAM role) applies
+            credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+        });
+    }
+
+    async put(key, body, { contentType, metadata = {} } = {}) {
+        await this.client.send(new this.sdk.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            Metadata: metadata
+        }));
+    }
+
+    async get(key) {
+        try {
+            const result = await this.client.send(new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: key }));
+            return {
+                body: Buffer.from(await result.Body.transformToByteArray()),
+                contentType: result.ContentType || null,
+                metadata: result.Metadata || {}
+            };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    async exists(key) {
+        try {
+            await this.client.send(new this.sdk.HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+            return true;
+        } catch (error) {
+            if (isNotFound(error)) return false;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        const existed = await this.exists(key);
+        await this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+        return existed;
+    }
+
+    async getSignedUrl(key, expiresInSeconds) {
+        return this.presigner.getSignedUrl(
+            this.client,
+            new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: key }),
+            { expiresIn: expiresInSeconds }
+        );
+    }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const path = require('path');
+const LocalStorageDriver = require('./storage/localDriver');
+
+// How long download URLs stay valid unless the caller says otherwise
+const DEFAULT_URL_TTL_SECONDS = Number(process.env.STORAGE_URL_TTL_SECONDS) || 900;
+const SIGNED_URL_PATH = '/api/storage';
+
+/**
+ * Stores QR codes and uploaded documents in the backend chosen by
+ * STORAGE_DRIVER:
+ *
+ * - local: files under STORAGE_LOCAL_DIR (default uploads/)
+ * - s3: any S3-compatible store (S3_BUCKET, S3_REGION, S3_ENDPOINT, ...)
+ * - firebase: Firebase Storage (the FIREBASE_* variables)
+ *
+ * Without STORAGE_DRIVER, Firebase is used when FIREBASE_STORAGE_BUCKET is
+ * set and the local driver otherwise.
+ *
+ * Objects are never public. getSignedUrl() hands out time-limited links:
+ * S3 presigns them itself, the other drivers are served by routes/storage.js
+ * after checking an HMAC over the key and expiry.
+ */
+class StorageService {
+    constructor() {
+        this.driver = null;
+    }
+
+    createDriver() {
+        const name = process.env.STORAGE_DRIVER || (process.env.FIREBASE_STORAGE_BUCKET ? 'firebase' : 'local');
+
+        switch (name) {
+            case 'local':
+                return new LocalStorageDriver(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../uploads'));
+            case 's3': {
+                const S3StorageDriver = require('./storage/s3Driver');
+                return new S3StorageDriver({
+                    bucket: process.env.S3_BUCKET,
+                    region: process.env.S3_REGION,
+                    endpoint: process.env.S3_ENDPOINT,
+                    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+                });
+            }
+            case 'firebase': {
+                const FirebaseStorageDriver = require('./storage/firebaseDriver');
+                return new FirebaseStorageDriver();
+            }
+            default:
+                throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected local, s3 or firebase)`);
+        }
+    }
+
+    getDriver() {
+        if (!this.driver) {
+            this.driver = this.createDriver();
+            console.log(`Storage driver: ${this.driver.name}`);
+        }
+        return this.driver;
+    }
+
+    /**
+     * Store a buffer under key. metadata values must be strings.
+     */
+    async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+        await this.getDriver().put(key, body, { contentType, metadata });
+        return { key, size: body.length, contentType };
+    }
+
+    /**
+     * { body, contentType, metadata } or null if there is no such object
+     */
+    async get(key) {
+        return this.getDriver().get(key);
+    }
+
+    async exists(key) {
+        return this.getDriver().exists(key);
+    }
+
+    /**
+     * Returns whether the object existed
+     */
+    async delete(key) {
+        return this.getDriver().delete(key);
+    }
+
+    /**
+     * Key for backend-served links. Deliberately not shared with the session
+     * secret, so rotating or leaking one does not affect the other.
+     */
+    getUrlSecret() {
+        const secret = process.env.STORAGE_URL_SECRET;
+        if (!secret || secret.length < 32) {
+            throw new Error('STORAGE_URL_SECRET must be configured with at least 32 characters to sign download URLs');
+        }
+        return secret;
+    }
+
+    sign(key, expires) {
+        return crypto
+            .createHmac('sha256', this.getUrlSecret())
+            .update(`${key}\n${expires}`)
+            .digest('base64url');
+    }
+
+    /**
+     * Download URL for key that stops working after expiresInSeconds
+     */
+    async getSignedUrl(key, expiresInSeconds = DEFAULT_URL_TTL_SECONDS) {
+        const driver = this.getDriver();
+        if (driver.getSignedUrl) {
+            return driver.getSignedUrl(key, expiresInSeconds);
+        }
+
+        const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+        const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+        const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+        return `${baseUrl}${SIGNED_URL_PATH}/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
+    }
+
+    /**
+     * Check a URL produced by getSignedUrl(): right signature, not expired
+     */
+    verifySignedUrl(key, expires, signature) {
+        const expiresAt = Number(expires);
+        if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+            return false;
+        }
+        if (typeof signature !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.sign(key, expiresAt));
+        const given = Buffer.from(signature);
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+}
+
+module.exports = new StorageService();
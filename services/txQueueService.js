@@ -0,0 +1,393 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ChainTransaction = require('../models/ChainTransaction');
+const { toContractError } = require('../utils/contractErrors');
+
+const POLL_INTERVAL_MS = Number(process.env.TX_POLL_INTERVAL_MS) || 3000;
+// Resend with higher fees when no attempt has been mined for this long
+const REPLACE_AFTER_MS = Number(process.env.TX_REPLACE_AFTER_MS) || 60000;
+const MAX_REPLACEMENTS = Number(process.env.TX_MAX_REPLACEMENTS) || 3;
+// How long submit() waits for a final status before reporting it as pending
+const WAIT_TIMEOUT_MS = Number(process.env.TX_WAIT_TIMEOUT_MS) || 180000;
+// A record still QUEUED this long after it was created has lost the process
+// that queued it, whichever instance that was
+const QUEUED_TIMEOUT_MS = Number(process.env.TX_QUEUED_TIMEOUT_MS) || 600000;
+// Written on every record this process queues. GAE_INSTANCE (App Engine)
+// survives a restart of the process on the same instance.
+const INSTANCE_ID = process.env.GAE_INSTANCE || `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+// Headroom on top of estimateGas, and the fee increase for a replacement
+// (nodes require at least 10%)
+const GAS_LIMIT_MARGIN_PERCENT = 20n;
+const FEE_BUMP_PERCENT = 15n;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const bump = (value) => value + (value * FEE_BUMP_PERCENT) / 100n + 1n;
+const max = (a, b) => (a > b ? a : b);
+
+/**
+ * A queued transaction that failed, or has no final status yet. `code` is
+ * the record's failureReason, or PENDING.
+ */
+class TransactionError extends Error {
+    constructor(message, record, code) {
+        super(message);
+        this.name = 'TransactionError';
+        this.code = code;
+        this.transactionId = record?._id || null;
+        this.hash = record?.hash || null;
+    }
+}
+
+/**
+ * Sends contract writes one at a time per signing account. Nonces are
+ * assigned serially, gas and fees are estimated before sending, stuck
+ * transactions are replaced with higher fees, and every step is recorded in
+ * ChainTransaction so the final status can be looked up later (also after a
+ * restart, see resume()).
+ */
+class TransactionQueueService {
+    constructor() {
+        this.signers = new Map();
+        this.locks = new Map();
+        this.nextNonces = new Map();
+        this.monitors = new Map();
+    }
+
+    /**
+     * Make a signer available for sending and for resuming its transactions
+     */
+    async registerSigner(signer) {
+        const address = (await signer.getAddress()).toLowerCase();
+        this.signers.set(address, signer);
+        return address;
+    }
+
+    // Run fn after every earlier job for the same account has finished
+    withSignerLock(address, fn) {
+        const previous = this.locks.get(address) || Promise.resolve();
+        const run = previous.then(fn);
+        this.locks.set(address, run.catch(() => {}));
+        return run;
+    }
+
+    /**
+     * Queue contract[method](...args) from the contract's signer and wait for
+     * its final status. Resolves with the mined receipt; throws a
+     * ContractRevertError (utils/contractErrors.js) if the simulation or
+     * estimation reverts, and a TransactionError if the transaction reverts
+     * once mined, is dropped or is still pending after TX_WAIT_TIMEOUT_MS.
+     */
+    async submit(contract, method, args = [], { metadata = {}, value = 0n } = {}) {
+        const signer = contract.runner;
+        const from = await this.registerSigner(signer);
+
+        const record = await ChainTransaction.create({
+            from: await signer.getAddress(),
+            to: await contract.getAddress(),
+            method,
+            data: contract.interface.encodeFunctionData(method, args),
+            value: value.toString(),
+            metadata,
+            owner: INSTANCE_ID
+        });
+
+        try {
+            await this.withSignerLock(from, () => this.send(record, contract, method, args, value));
+        } catch (error) {
+            record.status = 'FAILED';
+            record.failureReason = record.failureReason || 'SEND_FAILED';
+            record.error = error.revert?.name || error.shortMessage || error.message;
+            record.finalizedAt = new Date();
+            await record.save();
+            throw error;
+        }
+
+        return this.waitForFinal(record._id);
+    }
+
+    // Simulate, estimate, assign a nonce and broadcast the first attempt
+    async send(record, contract, method, args, value) {
+        const signer = contract.runner;
+        const provider = signer.provider;
+        const fn = contract.getFunction(method);
+        const overrides = value ? { value } : {};
+
+        // Run the call with eth_call first so a revert is caught without
+        // spending gas. estimateGas is not enough: Ganache returns an
+        // estimate for calls that revert, and no node is required to include
+        // the revert data that names the custom error.
+        try {
+            await fn.staticCall(...args, overrides);
+        } catch (error) {
+            const revertError = toContractError(error);
+            if (revertError !== error) {
+                record.failureReason = 'SIMULATION_REVERTED';
+            }
+            throw revertError;
+        }
+
+        let gasEstimate;
+        try {
+            gasEstimate = await fn.estimateGas(...args, overrides);
+        } catch (error) {
+            // The state can change between the simulation and the estimate
+            record.failureReason = 'ESTIMATE_FAILED';
+            throw toContractError(error);
+        }
+
+        const { chainId } = await provider.getNetwork();
+        const fees = await this.getFees(provider);
+
+        record.chainId = chainId.toString();
+        record.gasLimit = (gasEstimate + (gasEstimate * GAS_LIMIT_MARGIN_PERCENT) / 100n).toString();
+
+        // One retry in case another process used the nonce we expected
+        for (let attempt = 0; ; attempt++) {
+            record.nonce = await this.nextNonce(record.from, provider);
+            try {
+                await this.broadcast(record, signer, fees);
+                break;
+            } catch (error) {
+                this.nextNonces.delete(record.from.toLowerCase());
+                if (error.code !== 'NONCE_EXPIRED' || attempt > 0) {
+                    throw error;
+                }
+            }
+        }
+
+        this.nextNonces.set(record.from.toLowerCase(), record.nonce + 1);
+        record.status = 'SENT';
+        await record.save();
+
+        console.log(`Transaction ${record._id} (${record.method}) sent:`, record.hash);
+        this.startMonitor(record._id);
+    }
+
+    async getFees(provider) {
+        const feeData = await provider.getFeeData();
+        if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+            return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        }
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    // The node's pending count, unless we already handed out later nonces
+    async nextNonce(address, provider) {
+        const pending = await provider.getTransactionCount(address, 'pending');
+        const cached = this.nextNonces.get(address.toLowerCase());
+        return cached !== undefined && cached > pending ? cached : pending;
+    }
+
+    // Sign the record's transaction with the given fees and send it
+    async broadcast(record, signer, fees) {
+        const tx = {
+            to: record.to,
+            data: record.data,
+            value: BigInt(record.value),
+            nonce: record.nonce,
+            gasLimit: BigInt(record.gasLimit),
+            chainId: BigInt(record.chainId),
+            ...fees
+        };
+        tx.type = fees.maxFeePerGas !== undefined ? 2 : 0;
+
+        const signed = await signer.signTransaction(tx);
+        const response = await signer.provider.broadcastTransaction(signed);
+
+        record.hash = response.hash;
+        record.attempts.push({
+            hash: response.hash,
+            maxFeePerGas: fees.maxFeePerGas?.toString(),
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString(),
+            gasPrice: fees.gasPrice?.toString(),
+            sentAt: new Date()
+        });
+    }
+
+    // Same nonce, fees raised above both the last attempt and current prices
+    async replace(record, signer) {
+        const last = record.attempts[record.attempts.length - 1];
+        const current = await this.getFees(signer.provider);
+
+        const fees = last.maxFeePerGas
+            ? {
+                maxFeePerGas: max(bump(BigInt(last.maxFeePerGas)), current.maxFeePerGas || 0n),
+                maxPriorityFeePerGas: max(bump(BigInt(last.maxPriorityFeePerGas)), current.maxPriorityFeePerGas || 0n)
+            }
+            : { gasPrice: max(bump(BigInt(last.gasPrice)), current.gasPrice || 0n) };
+
+        try {
+            await this.broadcast(record, signer, fees);
+            await record.save();
+            console.log(`Transaction ${record._id} replaced with higher fees:`, record.hash);
+        } catch (error) {
+            // The next poll finds the receipt if the old attempt was mined meanwhile
+            console.warn(`Replacing transaction ${record._id} failed:`, error.shortMessage || error.message);
+        }
+    }
+
+    startMonitor(id) {
+        const key = id.toString();
+        if (!this.monitors.has(key)) {
+            const monitor = this.monitor(id).finally(() => this.monitors.delete(key));
+            this.monitors.set(key, monitor);
+        }
+        return this.monitors.get(key);
+    }
+
+    // Poll until one attempt is mined or the nonce is used by something else
+    async monitor(id) {
+        let nonceUsedPolls = 0;
+
+        for (;;) {
+            const record = await ChainTransaction.findById(id);
+            if (!record || record.status !== 'SENT') {
+                return record;
+            }
+
+            const signer = this.signers.get(record.from.toLowerCase());
+            if (!signer) {
+                // Not ours to watch until the signer is registered again
+                return record;
+            }
+            const provider = signer.provider;
+
+            try {
+                for (const attempt of [...record.attempts].reverse()) {
+                    const receipt = await provider.getTransactionReceipt(attempt.hash);
+                    if (receipt) {
+                        return await this.finalize(record, receipt);
+                    }
+                }
+
+                // Give the receipt a couple of polls to show up before
+                // deciding the nonce went to another transaction
+                const mined = await provider.getTransactionCount(record.from, 'latest');
+                nonceUsedPolls = mined > record.nonce ? nonceUsedPolls + 1 : 0;
+                if (nonceUsedPolls >= 3) {
+                    record.status = 'FAILED';
+                    record.failureReason = 'DROPPED';
+                    record.error = 'Nonce was used by another transaction';
+                    record.finalizedAt = new Date();
+                    await record.save();
+                    return record;
+                }
+
+                const lastSentAt = record.attempts[record.attempts.length - 1].sentAt;
+                if (Date.now() - lastSentAt.getTime() > REPLACE_AFTER_MS && record.attempts.length <= MAX_REPLACEMENTS) {
+                    await this.withSignerLock(record.from.toLowerCase(), () => this.replace(record, signer));
+                }
+            } catch (error) {
+                console.warn(`Monitoring transaction ${record._id} failed, retrying:`, error.message);
+            }
+
+            await sleep(POLL_INTERVAL_MS);
+        }
+    }
+
+    async finalize(record, receipt) {
+        record.hash = receipt.hash;
+        record.blockNumber = receipt.blockNumber;
+        record.gasUsed = receipt.gasUsed.toString();
+        record.finalizedAt = new Date();
+
+        if (receipt.status === 1) {
+            record.status = 'CONFIRMED';
+        } else {
+            record.status = 'FAILED';
+            record.failureReason = 'REVERTED';
+            record.error = 'Transaction reverted';
+        }
+
+        await record.save();
+        console.log(`Transaction ${record._id} ${record.status.toLowerCase()} in block ${receipt.blockNumber}`);
+        return record;
+    }
+
+    /**
+     * Wait for a queued transaction's final status and return its receipt
+     */
+    async waitForFinal(id, timeoutMs = WAIT_TIMEOUT_MS) {
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), timeoutMs);
+        });
+
+        let record;
+        try {
+            record = await Promise.race([this.startMonitor(id), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!record) {
+            const pending = await ChainTransaction.findById(id);
+            throw new TransactionError('Transaction is still pending', pending, 'PENDING');
+        }
+
+        if (record.status !== 'CONFIRMED') {
+            throw new TransactionError(record.error || 'Transaction failed', record, record.failureReason);
+        }
+
+        const signer = this.signers.get(record.from.toLowerCase());
+        return signer.provider.getTransactionReceipt(record.hash);
+    }
+
+    /**
+     * Look up a transaction by record id or by the hash of any attempt
+     */
+    async getTransaction(idOrHash) {
+        if (mongoose.isValidObjectId(idOrHash)) {
+            return ChainTransaction.findById(idOrHash);
+        }
+        return ChainTransaction.findOne({ 'attempts.hash': idOrHash });
+    }
+
+    /**
+     * After a restart: keep watching transactions that were sent, and close
+     * out ones that were queued but never reached the network. Other
+     * instances may be sending right now, so only records this instance
+     * queued, or ones left QUEUED for TX_QUEUED_TIMEOUT_MS, are closed.
+     */
+    async resume(signers) {
+        for (const signer of signers) {
+            await this.registerSigner(signer);
+        }
+
+        const interrupted = await ChainTransaction.updateMany(
+            {
+                status: 'QUEUED',
+                $or: [
+                    { owner: INSTANCE_ID },
+                    { createdAt: { $lt: new Date(Date.now() - QUEUED_TIMEOUT_MS) } }
+                ]
+            },
+            {
+                $set: {
+                    status: 'FAILED',
+                    failureReason: 'INTERRUPTED',
+                    error: 'Server stopped before the transaction was sent',
+                    finalizedAt: new Date()
+                }
+            }
+        );
+
+        const sent = await ChainTransaction.find({ status: 'SENT' }).select('_id from');
+        let resumed = 0;
+        for (const record of sent) {
+            if (this.signers.has(record.from.toLowerCase())) {
+                this.startMonitor(record._id);
+                resumed++;
+            }
+        }
+
+        return { resumed, interrupted: interrupted.modifiedCount };
+    }
+}
+
+const txQueue = new TransactionQueueService();
+txQueue.TransactionError = TransactionError;
+
+module.exports = txQueue;
@@ -1,120 +1,226 @@
 const { ethers } = require('ethers');
 const crypto = require('crypto');
-
-class WalletAbstractionService {
-    constructor() {
-        // Initialize provider with error handling
-        try {
-            this.provider = new ethers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
-            this.masterWallet = new ethers.Wallet(process.env.MASTER_PRIVATE_KEY, this.provider);
-            this.walletSalt = process.env.WALLET_SALT || 'default_salt_12345';
-            this.initialFunding = process.env.INITIAL_FUNDING_AMOUNT || '0.01';
-        } catch (error) {
-            console.error('WalletService initialization error:', error);
-            throw new Error('Failed to initialize wallet service');
-        }
+const VoterWallet = require('../models/VoterWallet');
+const { getWalletSeeds } = require('../config/keyring');
+const { createProvider } = require('../config/network');
+
+const SEAL_ALGORITHM = 'aes-256-gcm';
+const SEAL_INFO = 'myvote-voter-wallet-v1';
+
+// Keys imported by scripts/migrateLegacyWallets.js. Anyone who knows the old
+// WALLET_SALT can recompute them, so they never sign until moved to a fresh key.
+const UNSAFE_ORIGINS = ['LEGACY_SHA256'];
+
+class WalletError extends Error {
+    constructor(message, statusCode = 400, code = 'WALLET_ERROR') {
+        super(message);
+        this.name = 'WalletError';
+        this.statusCode = statusCode;
+        this.code = code;
     }
+}
 
-    generateWalletFromAadhar(aadharNumber) {
-        try {
-            // Derive a hash from Aadhaar + salt using a cryptographic function
-            const hash = crypto
-                .createHash("sha256")
-                .update(aadharNumber + this.walletSalt)
-                .digest("hex");
-
-            // Use first 64 characters as the private key
-            const privateKey = `0x${hash.slice(0, 64)}`;
+// Each wallet gets its own sealing key, derived from the master seed and the
+// wallet address, so no two records share a key even under the same seed.
+// The address is also bound in as AAD so a sealed key cannot be moved onto
+// another voter's record.
+const deriveSealingKey = (seed, address) => Buffer.from(
+    crypto.hkdfSync('sha256', seed, Buffer.from(address.toLowerCase()), SEAL_INFO, 32)
+);
+
+const sealPrivateKey = (privateKey, address) => {
+    const { activeKeyId, keys } = getWalletSeeds();
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv(SEAL_ALGORITHM, deriveSealingKey(keys.get(activeKeyId), address), iv);
+    cipher.setAAD(Buffer.from(`${activeKeyId}:${address.toLowerCase()}`));
+    const data = Buffer.concat([cipher.update(privateKey.replace(/^0x/, ''), 'hex'), cipher.final()]);
+
+    return {
+        alg: SEAL_ALGORITHM,
+        kid: activeKeyId,
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        data: data.toString('hex')
+    };
+};
+
+const unsealPrivateKey = (sealedKey, address) => {
+    const seed = getWalletSeeds().keys.get(sealedKey.kid);
+    if (!seed) {
+        throw new Error(`Wallet was sealed under unknown master seed "${sealedKey.kid}"`);
+    }
 
-            console.log(`Generating wallet for Aadhar: ${aadharNumber}`);
-            console.log(`Private key length: ${privateKey.length}`);
+    try {
+        const decipher = crypto.createDecipheriv(SEAL_ALGORITHM, deriveSealingKey(seed, address), Buffer.from(sealedKey.iv, 'hex'));
+        decipher.setAAD(Buffer.from(`${sealedKey.kid}:${address.toLowerCase()}`));
+        decipher.setAuthTag(Buffer.from(sealedKey.tag, 'hex'));
+        const key = Buffer.concat([decipher.update(Buffer.from(sealedKey.data, 'hex')), decipher.final()]);
+        return `0x${key.toString('hex')}`;
+    } catch (error) {
+        throw new Error('Sealed wallet key failed authentication');
+    }
+};
+
+/**
+ * Signer backed by a custody record. The key is unsealed for each signature
+ * and dropped straight after, so callers can send transactions as the voter
+ * without ever holding the private key.
+ */
+class CustodySigner extends ethers.AbstractSigner {
+    #sealedKey;
+
+    constructor(address, sealedKey, provider = null) {
+        super(provider);
+        this.address = address;
+        this.#sealedKey = sealedKey;
+    }
 
-            // Generate the wallet
-            const wallet = new ethers.Wallet(privateKey, this.provider);
+    #wallet() {
+        return new ethers.Wallet(unsealPrivateKey(this.#sealedKey, this.address));
+    }
 
-            console.log(`Generated wallet address: ${wallet.address}`);
+    async getAddress() {
+        return this.address;
+    }
 
-            return {
-                address: wallet.address,
-                privateKey: wallet.privateKey
-            };
-        } catch (error) {
-            console.error('Wallet generation error:', error);
-            throw new Error(`Failed to generate wallet: ${error.message}`);
-        }
+    connect(provider) {
+        return new CustodySigner(this.address, this.#sealedKey, provider);
     }
 
-    encryptPrivateKey(privateKey, aadharNumber) {
-        try {
-            const algorithm = 'aes-256-cbc';
-            const key = crypto.scryptSync(process.env.ENCRYPTION_KEY + aadharNumber, 'salt', 32);
-            const iv = crypto.randomBytes(16);
+    async signTransaction(tx) {
+        return this.#wallet().signTransaction(tx);
+    }
 
-            const cipher = crypto.createCipher(algorithm, key);
-            let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-            encrypted += cipher.final('hex');
+    async signMessage(message) {
+        return this.#wallet().signMessage(message);
+    }
 
-            return {
-                encrypted,
-                iv: iv.toString('hex')
-            };
-        } catch (error) {
-            console.error('Encryption error:', error);
-            throw new Error('Failed to encrypt private key');
-        }
+    async signTypedData(domain, types, value) {
+        return this.#wallet().signTypedData(domain, types, value);
     }
+}
 
-    decryptPrivateKey(encryptedData, aadharNumber) {
+class WalletAbstractionService {
+    constructor() {
+        // Initialize provider with error handling. Custody wallets hold no
+        // ETH: their transactions go through services/relayerService.js.
         try {
-            const algorithm = 'aes-256-cbc';
-            const key = crypto.scryptSync(process.env.ENCRYPTION_KEY + aadharNumber, 'salt', 32);
-
-            const decipher = crypto.createDecipher(algorithm, key);
-            let decrypted = decipher.update(encryptedData.encrypted || encryptedData, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-
-            return decrypted;
+            this.provider = createProvider();
         } catch (error) {
-            console.error('Decryption error:', error);
-            throw new Error('Failed to decrypt private key');
+            console.error('WalletService initialization error:', error);
+            throw new Error('Failed to initialize wallet service');
         }
     }
 
-    async fundWallet(address, amount = null) {
-        try {
-            const fundingAmount = amount || this.initialFunding;
+    /**
+     * Create a fresh random wallet and return it sealed under the active
+     * master seed. The clear key never leaves this method.
+     */
+    generateWallet() {
+        const wallet = ethers.Wallet.createRandom();
+        return {
+            address: wallet.address,
+            sealedKey: sealPrivateKey(wallet.privateKey, wallet.address)
+        };
+    }
 
-            // Check master wallet balance first
-            const masterBalance = await this.provider.getBalance(this.masterWallet.address);
-            const fundingAmountWei = ethers.parseEther(fundingAmount);
+    /**
+     * Put a generated wallet into custody for a voter
+     */
+    async storeWallet(voterId, { address, sealedKey, origin = 'RANDOM' }) {
+        return VoterWallet.create({
+            voter: voterId,
+            address,
+            sealedKey,
+            origin
+        });
+    }
 
-            console.log(`Master wallet balance: ${ethers.formatEther(masterBalance)} ETH`);
-            console.log(`Trying to fund with: ${fundingAmount} ETH`);
+    /**
+     * Take an existing key into custody (used by the legacy wallet migration)
+     */
+    async importWallet(voterId, privateKey, { origin } = {}) {
+        const { address } = new ethers.Wallet(privateKey);
+        return this.storeWallet(voterId, {
+            address,
+            sealedKey: sealPrivateKey(privateKey, address),
+            origin
+        });
+    }
 
-            if (masterBalance < fundingAmountWei) {
-                console.warn('Insufficient funds in master wallet, skipping funding...');
-                return null; // Don't fail registration due to funding issues
-            }
+    /**
+     * Custody details for a voter's wallet, without key material
+     */
+    async getVoterWallet(voterId) {
+        const record = await VoterWallet.findOne({ voter: voterId }).lean();
+        if (!record) {
+            return null;
+        }
 
-            // Send funding transaction
-            const tx = await this.masterWallet.sendTransaction({
-                to: address,
-                value: fundingAmountWei,
-                gasLimit: 21000
-            });
+        return {
+            voterId: record.voter,
+            address: record.address,
+            origin: record.origin,
+            sealedWith: record.sealedKey.kid,
+            needsResealing: record.sealedKey.kid !== getWalletSeeds().activeKeyId,
+            needsNewKey: UNSAFE_ORIGINS.includes(record.origin),
+            sealedAt: record.sealedAt,
+            lastUsedAt: record.lastUsedAt || null,
+            createdAt: record.createdAt
+        };
+    }
 
-            console.log(`Funding transaction sent: ${tx.hash}`);
+    /**
+     * Signer for a voter's custody wallet, connected to the provider, or null
+     * if the voter has none. Throws LEGACY_WALLET for a key that is not safe
+     * to sign with.
+     */
+    async getSigner(voterId) {
+        const record = await VoterWallet.findOneAndUpdate(
+            { voter: voterId, origin: { $nin: UNSAFE_ORIGINS } },
+            { $set: { lastUsedAt: new Date() } },
+            { new: true }
+        );
+        if (!record) {
+            if (await VoterWallet.exists({ voter: voterId })) {
+                throw new WalletError('Voter wallet uses a legacy recomputable key and must be moved to a fresh key before it can sign', 409, 'LEGACY_WALLET');
+            }
+            return null;
+        }
 
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            console.log(`Funding confirmed in block: ${receipt.blockNumber}`);
+        return new CustodySigner(record.address, record.sealedKey.toObject(), this.provider);
+    }
 
-            return tx.hash;
-        } catch (error) {
-            console.error('Wallet funding error:', error);
-            // Don't throw error, just log and continue
+    /**
+     * Reseal a voter's wallet key under the active master seed with a fresh
+     * IV. The address (and so the on-chain identity) stays the same.
+     */
+    async resealWallet(voterId) {
+        const record = await VoterWallet.findOne({ voter: voterId });
+        if (!record) {
             return null;
         }
+
+        const previousKid = record.sealedKey.kid;
+        const sealedKey = sealPrivateKey(unsealPrivateKey(record.sealedKey, record.address), record.address);
+
+        // Only replace the record we unsealed, in case of a concurrent reseal
+        const updated = await VoterWallet.findOneAndUpdate(
+            { _id: record._id, 'sealedKey.data': record.sealedKey.data },
+            { $set: { sealedKey, sealedAt: new Date() } },
+            { new: true }
+        );
+        if (!updated) {
+            throw new Error('Wallet was modified while resealing, try again');
+        }
+
+        return {
+            address: updated.address,
+            previousSeed: previousKid,
+            sealedWith: updated.sealedKey.kid,
+            sealedAt: updated.sealedAt
+        };
     }
 
     async getWalletBalance(address) {
@@ -129,12 +235,7 @@ class WalletAbstractionService {
             throw new Error('Failed to check balance');
         }
     }
-
-    // Helper method to get wallet instance from Aadhar for transactions
-    getWalletFromAadhar(aadharNumber) {
-        const walletData = this.generateWalletFromAadhar(aadharNumber);
-        return new ethers.Wallet(walletData.privateKey, this.provider);
-    }
 }
 
-module.exports = WalletAbstractionService;
\ No newline at end of file
+module.exports = WalletAbstractionService;
+module.exports.WalletError = WalletError;
@@ -0,0 +1,317 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+// Mirrors VoterID.StatusReason
+const Reason = { Fraudulent: 6 };
+
+const nameHash = (name) => ethers.keccak256(ethers.toUtf8Bytes(name));
+const aadharHash = (number) => ethers.keccak256(ethers.toUtf8Bytes(number));
+
+const HOUR = 60 * 60;
+
+describe("Election", function () {
+  async function deployFixture() {
+    const [admin, voter, otherVoter, pendingVoter, stranger] = await ethers.getSigners();
+    const voterID = await (await ethers.getContractFactory("VoterID")).deploy();
+    const election = await (await ethers.getContractFactory("Election")).deploy(await voterID.getAddress());
+
+    // Two verified voters and one still pending
+    await voterID.connect(voter).registerVoter(nameHash("Asha"), aadharHash("234567890123"));
+    await voterID.connect(otherVoter).registerVoter(nameHash("Ravi"), aadharHash("345678901234"));
+    await voterID.connect(pendingVoter).registerVoter(nameHash("Meena"), aadharHash("456789012345"));
+    await voterID.verifyVoter(voter.address);
+    await voterID.verifyVoter(otherVoter.address);
+
+    const start = (await time.latest()) + HOUR;
+    const end = start + 8 * HOUR;
+
+    return { voterID, election, admin, voter, otherVoter, pendingVoter, stranger, start, end };
+  }
+
+  // Election 1 with two candidates, not started yet
+  async function scheduledFixture() {
+    const fixture = await deployFixture();
+    const { election, start, end } = fixture;
+    await election.createElection("General Election", start, end);
+    await election.addCandidate(1, "Candidate A", "Party A");
+    await election.addCandidate(1, "Candidate B", "Party B");
+    return fixture;
+  }
+
+  // The same election with polling open
+  async function openFixture() {
+    const fixture = await scheduledFixture();
+    await time.increaseTo(fixture.start);
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("makes the deployer admin and points at the voter registry", async function () {
+      const { voterID, election, admin } = await loadFixture(deployFixture);
+
+      expect(await election.admin()).to.equal(admin.address);
+      expect(await election.pendingAdmin()).to.equal(ethers.ZeroAddress);
+      expect(await election.voterRegistry()).to.equal(await voterID.getAddress());
+      expect(await election.electionCount()).to.equal(0);
+    });
+
+    it("reverts with InvalidAddress without a voter registry", async function () {
+      const Election = await ethers.getContractFactory("Election");
+
+      await expect(Election.deploy(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(Election, "InvalidAddress");
+    });
+  });
+
+  describe("createElection", function () {
+    it("creates elections with ids starting at 1", async function () {
+      const { election, start, end } = await loadFixture(deployFixture);
+
+      await expect(election.createElection("General Election", start, end))
+        .to.emit(election, "ElectionCreated")
+        .withArgs(1, "General Election", start, end);
+      await expect(election.createElection("By-election", start, end))
+        .to.emit(election, "ElectionCreated")
+        .withArgs(2, "By-election", start, end);
+
+      const info = await election.elections(1);
+      expect(info.name).to.equal("General Election");
+      expect(info.startTime).to.equal(start);
+      expect(info.endTime).to.equal(end);
+      expect(info.candidateCount).to.equal(0);
+      expect(info.totalVotes).to.equal(0);
+      expect(await election.electionCount()).to.equal(2);
+    });
+
+    it("reverts with InvalidTimeWindow for a start in the past or an end before the start", async function () {
+      const { election, start, end } = await loadFixture(deployFixture);
+      const now = await time.latest();
+
+      await expect(election.createElection("General Election", now - 1, end))
+        .to.be.revertedWithCustomError(election, "InvalidTimeWindow");
+      await expect(election.createElection("General Election", start, start))
+        .to.be.revertedWithCustomError(election, "InvalidTimeWindow");
+      await expect(election.createElection("General Election", end, start))
+        .to.be.revertedWithCustomError(election, "InvalidTimeWindow");
+    });
+
+    it("reverts with EmptyName for an unnamed election", async function () {
+      const { election, start, end } = await loadFixture(deployFixture);
+
+      await expect(election.createElection("", start, end))
+        .to.be.revertedWithCustomError(election, "EmptyName");
+    });
+
+    it("reverts with NotAdmin for anyone but the admin", async function () {
+      const { election, stranger, start, end } = await loadFixture(deployFixture);
+
+      await expect(election.connect(stranger).createElection("General Election", start, end))
+        .to.be.revertedWithCustomError(election, "NotAdmin");
+    });
+  });
+
+  describe("addCandidate", function () {
+    it("adds candidates with ids starting at 1", async function () {
+      const { election, start, end } = await loadFixture(deployFixture);
+      await election.createElection("General Election", start, end);
+
+      await expect(election.addCandidate(1, "Candidate A", "Party A"))
+        .to.emit(election, "CandidateAdded")
+        .withArgs(1, 1, "Candidate A", "Party A");
+      await expect(election.addCandidate(1, "Candidate B", ""))
+        .to.emit(election, "CandidateAdded")
+        .withArgs(1, 2, "Candidate B", "");
+
+      expect(await election.getCandidate(1, 2)).to.deep.equal(["Candidate B", "", 0n]);
+      expect((await election.elections(1)).candidateCount).to.equal(2);
+    });
+
+    it("reverts with ElectionAlreadyStarted once polling has opened", async function () {
+      const { election, start } = await loadFixture(scheduledFixture);
+      await time.increaseTo(start);
+
+      await expect(election.addCandidate(1, "Candidate C", "Party C"))
+        .to.be.revertedWithCustomError(election, "ElectionAlreadyStarted");
+    });
+
+    it("reverts with ElectionNotFound for an unknown election", async function () {
+      const { election } = await loadFixture(scheduledFixture);
+
+      await expect(election.addCandidate(0, "Candidate C", "Party C"))
+        .to.be.revertedWithCustomError(election, "ElectionNotFound");
+      await expect(election.addCandidate(2, "Candidate C", "Party C"))
+        .to.be.revertedWithCustomError(election, "ElectionNotFound");
+    });
+
+    it("reverts with EmptyName or NotAdmin", async function () {
+      const { election, stranger } = await loadFixture(scheduledFixture);
+
+      await expect(election.addCandidate(1, "", "Party C"))
+        .to.be.revertedWithCustomError(election, "EmptyName");
+      await expect(election.connect(stranger).addCandidate(1, "Candidate C", "Party C"))
+        .to.be.revertedWithCustomError(election, "NotAdmin");
+    });
+  });
+
+  describe("Voting window", function () {
+    it("reverts with ElectionNotActive before the start time", async function () {
+      const { election, voter } = await loadFixture(scheduledFixture);
+
+      await expect(election.connect(voter).castVote(1, 1))
+        .to.be.revertedWithCustomError(election, "ElectionNotActive");
+    });
+
+    it("accepts a vote from the start time and does not reveal the choice", async function () {
+      const { election, voter } = await loadFixture(openFixture);
+
+      await expect(election.connect(voter).castVote(1, 2))
+        .to.emit(election, "VoteCast")
+        .withArgs(1, voter.address, anyValue);
+      expect(await election.hasVoted(1, voter.address)).to.equal(true);
+      expect(election.interface.getEvent("VoteCast").inputs.map(input => input.name))
+        .to.deep.equal(["electionId", "voter", "timestamp"]);
+    });
+
+    it("accepts a vote at the end time and reverts with ElectionNotActive after it", async function () {
+      const { election, voter, otherVoter, end } = await loadFixture(openFixture);
+
+      await time.setNextBlockTimestamp(end);
+      await expect(election.connect(voter).castVote(1, 1))
+        .to.emit(election, "VoteCast");
+
+      await expect(election.connect(otherVoter).castVote(1, 1))
+        .to.be.revertedWithCustomError(election, "ElectionNotActive");
+    });
+
+    it("reverts with ElectionNotFound or CandidateNotFound for unknown ids", async function () {
+      const { election, voter } = await loadFixture(openFixture);
+
+      await expect(election.connect(voter).castVote(2, 1))
+        .to.be.revertedWithCustomError(election, "ElectionNotFound");
+      await expect(election.connect(voter).castVote(1, 0))
+        .to.be.revertedWithCustomError(election, "CandidateNotFound");
+      await expect(election.connect(voter).castVote(1, 3))
+        .to.be.revertedWithCustomError(election, "CandidateNotFound");
+    });
+  });
+
+  describe("Eligibility", function () {
+    it("reverts with NotEligible for unregistered and unverified voters", async function () {
+      const { election, pendingVoter, stranger } = await loadFixture(openFixture);
+
+      await expect(election.connect(stranger).castVote(1, 1))
+        .to.be.revertedWithCustomError(election, "NotEligible");
+      await expect(election.connect(pendingVoter).castVote(1, 1))
+        .to.be.revertedWithCustomError(election, "NotEligible");
+    });
+
+    it("reverts with NotEligible once a voter is revoked or removed", async function () {
+      const { voterID, election, voter, otherVoter } = await loadFixture(openFixture);
+      await voterID.revokeVoter(voter.address, Reason.Fraudulent);
+      await voterID.removeVoter(otherVoter.address, Reason.Fraudulent);
+
+      await expect(election.connect(voter).castVote(1, 1))
+        .to.be.revertedWithCustomError(election, "NotEligible");
+      await expect(election.connect(otherVoter).castVote(1, 1))
+        .to.be.revertedWithCustomError(election, "NotEligible");
+    });
+
+    it("reverts with AlreadyVoted on a second ballot, even for another candidate", async function () {
+      const { election, voter } = await loadFixture(openFixture);
+      await election.connect(voter).castVote(1, 1);
+
+      await expect(election.connect(voter).castVote(1, 1))
+        .to.be.revertedWithCustomError(election, "AlreadyVoted");
+      await expect(election.connect(voter).castVote(1, 2))
+        .to.be.revertedWithCustomError(election, "AlreadyVoted");
+    });
+
+    it("counts one vote per election, so the same voter can vote in another election", async function () {
+      const { election, voter, end } = await loadFixture(openFixture);
+      const now = await time.latest();
+      await election.createElection("By-election", now + HOUR, end);
+      await election.addCandidate(2, "Candidate C", "Party C");
+      await election.connect(voter).castVote(1, 1);
+      await time.increaseTo(now + HOUR);
+
+      await expect(election.connect(voter).castVote(2, 1))
+        .to.emit(election, "VoteCast")
+        .withArgs(2, voter.address, anyValue);
+    });
+  });
+
+  describe("Tally", function () {
+    it("counts votes per candidate in getResults and getCandidate", async function () {
+      const { election, voter, otherVoter } = await loadFixture(openFixture);
+      await election.connect(voter).castVote(1, 2);
+      await election.connect(otherVoter).castVote(1, 2);
+
+      const [names, parties, voteCounts] = await election.getResults(1);
+      expect(names).to.deep.equal(["Candidate A", "Candidate B"]);
+      expect(parties).to.deep.equal(["Party A", "Party B"]);
+      expect(voteCounts).to.deep.equal([0n, 2n]);
+
+      expect(await election.getCandidate(1, 2)).to.deep.equal(["Candidate B", "Party B", 2n]);
+      expect((await election.elections(1)).totalVotes).to.equal(2);
+    });
+
+    it("reverts with ElectionNotFound or CandidateNotFound on unknown ids", async function () {
+      const { election } = await loadFixture(scheduledFixture);
+
+      await expect(election.getResults(2))
+        .to.be.revertedWithCustomError(election, "ElectionNotFound");
+      await expect(election.getCandidate(1, 3))
+        .to.be.revertedWithCustomError(election, "CandidateNotFound");
+    });
+  });
+
+  describe("Admin handover", function () {
+    it("changes nothing until the nominee accepts", async function () {
+      const { election, admin, stranger } = await loadFixture(deployFixture);
+
+      await expect(election.transferAdmin(stranger.address))
+        .to.emit(election, "AdminTransferStarted")
+        .withArgs(admin.address, stranger.address);
+      expect(await election.admin()).to.equal(admin.address);
+      expect(await election.pendingAdmin()).to.equal(stranger.address);
+    });
+
+    it("hands over admin rights on acceptAdmin", async function () {
+      const { election, admin, stranger, start, end } = await loadFixture(deployFixture);
+      await election.transferAdmin(stranger.address);
+
+      await expect(election.connect(stranger).acceptAdmin())
+        .to.emit(election, "AdminTransferred")
+        .withArgs(admin.address, stranger.address);
+      expect(await election.admin()).to.equal(stranger.address);
+      expect(await election.pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+      await expect(election.createElection("General Election", start, end))
+        .to.be.revertedWithCustomError(election, "NotAdmin");
+      await expect(election.connect(stranger).createElection("General Election", start, end))
+        .to.emit(election, "ElectionCreated");
+    });
+
+    it("reverts with NotPendingAdmin when anyone but the nominee accepts", async function () {
+      const { election, voter, stranger } = await loadFixture(deployFixture);
+
+      await expect(election.connect(stranger).acceptAdmin())
+        .to.be.revertedWithCustomError(election, "NotPendingAdmin");
+
+      await election.transferAdmin(stranger.address);
+      await expect(election.connect(voter).acceptAdmin())
+        .to.be.revertedWithCustomError(election, "NotPendingAdmin");
+    });
+
+    it("reverts with NotAdmin or InvalidAddress on a bad nomination", async function () {
+      const { election, voter, stranger } = await loadFixture(deployFixture);
+
+      await expect(election.connect(stranger).transferAdmin(voter.address))
+        .to.be.revertedWithCustomError(election, "NotAdmin");
+      await expect(election.transferAdmin(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(election, "InvalidAddress");
+    });
+  });
+});
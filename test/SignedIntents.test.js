@@ -0,0 +1,339 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Same types as services/relayerService.js
+const REGISTRATION_TYPES = {
+  Registration: [
+    { name: "voter", type: "address" },
+    { name: "nameHash", type: "bytes32" },
+    { name: "aadharHash", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "electionId", type: "uint256" },
+    { name: "candidateId", type: "uint256" },
+    { name: "voter", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// secp256k1 group order, for building the high-s twin of a signature
+const CURVE_ORDER = BigInt("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141");
+
+const nameHash = ethers.keccak256(ethers.toUtf8Bytes("Asha"));
+const aadharHash = ethers.keccak256(ethers.toUtf8Bytes("234567890123"));
+
+const domainOf = async (name, contract) => ({
+  name,
+  version: "1",
+  chainId: (await ethers.provider.getNetwork()).chainId,
+  verifyingContract: await contract.getAddress()
+});
+
+// Same signer and digest, s replaced by n - s and v flipped
+const toHighS = (signature) => {
+  const { r, s, v } = ethers.Signature.from(signature);
+  const highS = ethers.toBeHex(CURVE_ORDER - BigInt(s), 32);
+  return ethers.concat([r, highS, new Uint8Array([v === 27 ? 28 : 27])]);
+};
+
+describe("Signed intents", function () {
+  async function deployFixture() {
+    const [admin, relayer, stranger] = await ethers.getSigners();
+    const voterID = await (await ethers.getContractFactory("VoterID")).deploy();
+    const election = await (await ethers.getContractFactory("Election")).deploy(await voterID.getAddress());
+
+    // Custody wallets are never funded; the relayer pays for everything
+    const voter = ethers.Wallet.createRandom();
+
+    return { voterID, election, admin, relayer, stranger, voter };
+  }
+
+  describe("registerVoterWithSig", function () {
+    async function signRegistration(voterID, signer, overrides = {}) {
+      const domain = { ...(await domainOf("VoterID", voterID)), ...overrides.domain };
+      const value = {
+        voter: signer.address,
+        nameHash,
+        aadharHash,
+        nonce: await voterID.nonces(signer.address),
+        deadline: (await time.latest()) + 600,
+        ...overrides.value
+      };
+      const signature = await signer.signTypedData(domain, REGISTRATION_TYPES, value);
+      return { value, signature };
+    }
+
+    const submit = (voterID, relayer, value, signature) => voterID.connect(relayer).registerVoterWithSig(
+      value.voter, value.nameHash, value.aadharHash, value.deadline, signature
+    );
+
+    it("publishes the EIP-712 domain the relayer signs against", async function () {
+      const { voterID } = await loadFixture(deployFixture);
+
+      expect(await voterID.domainSeparator())
+        .to.equal(ethers.TypedDataEncoder.hashDomain(await domainOf("VoterID", voterID)));
+      expect(await voterID.REGISTRATION_TYPEHASH())
+        .to.equal(ethers.id("Registration(address voter,bytes32 nameHash,bytes32 aadharHash,uint256 nonce,uint256 deadline)"));
+    });
+
+    it("registers the signer, not the relayer, and consumes their nonce", async function () {
+      const { voterID, relayer, voter } = await loadFixture(deployFixture);
+      const { value, signature } = await signRegistration(voterID, voter);
+
+      await expect(submit(voterID, relayer, value, signature))
+        .to.emit(voterID, "VoterRegistered")
+        .withArgs(voter.address, nameHash, aadharHash, (timestamp) => timestamp > 0n);
+
+      expect((await voterID.getVoterDetails(voter.address)).aadharHash).to.equal(aadharHash);
+      expect((await voterID.getVoterDetails(relayer.address)).registrationTimestamp).to.equal(0);
+      expect(await voterID.nonces(voter.address)).to.equal(1);
+      expect(await ethers.provider.getBalance(voter.address)).to.equal(0);
+    });
+
+    it("reverts with InvalidSignature when someone else signed", async function () {
+      const { voterID, relayer, voter } = await loadFixture(deployFixture);
+      const impostor = ethers.Wallet.createRandom();
+      const { value, signature } = await signRegistration(voterID, impostor, { value: { voter: voter.address } });
+
+      await expect(submit(voterID, relayer, value, signature))
+        .to.be.revertedWithCustomError(voterID, "InvalidSignature");
+    });
+
+    it("reverts with InvalidSignature when a signed field is changed", async function () {
+      const { voterID, relayer, voter } = await loadFixture(deployFixture);
+      const { value, signature } = await signRegistration(voterID, voter);
+
+      const tampered = { ...value, aadharHash: ethers.keccak256(ethers.toUtf8Bytes("345678901234")) };
+      await expect(submit(voterID, relayer, tampered, signature))
+        .to.be.revertedWithCustomError(voterID, "InvalidSignature");
+    });
+
+    it("reverts with InvalidSignature when the signature is replayed", async function () {
+      const { voterID, relayer, voter } = await loadFixture(deployFixture);
+      const { value, signature } = await signRegistration(voterID, voter);
+      await submit(voterID, relayer, value, signature);
+
+      await expect(submit(voterID, relayer, value, signature))
+        .to.be.revertedWithCustomError(voterID, "InvalidSignature");
+    });
+
+    it("reverts with InvalidSignature for a nonce other than the current one", async function () {
+      const { voterID, relayer, voter } = await loadFixture(deployFixture);
+      const { value, signature } = await signRegistration(voterID, voter, { value: { nonce: 1 } });
+
+      await expect(submit(voterID, relayer, value, signature))
+        .to.be.revertedWithCustomError(voterID, "InvalidSignature");
+    });
+
+    it("reverts with SignatureExpired after the deadline", async function () {
+      const { voterID, relayer, voter } = await loadFixture(deployFixture);
+      const { value, signature } = await signRegistration(voterID, voter);
+
+      await time.increaseTo(value.deadline + 1);
+      await expect(submit(voterID, relayer, value, signature))
+        .to.be.revertedWithCustomError(voterID, "SignatureExpired");
+      expect(await voterID.nonces(voter.address)).to.equal(0);
+    });
+
+    it("accepts a signature in the block of its deadline", async function () {
+      const { voterID, relayer, voter } = await loadFixture(deployFixture);
+      const { value, signature } = await signRegistration(voterID, voter);
+
+      await time.setNextBlockTimestamp(value.deadline);
+      await expect(submit(voterID, relayer, value, signature))
+        .to.emit(voterID, "VoterRegistered");
+    });
+
+    it("reverts with InvalidSignature for a signature made for another domain", async function () {
+      const { voterID, election, relayer, voter } = await loadFixture(deployFixture);
+      const otherVoterID = await (await ethers.getContractFactory("VoterID")).deploy();
+
+      const wrongDomains = [
+        { name: "Election" },
+        { version: "2" },
+        { chainId: 1 },
+        { verifyingContract: await otherVoterID.getAddress() },
+        { verifyingContract: await election.getAddress() }
+      ];
+      for (const domain of wrongDomains) {
+        const { value, signature } = await signRegistration(voterID, voter, { domain });
+        await expect(submit(voterID, relayer, value, signature), JSON.stringify(domain))
+          .to.be.revertedWithCustomError(voterID, "InvalidSignature");
+      }
+    });
+
+    it("reverts with InvalidSignature for a malformed or high-s signature", async function () {
+      const { voterID, relayer, voter } = await loadFixture(deployFixture);
+      const { value, signature } = await signRegistration(voterID, voter);
+
+      await expect(submit(voterID, relayer, value, ethers.dataSlice(signature, 0, 64)))
+        .to.be.revertedWithCustomError(voterID, "InvalidSignature");
+      await expect(submit(voterID, relayer, value, toHighS(signature)))
+        .to.be.revertedWithCustomError(voterID, "InvalidSignature");
+    });
+
+    it("reverts with InvalidSignature for the zero address", async function () {
+      const { voterID, relayer, voter } = await loadFixture(deployFixture);
+      const { value, signature } = await signRegistration(voterID, voter);
+
+      await expect(submit(voterID, relayer, { ...value, voter: ethers.ZeroAddress }, signature))
+        .to.be.revertedWithCustomError(voterID, "InvalidSignature");
+    });
+  });
+
+  describe("castVoteWithSig", function () {
+    // A verified voter and an election with two candidates that is open
+    async function openElectionFixture() {
+      const fixture = await deployFixture();
+      const { voterID, election, voter } = fixture;
+
+      await voterID.registerVoterByAdmin(voter.address, nameHash, aadharHash);
+      await voterID.verifyVoter(voter.address);
+
+      const startTime = (await time.latest()) + 100;
+      await election.createElection("General Election", startTime, startTime + 3600);
+      await election.addCandidate(1, "Candidate A", "Party A");
+      await election.addCandidate(1, "Candidate B", "Party B");
+      await time.increaseTo(startTime);
+
+      return { ...fixture, electionId: 1n };
+    }
+
+    async function signBallot(election, signer, overrides = {}) {
+      const domain = { ...(await domainOf("Election", election)), ...overrides.domain };
+      const value = {
+        electionId: 1n,
+        candidateId: 1n,
+        voter: signer.address,
+        nonce: await election.nonces(signer.address),
+        deadline: (await time.latest()) + 600,
+        ...overrides.value
+      };
+      const signature = await signer.signTypedData(domain, BALLOT_TYPES, value);
+      return { value, signature };
+    }
+
+    const submit = (election, relayer, value, signature) => election.connect(relayer).castVoteWithSig(
+      value.electionId, value.candidateId, value.voter, value.deadline, signature
+    );
+
+    it("publishes the EIP-712 domain the relayer signs against", async function () {
+      const { election } = await loadFixture(deployFixture);
+
+      expect(await election.domainSeparator())
+        .to.equal(ethers.TypedDataEncoder.hashDomain(await domainOf("Election", election)));
+      expect(await election.BALLOT_TYPEHASH())
+        .to.equal(ethers.id("Ballot(uint256 electionId,uint256 candidateId,address voter,uint256 nonce,uint256 deadline)"));
+    });
+
+    it("counts the ballot for the signer and consumes their nonce", async function () {
+      const { election, relayer, voter, electionId } = await loadFixture(openElectionFixture);
+      const { value, signature } = await signBallot(election, voter);
+
+      await expect(submit(election, relayer, value, signature))
+        .to.emit(election, "VoteCast")
+        .withArgs(electionId, voter.address, (timestamp) => timestamp > 0n);
+
+      expect(await election.hasVoted(electionId, voter.address)).to.equal(true);
+      expect(await election.hasVoted(electionId, relayer.address)).to.equal(false);
+      expect((await election.candidates(electionId, 1)).voteCount).to.equal(1);
+      expect(await election.nonces(voter.address)).to.equal(1);
+      expect(await ethers.provider.getBalance(voter.address)).to.equal(0);
+    });
+
+    it("keeps separate nonces per contract", async function () {
+      const { voterID, election, relayer } = await loadFixture(openElectionFixture);
+      const voter = ethers.Wallet.createRandom();
+      const registration = {
+        voter: voter.address,
+        nameHash,
+        aadharHash: ethers.keccak256(ethers.toUtf8Bytes("345678901234")),
+        nonce: 0,
+        deadline: (await time.latest()) + 600
+      };
+      const signature = await voter.signTypedData(await domainOf("VoterID", voterID), REGISTRATION_TYPES, registration);
+      await voterID.connect(relayer).registerVoterWithSig(
+        registration.voter, registration.nameHash, registration.aadharHash, registration.deadline, signature
+      );
+
+      expect(await voterID.nonces(voter.address)).to.equal(1);
+      expect(await election.nonces(voter.address)).to.equal(0);
+    });
+
+    it("reverts with InvalidSignature when someone else signed", async function () {
+      const { election, relayer, voter } = await loadFixture(openElectionFixture);
+      const impostor = ethers.Wallet.createRandom();
+      const { value, signature } = await signBallot(election, impostor, { value: { voter: voter.address } });
+
+      await expect(submit(election, relayer, value, signature))
+        .to.be.revertedWithCustomError(election, "InvalidSignature");
+    });
+
+    it("reverts with InvalidSignature when the relayer changes the candidate", async function () {
+      const { election, relayer, voter } = await loadFixture(openElectionFixture);
+      const { value, signature } = await signBallot(election, voter);
+
+      await expect(submit(election, relayer, { ...value, candidateId: 2n }, signature))
+        .to.be.revertedWithCustomError(election, "InvalidSignature");
+    });
+
+    it("reverts with InvalidSignature when the ballot is replayed", async function () {
+      const { election, relayer, voter } = await loadFixture(openElectionFixture);
+      const { value, signature } = await signBallot(election, voter);
+      await submit(election, relayer, value, signature);
+
+      await expect(submit(election, relayer, value, signature))
+        .to.be.revertedWithCustomError(election, "InvalidSignature");
+    });
+
+    it("reverts with SignatureExpired after the deadline", async function () {
+      const { election, relayer, voter, electionId } = await loadFixture(openElectionFixture);
+      const { value, signature } = await signBallot(election, voter);
+
+      await time.increaseTo(value.deadline + 1);
+      await expect(submit(election, relayer, value, signature))
+        .to.be.revertedWithCustomError(election, "SignatureExpired");
+      expect(await election.hasVoted(electionId, voter.address)).to.equal(false);
+    });
+
+    it("reverts with InvalidSignature for a signature made for another domain", async function () {
+      const { voterID, election, relayer, voter } = await loadFixture(openElectionFixture);
+
+      const wrongDomains = [
+        { name: "VoterID" },
+        { version: "2" },
+        { chainId: 1 },
+        { verifyingContract: await voterID.getAddress() }
+      ];
+      for (const domain of wrongDomains) {
+        const { value, signature } = await signBallot(election, voter, { domain });
+        await expect(submit(election, relayer, value, signature), JSON.stringify(domain))
+          .to.be.revertedWithCustomError(election, "InvalidSignature");
+      }
+    });
+
+    it("reverts with InvalidSignature for a high-s signature", async function () {
+      const { election, relayer, voter } = await loadFixture(openElectionFixture);
+      const { value, signature } = await signBallot(election, voter);
+
+      await expect(submit(election, relayer, value, toHighS(signature)))
+        .to.be.revertedWithCustomError(election, "InvalidSignature");
+    });
+
+    it("still applies the ballot checks after a valid signature", async function () {
+      const { voterID, election, relayer, voter } = await loadFixture(openElectionFixture);
+      await voterID.revokeVoter(voter.address, 6); // StatusReason.Fraudulent
+      const { value, signature } = await signBallot(election, voter);
+
+      await expect(submit(election, relayer, value, signature))
+        .to.be.revertedWithCustomError(election, "NotEligible");
+    });
+  });
+});
@@ -0,0 +1,404 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+// Mirrors VoterID.VoterStatus and VoterID.StatusReason
+const Status = { None: 0, Pending: 1, Verified: 2, Rejected: 3, Revoked: 4, Removed: 5 };
+const Reason = { None: 0, DocumentMismatch: 1, Duplicate: 3, Deceased: 4 };
+
+const nameHash = (name) => ethers.keccak256(ethers.toUtf8Bytes(name));
+const aadharHash = (number) => ethers.keccak256(ethers.toUtf8Bytes(number));
+
+describe("VoterID", function () {
+  async function deployFixture() {
+    const [admin, officer, voter, otherVoter, stranger] = await ethers.getSigners();
+    const VoterID = await ethers.getContractFactory("VoterID");
+    const voterID = await VoterID.deploy();
+
+    const roles = {
+      registrar: await voterID.REGISTRAR_ROLE(),
+      verifier: await voterID.VERIFIER_ROLE(),
+      pauser: await voterID.PAUSER_ROLE()
+    };
+
+    return { voterID, roles, admin, officer, voter, otherVoter, stranger };
+  }
+
+  // A voter registered by themselves, still pending
+  async function registeredFixture() {
+    const fixture = await deployFixture();
+    await fixture.voterID.connect(fixture.voter).registerVoter(nameHash("Asha"), aadharHash("234567890123"));
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("makes the deployer admin and holder of every officer role", async function () {
+      const { voterID, roles, admin } = await loadFixture(deployFixture);
+
+      expect(await voterID.admin()).to.equal(admin.address);
+      expect(await voterID.pendingAdmin()).to.equal(ethers.ZeroAddress);
+      for (const role of Object.values(roles)) {
+        expect(await voterID.hasRole(role, admin.address)).to.equal(true);
+      }
+    });
+
+    it("starts open, unpaused and empty", async function () {
+      const { voterID } = await loadFixture(deployFixture);
+
+      expect(await voterID.registrationOpen()).to.equal(true);
+      expect(await voterID.paused()).to.equal(false);
+      expect(await voterID.voterCount()).to.equal(0);
+    });
+  });
+
+  describe("Registration", function () {
+    it("registers a voter as pending", async function () {
+      const { voterID, voter } = await loadFixture(deployFixture);
+
+      await expect(voterID.connect(voter).registerVoter(nameHash("Asha"), aadharHash("234567890123")))
+        .to.emit(voterID, "VoterRegistered")
+        .withArgs(voter.address, nameHash("Asha"), aadharHash("234567890123"), anyValue);
+
+      const details = await voterID.getVoterDetails(voter.address);
+      expect(details.nameHash).to.equal(nameHash("Asha"));
+      expect(details.isVerified).to.equal(false);
+      expect(await voterID.getVoterLifecycle(voter.address)).to.deep.equal([Status.Pending, Reason.None]);
+      expect(await voterID.voterCount()).to.equal(1);
+    });
+
+    it("reverts with RegistrationClosed while registration is closed", async function () {
+      const { voterID, voter } = await loadFixture(deployFixture);
+      await voterID.setRegistrationStatus(false);
+
+      await expect(voterID.connect(voter).registerVoter(nameHash("Asha"), aadharHash("234567890123")))
+        .to.be.revertedWithCustomError(voterID, "RegistrationClosed");
+    });
+
+    it("reverts with AlreadyRegistered for a second registration of an address", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+
+      await expect(voterID.connect(voter).registerVoter(nameHash("Asha"), aadharHash("345678901234")))
+        .to.be.revertedWithCustomError(voterID, "AlreadyRegistered");
+    });
+
+    it("reverts with AadharAlreadyRegistered when the Aadhaar hash is taken", async function () {
+      const { voterID, otherVoter } = await loadFixture(registeredFixture);
+
+      await expect(voterID.connect(otherVoter).registerVoter(nameHash("Ravi"), aadharHash("234567890123")))
+        .to.be.revertedWithCustomError(voterID, "AadharAlreadyRegistered");
+    });
+
+    it("reverts with EmptyHash for a zero name or Aadhaar hash", async function () {
+      const { voterID, voter } = await loadFixture(deployFixture);
+
+      await expect(voterID.connect(voter).registerVoter(ethers.ZeroHash, aadharHash("234567890123")))
+        .to.be.revertedWithCustomError(voterID, "EmptyHash");
+      await expect(voterID.connect(voter).registerVoter(nameHash("Asha"), ethers.ZeroHash))
+        .to.be.revertedWithCustomError(voterID, "EmptyHash");
+    });
+
+    it("lets a registrar register on behalf of an address", async function () {
+      const { voterID, voter } = await loadFixture(deployFixture);
+
+      await expect(voterID.registerVoterByAdmin(voter.address, nameHash("Asha"), aadharHash("234567890123")))
+        .to.emit(voterID, "VoterRegistered");
+      expect((await voterID.getVoterDetails(voter.address)).registrationTimestamp).to.be.greaterThan(0);
+    });
+
+    it("reverts with InvalidAddress when a registrar registers the zero address", async function () {
+      const { voterID } = await loadFixture(deployFixture);
+
+      await expect(voterID.registerVoterByAdmin(ethers.ZeroAddress, nameHash("Asha"), aadharHash("234567890123")))
+        .to.be.revertedWithCustomError(voterID, "InvalidAddress");
+    });
+  });
+
+  describe("Role checks", function () {
+    it("reverts with MissingRole when a non-registrar registers for someone else", async function () {
+      const { voterID, roles, voter, stranger } = await loadFixture(deployFixture);
+
+      await expect(voterID.connect(stranger).registerVoterByAdmin(voter.address, nameHash("Asha"), aadharHash("234567890123")))
+        .to.be.revertedWithCustomError(voterID, "MissingRole")
+        .withArgs(roles.registrar, stranger.address);
+    });
+
+    it("reverts with MissingRole when a non-verifier verifies, rejects or revokes", async function () {
+      const { voterID, roles, voter, stranger } = await loadFixture(registeredFixture);
+      const asStranger = voterID.connect(stranger);
+
+      await expect(asStranger.verifyVoter(voter.address))
+        .to.be.revertedWithCustomError(voterID, "MissingRole")
+        .withArgs(roles.verifier, stranger.address);
+      await expect(asStranger.rejectVoter(voter.address, Reason.DocumentMismatch))
+        .to.be.revertedWithCustomError(voterID, "MissingRole")
+        .withArgs(roles.verifier, stranger.address);
+      await expect(asStranger.revokeVoter(voter.address, Reason.DocumentMismatch))
+        .to.be.revertedWithCustomError(voterID, "MissingRole")
+        .withArgs(roles.verifier, stranger.address);
+    });
+
+    it("requires the registrar role, not the verifier role, to remove a voter", async function () {
+      const { voterID, roles, officer, voter } = await loadFixture(registeredFixture);
+      await voterID.grantRole(roles.verifier, officer.address);
+
+      await expect(voterID.connect(officer).removeVoter(voter.address, Reason.Deceased))
+        .to.be.revertedWithCustomError(voterID, "MissingRole")
+        .withArgs(roles.registrar, officer.address);
+    });
+
+    it("lets the admin grant a role that the officer can then use", async function () {
+      const { voterID, roles, admin, officer, voter } = await loadFixture(registeredFixture);
+
+      await expect(voterID.grantRole(roles.verifier, officer.address))
+        .to.emit(voterID, "RoleGranted")
+        .withArgs(roles.verifier, officer.address, admin.address);
+
+      await expect(voterID.connect(officer).verifyVoter(voter.address))
+        .to.emit(voterID, "VoterVerified");
+    });
+
+    it("takes a role away on revokeRole and renounceRole", async function () {
+      const { voterID, roles, admin, officer, voter } = await loadFixture(registeredFixture);
+      await voterID.grantRole(roles.verifier, officer.address);
+      await voterID.grantRole(roles.registrar, officer.address);
+
+      await expect(voterID.revokeRole(roles.verifier, officer.address))
+        .to.emit(voterID, "RoleRevoked")
+        .withArgs(roles.verifier, officer.address, admin.address);
+      await voterID.connect(officer).renounceRole(roles.registrar);
+
+      expect(await voterID.hasRole(roles.verifier, officer.address)).to.equal(false);
+      expect(await voterID.hasRole(roles.registrar, officer.address)).to.equal(false);
+      await expect(voterID.connect(officer).verifyVoter(voter.address))
+        .to.be.revertedWithCustomError(voterID, "MissingRole");
+    });
+
+    it("reverts with NotAdmin when anyone else manages roles or registration", async function () {
+      const { voterID, roles, officer, stranger } = await loadFixture(deployFixture);
+      const asStranger = voterID.connect(stranger);
+
+      await expect(asStranger.grantRole(roles.verifier, officer.address))
+        .to.be.revertedWithCustomError(voterID, "NotAdmin");
+      await expect(asStranger.revokeRole(roles.verifier, officer.address))
+        .to.be.revertedWithCustomError(voterID, "NotAdmin");
+      await expect(asStranger.setRegistrationStatus(false))
+        .to.be.revertedWithCustomError(voterID, "NotAdmin");
+    });
+
+    it("reverts with InvalidAddress when a role is granted to the zero address", async function () {
+      const { voterID, roles } = await loadFixture(deployFixture);
+
+      await expect(voterID.grantRole(roles.verifier, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(voterID, "InvalidAddress");
+    });
+  });
+
+  describe("Voter lifecycle", function () {
+    it("verifies a pending voter", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+
+      await expect(voterID.verifyVoter(voter.address))
+        .to.emit(voterID, "VoterVerified")
+        .withArgs(voter.address, anyValue);
+      expect(await voterID.checkVoterStatus(voter.address)).to.equal(true);
+      expect(await voterID.getVoterLifecycle(voter.address)).to.deep.equal([Status.Verified, Reason.None]);
+    });
+
+    it("reverts with VoterNotRegistered for an unknown address", async function () {
+      const { voterID, stranger } = await loadFixture(deployFixture);
+
+      await expect(voterID.verifyVoter(stranger.address))
+        .to.be.revertedWithCustomError(voterID, "VoterNotRegistered");
+      await expect(voterID.rejectVoter(stranger.address, Reason.DocumentMismatch))
+        .to.be.revertedWithCustomError(voterID, "VoterNotRegistered");
+      await expect(voterID.revokeVoter(stranger.address, Reason.DocumentMismatch))
+        .to.be.revertedWithCustomError(voterID, "VoterNotRegistered");
+      await expect(voterID.removeVoter(stranger.address, Reason.Deceased))
+        .to.be.revertedWithCustomError(voterID, "VoterNotRegistered");
+    });
+
+    it("reverts with VoterAlreadyVerified when verifying twice", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+      await voterID.verifyVoter(voter.address);
+
+      await expect(voterID.verifyVoter(voter.address))
+        .to.be.revertedWithCustomError(voterID, "VoterAlreadyVerified");
+    });
+
+    it("rejects a pending voter, who can still be verified later", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+
+      await expect(voterID.rejectVoter(voter.address, Reason.DocumentMismatch))
+        .to.emit(voterID, "VoterRejected")
+        .withArgs(voter.address, Reason.DocumentMismatch, anyValue);
+      expect(await voterID.getVoterLifecycle(voter.address)).to.deep.equal([Status.Rejected, Reason.DocumentMismatch]);
+
+      await voterID.verifyVoter(voter.address);
+      expect(await voterID.getVoterLifecycle(voter.address)).to.deep.equal([Status.Verified, Reason.None]);
+    });
+
+    it("reverts with VoterNotPending when rejecting a voter who is not pending", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+      await voterID.verifyVoter(voter.address);
+
+      await expect(voterID.rejectVoter(voter.address, Reason.DocumentMismatch))
+        .to.be.revertedWithCustomError(voterID, "VoterNotPending");
+    });
+
+    it("revokes a verified voter", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+      await voterID.verifyVoter(voter.address);
+
+      await expect(voterID.revokeVoter(voter.address, Reason.Duplicate))
+        .to.emit(voterID, "VoterRevoked")
+        .withArgs(voter.address, Reason.Duplicate, anyValue);
+      expect(await voterID.checkVoterStatus(voter.address)).to.equal(false);
+      expect(await voterID.getVoterLifecycle(voter.address)).to.deep.equal([Status.Revoked, Reason.Duplicate]);
+    });
+
+    it("reverts with VoterNotVerified when revoking a voter who is not verified", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+
+      await expect(voterID.revokeVoter(voter.address, Reason.Duplicate))
+        .to.be.revertedWithCustomError(voterID, "VoterNotVerified");
+    });
+
+    it("removes a voter for good", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+      await voterID.verifyVoter(voter.address);
+
+      await expect(voterID.removeVoter(voter.address, Reason.Deceased))
+        .to.emit(voterID, "VoterRemoved")
+        .withArgs(voter.address, Reason.Deceased, anyValue);
+      expect(await voterID.checkVoterStatus(voter.address)).to.equal(false);
+      expect(await voterID.voterCount()).to.equal(0);
+    });
+
+    it("reverts with VoterAlreadyRemoved when acting on a removed voter", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+      await voterID.removeVoter(voter.address, Reason.Deceased);
+
+      await expect(voterID.removeVoter(voter.address, Reason.Deceased))
+        .to.be.revertedWithCustomError(voterID, "VoterAlreadyRemoved");
+      await expect(voterID.verifyVoter(voter.address))
+        .to.be.revertedWithCustomError(voterID, "VoterAlreadyRemoved");
+    });
+
+    it("keeps a removed voter's Aadhaar hash used", async function () {
+      const { voterID, voter, otherVoter } = await loadFixture(registeredFixture);
+      await voterID.removeVoter(voter.address, Reason.Duplicate);
+
+      await expect(voterID.connect(otherVoter).registerVoter(nameHash("Asha"), aadharHash("234567890123")))
+        .to.be.revertedWithCustomError(voterID, "AadharAlreadyRegistered");
+    });
+
+    it("reverts with InvalidReason when rejecting, revoking or removing without a reason", async function () {
+      const { voterID, voter } = await loadFixture(registeredFixture);
+
+      await expect(voterID.rejectVoter(voter.address, Reason.None))
+        .to.be.revertedWithCustomError(voterID, "InvalidReason");
+      await expect(voterID.removeVoter(voter.address, Reason.None))
+        .to.be.revertedWithCustomError(voterID, "InvalidReason");
+
+      await voterID.verifyVoter(voter.address);
+      await expect(voterID.revokeVoter(voter.address, Reason.None))
+        .to.be.revertedWithCustomError(voterID, "InvalidReason");
+    });
+  });
+
+  describe("Pause guard", function () {
+    it("reverts with ContractPaused on every voter write while paused", async function () {
+      const { voterID, admin, voter, otherVoter } = await loadFixture(registeredFixture);
+
+      await expect(voterID.pause())
+        .to.emit(voterID, "Paused")
+        .withArgs(admin.address);
+
+      await expect(voterID.connect(otherVoter).registerVoter(nameHash("Ravi"), aadharHash("345678901234")))
+        .to.be.revertedWithCustomError(voterID, "ContractPaused");
+      await expect(voterID.registerVoterByAdmin(otherVoter.address, nameHash("Ravi"), aadharHash("345678901234")))
+        .to.be.revertedWithCustomError(voterID, "ContractPaused");
+      await expect(voterID.verifyVoter(voter.address))
+        .to.be.revertedWithCustomError(voterID, "ContractPaused");
+      await expect(voterID.rejectVoter(voter.address, Reason.DocumentMismatch))
+        .to.be.revertedWithCustomError(voterID, "ContractPaused");
+      await expect(voterID.revokeVoter(voter.address, Reason.DocumentMismatch))
+        .to.be.revertedWithCustomError(voterID, "ContractPaused");
+      await expect(voterID.removeVoter(voter.address, Reason.Deceased))
+        .to.be.revertedWithCustomError(voterID, "ContractPaused");
+    });
+
+    it("accepts writes again after unpause", async function () {
+      const { voterID, admin, voter } = await loadFixture(registeredFixture);
+      await voterID.pause();
+
+      await expect(voterID.unpause())
+        .to.emit(voterID, "Unpaused")
+        .withArgs(admin.address);
+      await expect(voterID.verifyVoter(voter.address))
+        .to.emit(voterID, "VoterVerified");
+    });
+
+    it("only lets pausers pause and unpause", async function () {
+      const { voterID, roles, stranger } = await loadFixture(deployFixture);
+
+      await expect(voterID.connect(stranger).pause())
+        .to.be.revertedWithCustomError(voterID, "MissingRole")
+        .withArgs(roles.pauser, stranger.address);
+      await voterID.pause();
+      await expect(voterID.connect(stranger).unpause())
+        .to.be.revertedWithCustomError(voterID, "MissingRole")
+        .withArgs(roles.pauser, stranger.address);
+    });
+  });
+
+  describe("Admin handover", function () {
+    it("changes nothing until the nominee accepts", async function () {
+      const { voterID, admin, officer } = await loadFixture(deployFixture);
+
+      await expect(voterID.transferAdmin(officer.address))
+        .to.emit(voterID, "AdminTransferStarted")
+        .withArgs(admin.address, officer.address);
+      expect(await voterID.admin()).to.equal(admin.address);
+      expect(await voterID.pendingAdmin()).to.equal(officer.address);
+    });
+
+    it("hands over admin rights on acceptAdmin", async function () {
+      const { voterID, admin, officer } = await loadFixture(deployFixture);
+      await voterID.transferAdmin(officer.address);
+
+      await expect(voterID.connect(officer).acceptAdmin())
+        .to.emit(voterID, "AdminTransferred")
+        .withArgs(admin.address, officer.address);
+      expect(await voterID.admin()).to.equal(officer.address);
+      expect(await voterID.pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+      await expect(voterID.setRegistrationStatus(false))
+        .to.be.revertedWithCustomError(voterID, "NotAdmin");
+      await expect(voterID.connect(officer).setRegistrationStatus(false))
+        .to.emit(voterID, "RegistrationStatusChanged")
+        .withArgs(false);
+    });
+
+    it("reverts with NotPendingAdmin when anyone but the nominee accepts", async function () {
+      const { voterID, officer, stranger } = await loadFixture(deployFixture);
+
+      await expect(voterID.connect(officer).acceptAdmin())
+        .to.be.revertedWithCustomError(voterID, "NotPendingAdmin");
+
+      await voterID.transferAdmin(officer.address);
+      await expect(voterID.connect(stranger).acceptAdmin())
+        .to.be.revertedWithCustomError(voterID, "NotPendingAdmin");
+    });
+
+    it("reverts with NotAdmin or InvalidAddress on a bad nomination", async function () {
+      const { voterID, officer, stranger } = await loadFixture(deployFixture);
+
+      await expect(voterID.connect(stranger).transferAdmin(officer.address))
+        .to.be.revertedWithCustomError(voterID, "NotAdmin");
+      await expect(voterID.transferAdmin(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(voterID, "InvalidAddress");
+    });
+  });
+});
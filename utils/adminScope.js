@@ -0,0 +1,53 @@
+const AdminUser = require('../models/AdminUser');
+
+const { ROLES } = AdminUser;
+
+// Build the Mongo filter that limits voter queries to an admin's jurisdiction
+const getVoterScopeFilter = (admin) => {
+  if (!admin) {
+    throw new Error("Admin context is required to scope voter queries");
+  }
+
+  const { state, district } = admin.jurisdiction || {};
+
+  switch (admin.role) {
+    case ROLES.SUPER_ADMIN:
+      return {};
+    case ROLES.STATE_ADMIN:
+      return { state };
+    case ROLES.DISTRICT_OFFICER:
+    case ROLES.BOOTH_OFFICER:
+      return { state, district };
+    default:
+      // Unknown roles see nothing rather than everything
+      return { _id: null };
+  }
+};
+
+// Combine a query filter with the admin's jurisdiction
+const scopeVoterQuery = (admin, filter = {}) => {
+  const scope = getVoterScopeFilter(admin);
+  if (Object.keys(scope).length === 0) {
+    return filter;
+  }
+  if (Object.keys(filter).length === 0) {
+    return scope;
+  }
+  return { $and: [filter, scope] };
+};
+
+// Check whether a single voter document falls inside the admin's jurisdiction
+const isVoterInScope = (admin, voter) => {
+  const scope = getVoterScopeFilter(admin);
+  return Object.entries(scope).every(([field, value]) => voter[field] === value);
+};
+
+// Whether the admin sees the whole country (and may therefore write global snapshots)
+const hasNationalScope = (admin) => admin?.role === ROLES.SUPER_ADMIN;
+
+module.exports = {
+  getVoterScopeFilter,
+  scopeVoterQuery,
+  isVoterInScope,
+  hasNationalScope
+};
@@ -0,0 +1,37 @@
+// The error envelope every route answers with:
+//
+//   { "error": "<message>", "code": "<MACHINE_READABLE_CODE>", "details": [...] }
+//
+// `error` stays a human-readable string so existing clients keep working;
+// clients that localize messages switch on `code` (and on each detail's
+// `code` for validation failures). `details` is optional and always an array
+// of objects with at least `code` and `message`. Unexpected failures answer
+// 500 INTERNAL_ERROR without details; the cause is logged, not sent.
+const sendError = (res, statusCode, code, message, details) => {
+  const body = { error: message, code };
+  if (details !== undefined) {
+    body.details = details;
+  }
+  return res.status(statusCode).json(body);
+};
+
+// A check made in the handler rather than by the route schema, answered like
+// a schema failure (see middleware/validate.js)
+const sendFieldError = (res, location, field, code, message) =>
+  sendError(res, 400, 'VALIDATION_FAILED', 'Request validation failed', [{ in: location, field, code, message }]);
+
+// A failed mongoose validate()/save() on a document built from the body,
+// one detail per invalid path
+const sendModelError = (res, validationError) => {
+  const errors = Object.values(validationError.errors || {});
+  const details = errors.length > 0
+    ? errors.map(error => ({ in: 'body', field: error.path, code: 'INVALID_VALUE', message: error.message }))
+    : [{ in: 'body', field: null, code: 'INVALID_VALUE', message: validationError.message }];
+  return sendError(res, 400, 'VALIDATION_FAILED', 'Request validation failed', details);
+};
+
+module.exports = {
+  sendError,
+  sendFieldError,
+  sendModelError
+};
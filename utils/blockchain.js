@@ -1,27 +1,39 @@
 const { ethers } = require("ethers");
 const voterIDArtifact = require("../artifacts/contracts/voterID.sol/VoterID.json");
+const txQueue = require("../services/txQueueService");
+const {
+  getNetworkName,
+  getContractAddress,
+  getPrivateKey,
+  createProvider
+} = require("../config/network");
 require("dotenv").config();
 
 let provider;
 let contract;
 
-// Determine provider based on environment
+// On-chain officer roles (must match the constants in contracts/voterID.sol)
+const CONTRACT_ROLES = {
+  REGISTRAR: ethers.id("REGISTRAR_ROLE"),
+  VERIFIER: ethers.id("VERIFIER_ROLE"),
+  PAUSER: ethers.id("PAUSER_ROLE")
+};
+
+// Mirrors of the VoterStatus and StatusReason enums in contracts/voterID.sol
+const VOTER_STATUSES = ['NONE', 'PENDING', 'VERIFIED', 'REJECTED', 'REVOKED', 'REMOVED'];
+const STATUS_REASONS = ['NONE', 'DOCUMENT_MISMATCH', 'INELIGIBLE', 'DUPLICATE', 'DECEASED', 'RELOCATED', 'FRAUDULENT', 'OTHER'];
+
+// Provider for the configured NETWORK (see config/network.js)
 const initProvider = () => {
-  if (process.env.NODE_ENV === "production") {
-    // For production, use a provider like Infura or Alchemy
-    const network = process.env.NETWORK || "sepolia";
-    const rpcUrl = network === "sepolia"
-      ? process.env.SEPOLIA_RPC_URL
-      : process.env.MUMBAI_RPC_URL;
-
-    if (!rpcUrl) {
-      throw new Error(`RPC URL for ${network} not provided in environment variables`);
-    }
+  provider = createProvider();
+  return provider;
+};
 
-    provider = new ethers.JsonRpcProvider(rpcUrl);
-  } else {
-    // For development, use local hardhat node
-    provider = new ethers.JsonRpcProvider("https://eth-sepolia.g.alchemy.com/v2/tCH4tNrSzoTvWI3mDLhDtEe0sGW-_Koe");
+// The shared provider, created on first use. initProvider() replaces it, so
+// services that only need to read the chain or sign should call this instead.
+const getProvider = () => {
+  if (!provider) {
+    provider = initProvider();
   }
   return provider;
 };
@@ -32,9 +44,9 @@ const initContract = () => {
     provider = initProvider();
   }
 
-  const contractAddress = process.env.CONTRACT_ADDRESS;
+  const contractAddress = getContractAddress();
   if (!contractAddress) {
-    throw new Error("Contract address not provided in environment variables");
+    throw new Error(`Contract address not provided in environment variables or deployments/${getNetworkName()}.json`);
   }
 
   // For read-only operations
@@ -53,7 +65,7 @@ const getSigner = () => {
     provider = initProvider();
   }
 
-  const privateKey = process.env.PRIVATE_KEY;
+  const privateKey = getPrivateKey();
   if (!privateKey) {
     throw new Error("Private key not provided in environment variables");
   }
@@ -61,13 +73,13 @@ const getSigner = () => {
   return new ethers.Wallet(privateKey, provider);
 };
 
-// Get contract instance with signer for write operations
-const getContractWithSigner = () => {
-  const signer = getSigner();
+// Get contract instance with signer for write operations.
+// Defaults to the backend's PRIVATE_KEY; pass an officer's signer to act as them.
+const getContractWithSigner = (signer = null) => {
   return new ethers.Contract(
-    process.env.CONTRACT_ADDRESS,
+    getContractAddress(),
     voterIDArtifact.abi,
-    signer
+    signer || getSigner()
   );
 };
 
@@ -111,79 +123,55 @@ const registerVoter = async (nameHash, aadharHash, voterAddress = null) => {
 
     const contractWithSigner = getContractWithSigner();
 
-    console.log("Contract address being used:", process.env.CONTRACT_ADDRESS);
+    console.log("Contract address being used:", getContractAddress());
     const sender = await getSigner().getAddress();
     console.log("Sender address (admin):", sender);
 
     // Verify the contract code exists
-    const code = await provider.getCode(process.env.CONTRACT_ADDRESS);
+    const code = await provider.getCode(getContractAddress());
     if (code === '0x') {
       throw new Error("No contract code at the specified address!");
     }
 
-    let tx;
+    let receipt;
 
     // If voter address is provided and different from sender, use registerVoterByAdmin
     if (voterAddress && voterAddress.toLowerCase() !== sender.toLowerCase()) {
       console.log("Registering voter by admin for address:", voterAddress);
 
       // Use the admin function that registers for a specific address
-      tx = await contractWithSigner.registerVoterByAdmin(
+      receipt = await txQueue.submit(contractWithSigner, "registerVoterByAdmin", [
         voterAddress,  // address _voterAddress
         nameHash,      // bytes32 _nameHash
-        aadharHash,    // bytes32 _aadharHash
-        {
-          gasLimit: 500000
-        }
-      );
+        aadharHash     // bytes32 _aadharHash
+      ], { metadata: { voterAddress } });
     } else {
       // Use the standard registration function (self-registration)
       console.log("Using standard registration (self-registration)");
-      tx = await contractWithSigner.registerVoter(
+      receipt = await txQueue.submit(contractWithSigner, "registerVoter", [
         nameHash,  // bytes32 _nameHash
-        aadharHash, // bytes32 _aadharHash
-        {
-          gasLimit: 500000
-        }
-      );
+        aadharHash // bytes32 _aadharHash
+      ], { metadata: { voterAddress: sender } });
     }
 
-    console.log("Transaction sent:", tx.hash);
-    try {
-      const receipt = await tx.wait();
-      console.log("Transaction receipt:", {
-        hash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        status: receipt.status
-      });
-      return receipt;
-    } catch (waitError) {
-      console.error("Error waiting for transaction:", waitError);
-
-      // If the receipt is available in the error, return that
-      if (waitError.receipt) {
-        console.log("Transaction receipt from error:", waitError.receipt);
-        return waitError.receipt;
-      }
-
-      // Otherwise, return basic transaction info
-      return {
-        hash: tx.hash,
-        success: false,
-        error: waitError.message
-      };
-    }
+    console.log("Transaction receipt:", {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      status: receipt.status
+    });
+    return receipt;
   } catch (error) {
     console.error("Error registering voter:", error);
 
-    // More detailed error handling
-    if (error.code === 'CALL_EXCEPTION') {
-      console.error("Contract call exception. Details:", error.transaction);
-      console.error("Receipt:", error.receipt);
+    // More detailed error handling. Reverts are normally caught and decoded
+    // by the queue's simulation (error.revert is set); REVERTED means it was
+    // mined and then reverted, e.g. because a concurrent transaction changed
+    // the state.
+    if (error.revert || error.code === 'REVERTED') {
+      console.error("Contract rejected the registration:", error.revert?.name || error.message);
 
-      // The transaction was mined but reverted
-      if (error.receipt && error.receipt.status === 0) {
-        console.error("Transaction reverted by the contract. This might be because:");
+      if (!error.revert) {
+        console.error("This might be because:");
         console.error("1. You're already registered");
         console.error("2. Registration is closed");
         console.error("3. The Aadhar hash is already used");
@@ -195,7 +183,37 @@ const registerVoter = async (nameHash, aadharHash, voterAddress = null) => {
   }
 };
 
-const verifyVoter = async (voterAddress) => {
+// Self-registration signed by the voter (EIP-712 Registration intent) and
+// submitted by a relayer, which pays the gas. See services/relayerService.js.
+const registerVoterWithSig = async (voterAddress, nameHash, aadharHash, deadline, signature, relayer = null) => {
+  try {
+    const contractWithSigner = getContractWithSigner(relayer);
+    return await txQueue.submit(
+      contractWithSigner,
+      "registerVoterWithSig",
+      [voterAddress, nameHash, aadharHash, deadline, signature],
+      { metadata: { voterAddress } }
+    );
+  } catch (error) {
+    console.error("Error relaying voter registration:", error);
+    throw error;
+  }
+};
+
+// Nonce the voter's next signed intent must carry
+const getIntentNonce = async (address) => {
+  try {
+    if (!contract) {
+      contract = initContract();
+    }
+    return await contract.nonces(address);
+  } catch (error) {
+    console.error("Error getting intent nonce:", error);
+    throw error;
+  }
+};
+
+const verifyVoter = async (voterAddress, signer = null) => {
   try {
     console.log("Verifying voter on blockchain:", voterAddress);
 
@@ -204,35 +222,17 @@ const verifyVoter = async (voterAddress) => {
       throw new Error(`Invalid voter address: ${voterAddress}`);
     }
 
-    const contractWithSigner = getContractWithSigner();
-    const tx = await contractWithSigner.verifyVoter(voterAddress, {
-      gasLimit: 300000
+    const contractWithSigner = getContractWithSigner(signer);
+    const receipt = await txQueue.submit(contractWithSigner, "verifyVoter", [voterAddress], {
+      metadata: { voterAddress }
     });
 
-    console.log("Verification transaction sent:", tx.hash);
-    try {
-      const receipt = await tx.wait();
-      console.log("Verification receipt:", {
-        hash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        status: receipt.status
-      });
-      return receipt;
-    } catch (waitError) {
-      console.error("Error waiting for verification:", waitError);
-
-      // If the receipt is available in the error, return that
-      if (waitError.receipt) {
-        return waitError.receipt;
-      }
-
-      // Otherwise, return basic transaction info
-      return {
-        hash: tx.hash,
-        success: false,
-        error: waitError.message
-      };
-    }
+    console.log("Verification receipt:", {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      status: receipt.status
+    });
+    return receipt;
   } catch (error) {
     console.error("Error verifying voter:", error);
     throw error;
@@ -270,26 +270,213 @@ const getVoterDetails = async (voterAddress) => {
   }
 };
 
-const setRegistrationStatus = async (isOpen) => {
+const getVoterLifecycle = async (voterAddress) => {
   try {
+    if (!contract) {
+      contract = initContract();
+    }
+    const [status, reason] = await contract.getVoterLifecycle(voterAddress);
+    return {
+      status: VOTER_STATUSES[Number(status)],
+      reason: STATUS_REASONS[Number(reason)]
+    };
+  } catch (error) {
+    console.error("Error getting voter lifecycle:", error);
+    throw error;
+  }
+};
+
+// Shared sender for rejectVoter / revokeVoter / removeVoter
+const changeVoterLifecycle = async (method, voterAddress, reason) => {
+  try {
+    const reasonCode = STATUS_REASONS.indexOf(reason);
+    if (reasonCode <= 0) {
+      throw new Error(`Invalid status reason: ${reason}`);
+    }
+
+    console.log(`Calling ${method} on blockchain:`, voterAddress, reason);
+
     const contractWithSigner = getContractWithSigner();
-    const tx = await contractWithSigner.setRegistrationStatus(isOpen, {
-      gasLimit: 200000
+    return await txQueue.submit(contractWithSigner, method, [voterAddress, reasonCode], {
+      metadata: { voterAddress, reason }
     });
-    return await tx.wait();
+  } catch (error) {
+    console.error(`Error calling ${method}:`, error);
+    throw error;
+  }
+};
+
+const rejectVoter = (voterAddress, reason) => changeVoterLifecycle('rejectVoter', voterAddress, reason);
+const revokeVoter = (voterAddress, reason) => changeVoterLifecycle('revokeVoter', voterAddress, reason);
+const removeVoter = (voterAddress, reason) => changeVoterLifecycle('removeVoter', voterAddress, reason);
+
+const setRegistrationStatus = async (isOpen) => {
+  try {
+    const contractWithSigner = getContractWithSigner();
+    return await txQueue.submit(contractWithSigner, "setRegistrationStatus", [isOpen]);
   } catch (error) {
     console.error("Error setting registration status:", error);
     throw error;
   }
 };
 
+// Build an unsigned verifyVoter transaction so an officer holding
+// VERIFIER_ROLE can sign it from their own wallet
+const prepareVerifyVoter = async (voterAddress) => {
+  try {
+    if (!contract) {
+      contract = initContract();
+    }
+    const tx = await contract.verifyVoter.populateTransaction(voterAddress);
+    const { chainId } = await provider.getNetwork();
+    return {
+      to: tx.to,
+      data: tx.data,
+      chainId: Number(chainId)
+    };
+  } catch (error) {
+    console.error("Error preparing verification transaction:", error);
+    throw error;
+  }
+};
+
+// Map a role name ("VERIFIER") or raw bytes32 role id to the role id
+const resolveRole = (role) => {
+  if (CONTRACT_ROLES[role]) {
+    return CONTRACT_ROLES[role];
+  }
+  if (ethers.isHexString(role, 32) && Object.values(CONTRACT_ROLES).includes(role)) {
+    return role;
+  }
+  throw new Error(`Unknown contract role: ${role}`);
+};
+
+const hasRole = async (role, account) => {
+  try {
+    if (!contract) {
+      contract = initContract();
+    }
+    return await contract.hasRole(resolveRole(role), account);
+  } catch (error) {
+    console.error("Error checking role:", error);
+    throw error;
+  }
+};
+
+// List which officer roles an account holds
+const getRoles = async (account) => {
+  const roles = {};
+  for (const name of Object.keys(CONTRACT_ROLES)) {
+    roles[name] = await hasRole(name, account);
+  }
+  return roles;
+};
+
+const grantRole = async (role, account) => {
+  try {
+    const contractWithSigner = getContractWithSigner();
+    return await txQueue.submit(contractWithSigner, "grantRole", [resolveRole(role), account], {
+      metadata: { role, account }
+    });
+  } catch (error) {
+    console.error("Error granting role:", error);
+    throw error;
+  }
+};
+
+const revokeRole = async (role, account) => {
+  try {
+    const contractWithSigner = getContractWithSigner();
+    return await txQueue.submit(contractWithSigner, "revokeRole", [resolveRole(role), account], {
+      metadata: { role, account }
+    });
+  } catch (error) {
+    console.error("Error revoking role:", error);
+    throw error;
+  }
+};
+
+const getAdminInfo = async () => {
+  try {
+    if (!contract) {
+      contract = initContract();
+    }
+    const [admin, pendingAdmin, paused] = await Promise.all([
+      contract.admin(),
+      contract.pendingAdmin(),
+      contract.paused()
+    ]);
+    return {
+      admin,
+      pendingAdmin: pendingAdmin === ethers.ZeroAddress ? null : pendingAdmin,
+      paused
+    };
+  } catch (error) {
+    console.error("Error getting contract admin:", error);
+    throw error;
+  }
+};
+
+// Step 1 of the admin handover: nominate the new admin
+const transferAdmin = async (newAdmin) => {
+  try {
+    const contractWithSigner = getContractWithSigner();
+    return await txQueue.submit(contractWithSigner, "transferAdmin", [newAdmin], {
+      metadata: { newAdmin }
+    });
+  } catch (error) {
+    console.error("Error starting admin transfer:", error);
+    throw error;
+  }
+};
+
+// Step 2 of the admin handover: must be signed by the nominated admin
+const acceptAdmin = async (signer = null) => {
+  try {
+    const contractWithSigner = getContractWithSigner(signer);
+    return await txQueue.submit(contractWithSigner, "acceptAdmin");
+  } catch (error) {
+    console.error("Error accepting admin transfer:", error);
+    throw error;
+  }
+};
+
+const setPaused = async (paused) => {
+  try {
+    const contractWithSigner = getContractWithSigner();
+    return await txQueue.submit(contractWithSigner, paused ? "pause" : "unpause");
+  } catch (error) {
+    console.error("Error changing pause state:", error);
+    throw error;
+  }
+};
+
 module.exports = {
+  CONTRACT_ROLES,
+  VOTER_STATUSES,
+  STATUS_REASONS,
   initProvider,
+  getProvider,
   initContract,
   getSigner,
   registerVoter,
+  registerVoterWithSig,
+  getIntentNonce,
   verifyVoter,
+  prepareVerifyVoter,
   checkVoterStatus,
   getVoterDetails,
-  setRegistrationStatus
+  getVoterLifecycle,
+  rejectVoter,
+  revokeVoter,
+  removeVoter,
+  setRegistrationStatus,
+  hasRole,
+  getRoles,
+  grantRole,
+  revokeRole,
+  getAdminInfo,
+  transferAdmin,
+  acceptAdmin,
+  setPaused
 }; 
\ No newline at end of file
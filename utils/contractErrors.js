@@ -0,0 +1,143 @@
+const { ethers } = require("ethers");
+const voterIDArtifact = require("../artifacts/contracts/voterID.sol/VoterID.json");
+const electionArtifact = require("../artifacts/contracts/Election.sol/Election.json");
+const { sendError } = require("./apiError");
+
+// HTTP status, API code and message for each custom error in
+// contracts/voterID.sol, contracts/Election.sol and contracts/SignedIntents.sol.
+// NotAdmin, NotPendingAdmin and InvalidAddress are declared by both contracts
+// with the same selector, so one entry covers both.
+const CONTRACT_ERRORS = {
+  // VoterID
+  RegistrationClosed: { status: 403, code: "REGISTRATION_CLOSED", message: "Voter registration is currently closed" },
+  AlreadyRegistered: { status: 409, code: "ALREADY_REGISTERED", message: "Voter already registered" },
+  AadharAlreadyRegistered: { status: 409, code: "AADHAAR_ALREADY_REGISTERED", message: "Aadhaar number already registered" },
+  EmptyHash: { status: 400, code: "EMPTY_HASH", message: "Name and Aadhaar hashes must not be empty" },
+  VoterNotRegistered: { status: 404, code: "VOTER_NOT_REGISTERED", message: "Voter not registered" },
+  VoterAlreadyVerified: { status: 409, code: "VOTER_ALREADY_VERIFIED", message: "Voter already verified" },
+  VoterNotPending: { status: 409, code: "VOTER_NOT_PENDING", message: "Voter is not pending verification" },
+  VoterNotVerified: { status: 409, code: "VOTER_NOT_VERIFIED", message: "Voter is not verified" },
+  VoterAlreadyRemoved: { status: 409, code: "VOTER_ALREADY_REMOVED", message: "Voter has been removed from the roll" },
+  InvalidReason: { status: 400, code: "INVALID_REASON", message: "A status reason is required" },
+  InvalidAddress: { status: 400, code: "INVALID_ADDRESS", message: "Address must not be the zero address" },
+  NotAdmin: { status: 403, code: "NOT_CONTRACT_ADMIN", message: "Signer is not the contract admin" },
+  NotPendingAdmin: { status: 403, code: "NOT_PENDING_ADMIN", message: "Signer is not the nominated contract admin" },
+  MissingRole: { status: 403, code: "MISSING_CONTRACT_ROLE", message: "Signer does not hold the contract role for this call" },
+  ContractPaused: { status: 503, code: "CONTRACT_PAUSED", message: "The contract is paused" },
+
+  // SignedIntents
+  SignatureExpired: { status: 400, code: "SIGNATURE_EXPIRED", message: "Signed intent has expired" },
+  InvalidSignature: { status: 400, code: "INVALID_SIGNATURE", message: "Signed intent does not match the voter" },
+
+  // Election
+  InvalidTimeWindow: { status: 400, code: "INVALID_TIME_WINDOW", message: "Election must start in the future and end after it starts" },
+  EmptyName: { status: 400, code: "EMPTY_NAME", message: "Name must not be empty" },
+  ElectionNotFound: { status: 404, code: "ELECTION_NOT_FOUND", message: "Election not found on-chain" },
+  CandidateNotFound: { status: 404, code: "CANDIDATE_NOT_FOUND", message: "Candidate not found" },
+  NotEligible: { status: 403, code: "NOT_ELIGIBLE", message: "Voter is not verified and cannot vote" },
+  ElectionAlreadyStarted: { status: 409, code: "ELECTION_ALREADY_STARTED", message: "Election has already started" },
+  ElectionNotActive: { status: 409, code: "ELECTION_NOT_ACTIVE", message: "Election is not open for voting" },
+  AlreadyVoted: { status: 409, code: "ALREADY_VOTED", message: "Voter has already voted in this election" }
+};
+
+// Any other revert (require strings, panics, errors added to a contract
+// without an entry above) is still a refusal by the contract, not a bug here
+const UNKNOWN_REVERT = { status: 422, code: "CONTRACT_REVERTED", message: "The contract rejected the transaction" };
+
+// Error fragments of every contract the backend calls, for decoding revert
+// data that ethers could not match against the called contract's ABI
+const errorInterface = new ethers.Interface(
+  [...voterIDArtifact.abi, ...electionArtifact.abi].filter(fragment => fragment.type === "error")
+);
+
+class ContractRevertError extends Error {
+  constructor(revert, cause) {
+    const known = CONTRACT_ERRORS[revert.name] || UNKNOWN_REVERT;
+    super(known === UNKNOWN_REVERT && revert.reason ? revert.reason : known.message);
+    this.name = "ContractRevertError";
+    this.statusCode = known.status;
+    this.code = known.code;
+    // Same shape as ethers' error.revert, so callers can keep reading error.revert.name
+    this.revert = { name: revert.name, args: revert.args };
+    this.cause = cause;
+  }
+}
+
+// Providers nest the revert data differently (ethers sets error.data,
+// Hardhat and Ganache wrap the JSON-RPC error in error.info / error.error)
+const findRevertData = (error, depth = 0) => {
+  if (!error || typeof error !== "object" || depth > 4) {
+    return null;
+  }
+  if (typeof error.data === "string" && ethers.isHexString(error.data) && error.data.length >= 10) {
+    return error.data;
+  }
+  for (const nested of [error.data, error.info?.error, error.error, error.cause]) {
+    const data = findRevertData(nested, depth + 1);
+    if (data) {
+      return data;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decode a contract revert from an ethers error.
+ * @returns {{name: string, args: Array, reason: string|null}|null} null when
+ *   the error is not a revert (network failure, bad nonce, ...)
+ */
+const decodeContractError = (error) => {
+  if (!error) {
+    return null;
+  }
+  if (error instanceof ContractRevertError) {
+    return { name: error.revert.name, args: error.revert.args, reason: null };
+  }
+  if (error.revert?.name) {
+    return { name: error.revert.name, args: [...(error.revert.args || [])], reason: error.reason || null };
+  }
+
+  const data = findRevertData(error);
+  if (data) {
+    try {
+      const parsed = errorInterface.parseError(data);
+      if (parsed) {
+        return { name: parsed.name, args: [...parsed.args], reason: null };
+      }
+    } catch (parseError) {
+      // Not one of ours; fall through to the generic revert below
+    }
+  }
+
+  // A revert whose data was lost or did not decode
+  if (error.code === "CALL_EXCEPTION") {
+    return { name: "Unknown", args: [], reason: error.reason || null };
+  }
+  return null;
+};
+
+// Turn a revert into a ContractRevertError; other errors are returned as is
+const toContractError = (error) => {
+  if (error instanceof ContractRevertError) {
+    return error;
+  }
+  const revert = decodeContractError(error);
+  return revert ? new ContractRevertError(revert, error) : error;
+};
+
+// Send a contract revert as a client error with its code, anything else as a 500
+const sendContractError = (res, error, message) => {
+  const revertError = toContractError(error);
+  if (revertError instanceof ContractRevertError) {
+    return sendError(res, revertError.statusCode, revertError.code, revertError.message);
+  }
+  sendError(res, 500, "INTERNAL_ERROR", message);
+};
+
+module.exports = {
+  CONTRACT_ERRORS,
+  ContractRevertError,
+  decodeContractError,
+  toContractError,
+  sendContractError
+};
@@ -1,5 +1,7 @@
 const crypto = require('crypto');
 const { ethers } = require('ethers');
+const { getKeyring } = require('../config/keyring');
+const { normalizeAadhaar } = require('./identityValidation');
 require('dotenv').config();
 
 // For hashing sensitive data to store on blockchain
@@ -14,8 +16,6 @@ const createHash = (data) => {
       data = String(data);
     }
     
-    console.log("Original data to hash:", data);
-    
     // IMPORTANT: ethers v6 needs explicit conversion to bytes
     // Create a fixed-length bytes32 hash using keccak256
     
@@ -24,7 +24,6 @@ const createHash = (data) => {
     
     // Apply keccak256 hashing algorithm
     const hash = ethers.keccak256(dataBytes);
-    console.log("Generated hash:", hash);
     
     // Check if hash has correct length (0x + 64 hex chars = 66 total)
     if (!hash.startsWith('0x') || hash.length !== 66) {
@@ -38,93 +37,116 @@ const createHash = (data) => {
   }
 };
 
-// Encrypt data before storing in MongoDB
-const encrypt = (data) => {
+// Blind index for Aadhaar lookups: a keyed HMAC, so the stored value can be
+// matched against but not reversed or brute-forced without AADHAR_INDEX_KEY.
+// Invalid numbers throw IdentityValidationError (utils/identityValidation.js).
+const createAadharIndex = (aadharNumber) => {
+  const key = process.env.AADHAR_INDEX_KEY;
+  if (!key || key.length < 32) {
+    throw new Error("AADHAR_INDEX_KEY must be configured with at least 32 characters");
+  }
+
+  return crypto
+    .createHmac('sha256', key)
+    .update(normalizeAadhaar(aadharNumber))
+    .digest('hex');
+};
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+
+class EncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+const parseDecrypted = (decrypted) => {
+  // Try to parse as JSON if it's a JSON string
   try {
-    if (typeof data !== 'string') {
-      data = JSON.stringify(data);
-    }
-    
-    console.log("Encrypting data of length:", data.length);
-    
-    // Get the encryption key from environment
-    let key = process.env.ENCRYPTION_KEY || '';
-    
-    // Ensure key is the correct length for AES-256 (32 bytes)
-    // If it's too short, pad it; if it's too long, truncate it
-    key = key.padEnd(32, '0').substring(0, 32);
-    
-    // Create an initialization vector
-    const iv = crypto.randomBytes(16);
-    
-    // Create cipher with key and iv
-    const cipher = crypto.createCipheriv(
-      'aes-256-cbc', 
-      Buffer.from(key), 
-      iv
-    );
-    
-    // Encrypt the data
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    // Return iv and encrypted data
-    return {
-      iv: iv.toString('hex'),
-      encryptedData: encrypted
-    };
-  } catch (error) {
-    console.error("Encryption error:", error);
-    // Use a simple fallback for now
-    return {
-      iv: "fallback",
-      encryptedData: Buffer.from(data).toString('base64')
-    };
+    return JSON.parse(decrypted);
+  } catch (e) {
+    // Return as is if not JSON
+    return decrypted;
   }
 };
 
-// Decrypt data from MongoDB
-const decrypt = (encryptedObj) => {
+// Encrypt data before storing in MongoDB. Uses AES-256-GCM with the active
+// key from the keyring; the key id is stored with the record (and bound to
+// the ciphertext as associated data) so it can be rotated later.
+const encrypt = (data) => {
+  if (typeof data !== 'string') {
+    data = JSON.stringify(data);
+  }
+
+  const { activeKeyId, keys } = getKeyring();
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, keys.get(activeKeyId), iv);
+  cipher.setAAD(Buffer.from(activeKeyId));
+
+  const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+
+  return {
+    alg: CIPHER_ALGORITHM,
+    kid: activeKeyId,
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: encrypted.toString('hex')
+  };
+};
+
+// Read a record written before the keyring existed (AES-256-CBC with the
+// padded ENCRYPTION_KEY, or the old unencrypted base64 "fallback")
+const decryptLegacy = ({ iv, encryptedData }) => {
+  if (iv === "fallback") {
+    return parseDecrypted(Buffer.from(encryptedData, 'base64').toString('utf8'));
+  }
+
+  const { legacyKey } = getKeyring();
+  if (!legacyKey) {
+    throw new EncryptionError("ENCRYPTION_KEY is required to read records written before key rotation");
+  }
+
   try {
-    const { iv, encryptedData } = encryptedObj;
-    
-    // If using fallback encryption
-    if (iv === "fallback") {
-      const result = Buffer.from(encryptedData, 'base64').toString('utf8');
-      try {
-        return JSON.parse(result);
-      } catch {
-        return result;
-      }
-    }
-    
-    // Get the encryption key from environment
-    let key = process.env.ENCRYPTION_KEY || '';
-    
-    // Ensure key is the correct length for AES-256 (32 bytes)
-    key = key.padEnd(32, '0').substring(0, 32);
-    
-    // Create decipher with key and iv
-    const decipher = crypto.createDecipheriv(
-      'aes-256-cbc', 
-      Buffer.from(key), 
-      Buffer.from(iv, 'hex')
-    );
-    
-    // Decrypt the data
+    const decipher = crypto.createDecipheriv('aes-256-cbc', legacyKey, Buffer.from(iv, 'hex'));
     let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
-    
-    // Try to parse as JSON if it's a JSON string
-    try {
-      return JSON.parse(decrypted);
-    } catch (e) {
-      // Return as is if not JSON
-      return decrypted;
-    }
+    return parseDecrypted(decrypted);
   } catch (error) {
-    console.error("Decryption error:", error);
-    return {}; // Return empty object on error
+    throw new EncryptionError(`Failed to decrypt legacy record: ${error.message}`);
+  }
+};
+
+// Decrypt data from MongoDB. Throws if the key is unknown or the record was
+// tampered with.
+const decrypt = (record) => {
+  if (!record || typeof record !== 'object') {
+    throw new EncryptionError("Nothing to decrypt");
+  }
+
+  if (record.alg !== CIPHER_ALGORITHM) {
+    return decryptLegacy({ iv: record.iv, encryptedData: record.data || record.encryptedData });
+  }
+
+  const key = getKeyring().keys.get(record.kid);
+  if (!key) {
+    throw new EncryptionError(`Unknown encryption key id: ${record.kid}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key, Buffer.from(record.iv, 'hex'));
+    decipher.setAAD(Buffer.from(record.kid));
+    decipher.setAuthTag(Buffer.from(record.tag, 'hex'));
+
+    const decrypted = Buffer.concat([
+      decipher.update(Buffer.from(record.data, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+
+    return parseDecrypted(decrypted);
+  } catch (error) {
+    throw new EncryptionError(`Failed to decrypt record with key ${record.kid}: ${error.message}`);
   }
 };
 
@@ -132,70 +154,141 @@ const decrypt = (encryptedObj) => {
 const encryptSensitiveData = (userData) => {
   // Create the data object to encrypt - only include fields that exist
   const dataToEncrypt = {};
-  
+
   // List of all possible fields that might be encrypted
   const sensitiveFields = [
-    'name', 'gender', 'dob', 'city', 'state', 'aadharNumber', 
+    'name', 'gender', 'dob', 'city', 'state', 'aadharNumber',
     'phoneNumber', 'email'
   ];
-  
+
   // Only include fields that exist in userData
   for (const field of sensitiveFields) {
     if (userData[field]) {
       dataToEncrypt[field] = userData[field];
     }
   }
-  
+
   // Encrypt the whole object at once for better security
-  const encrypted = encrypt(JSON.stringify(dataToEncrypt));
-  
-  return {
-    data: encrypted.encryptedData,
-    iv: encrypted.iv
-  };
+  return encrypt(JSON.stringify(dataToEncrypt));
 };
 
 // Decrypt all sensitive fields in an object
 const decryptSensitiveData = (encryptedData) => {
-  try {
-    // Check if using the new format
-    if (encryptedData.data && encryptedData.iv) {
-      const encryptedObj = {
-        iv: encryptedData.iv,
-        encryptedData: encryptedData.data
-      };
-      
-      return decrypt(encryptedObj);
+  if (!encryptedData) {
+    throw new EncryptionError("Voter has no encrypted data");
+  }
+
+  // Whole-object formats (current GCM, and legacy CBC { data, iv })
+  if (encryptedData.data && encryptedData.iv) {
+    return decrypt(encryptedData);
+  }
+
+  // Legacy format (field-by-field encryption)
+  const decryptedData = {};
+
+  // List of fields to decrypt
+  const fields = ['name', 'gender', 'dob', 'city', 'state', 'aadharNumber', 'phoneNumber', 'email'];
+
+  for (const field of fields) {
+    if (encryptedData[field] && encryptedData[`${field}Iv`]) {
+      decryptedData[field] = decryptLegacy({
+        iv: encryptedData[`${field}Iv`],
+        encryptedData: encryptedData[field]
+      });
     }
-    
-    // Legacy format (field-by-field encryption)
-    const decryptedData = {};
-    
-    // List of fields to decrypt
-    const fields = ['name', 'gender', 'dob', 'city', 'state', 'aadharNumber', 'phoneNumber', 'email'];
-    
-    for (const field of fields) {
-      if (encryptedData[field] && encryptedData[`${field}Iv`]) {
-        const encryptedObj = {
-          iv: encryptedData[`${field}Iv`],
-          encryptedData: encryptedData[field]
-        };
-        
-        decryptedData[field] = decrypt(encryptedObj);
-      }
+  }
+
+  return decryptedData;
+};
+
+// Whether a record still has to be rewritten with the active key
+const needsReencryption = (encryptedData) => {
+  return !encryptedData
+    || encryptedData.alg !== CIPHER_ALGORITHM
+    || encryptedData.kid !== getKeyring().activeKeyId;
+};
+
+// Rewrite a record with the active key, keeping every field it holds
+const reencryptSensitiveData = (encryptedData) => {
+  return encrypt(JSON.stringify(decryptSensitiveData(encryptedData)));
+};
+
+// Seal a per-file data key with a keyring key
+const wrapFileKey = (fileKey, kid = getKeyring().activeKeyId) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, getKeyring().keys.get(kid), iv);
+  cipher.setAAD(Buffer.from(kid));
+
+  return {
+    kid,
+    wrappedKey: Buffer.concat([cipher.update(fileKey), cipher.final()]).toString('hex'),
+    keyIv: iv.toString('hex'),
+    keyTag: cipher.getAuthTag().toString('hex')
+  };
+};
+
+const unwrapFileKey = ({ kid, wrappedKey, keyIv, keyTag }) => {
+  const key = getKeyring().keys.get(kid);
+  if (!key) {
+    throw new EncryptionError(`Unknown encryption key id: ${kid}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key, Buffer.from(keyIv, 'hex'));
+    decipher.setAAD(Buffer.from(kid));
+    decipher.setAuthTag(Buffer.from(keyTag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(wrappedKey, 'hex')), decipher.final()]);
+  } catch (error) {
+    throw new EncryptionError(`Failed to unwrap file key with key ${kid}: ${error.message}`);
+  }
+};
+
+// Encrypt an uploaded file. Every file gets its own random AES-256-GCM key,
+// which is stored (sealed with the active keyring key) next to the file's
+// metadata, so rotating the keyring only rewraps keys and never rewrites files.
+const encryptFile = (buffer) => {
+  const fileKey = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, fileKey, iv);
+  const body = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+  return {
+    body,
+    encryption: {
+      alg: CIPHER_ALGORITHM,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ...wrapFileKey(fileKey)
     }
-    
-    return decryptedData;
+  };
+};
+
+const decryptFile = (body, encryption) => {
+  if (!encryption || encryption.alg !== CIPHER_ALGORITHM) {
+    throw new EncryptionError("File has no usable encryption metadata");
+  }
+
+  const fileKey = unwrapFileKey(encryption);
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, fileKey, Buffer.from(encryption.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(encryption.tag, 'hex'));
+    return Buffer.concat([decipher.update(body), decipher.final()]);
   } catch (error) {
-    console.error("Error decrypting data:", error);
-    return {}; // Return empty object on error
+    throw new EncryptionError(`Failed to decrypt file: ${error.message}`);
   }
 };
 
+// Whether a file key is still sealed with an old keyring key
+const needsFileKeyRewrap = (encryption) => encryption.kid !== getKeyring().activeKeyId;
+
+// Reseal a file key with the active keyring key; the file itself is unchanged
+const rewrapFileKey = (encryption) => ({
+  ...encryption,
+  ...wrapFileKey(unwrapFileKey(encryption))
+});
+
 // Create the hashes for blockchain storage
 const createBlockchainHashes = (userData) => {
-  console.log("Creating blockchain hashes for userData:", userData);
-  
   // Check if the required fields exist
   if (!userData || !userData.name) {
     throw new Error("name is not defined");
@@ -206,11 +299,11 @@ const createBlockchainHashes = (userData) => {
   }
   
   const { name, aadharNumber } = userData;
-  console.log("Extracted values:", { name, aadharNumber });
   
-  // Create the hashes
+  // Create the hashes. The Aadhaar number is hashed in its canonical form so
+  // the contract's duplicate check sees every spelling of it as the same.
   const nameHash = createHash(name);
-  const aadharHash = createHash(aadharNumber);
+  const aadharHash = createHash(normalizeAadhaar(aadharNumber));
   
   return {
     nameHash,
@@ -219,10 +312,18 @@ const createBlockchainHashes = (userData) => {
 };
 
 module.exports = {
+  EncryptionError,
   createHash,
+  createAadharIndex,
   encrypt,
   decrypt,
   encryptSensitiveData,
   decryptSensitiveData,
+  needsReencryption,
+  reencryptSensitiveData,
+  encryptFile,
+  decryptFile,
+  needsFileKeyRewrap,
+  rewrapFileKey,
   createBlockchainHashes
 }; 
\ No newline at end of file
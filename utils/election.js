@@ -0,0 +1,183 @@
+const { ethers } = require("ethers");
+const electionArtifact = require("../artifacts/contracts/Election.sol/Election.json");
+const { getProvider, getSigner } = require("./blockchain");
+const txQueue = require("../services/txQueueService");
+const network = require("../config/network");
+require("dotenv").config();
+
+let contract;
+
+const getElectionContractAddress = () => {
+  const contractAddress = network.getElectionContractAddress();
+  if (!contractAddress) {
+    throw new Error(`Election contract address not provided in environment variables or deployments/${network.getNetworkName()}.json`);
+  }
+  return contractAddress;
+};
+
+// Read-only Election contract instance
+const initElectionContract = () => {
+  contract = new ethers.Contract(
+    getElectionContractAddress(),
+    electionArtifact.abi,
+    getProvider()
+  );
+
+  return contract;
+};
+
+// Defaults to the backend's PRIVATE_KEY (the Election admin); pass the
+// relayer's signer to submit a signed ballot.
+const getElectionContractWithSigner = (signer = null) => {
+  return new ethers.Contract(
+    getElectionContractAddress(),
+    electionArtifact.abi,
+    signer || getSigner()
+  );
+};
+
+// Pull a named event's args out of a receipt
+const findEventArgs = (contractInstance, receipt, eventName) => {
+  for (const log of receipt.logs || []) {
+    try {
+      const parsed = contractInstance.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) {
+        return parsed.args;
+      }
+    } catch (error) {
+      // Not one of ours
+    }
+  }
+  return null;
+};
+
+const createElection = async (name, startTime, endTime) => {
+  try {
+    console.log("Creating election on blockchain:", { name, startTime, endTime });
+
+    const contractWithSigner = getElectionContractWithSigner();
+    const receipt = await txQueue.submit(contractWithSigner, "createElection", [name, startTime, endTime]);
+    const args = findEventArgs(contractWithSigner, receipt, "ElectionCreated");
+
+    return {
+      receipt,
+      electionId: args ? Number(args.electionId) : null
+    };
+  } catch (error) {
+    console.error("Error creating election:", error);
+    throw error;
+  }
+};
+
+const addCandidate = async (electionId, name, party = "") => {
+  try {
+    const contractWithSigner = getElectionContractWithSigner();
+    const receipt = await txQueue.submit(contractWithSigner, "addCandidate", [electionId, name, party], {
+      metadata: { electionId }
+    });
+    const args = findEventArgs(contractWithSigner, receipt, "CandidateAdded");
+
+    return {
+      receipt,
+      candidateId: args ? Number(args.candidateId) : null
+    };
+  } catch (error) {
+    console.error("Error adding candidate:", error);
+    throw error;
+  }
+};
+
+// The voter signs a Ballot intent (EIP-712) and a relayer submits it, paying
+// the gas. See services/relayerService.js.
+const castVoteWithSig = async (electionId, candidateId, voterAddress, deadline, signature, relayer = null) => {
+  try {
+    const contractWithSigner = getElectionContractWithSigner(relayer);
+    return await txQueue.submit(
+      contractWithSigner,
+      "castVoteWithSig",
+      [electionId, candidateId, voterAddress, deadline, signature],
+      { metadata: { electionId, voterAddress } }
+    );
+  } catch (error) {
+    console.error("Error casting vote:", error);
+    throw error;
+  }
+};
+
+// Nonce the voter's next signed ballot must carry
+const getBallotNonce = async (voterAddress) => {
+  try {
+    if (!contract) {
+      contract = initElectionContract();
+    }
+    return await contract.nonces(voterAddress);
+  } catch (error) {
+    console.error("Error getting ballot nonce:", error);
+    throw error;
+  }
+};
+
+const getElection = async (electionId) => {
+  try {
+    if (!contract) {
+      contract = initElectionContract();
+    }
+    const election = await contract.elections(electionId);
+    if (!election.name) {
+      return null;
+    }
+    return {
+      electionId: Number(electionId),
+      name: election.name,
+      startTime: Number(election.startTime),
+      endTime: Number(election.endTime),
+      candidateCount: Number(election.candidateCount),
+      totalVotes: Number(election.totalVotes)
+    };
+  } catch (error) {
+    console.error("Error getting election:", error);
+    throw error;
+  }
+};
+
+const getElectionResults = async (electionId) => {
+  try {
+    if (!contract) {
+      contract = initElectionContract();
+    }
+    const [names, parties, voteCounts] = await contract.getResults(electionId);
+    return names.map((name, i) => ({
+      candidateId: i + 1,
+      name,
+      party: parties[i],
+      voteCount: Number(voteCounts[i])
+    }));
+  } catch (error) {
+    console.error("Error getting election results:", error);
+    throw error;
+  }
+};
+
+const hasVoted = async (electionId, voterAddress) => {
+  try {
+    if (!contract) {
+      contract = initElectionContract();
+    }
+    return await contract.hasVoted(electionId, voterAddress);
+  } catch (error) {
+    console.error("Error checking vote status:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getElectionContractAddress,
+  initElectionContract,
+  createElection,
+  addCandidate,
+  castVoteWithSig,
+  getBallotNonce,
+  getElection,
+  getElectionResults,
+  hasVoted
+};
@@ -0,0 +1,108 @@
+// Identity numbers are normalized and checked here before they are hashed,
+// indexed or looked up. The same Aadhaar number written with spaces or
+// dashes must produce the same blind index and on-chain hash, or the
+// duplicate checks in MongoDB and the VoterID contract can be bypassed.
+
+// Aadhaar numbers are 12 digits and never start with 0 or 1
+const AADHAAR_PATTERN = /^[2-9]\d{11}$/;
+// Spaces (including non-breaking ones) and the dashes or hyphens written
+// between the groups of four digits
+const AADHAAR_SEPARATORS = /[\s\-\u2010-\u2015]/g;
+
+// Verhoeff dihedral group multiplication, permutation and inverse tables
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+class IdentityValidationError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'IdentityValidationError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Whether a digit string ends in a valid Verhoeff check digit
+const isVerhoeffValid = (digits) => {
+  let check = 0;
+  const reversed = digits.split('').reverse();
+  reversed.forEach((digit, i) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+  });
+  return check === 0;
+};
+
+// The Verhoeff check digit to append to a digit string
+const verhoeffCheckDigit = (digits) => {
+  let check = 0;
+  const reversed = digits.split('').reverse();
+  reversed.forEach((digit, i) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[(i + 1) % 8][Number(digit)]];
+  });
+  return String(VERHOEFF_INV[check]);
+};
+
+/**
+ * The canonical form of an Aadhaar number: its 12 digits without
+ * separators. Throws IdentityValidationError with a machine-readable code
+ * if it is missing, malformed or fails the Verhoeff checksum.
+ */
+const normalizeAadhaar = (value) => {
+  if (value === null || value === undefined || value === '') {
+    throw new IdentityValidationError('AADHAAR_REQUIRED', 'aadharNumber is required');
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new IdentityValidationError('AADHAAR_INVALID_FORMAT', 'aadharNumber must be a string of 12 digits');
+  }
+
+  const normalized = String(value).replace(AADHAAR_SEPARATORS, '');
+  if (!AADHAAR_PATTERN.test(normalized)) {
+    throw new IdentityValidationError(
+      'AADHAAR_INVALID_FORMAT',
+      'aadharNumber must be 12 digits, not starting with 0 or 1'
+    );
+  }
+  if (!isVerhoeffValid(normalized)) {
+    throw new IdentityValidationError('AADHAAR_INVALID_CHECKSUM', 'aadharNumber fails the Aadhaar checksum');
+  }
+
+  return normalized;
+};
+
+const isValidAadhaar = (value) => {
+  try {
+    normalizeAadhaar(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  IdentityValidationError,
+  isVerhoeffValid,
+  verhoeffCheckDigit,
+  normalizeAadhaar,
+  isValidAadhaar
+};
@@ -0,0 +1,131 @@
+const { ethers } = require("ethers");
+const voterIDArtifact = require("../artifacts/contracts/voterID.sol/VoterID.json");
+const electionArtifact = require("../artifacts/contracts/Election.sol/Election.json");
+const {
+  getNetworkName,
+  getNetworkConfig,
+  isLocalNetwork,
+  getDeployment,
+  saveDeployment
+} = require("../config/network");
+const { initProvider, initContract, getSigner, CONTRACT_ROLES } = require("./blockchain");
+require("dotenv").config();
+
+// ETH sent to each seeded account so it can pay for its own transactions
+const SEED_BALANCE = ethers.parseEther("100");
+
+// Deploy VoterID and an Election contract bound to it from the given signer
+const deployContracts = async (signer) => {
+  const voterID = await new ethers.ContractFactory(voterIDArtifact.abi, voterIDArtifact.bytecode, signer).deploy();
+  const deploymentReceipt = await voterID.deploymentTransaction().wait();
+  const contractAddress = await voterID.getAddress();
+
+  const election = await new ethers.ContractFactory(electionArtifact.abi, electionArtifact.bytecode, signer)
+    .deploy(contractAddress);
+  await election.waitForDeployment();
+
+  return {
+    network: getNetworkName(),
+    contractAddress,
+    electionContractAddress: await election.getAddress(),
+    deploymentBlock: deploymentReceipt.blockNumber,
+    deploymentTime: new Date().toISOString(),
+    deployer: await signer.getAddress()
+  };
+};
+
+// Give the accounts the backend uses what they need on a fresh chain:
+// ETH for ADMIN_ADDRESS and the relayer, and the registrar/verifier roles for
+// ADMIN_ADDRESS when it is not the deployer. Optionally registers demo voters
+// directly on the contract.
+const seedContracts = async (deployment, signer, { voters = 0 } = {}) => {
+  const voterID = new ethers.Contract(deployment.contractAddress, voterIDArtifact.abi, signer);
+  const deployer = (await signer.getAddress()).toLowerCase();
+  const seeded = { funded: [], roles: [], voters: [] };
+
+  const accounts = [process.env.ADMIN_ADDRESS];
+  if (process.env.RELAYER_PRIVATE_KEY) {
+    accounts.push(new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY).address);
+  }
+
+  for (const account of accounts) {
+    if (!account || account.toLowerCase() === deployer) continue;
+
+    await (await signer.sendTransaction({ to: account, value: SEED_BALANCE })).wait();
+    seeded.funded.push(account);
+  }
+
+  const adminAddress = process.env.ADMIN_ADDRESS;
+  if (adminAddress && adminAddress.toLowerCase() !== deployer) {
+    for (const role of ["REGISTRAR", "VERIFIER"]) {
+      await (await voterID.grantRole(CONTRACT_ROLES[role], adminAddress)).wait();
+      seeded.roles.push(`${role}_ROLE`);
+    }
+  }
+
+  for (let i = 0; i < voters; i++) {
+    const address = ethers.Wallet.createRandom().address;
+    await (await voterID.registerVoterByAdmin(
+      address,
+      ethers.id(`Demo Voter ${i + 1}`),
+      ethers.id(`demo-aadhar-${address}`)
+    )).wait();
+    seeded.voters.push(address);
+  }
+
+  return seeded;
+};
+
+/**
+ * Deploy and seed the contracts on the configured local network and record
+ * the deployment (deployments/<network>.json, or in memory for the
+ * in-process chain). Refuses to run against a public network.
+ */
+const bootstrapLocalChain = async (options = {}) => {
+  try {
+    const network = getNetworkName();
+    if (!isLocalNetwork(network)) {
+      throw new Error(`Refusing to bootstrap non-local network "${network}"`);
+    }
+
+    initProvider();
+    // Several transactions go out back to back; don't rely on the node's
+    // pending nonce being up to date between them
+    const signer = new ethers.NonceManager(getSigner());
+
+    const deployment = await deployContracts(signer);
+    const filePath = saveDeployment(deployment, network);
+    const seeded = await seedContracts(deployment, signer, options);
+
+    if (process.env.CONTRACT_ADDRESS || process.env.ELECTION_CONTRACT_ADDRESS) {
+      console.warn("CONTRACT_ADDRESS/ELECTION_CONTRACT_ADDRESS are set and take precedence over this deployment");
+    }
+
+    // Point the cached read-only contract at the new deployment
+    initContract();
+
+    return { deployment, filePath, seeded };
+  } catch (error) {
+    console.error("Error bootstrapping local chain:", error);
+    throw error;
+  }
+};
+
+// The in-process chain starts empty every time, so deploy on startup.
+// Other networks use whatever deployment is already recorded.
+const prepareChain = async () => {
+  if (!getNetworkConfig().inProcess || getDeployment()) {
+    return null;
+  }
+
+  const { deployment } = await bootstrapLocalChain({ voters: Number(process.env.SEED_VOTERS) || 0 });
+  console.log(`In-process chain ready: VoterID at ${deployment.contractAddress}, Election at ${deployment.electionContractAddress}`);
+  return deployment;
+};
+
+module.exports = {
+  deployContracts,
+  seedContracts,
+  bootstrapLocalChain,
+  prepareChain
+};
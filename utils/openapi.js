@@ -0,0 +1,302 @@
+const adminAuth = require('../middleware/adminAuth');
+const { optionalAdminAuth } = require('../middleware/adminAuth');
+const { FORMATS } = require('./schemaValidator');
+
+// Builds the OpenAPI 3 document from the mounted Express routers. Nothing
+// about a route's input is written twice: the path and method come from the
+// router, authentication from adminAuth/optionalAdminAuth, the permission
+// from requirePermission() and the parameters and body from the schema
+// handed to validate() (see middleware/validate.js). Only the summary,
+// operationId and success response come from schemas/operations.js.
+
+const SCHEMA_KEYWORDS = [
+  'type', 'description', 'enum', 'default', 'nullable', 'format', 'pattern',
+  'minLength', 'maxLength', 'minimum', 'maximum', 'minItems', 'maxItems'
+];
+
+// Route schemas use a JSON Schema subset that OpenAPI 3.0 understands as is;
+// formats also publish their pattern so generated clients can check it
+const toOpenApiSchema = (schema) => {
+  const result = {};
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (schema[keyword] !== undefined) {
+      result[keyword] = schema[keyword];
+    }
+  }
+
+  const format = schema.format && FORMATS[schema.format];
+  if (format && format.pattern && !result.pattern) {
+    result.pattern = format.pattern;
+  }
+
+  if (schema.items) {
+    result.items = toOpenApiSchema(schema.items);
+  }
+
+  if (schema.properties) {
+    result.type = 'object';
+    result.properties = {};
+    for (const [key, property] of Object.entries(schema.properties)) {
+      result.properties[key] = toOpenApiSchema(property);
+    }
+    if (schema.required && schema.required.length > 0) {
+      result.required = schema.required;
+    }
+    if (schema.additionalProperties === false) {
+      result.additionalProperties = false;
+    }
+  }
+
+  return result;
+};
+
+// "/status/:address" -> "/status/{address}", "/:key(*)" -> "/{key}"
+const toOpenApiPath = (mountPath, routePath) => {
+  const path = `${mountPath}${routePath === '/' ? '' : routePath}`;
+  return path.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+};
+
+const toParameters = (location, schema) => {
+  if (!schema || !schema.properties) return [];
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const parameter = {
+      name,
+      in: { params: 'path', query: 'query', headers: 'header' }[location],
+      required: location === 'params' || required.includes(name),
+      schema: toOpenApiSchema(property)
+    };
+    if (property.description) {
+      parameter.description = property.description;
+    }
+    return parameter;
+  });
+};
+
+const toRequestBody = (routeSchema) => {
+  const { body, file } = routeSchema;
+
+  if (file) {
+    const schema = toOpenApiSchema({ type: 'object', ...(body || { properties: {} }) });
+    schema.properties = {
+      [file.field]: { type: 'string', format: 'binary', description: file.description },
+      ...schema.properties
+    };
+    schema.required = [file.field, ...(schema.required || [])];
+    return { required: true, content: { 'multipart/form-data': { schema } } };
+  }
+
+  if (!body) return undefined;
+  return {
+    required: (body.required || []).length > 0,
+    content: { 'application/json': { schema: toOpenApiSchema({ type: 'object', ...body }) } }
+  };
+};
+
+const toSuccessResponse = (meta) => {
+  const contentType = meta.produces || 'application/json';
+  const schema = contentType === 'application/json'
+    ? { type: 'object' }
+    : { type: 'string', format: 'binary' };
+
+  return {
+    description: meta.response || 'Success',
+    content: { [contentType]: { schema } }
+  };
+};
+
+const ref = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const describeRoute = ({ method, path, handlers, routerAuth, tag, meta }) => {
+  const auth = handlers.includes(adminAuth)
+    ? 'required'
+    : handlers.includes(optionalAdminAuth) ? 'optional' : routerAuth;
+  const permission = (handlers.find(handler => handler.permission) || {}).permission;
+  const routeSchema = (handlers.find(handler => handler.schema) || {}).schema || {};
+
+  const operation = {
+    tags: [tag],
+    operationId: meta.operationId || `${method}${path.replace(/[^A-Za-z0-9]+(.)?/g, (match, c) => (c ? c.toUpperCase() : ''))}`,
+    summary: meta.summary
+  };
+
+  const description = [meta.description, permission && `Requires the \`${permission}\` permission.`]
+    .filter(Boolean)
+    .join('\n\n');
+  if (description) {
+    operation.description = description;
+  }
+  if (permission) {
+    operation['x-permission'] = permission;
+  }
+
+  const parameters = [
+    ...toParameters('params', routeSchema.params),
+    ...toParameters('query', routeSchema.query),
+    ...toParameters('headers', routeSchema.headers)
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  const requestBody = toRequestBody(routeSchema);
+  if (requestBody) {
+    operation.requestBody = requestBody;
+  }
+
+  operation.responses = { [meta.status || 200]: toSuccessResponse(meta) };
+  if (routeSchema.params || routeSchema.query || routeSchema.body || routeSchema.headers || routeSchema.file) {
+    operation.responses[400] = ref('ValidationFailed');
+  }
+  if (auth === 'required') {
+    operation.responses[401] = ref('Unauthorized');
+    operation.security = [{ adminSession: [] }];
+  } else if (auth === 'optional') {
+    operation.security = [{}, { adminSession: [] }];
+  } else {
+    operation.security = [];
+  }
+  if (permission) {
+    operation.responses[403] = ref('Forbidden');
+  }
+  operation.responses.default = ref('Error');
+
+  return operation;
+};
+
+const COMPONENTS = {
+  securitySchemes: {
+    adminSession: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'Session token from POST /api/auth/login (see the README)'
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      properties: {
+        error: { type: 'string', description: 'Human-readable message' },
+        code: { type: 'string', description: 'Machine-readable code' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              code: { type: 'string' },
+              message: { type: 'string' }
+            },
+            required: ['code', 'message']
+          }
+        }
+      },
+      required: ['error', 'code']
+    },
+    ValidationError: {
+      type: 'object',
+      properties: {
+        error: { type: 'string' },
+        code: { type: 'string', enum: ['VALIDATION_FAILED'] },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              in: { type: 'string', enum: ['params', 'query', 'body', 'headers'] },
+              field: { type: 'string', nullable: true, description: 'Path of the field, e.g. items[1].result' },
+              code: { type: 'string' },
+              message: { type: 'string' }
+            },
+            required: ['in', 'field', 'code', 'message']
+          }
+        }
+      },
+      required: ['error', 'code', 'details']
+    }
+  },
+  responses: {
+    ValidationFailed: {
+      description: 'The request did not match the schema; every problem is listed in details',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+    },
+    Unauthorized: {
+      description: 'Missing, invalid or expired admin session (ADMIN_SESSION_REQUIRED, ADMIN_AUTH_FAILED)',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    Forbidden: {
+      description: 'The role lacks the permission (PERMISSION_DENIED), or the voter is outside the jurisdiction (OUT_OF_JURISDICTION)',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    Error: {
+      description: 'Error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    }
+  }
+};
+
+/**
+ * Build the OpenAPI 3.0 document.
+ * @param {Object} options
+ * @param {Object} options.info - OpenAPI info object
+ * @param {Array<{path: string, router: Object, tag: string, description: string}>} options.mounts -
+ *   routers as mounted in server.js
+ * @param {Object} options.operations - metadata keyed by "METHOD /openapi/path"
+ */
+const buildOpenApiDocument = ({ info, mounts, operations }) => {
+  const paths = {};
+
+  for (const mount of mounts) {
+    // router.use(adminAuth) protects every route registered after it
+    let routerAuth = null;
+
+    for (const layer of mount.router.stack) {
+      if (!layer.route) {
+        if (layer.handle === adminAuth) routerAuth = 'required';
+        continue;
+      }
+      if (typeof layer.route.path !== 'string') continue;
+
+      const path = toOpenApiPath(mount.path, layer.route.path);
+      const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+
+      for (const method of Object.keys(layer.route.methods).filter(m => m !== '_all')) {
+        const key = `${method.toUpperCase()} ${path}`;
+        const meta = operations[key];
+        if (!meta) {
+          console.warn(`OpenAPI: no entry for ${key} in schemas/operations.js`);
+        }
+
+        paths[path] = paths[path] || {};
+        paths[path][method] = describeRoute({
+          method,
+          path,
+          handlers,
+          routerAuth,
+          tag: mount.tag,
+          meta: meta || {}
+        });
+      }
+    }
+  }
+
+  for (const key of Object.keys(operations)) {
+    const [method, path] = key.split(' ');
+    if (!paths[path] || !paths[path][method.toLowerCase()]) {
+      console.warn(`OpenAPI: schemas/operations.js describes ${key}, which no router serves`);
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info,
+    tags: mounts.map(({ tag, description }) => ({ name: tag, description })),
+    paths,
+    components: COMPONENTS
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument,
+  toOpenApiSchema
+};
@@ -0,0 +1,262 @@
+const { ethers } = require('ethers');
+const { normalizeAadhaar, IdentityValidationError } = require('./identityValidation');
+
+// A small JSON Schema subset for request validation (schemas/*.js):
+//
+//   type        string | integer | number | boolean | object | array
+//   string      minLength, maxLength, pattern, enum, format
+//   number      minimum, maximum, enum
+//   array       items, minItems, maxItems
+//   object      properties, required, additionalProperties (false rejects
+//               unknown fields; they are allowed otherwise)
+//   any         nullable, default, description
+//
+// Every failure is reported with a machine-readable code. Route parameters,
+// query strings and headers arrive as strings and are coerced to the
+// declared type; JSON bodies are not. Values are returned in their canonical form
+// (defaults applied, Aadhaar numbers normalized).
+
+// `pattern` is only published in the OpenAPI document (utils/openapi.js) so
+// generated clients can check the shape; `test` is what is enforced.
+const FORMATS = {
+  'eth-address': {
+    test: (value) => ethers.isAddress(value),
+    pattern: '^0x[0-9a-fA-F]{40}$',
+    code: 'INVALID_ADDRESS',
+    message: 'must be an Ethereum address'
+  },
+  'object-id': {
+    test: (value) => /^[0-9a-fA-F]{24}$/.test(value),
+    pattern: '^[0-9a-fA-F]{24}$',
+    code: 'INVALID_ID',
+    message: 'must be a 24-character hex id'
+  },
+  bytes32: {
+    test: (value) => /^(0x)?[0-9a-fA-F]{64}$/.test(value),
+    pattern: '^(0x)?[0-9a-fA-F]{64}$',
+    code: 'INVALID_HASH',
+    message: 'must be a 32-byte hex hash'
+  },
+  // Calendar date, e.g. 1990-01-31
+  date: {
+    test: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      !isNaN(Date.parse(value)) &&
+      new Date(value).toISOString().startsWith(value),
+    pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+    code: 'INVALID_DATE',
+    message: 'must be a date in YYYY-MM-DD format'
+  },
+  'date-time': {
+    test: (value) => /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) && !isNaN(Date.parse(value)),
+    code: 'INVALID_DATE',
+    message: 'must be an ISO 8601 date or date-time'
+  },
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    code: 'INVALID_EMAIL',
+    message: 'must be an email address'
+  },
+  phone: {
+    test: (value) => /^\+?[0-9]{10,15}$/.test(value),
+    pattern: '^\\+?[0-9]{10,15}$',
+    code: 'INVALID_PHONE',
+    message: 'must be a phone number of 10 to 15 digits'
+  },
+  // Normalized to its 12 digits (utils/identityValidation.js)
+  aadhaar: {
+    normalize: normalizeAadhaar
+  }
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value)
+};
+
+// Route parameters and query strings are always strings
+const coerceValue = (schema, value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const joinPath = (path, key) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+};
+
+// Validate one value against its schema. Failures are pushed onto `errors`;
+// the (possibly coerced or normalized) value is returned.
+const validateValue = (schema, value, path, errors, options) => {
+  const fail = (code, message) => {
+    errors.push({ in: options.location, field: path || null, code, message: `${path || options.location} ${message}` });
+    return value;
+  };
+
+  if (value === null && schema.nullable) {
+    return value;
+  }
+  if (options.coerce) {
+    value = coerceValue(schema, value);
+  }
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return fail('INVALID_TYPE', `must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail('INVALID_VALUE', `must be one of ${schema.enum.join(', ')}`);
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail('TOO_SHORT', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail('TOO_LONG', `must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return fail('INVALID_PATTERN', `must match ${schema.pattern}`);
+      }
+      if (schema.format) {
+        const format = FORMATS[schema.format];
+        if (format.normalize) {
+          try {
+            return format.normalize(value);
+          } catch (error) {
+            if (error instanceof IdentityValidationError) {
+              errors.push({ in: options.location, field: path, code: error.code, message: error.message });
+              return value;
+            }
+            throw error;
+          }
+        }
+        if (!format.test(value)) {
+          return fail(format.code, format.message);
+        }
+      }
+      return value;
+
+    case 'integer':
+    case 'number':
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return fail('OUT_OF_RANGE', `must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return fail('OUT_OF_RANGE', `must be at most ${schema.maximum}`);
+      }
+      return value;
+
+    case 'array':
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return fail('TOO_FEW_ITEMS', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return fail('TOO_MANY_ITEMS', `must have at most ${schema.maxItems} items`);
+      }
+      return schema.items
+        ? value.map((item, i) => validateValue(schema.items, item, joinPath(path, i), errors, options))
+        : value;
+
+    case 'object':
+      return validateObject(schema, value, path, errors, options);
+
+    default:
+      return value;
+  }
+};
+
+const validateObject = (schema, value, path, errors, options) => {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const result = { ...value };
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    const fieldPath = joinPath(path, key);
+    if (value[key] === undefined || (options.coerce && value[key] === '')) {
+      if (required.includes(key)) {
+        errors.push({ in: options.location, field: fieldPath, code: 'REQUIRED', message: `${fieldPath} is required` });
+      } else if (propertySchema.default !== undefined) {
+        result[key] = propertySchema.default;
+      } else {
+        delete result[key];
+      }
+      continue;
+    }
+    result[key] = validateValue(propertySchema, value[key], fieldPath, errors, options);
+  }
+
+  if (schema.additionalProperties === false) {
+    for (const key of Object.keys(value)) {
+      if (!properties[key]) {
+        const fieldPath = joinPath(path, key);
+        errors.push({ in: options.location, field: fieldPath, code: 'UNKNOWN_FIELD', message: `${fieldPath} is not allowed` });
+      }
+    }
+  }
+
+  return result;
+};
+
+// Request parts a route schema can describe, and whether they arrive as strings
+const LOCATIONS = [
+  { location: 'params', coerce: true },
+  { location: 'query', coerce: true },
+  { location: 'body', coerce: false },
+  { location: 'headers', coerce: true }
+];
+
+// Header names are case-insensitive; Node lower-cases them, schemas may not
+const headerInput = (schema, headers = {}) => {
+  const input = {};
+  for (const name of Object.keys(schema.properties || {})) {
+    if (headers[name.toLowerCase()] !== undefined) {
+      input[name] = headers[name.toLowerCase()];
+    }
+  }
+  return input;
+};
+
+/**
+ * Check a request against a route schema ({ params, query, body, headers },
+ * each an object schema; headers the schema does not name are ignored).
+ * Returns { errors, values } where `values` holds the canonical values of
+ * the parts the schema describes.
+ */
+const validateRequest = (routeSchema, req) => {
+  const errors = [];
+  const values = {};
+
+  for (const { location, coerce } of LOCATIONS) {
+    const schema = routeSchema[location];
+    if (!schema) continue;
+
+    // A request without a JSON body is validated as an empty one
+    let input = req[location] === undefined ? {} : req[location];
+    if (location === 'headers') {
+      input = headerInput(schema, req.headers);
+    }
+    values[location] = validateValue({ type: 'object', ...schema }, input, '', errors, { location, coerce });
+  }
+
+  return { errors, values };
+};
+
+module.exports = {
+  FORMATS,
+  validateValue,
+  validateRequest
+};
@@ -0,0 +1,117 @@
+const sharp = require('sharp');
+
+// Uploaded identity documents are checked against their content, never the
+// file name or the Content-Type the client sent. Images are decoded and
+// re-encoded, which drops EXIF (including GPS), XMP and anything appended
+// to the file, and scaled to a standard size with a thumbnail for review.
+// PDFs are refused: they could only be stored as uploaded (sharp cannot
+// render them), keeping their metadata and any content a pattern check
+// misses, such as scripts inside compressed object streams.
+
+// Longest side of a stored image, and of its thumbnail
+const MAX_DIMENSION = Number(process.env.UPLOAD_MAX_DIMENSION) || 1600;
+const THUMBNAIL_SIZE = Number(process.env.UPLOAD_THUMBNAIL_SIZE) || 320;
+// Shortest side below which an image is too small to read
+const MIN_DIMENSION = Number(process.env.UPLOAD_MIN_DIMENSION) || 200;
+// Refuse to decode anything larger (decompression bombs)
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const JPEG_QUALITY = 85;
+
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }
+];
+
+class UploadValidationError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadValidationError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// The file's real type from its leading bytes, or null if it is not one we accept
+const sniffFileType = (buffer) => {
+  const match = SIGNATURES.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte)
+  );
+  return match ? match.type : null;
+};
+
+const normalizeImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new UploadValidationError('UPLOAD_CORRUPT_FILE', `Image could not be decoded: ${error.message}`);
+  }
+
+  // EXIF orientations 5-8 swap width and height
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  if (Math.min(width, height) < MIN_DIMENSION) {
+    throw new UploadValidationError(
+      'UPLOAD_IMAGE_TOO_SMALL',
+      `Image is ${width}x${height}; both sides must be at least ${MIN_DIMENSION} pixels`
+    );
+  }
+
+  // rotate() applies the EXIF orientation before the metadata is dropped;
+  // sharp writes no metadata unless asked to
+  const encode = (size) => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  try {
+    const [image, thumbnail] = await Promise.all([encode(MAX_DIMENSION), encode(THUMBNAIL_SIZE)]);
+    return {
+      body: image.data,
+      contentType: 'image/jpeg',
+      width: image.info.width,
+      height: image.info.height,
+      thumbnail: {
+        body: thumbnail.data,
+        contentType: 'image/jpeg',
+        width: thumbnail.info.width,
+        height: thumbnail.info.height
+      }
+    };
+  } catch (error) {
+    throw new UploadValidationError('UPLOAD_CORRUPT_FILE', `Image could not be re-encoded: ${error.message}`);
+  }
+};
+
+/**
+ * Validate an uploaded document and return what should be stored:
+ * { body, contentType, width, height, thumbnail, sourceType }.
+ * Throws UploadValidationError with a machine-readable code.
+ */
+const processUpload = async (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    throw new UploadValidationError('UPLOAD_EMPTY_FILE', 'Uploaded file is empty');
+  }
+
+  const sourceType = sniffFileType(buffer);
+  if (!sourceType) {
+    throw new UploadValidationError(
+      'UPLOAD_UNSUPPORTED_TYPE',
+      'Only JPEG and PNG files are accepted; scan or photograph PDF documents',
+      415
+    );
+  }
+
+  const processed = await normalizeImage(buffer);
+
+  return { ...processed, sourceType };
+};
+
+module.exports = {
+  UploadValidationError,
+  sniffFileType,
+  processUpload
+};